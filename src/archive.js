@@ -1,55 +1,154 @@
 /*
-By default, this file will take all existing group data from the database
-and add it to the archive in the file called archive.json.
+Manages snapshots of the bot's data (group info, scores, and usage stats),
+which are stored in the backup directory set in config.js (see backup.js).
 
-However, if called with the "--restore" flag, it will instead use the data
-stored in the archive to replace the data in the database (in case of memory
-loss). This essentially restores the database from backup.
+The running bot takes snapshots on a schedule, but this file can also be used
+to take them manually and to inspect and restore them:
+
+node src/archive.js                     Take a snapshot now
+node src/archive.js --list              List the stored snapshots
+node src/archive.js --prune             Delete snapshots that are past the retention limits
+node src/archive.js --diff [a] [b]      Show what changed between two snapshots (the two most
+                                        recent by default); use "current" for the live data
+node src/archive.js --restore [name]    Restore from a snapshot ("latest" by default)
+    --thread ID                         Only restore this thread's group info
+    --property NAME                     With --thread, only restore this property (e.g. pinned)
+    --only groups|scores|stats          Only restore this kind of data
+
+Stop the bot before restoring: it keeps writing to the store, so it would
+overwrite the restored data (restoring is refused while it's running).
+
+Snapshots can be referred to by file name, "latest", or a path to a file. Old
+archive.json files (created by earlier versions of this script) can also be
+restored by passing their path.
 */
-const fs = require("fs");
-const credentials = require("./credentials") || process.env;
-const mem = require("memjs").Client.create(credentials.MEMCACHIER_SERVERS, {
-    username: credentials.MEMCACHIER_USERNAME,
-    password: credentials.MEMCACHIER_PASSWORD
-});
-
-if (process.argv[2] == "--restore") { // Check command-line arguments
-    // Restore database from archive
-    console.log("Restoring...");
-    fs.readFile("archive.json", (err, stored) => {
-        if (!err) {
-            mem.set("groups", stored.toString(), {}, err => {
-                if (!err) {
-                    console.log(`Data restored from backup:`, JSON.parse(stored));
-                } else {
-                    console.log(`Error: ${err}`);
+const config = require("./config");
+const storage = require("./storage");
+const backup = require("./backup");
+let credentials;
+try {
+    credentials = require("./credentials");
+} catch (e) {
+    credentials = process.env;
+}
+const store = storage.create(config.storage, credentials);
+const options = config.backups;
+
+// Splits command-line arguments into flags (with values) and positional arguments
+function parseArgs(argv) {
+    const args = { "flags": {}, "positional": [] };
+    const valued = ["--thread", "--property", "--only"];
+    for (let i = 0; i < argv.length; i++) {
+        if (valued.includes(argv[i])) {
+            args.flags[argv[i]] = argv[++i];
+        } else if (argv[i].startsWith("--")) {
+            args.flags[argv[i]] = true;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function fail(err) {
+    console.error(`Error: ${err.message || err}`);
+    process.exit(1);
+}
+
+function prettyTime(snapshot) {
+    return snapshot.timestamp ? new Date(snapshot.timestamp).toLocaleString() : "unknown time";
+}
+
+// Loads a snapshot by name, or the current data from the store if the name is "current"
+function loadSnapshot(name, callback) {
+    if (name == "current") {
+        backup.create(store, callback);
+    } else {
+        backup.load(name, options, callback);
+    }
+}
+
+function describeChange(change, groups) {
+    const symbol = { "added": "+", "removed": "-", "changed": "~" }[change.change];
+    if (!change.threadId) {
+        const values = [change.old, change.new].filter(v => v !== undefined).map(v => JSON.stringify(v));
+        return `${symbol} ${change.key}: ${values.join(" → ")}`;
+    }
+    const info = groups[change.threadId] || {};
+    const thread = `thread ${change.threadId}${info.name ? ` ("${info.name}")` : ""}`;
+    return `${symbol} ${thread}${change.property ? `: ${change.property}` : ""}`;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const flags = args.flags;
+
+if (flags["--list"]) {
+    backup.list(options, (err, snapshots) => {
+        if (err) { fail(err); }
+        if (snapshots.length == 0) {
+            console.log("No snapshots have been taken yet.");
+        }
+        snapshots.forEach(s => console.log(`${s.name}\t${prettyTime(s)}`));
+        process.exit();
+    });
+} else if (flags["--prune"]) {
+    backup.prune(options, (err, deleted) => {
+        if (err) { fail(err); }
+        console.log(`Deleted ${deleted.length} expired snapshot${deleted.length == 1 ? "" : "s"}.`);
+        process.exit();
+    });
+} else if (flags["--diff"]) {
+    backup.list(options, (err, snapshots) => {
+        if (err) { fail(err); }
+        const names = args.positional.slice(0, 2);
+        if (names.length < 2) {
+            // Default to comparing against the previous snapshot(s)
+            const defaults = snapshots.map(s => s.name).filter(n => !names.includes(n));
+            names.unshift(...defaults.slice(0, 2 - names.length).reverse());
+        }
+        if (names.length < 2) { fail("Need two snapshots to compare"); }
+        loadSnapshot(names[0], (err, older) => {
+            if (err) { fail(err); }
+            loadSnapshot(names[1], (err, newer) => {
+                if (err) { fail(err); }
+                const changes = backup.diff(older.data, newer.data);
+                console.log(`Changes from ${names[0]} (${prettyTime(older)}) to ${names[1]} (${prettyTime(newer)}):`);
+                const groups = { ...older.data.groups, ...newer.data.groups };
+                changes.forEach(change => console.log(describeChange(change, groups)));
+                if (changes.length == 0) {
+                    console.log("No changes.");
                 }
                 process.exit();
             });
-        } else {
-            console.log("Error reading data from backup");
-            process.exit();
+        });
+    });
+} else if (flags["--restore"]) {
+    const name = args.positional[0] || "latest";
+    backup.load(name, options, (err, snapshot) => {
+        if (err) { fail(err); }
+        const restoreOptions = {
+            "threadId": flags["--thread"],
+            "property": flags["--property"],
+            "only": flags["--only"]
+        };
+        if (restoreOptions.property && !restoreOptions.threadId) {
+            fail("--property can only be used with --thread");
         }
+        console.log(`Restoring from ${name} (${prettyTime(snapshot)})...`);
+        backup.restore(store, snapshot, restoreOptions, (err, keys) => {
+            if (err) { fail(err); }
+            console.log(`Restored ${keys.length} key${keys.length == 1 ? "" : "s"}: ${keys.join(", ")}`);
+            process.exit();
+        });
     });
 } else {
-    // Archives existing group data in a file called "archive.json"
-    mem.get("groups", (err, info) => {
-        if (!err) {
-            fs.readFile("archive.json", (err, stored) => {
-                const data = (err || stored.length == 0) ? {} : JSON.parse(stored);
-                const groupInfo = info.length > 0 ? JSON.parse(info) : {};
-                for (let g in groupInfo) {
-                    if (groupInfo.hasOwnProperty(g)) {
-                        data[g] = groupInfo[g];
-                    }
-                }
-                fs.writeFile("archive.json", JSON.stringify(data), err => {
-                    if (err) { console.error(`Couldn't create backup: ${err}`); }
-                    process.exit();
-                });
-            });
-        } else {
-            console.error(`No group data found: ${err}`);
+    // Take a snapshot
+    backup.save(store, options, (err, file) => {
+        if (err) {
+            console.error(`Couldn't create backup: ${err}`);
+            process.exit(1);
         }
+        console.log(`Saved snapshot to ${file}`);
+        process.exit();
     });
-}
\ No newline at end of file
+}
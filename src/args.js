@@ -0,0 +1,401 @@
+/*
+    Declarative argument specs for commands (the "args" field of each entry in
+    commands.js) and the parser that matches messages against them.
+
+    A spec lists the words that invoke the command and the arguments that
+    follow them:
+
+    "args": {
+        "names": ["kick"],
+        "params": [
+            { "name": "user", "type": "user", "label": "member" },
+            { "name": "time", "type": "duration", "label": "number of seconds", "optional": true }
+        ]
+    }
+
+    Commands that do several different things list the params for each of
+    their subcommands instead (plus "params" if the command can also be used
+    without one):
+
+    "args": {
+        "names": ["event"],
+        "subcommands": {
+            "create": [{ "name": "title" }, { "name": "time", "type": "date", "after": ["for"] }],
+            "delete": [{ "name": "title" }]
+        }
+    }
+
+    Param fields (only name is required):
+    name     – key for the value in the args object passed to the command
+    type     – one of the types below (default "text")
+    label    – what to call the param in the command's syntax (default: name)
+    optional – whether the param can be left out
+    after    – words, one of which must come before the param (not part of its value)
+    attached – whether the param follows the previous word without a space
+    pattern  – regex source to use instead of the type's usual one
+    plus any fields specific to the type (see types below).
+
+    Matching a message (see parse) produces an args object containing each
+    param's value by name (undefined for optional params that weren't given),
+    along with the name the command was invoked with (`command`) and the
+    subcommand used, if any (`subcommand`). Help syntax strings are generated
+    from the same specs (see syntax).
+*/
+const chrono = require("chrono-node"); // For NL date parsing
+const config = require("./config");
+const recurrence = require("./recurrence"); // For repeating schedules
+const timezones = require("./timezones");
+const currency = require("./currency"); // For the currencies there are exchange rates for
+
+// Escapes a string for use in a regular expression
+function escape(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+exports.escape = escape;
+
+// Matches any of the given words (longest first so that e.g. "wake up" is
+// preferred to "wake"); spaces within a word match any whitespace
+function anyOf(words) {
+    return words.slice().sort((a, b) => b.length - a.length)
+        .map(word => escape(word).replace(/ /g, "\\s+"))
+        .join("|");
+}
+
+// Gets the time zone that the sender's times are in
+function zoneOf(context) {
+    return context.groupInfo ? timezones.of(context.fromUserId, context.groupInfo) : null;
+}
+
+// Finds the ID of a member of the group from their name or alias ("me" is the sender)
+function findUser(name, context) {
+    const info = context.groupInfo;
+    const key = name.toLowerCase();
+    if (key == "me") {
+        return context.fromUserId;
+    }
+    if (info.members[key]) {
+        return info.members[key];
+    }
+    const aliased = Object.keys(info.aliases || {}).find(user => info.aliases[user] == key);
+    if (aliased && info.members[aliased]) {
+        return info.members[aliased];
+    }
+    throw new Error(`Couldn't find user "${name}".`);
+}
+
+const durationUnits = {
+    "ms": 1,
+    "s": 1000, "sec": 1000, "secs": 1000, "second": 1000, "seconds": 1000,
+    "m": 60000, "min": 60000, "mins": 60000, "minute": 60000, "minutes": 60000,
+    "h": 3600000, "hr": 3600000, "hrs": 3600000, "hour": 3600000, "hours": 3600000,
+    "d": 86400000, "day": 86400000, "days": 86400000,
+    "w": 604800000, "week": 604800000, "weeks": 604800000
+};
+
+/*
+Argument types: each has a `pattern` function that returns the regex source
+matching the raw text of the param (which must not contain capturing groups)
+and a `parse` function that converts the raw text into the value passed to
+the command, throwing an Error with a message for the user if it's invalid.
+
+`pattern` gets the param, the context passed to parse, and whether the match
+should be lazy (true when later params are optional, so that those params get
+a chance to match instead of being swallowed up by this one).
+*/
+const types = {
+    // Any text, including newlines
+    "text": {
+        "pattern": (param, context, lazy) => (lazy ? "[\\s\\S]+?" : "[\\s\\S]+"),
+        "parse": raw => raw.trim()
+    },
+    // A single word (no spaces or commas)
+    "word": {
+        "pattern": () => "[^\\s,]+",
+        "parse": raw => raw
+    },
+    // A string of digits, such as a thread ID (kept as a string)
+    "id": {
+        "pattern": () => "\\d+",
+        "parse": raw => raw
+    },
+    // A number; `integer` only allows whole numbers and `min`/`max` limit its range
+    "number": {
+        "pattern": param => (param.integer ? "-?\\d+" : "-?(?:\\d+(?:\\.\\d*)?|\\.\\d+)"),
+        "parse": (raw, param) => {
+            const num = param.integer ? parseInt(raw) : parseFloat(raw);
+            const label = param.label || param.name;
+            if (param.min !== undefined && num < param.min) {
+                throw new Error(`The ${label} must be at least ${param.min}.`);
+            }
+            if (param.max !== undefined && num > param.max) {
+                throw new Error(`The ${label} can't be more than ${param.max}.`);
+            }
+            return num;
+        }
+    },
+    // An amount of money, with or without a leading "$"
+    "money": {
+        "pattern": () => "\\$?(?:\\d+(?:\\.\\d*)?|\\.\\d+)",
+        "parse": raw => parseFloat(raw.replace("$", ""))
+    },
+    // The code of a currency that there's an exchange rate for, like "EUR" (see
+    // currency.js); passed in uppercase
+    "currency": {
+        "pattern": () => `(?:${anyOf(currency.codes())})\\b`,
+        "parse": raw => raw.toUpperCase()
+    },
+    // A member of the group by name or alias, or "me"; passed as the member's user ID
+    "user": {
+        "pattern": (param, context) => {
+            const info = context.groupInfo;
+            const aliases = info.aliases || {};
+            const names = Object.keys(info.members).concat(Object.keys(aliases).map(user => aliases[user]));
+            // Known names come first so that multi-word aliases can be matched,
+            // but any other word matches too so that typos get an error
+            return `${anyOf(names.concat(["me"]))}|[^\\s,]+`;
+        },
+        "parse": (raw, param, context) => findUser(raw, context)
+    },
+    "url": {
+        "pattern": () => "(?:https?|ftp):\\/\\/\\S+",
+        "parse": raw => raw
+    },
+    // A natural-language date and/or time in the future (in the sender's time
+    // zone); passed as a Date
+    "date": {
+        "pattern": (param, context, lazy) => (lazy ? "[\\s\\S]+?" : "[\\s\\S]+"),
+        "parse": (raw, param, context) => {
+            const zone = zoneOf(context);
+            const now = zone ? timezones.toWallClock(new Date(), zone) : new Date();
+            const date = chrono.parseDate(raw, now, { "forwardDate": true });
+            if (!date) {
+                throw new Error(`Couldn't understand the time "${raw.trim()}".`);
+            }
+            return zone ? timezones.fromWallClock(date, zone) : date;
+        }
+    },
+    // A time that can repeat, like "at 9am every weekday" or "tomorrow at noon"; passed
+    // as { time, recurrence, text } with the Date of the first occurrence, the
+    // recurrence rule (null if it doesn't repeat), and the text (see recurrence.js),
+    // in the sender's time zone
+    "schedule": {
+        "pattern": (param, context, lazy) => (lazy ? "[\\s\\S]+?" : "[\\s\\S]+"),
+        "parse": (raw, param, context) => ({ ...recurrence.parse(raw.trim(), new Date(), zoneOf(context)), "text": raw.trim() })
+    },
+    // A length of time like "30", "90s", "5 minutes", or "1.5h"; passed in
+    // milliseconds, with `unit` (default "seconds") used when none is given
+    "duration": {
+        "pattern": () => `\\d*\\.?\\d+(?:\\s*(?:${anyOf(Object.keys(durationUnits))}))?`,
+        "parse": (raw, param) => {
+            const match = raw.toLowerCase().match(/^([\d.]+)\s*([a-z]*)$/);
+            const unit = match[2] || param.unit || "seconds";
+            return parseFloat(match[1]) * durationUnits[unit];
+        }
+    },
+    // One of the words in `choices`; passed in lowercase
+    "choice": {
+        "pattern": param => anyOf(param.choices),
+        "parse": raw => raw.toLowerCase()
+    },
+    // An optional word (`words`, or the param's name if not given) whose
+    // presence turns something on; passed as a boolean
+    "flag": {
+        "pattern": param => anyOf(param.words || [param.name]),
+        "parse": raw => raw !== undefined
+    },
+    // Comma-separated items; passed as an array of items, each of which is
+    // parsed as the type given by `of` (default "text"), and `brackets` means
+    // that the list must be wrapped in square brackets
+    "list": {
+        "pattern": (param, context, lazy) => {
+            if (param.brackets) {
+                return "\\[[^\\]]*\\]";
+            }
+            return lazy ? "[\\s\\S]+?" : "[\\s\\S]+";
+        },
+        "parse": (raw, param, context) => {
+            const items = (param.brackets ? raw.slice(1, -1) : raw).split(",")
+                .map(item => item.trim())
+                .filter(item => item.length > 0);
+            const itemType = types[param.of || "text"];
+            return items.map(item => itemType.parse(item, param, context));
+        }
+    },
+    // A single emoji
+    "emoji": {
+        "pattern": () => "\\S+",
+        "parse": raw => {
+            if (!raw.match(/^(?:[\uD800-\uDBFF][\uDC00-\uDFFF]|[\u2190-\u2BFF])(?:\uFE0F|\u200D|[\uD800-\uDBFF][\uDC00-\uDFFF])*$/)) {
+                throw new Error(`"${raw}" isn't an emoji.`);
+            }
+            return raw;
+        }
+    }
+};
+exports.types = types;
+
+function typeOf(param) {
+    const type = types[param.type || "text"];
+    if (!type) {
+        throw new Error(`Unknown argument type "${param.type}" for "${param.name}"`);
+    }
+    return type;
+}
+
+// Builds the regex source for a list of params, adding each param to `groups`
+// in the order of their capturing groups
+function compileParams(params, context, groups) {
+    return params.map((param, i) => {
+        const optional = param.optional || param.type == "flag";
+        const lazy = params.slice(i + 1).some(later => later.optional || later.type == "flag");
+        const pattern = param.pattern || typeOf(param).pattern(param, context, lazy);
+        const sep = param.attached ? "" : "\\s+";
+        const before = param.after ? `${sep}(?:${anyOf(param.after)})\\s+` : sep;
+
+        groups.push({ "param": param });
+        const fragment = `${before}(${pattern})`;
+        return optional ? `(?:${fragment})?` : fragment;
+    }).join("") + trailing(params);
+}
+
+// Allows trailing punctuation (e.g. "alive?") after params that can't contain
+// it themselves (otherwise it's part of the last param)
+function trailing(params) {
+    const freeform = params.some(param => {
+        const type = param.type || "text";
+        return !param.pattern && (type == "text" || type == "date" || type == "schedule" || (type == "list" && !param.brackets));
+    });
+    return freeform ? "\\s*" : "[\\s?!.]*";
+}
+
+/*
+Compiles a spec into a RegExp for the given context (see parse) along with the
+list of what each of its capturing groups holds, in order: { param } for
+params and { subcommand } for subcommand names. The first group is always the
+name that the command was invoked with.
+*/
+function compile(spec, context) {
+    const groups = [{ "command": true }];
+    let body;
+    if (spec.subcommands) {
+        const alts = Object.keys(spec.subcommands).map(sub => {
+            groups.push({ "subcommand": sub });
+            return `\\s+(${anyOf([sub])})${compileParams(spec.subcommands[sub], context, groups)}`;
+        });
+        if (spec.params) {
+            alts.push(compileParams(spec.params, context, groups));
+        }
+        body = `(?:${alts.join("|")})`;
+    } else {
+        body = compileParams(spec.params || [], context, groups);
+    }
+
+    // Contextless commands can be anywhere within the message
+    const source = context.contextless ? `(${anyOf(spec.names)})${body}` : `^(${anyOf(spec.names)})${body}$`;
+    return {
+        "regex": new RegExp(source, "i"),
+        "groups": groups
+    };
+}
+
+/*
+Matches input (the message after the trigger word) against a command's spec.
+
+The context contains the `groupInfo` of the chat, the `fromUserId` of the
+sender, and (optionally) whether commands are `contextless` (see config.js)
+and the `trigger` word to show in errors (the default one if not given).
+
+Returns null if the input doesn't invoke the command at all, { args } if it
+does, or { error } with a message for the user if the input starts with the
+command's name but isn't valid: either an argument couldn't be understood
+(e.g. an unknown user) or, if `usage` is also set, the input doesn't fit the
+command's syntax at all.
+*/
+exports.parse = (spec, input, context) => {
+    const { regex, groups } = compile(spec, context);
+    const match = input.match(regex);
+    if (!match) {
+        // Only complain if the command was clearly what the user was going for
+        const invoked = new RegExp(`^(?:${anyOf(spec.names)})(?:\\s|$)`, "i");
+        if (!context.contextless && input.match(invoked)) {
+            return {
+                "error": `Invalid syntax. Try "${context.trigger || config.trigger} ${exports.syntax(spec)}".`,
+                "usage": true
+            };
+        }
+        return null;
+    }
+
+    const args = {};
+    try {
+        groups.forEach((group, i) => {
+            const raw = match[i + 1];
+            if (group.command) {
+                args.command = raw.toLowerCase().replace(/\s+/g, " ");
+            } else if (group.subcommand) {
+                if (raw !== undefined) {
+                    args.subcommand = group.subcommand;
+                }
+            } else {
+                const param = group.param;
+                if (raw !== undefined) {
+                    args[param.name] = typeOf(param).parse(raw, param, context);
+                } else if (!(param.name in args)) {
+                    args[param.name] = (param.type == "flag") ? false : undefined;
+                }
+            }
+        });
+    } catch (e) {
+        return { "error": e.message };
+    }
+    return { "args": args };
+};
+
+// Describes a list of params, e.g. "{member} ({number of seconds})"
+function describeParams(params) {
+    return params.map(param => {
+        const label = param.label || param.name;
+        let desc;
+        if (param.type == "flag") {
+            desc = `(${(param.words || [param.name]).join("|")})`;
+        } else if (param.type == "choice") {
+            desc = `(${param.choices.join("|")})`;
+        } else if (param.type == "list") {
+            desc = `{${label} 1}, {${label} 2}, {${label} n}`;
+            desc = param.brackets ? `[${desc}]` : desc;
+        } else {
+            desc = `{${label}}`;
+        }
+        if (param.after) {
+            desc = `${param.after.length > 1 ? `(${param.after.join("|")})` : param.after[0]} ${desc}`;
+        }
+        if (param.optional && param.type != "flag") {
+            desc = `(${desc})`;
+        }
+        return `${param.attached ? "" : " "}${desc}`;
+    }).join("");
+}
+
+// Returns the syntax for a spec as shown in help, e.g. "kick {member} ({number of seconds})"
+exports.syntax = spec => {
+    const names = spec.names.length > 1 ? `(${spec.names.join("|")})` : spec.names[0];
+    if (spec.subcommands) {
+        // Subcommands that take the same params are listed together
+        const bySyntax = {};
+        Object.keys(spec.subcommands).forEach(sub => {
+            const params = describeParams(spec.subcommands[sub]);
+            bySyntax[params] = (bySyntax[params] || []).concat([sub]);
+        });
+        const alts = Object.keys(bySyntax).map(params => {
+            const subs = bySyntax[params];
+            return `${subs.length > 1 ? `(${subs.join("|")})` : subs[0]}${params}`;
+        });
+        if (spec.params && spec.params.length > 0) {
+            alts.push(describeParams(spec.params).trim());
+        }
+        const body = alts.length > 1 ? `(${alts.join("|")})` : alts[0];
+        // The subcommand is optional if the command can be used without params
+        return `${names} ${(spec.params && spec.params.length == 0) ? `(${body})` : body}`;
+    }
+    return `${names}${describeParams(spec.params || [])}`;
+};
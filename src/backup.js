@@ -0,0 +1,380 @@
+/*
+    Snapshots of the bot's persistent data (group info, scores, and usage stats).
+
+    A snapshot is a JSON file in the backup directory (see `backups` in
+    config.js) named after the time it was taken, containing every stored key
+    that the bot knows how to find:
+
+    {
+        "timestamp": number, // When the snapshot was taken (ms since epoch)
+        "data": {string: value} // Map from storage keys to their stored values
+    }
+
+    Snapshots are taken on a schedule by the running bot (see main.js) and can
+    be listed, compared, and restored with archive.js. Restoring writes to the
+    store directly, underneath the bot's own writes, so it's refused while the
+    bot is running (which it shows by recording a heartbeat in the store).
+*/
+const fs = require("fs");
+const path = require("path");
+const commands = require("./commands");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// How often the running bot records its heartbeat (in ms), and how long after the
+// last one it's assumed to have stopped
+exports.heartbeatInterval = 60 * 1000;
+const heartbeatTimeout = 2 * this.heartbeatInterval;
+
+// Records that the bot is running (see main.js)
+exports.heartbeat = (store, callback = () => { }) => {
+    store.set("heartbeat", Date.now(), callback);
+};
+
+// Passes whether the bot is running (whether it's recorded a heartbeat recently)
+exports.isBotRunning = (store, callback, now = Date.now()) => {
+    store.get("heartbeat", (err, last) => {
+        callback(err, Boolean(last) && now - last < heartbeatTimeout);
+    });
+};
+
+// Resolves the backup directory (relative to the repo root)
+exports.getDir = (options = {}) => {
+    return path.resolve(`${__dirname}/..`, options.dir || "archives");
+};
+
+// Returns the list of storage keys to include in a snapshot given the stored groups
+// Scores from before each chat kept its own are stored per user (and chats that haven't
+// started theirs yet still read them), so the users are found from the members of every
+// group; each group's vote history is stored under its own key as well
+exports.getKeys = groups => {
+    const users = {};
+    Object.keys(groups).forEach(threadId => {
+        const info = groups[threadId];
+        Object.keys(info.names || {}).forEach(id => { users[id] = true; });
+        Object.keys(info.members || {}).forEach(name => { users[info.members[name]] = true; });
+    });
+    const scoreKeys = Object.keys(users).map(id => `userscore_${id}`)
+        .concat(Object.keys(groups).map(threadId => `votes_${threadId}`));
+    const statKeys = Object.keys(commands.commands).reduce((keys, command) => {
+        return keys.concat([`usage_total_${command}`, `usage_record_${command}`]);
+    }, ["usage_total_all"]);
+
+    return ["groups"].concat(scoreKeys, statKeys);
+};
+
+// Reads the current data from the store into a new snapshot object
+exports.create = (store, callback) => {
+    store.get("groups", (err, groups) => {
+        if (err) {
+            return callback(err);
+        }
+        const keys = this.getKeys(groups || {});
+        const snapshot = {
+            "timestamp": Date.now(),
+            "data": {}
+        };
+        let remaining = keys.length;
+        let failed = false;
+        keys.forEach(key => {
+            store.get(key, (err, value) => {
+                if (failed) { return; }
+                if (err) {
+                    failed = true;
+                    return callback(err);
+                }
+                if (value !== null && value !== undefined) {
+                    snapshot.data[key] = value;
+                }
+                remaining--;
+                if (remaining == 0) {
+                    callback(null, snapshot);
+                }
+            });
+        });
+    });
+};
+
+// Snapshot file names are based on the time they were taken, e.g.
+// snapshot-2020-01-01T12-00-00.000Z.json
+exports.getFilename = timestamp => {
+    return `snapshot-${new Date(timestamp).toISOString().replace(/:/g, "-")}.json`;
+};
+
+exports.parseFilename = filename => {
+    const match = filename.match(/^snapshot-(\d{4}-\d\d-\d\dT)(\d\d)-(\d\d)-(\d\d(?:\.\d+)?Z)\.json$/);
+    return match ? new Date(`${match[1]}${match[2]}:${match[3]}:${match[4]}`).getTime() : null;
+};
+
+// Passes a list of the snapshots in the backup directory, newest first, as
+// objects with "file" (full path), "name", and "timestamp" properties
+exports.list = (options, callback) => {
+    const dir = this.getDir(options);
+    fs.readdir(dir, (err, files) => {
+        if (err) {
+            // No snapshots have been taken yet
+            return callback(err.code == "ENOENT" ? null : err, []);
+        }
+        const snapshots = files.map(name => ({
+            "file": path.join(dir, name),
+            "name": name,
+            "timestamp": this.parseFilename(name)
+        })).filter(s => s.timestamp);
+        snapshots.sort((a, b) => b.timestamp - a.timestamp);
+        callback(null, snapshots);
+    });
+};
+
+/*
+Loads a snapshot by name, where the name can be "latest", the name of a file in
+the backup directory, or a path to a file anywhere else.
+
+Old-style archives (archive.json files containing only a map of group info) are
+also accepted and are loaded as a snapshot containing only groups.
+*/
+exports.load = (name, options, callback) => {
+    const read = file => {
+        fs.readFile(file, "utf-8", (err, contents) => {
+            if (err) {
+                return callback(err);
+            }
+            let stored;
+            try {
+                stored = JSON.parse(contents);
+            } catch (e) {
+                return callback(new Error(`${file} is not a valid snapshot: ${e.message}`));
+            }
+            if (stored.data && stored.hasOwnProperty("timestamp")) {
+                callback(null, stored);
+            } else {
+                callback(null, { "timestamp": null, "data": { "groups": stored } });
+            }
+        });
+    };
+
+    if (name == "latest") {
+        this.list(options, (err, snapshots) => {
+            if (err) {
+                callback(err);
+            } else if (snapshots.length == 0) {
+                callback(new Error("No snapshots have been taken yet"));
+            } else {
+                read(snapshots[0].file);
+            }
+        });
+    } else {
+        const inDir = path.join(this.getDir(options), name);
+        fs.access(inDir, err => read(err ? path.resolve(name) : inDir));
+    }
+};
+
+/*
+Decides which snapshots should be deleted under the retention rules in the options:
+
+keep    – the most recent `keep` snapshots are always kept
+daily   – the newest snapshot from each of the last `daily` days is kept
+weekly  – the newest snapshot from each of the last `weekly` weeks is kept
+
+Days and weeks are counted back from `now`. Returns the snapshots to delete.
+*/
+exports.getExpired = (snapshots, options, now = Date.now()) => {
+    const sorted = snapshots.slice().sort((a, b) => b.timestamp - a.timestamp);
+    const kept = new Set(sorted.slice(0, options.keep || 0));
+
+    const keepNewestPer = (period, count) => {
+        const seen = {};
+        sorted.forEach(snapshot => {
+            const bucket = Math.floor((now - snapshot.timestamp) / period);
+            if (bucket < count && !seen[bucket]) {
+                seen[bucket] = true;
+                kept.add(snapshot);
+            }
+        });
+    };
+    keepNewestPer(DAY, options.daily || 0);
+    keepNewestPer(WEEK, options.weekly || 0);
+
+    return sorted.filter(snapshot => !kept.has(snapshot));
+};
+
+// Deletes any snapshots that have expired under the retention rules
+// Passes the list of deleted snapshots
+exports.prune = (options, callback = () => { }) => {
+    this.list(options, (err, snapshots) => {
+        if (err) {
+            return callback(err);
+        }
+        const expired = this.getExpired(snapshots, options);
+        let remaining = expired.length;
+        if (remaining == 0) {
+            return callback(null, []);
+        }
+        let firstErr = null;
+        expired.forEach(snapshot => {
+            fs.unlink(snapshot.file, err => {
+                firstErr = firstErr || err;
+                remaining--;
+                if (remaining == 0) {
+                    callback(firstErr, expired);
+                }
+            });
+        });
+    });
+};
+
+// Gets how long (in ms) until the next snapshot is due, given the stored snapshots,
+// so that snapshots are taken every `interval` hours even if the bot restarts more
+// often than that (0 if one is due now)
+exports.getNextDue = (snapshots, options, now = Date.now()) => {
+    const last = Math.max(0, ...snapshots.map(snapshot => snapshot.timestamp));
+    return Math.max(0, last + options.interval * HOUR - now);
+};
+
+// Takes a snapshot of the store, saves it to the backup directory, and prunes
+// expired snapshots; passes the path of the new snapshot
+exports.save = (store, options, callback = () => { }) => {
+    this.create(store, (err, snapshot) => {
+        if (err) {
+            return callback(err);
+        }
+        const dir = this.getDir(options);
+        const file = path.join(dir, this.getFilename(snapshot.timestamp));
+        fs.mkdir(dir, { "recursive": true }, () => {
+            fs.writeFile(file, JSON.stringify(snapshot), err => {
+                if (err) {
+                    return callback(err);
+                }
+                this.prune(options, err => callback(err, file));
+            });
+        });
+    });
+};
+
+/*
+Compares the data from two snapshots and returns a list of changes, each with
+these properties:
+
+key       – the storage key that changed
+threadId  – for group info, the thread that changed
+property  – for group info, the property of the thread that changed
+change    – "added", "removed", or "changed"
+old, new  – the old and new values
+
+Changes to group info are reported per thread (for added and removed threads)
+or per property. The last message in each thread changes constantly, so it is
+ignored.
+*/
+const ignoredGroupProps = ["lastMessage"];
+exports.diff = (oldData, newData) => {
+    const changes = [];
+    const compare = (a, b, base) => {
+        if (a === undefined && b !== undefined) {
+            changes.push({ "change": "added", "new": b, ...base });
+        } else if (a !== undefined && b === undefined) {
+            changes.push({ "change": "removed", "old": a, ...base });
+        } else if (JSON.stringify(a) != JSON.stringify(b)) {
+            changes.push({ "change": "changed", "old": a, "new": b, ...base });
+        }
+    };
+    const union = (a, b) => Object.keys({ ...a, ...b }).sort();
+
+    union(oldData, newData).forEach(key => {
+        if (key != "groups") {
+            return compare(oldData[key], newData[key], { "key": key });
+        }
+        const oldGroups = oldData.groups || {};
+        const newGroups = newData.groups || {};
+        union(oldGroups, newGroups).forEach(threadId => {
+            const oldInfo = oldGroups[threadId];
+            const newInfo = newGroups[threadId];
+            if (!oldInfo || !newInfo) {
+                return compare(oldInfo, newInfo, { "key": key, "threadId": threadId });
+            }
+            union(oldInfo, newInfo).filter(prop => !ignoredGroupProps.includes(prop)).forEach(prop => {
+                compare(oldInfo[prop], newInfo[prop], { "key": key, "threadId": threadId, "property": prop });
+            });
+        });
+    });
+
+    return changes;
+};
+
+/*
+Restores data from a snapshot to the store. Options:
+
+threadId  – restore only this thread's group info, leaving other groups alone
+property  – with threadId, restore only this property (e.g. "pinned")
+only      – without threadId, restore only "groups", "scores", or "stats"
+
+Keys that exist in the store but not in the snapshot are left alone. Passes the
+list of restored keys. Fails if the bot is running, since it would overwrite (or
+be overwritten by) the restored data.
+*/
+exports.restore = (store, snapshot, options, callback) => {
+    this.isBotRunning(store, (err, running) => {
+        if (err) {
+            return callback(err);
+        }
+        if (running) {
+            return callback(new Error("The bot is running; stop it before restoring (and wait a couple of minutes if it was only just stopped)"));
+        }
+        restoreData(store, snapshot, options, callback);
+    });
+};
+
+function restoreData(store, snapshot, options, callback) {
+    const data = snapshot.data;
+
+    if (options.threadId) {
+        const saved = (data.groups || {})[options.threadId];
+        if (!saved) {
+            return callback(new Error(`Thread ${options.threadId} isn't in this snapshot`));
+        }
+        store.get("groups", (err, groups) => {
+            if (err) {
+                return callback(err);
+            }
+            groups = groups || {};
+            if (options.property) {
+                const current = groups[options.threadId];
+                if (!current) {
+                    return callback(new Error(`Thread ${options.threadId} isn't stored, so its ${options.property} can't be restored on its own`));
+                }
+                if (saved.hasOwnProperty(options.property)) {
+                    current[options.property] = saved[options.property];
+                } else {
+                    delete current[options.property];
+                }
+            } else {
+                groups[options.threadId] = saved;
+            }
+            store.set("groups", groups, err => callback(err, ["groups"]));
+        });
+    } else {
+        const filters = {
+            "groups": key => key == "groups",
+            "scores": key => key.startsWith("userscore_") || key.startsWith("votes_"),
+            "stats": key => key.startsWith("usage_")
+        };
+        if (options.only && !filters[options.only]) {
+            return callback(new Error(`Can only restore one of ${Object.keys(filters).join(", ")}`));
+        }
+        const keys = Object.keys(data).filter(options.only ? filters[options.only] : () => true);
+        let remaining = keys.length;
+        if (remaining == 0) {
+            return callback(null, []);
+        }
+        let firstErr = null;
+        keys.forEach(key => {
+            store.set(key, data[key], err => {
+                firstErr = firstErr || err;
+                remaining--;
+                if (remaining == 0) {
+                    callback(firstErr, keys);
+                }
+            });
+        });
+    }
+}
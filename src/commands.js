@@ -1,6 +1,6 @@
-/* eslint-disable no-useless-escape */
 // Stores user commands (accessible via trigger word set in config.js)
 const config = require("./config");
+const args = require("./args");
 exports.categories = {
     "meta": {
         "display_name": "Meta",
@@ -11,15 +11,15 @@ exports.categories = {
                 "pretty_name": "Help",
                 "short_description": "",
                 "description": "Get more information about a command, or open quick help",
-                "syntax": "help ({command})",
                 "example": "help stats",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["help"],
+                    "params": [
+                        { "name": "topic", "label": "command", "optional": true }
+                    ]
                 },
-                "regex": /help(.*)/i,
                 "experimental": false
             },
             "stats": {
@@ -27,15 +27,15 @@ exports.categories = {
                 "pretty_name": "Stats",
                 "short_description": "Get command/user stats",
                 "description": "Displays information about command or user usage",
-                "syntax": "stats {command}",
                 "example": "stats alive",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["stats"],
+                    "params": [
+                        { "name": "topic", "label": "command", "optional": true }
+                    ]
                 },
-                "regex": /stats(.*)/i,
                 "experimental": false
             },
             "psa": {
@@ -43,15 +43,15 @@ exports.categories = {
                 "pretty_name": "PSA",
                 "short_description": "Messages all the bot's groups",
                 "description": "Announces a message to all of the group chats that the bot is present in",
-                "syntax": "psa {message}",
                 "example": "psa Hello, world!",
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["psa"],
+                    "params": [
+                        { "name": "message" }
+                    ]
                 },
-                "regex": /psa ([\s\S]*)/i, // Match EVERYTHING
                 "experimental": false
             },
             "bug": {
@@ -59,15 +59,15 @@ exports.categories = {
                 "pretty_name": "Bug",
                 "short_description": "File a bug report",
                 "description": `Messages ${config.owner.names.short} directly with your message and adds to your chat for debugging`,
-                "syntax": "bug {message}",
                 "example": "bug Pinging is broken",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["bug"],
+                    "params": [
+                        { "name": "message", "optional": true }
+                    ]
                 },
-                "regex": /bug(.*)?/i,
                 "experimental": false
             },
             "alive": {
@@ -75,15 +75,12 @@ exports.categories = {
                 "pretty_name": "Alive",
                 "short_description": "Is the bot awake?",
                 "description": "Tests whether the bot is running",
-                "syntax": "alive(?)",
                 "example": "alive?",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["alive"]
                 },
-                "regex": /alive(?:\?)?/i,
                 "experimental": false
             },
             "ban": {
@@ -91,15 +88,15 @@ exports.categories = {
                 "pretty_name": "Ban",
                 "short_description": "",
                 "description": "Bans or unbans the provided member",
-                "syntax": "(un)ban {member}",
                 "example": "ban me",
-                "sudo": true,
+                "role": "botadmin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["ban", "unban"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" }
+                    ]
                 },
-                "regex": "(un)?ban",
                 "experimental": false
             },
             "mute": {
@@ -107,15 +104,90 @@ exports.categories = {
                 "pretty_name": "Mute/unmute",
                 "short_description": "Turns on/off easter eggs",
                 "description": "Turns on/off easter eggs until they are turned back on",
-                "syntax": "(un)mute",
                 "example": ["mute", "unmute"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["mute", "unmute"]
+                },
+                "experimental": false
+            },
+            "plugins": {
+                "display_names": ["plugins", "plugin"],
+                "pretty_name": "Plugins",
+                "short_description": "Turns plugins on/off",
+                "description": "Lists the plugins installed for the bot, which add extra commands and Easter eggs, or turns one on or off in this chat",
+                "example": ["plugins", "plugin disable umd", "plugin enable umd"],
+                "role": "member",
+                "attachments": false,
+                "args": {
+                    "names": ["plugins", "plugin"],
+                    "subcommands": {
+                        "enable": [{ "name": "plugin", "type": "word" }],
+                        "disable": [{ "name": "plugin", "type": "word" }]
+                    },
+                    "params": []
+                },
+                "experimental": false
+            },
+            "disable": {
+                "display_names": ["disable", "enable"],
+                "pretty_name": "Disable/enable",
+                "short_description": "Turns commands off/on in this chat",
+                "description": "Turns a command or a whole category of commands off or on in this chat (only for chat admins), or lists what's turned off if nothing is given; help and this command are always on",
+                "example": ["disable snap", "disable fun", "enable wake up", "disable"],
+                "role": "member",
+                "attachments": false,
+                "args": {
+                    "names": ["disable", "enable"],
+                    "params": [
+                        { "name": "target", "label": "command or category", "optional": true }
+                    ]
+                },
+                "experimental": false
+            },
+            "role": {
+                "display_names": ["role", "roles"],
+                "pretty_name": "Roles",
+                "short_description": "Grants/revokes roles",
+                "description": "Lists who holds which roles in this chat, or grants or revokes a role (only for chat admins). The admin role lets members use admin commands without being admins of the chat itself, and any other name is a custom role that commands can require",
+                "example": ["roles", "role grant dj to Alice", "role revoke admin from Bob, Carol"],
+                "role": "member",
+                "attachments": false,
+                "args": {
+                    "names": ["role", "roles"],
+                    "subcommands": {
+                        "grant": [
+                            { "name": "role", "type": "word" },
+                            { "name": "users", "type": "list", "of": "user", "label": "members", "after": ["to"] }
+                        ],
+                        "revoke": [
+                            { "name": "role", "type": "word" },
+                            { "name": "users", "type": "list", "of": "user", "label": "members", "after": ["from"] }
+                        ]
+                    },
+                    "params": []
+                },
+                "experimental": false
+            },
+            "trigger": {
+                "display_names": ["trigger"],
+                "pretty_name": "Trigger",
+                "short_description": "Changes how to call the bot in this chat",
+                "description": "Shows how to call the bot in this chat, or changes it (only for chat admins): the trigger words that start commands, a symbol prefix that can be used instead (like \"!help\"; \"off\" to remove it), whether the trigger has to start the message, or back to the defaults",
+                "example": ["trigger", "trigger set bot, nano", "trigger prefix !", "trigger start on", "trigger reset"],
+                "role": "member",
+                "attachments": false,
+                "args": {
+                    "names": ["trigger"],
+                    "subcommands": {
+                        "set": [{ "name": "words", "type": "list", "of": "word", "label": "trigger words" }],
+                        "prefix": [{ "name": "prefix", "type": "word", "label": "symbol" }],
+                        "start": [{ "name": "required", "type": "choice", "choices": ["on", "off"] }],
+                        "reset": []
+                    },
+                    "params": []
                 },
-                "regex": /(un)?mute/i,
                 "experimental": false
             },
             "christen": {
@@ -123,15 +195,15 @@ exports.categories = {
                 "pretty_name": "Christen",
                 "short_description": "Names the bot",
                 "description": "The bot doesn't see itself as a user for security purposes, so the name command will not work on it, but this command allows you to name it",
-                "syntax": "christen {name}",
                 "example": `christen ${config.bot.names.short || config.bot.names.long}`,
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["christen"],
+                    "params": [
+                        { "name": "name" }
+                    ]
                 },
-                "regex": /christen (.*)/i,
                 "experimental": false
             },
             "clearstats": {
@@ -139,15 +211,12 @@ exports.categories = {
                 "pretty_name": "Clear stats",
                 "short_description": "",
                 "description": "Wipes usage statistics to start over",
-                "syntax": "clear stats",
                 "example": "",
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["clear stats"]
                 },
-                "regex": /clear stats/i,
                 "experimental": false
             },
             "alias": {
@@ -155,15 +224,17 @@ exports.categories = {
                 "pretty_name": "Alias",
                 "short_description": "Assign an alternate username",
                 "description": "A member's default username is their first name; this command allows a user to assign an alternate username, which will be accepted in any command where a member name is required",
-                "syntax": "alias ({member}|clear {member}|{member} {alternate name})",
                 "example": [`alias me ${config.bot.names.short || "Bot"}`, `alias clear me`, `alias me`],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["alias"],
+                    "params": [
+                        { "name": "clear", "type": "flag" },
+                        { "name": "user", "type": "user", "label": "member" },
+                        { "name": "alias", "label": "alternate name", "optional": true }
+                    ]
                 },
-                "regex": ["alias( clear)?", "(?: (.*))?"],
                 "experimental": false
             },
             "restart": {
@@ -171,15 +242,12 @@ exports.categories = {
                 "pretty_name": "Restart",
                 "short_description": "",
                 "description": "Restarts the bot (requires remote deployment to Heroku)",
-                "syntax": "restart",
                 "example": "",
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["restart"]
                 },
-                "regex": /restart/i,
                 "experimental": false
             },
             "undo": {
@@ -187,15 +255,12 @@ exports.categories = {
                 "pretty_name": "Undo",
                 "short_description": "Remove last message",
                 "description": "Removes last message sent by the bot (if sent within the past 10 minutes)",
-                "syntax": "undo",
                 "example": ["undo"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["undo"]
                 },
-                "regex": /undo/i,
                 "experimental": false
             }
         }
@@ -209,15 +274,16 @@ exports.categories = {
                 "pretty_name": "Kick",
                 "short_description": "Removes member",
                 "description": "Removes a given member from the chat for an optional amount of time",
-                "syntax": "kick {member} ({number of seconds})",
                 "example": ["kick me", "kick me 25"],
-                "sudo": false,
+                "role": "admin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["kick"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" },
+                        { "name": "time", "type": "duration", "label": "number of seconds", "optional": true }
+                    ]
                 },
-                "regex": ["kick", "(?: (\\d+))?"], // Optional number param after name
                 "experimental": false
             },
             "addsearch": {
@@ -225,15 +291,16 @@ exports.categories = {
                 "pretty_name": "Add/search",
                 "short_description": "",
                 "description": "Searches for the given user and either outputs the best match (for searching) or adds it to the chat (for adding)",
-                "syntax": "(add|search ({number of results})) {user}",
                 "example": ["search Physics Resurrected", "add Physics Resurrected", "search 5 Physics Resurrected"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["add", "search"],
+                    "params": [
+                        { "name": "count", "type": "number", "label": "number of results", "integer": true, "min": 1, "optional": true },
+                        { "name": "query", "label": "user" }
+                    ]
                 },
-                "regex": /(add|search(?: (\d*))?) (.*)/i,
                 "experimental": false
             },
 
@@ -242,15 +309,15 @@ exports.categories = {
                 "pretty_name": "Color",
                 "short_description": "Sets the chat color; see full help for accepted values",
                 "description": "Sets the chat color to one of several currently accepted values:\n\nMessengerBlue: none\nViking: #44bec7\nGoldenPoppy: #ffc300\nRadicalRed: #fa3c4c\nShocking: #d696bb\nPictonBlue: #6699cc\nFreeSpeechGreen: #13cf13\nPumpkin: #ff7e29\nLightCoral: #e68585 \nMediumSlateBlue: #7646ff\nDeepSkyBlue: #20cef5\nFern: #67b868\nCameo: #d4a88c\nBrilliantRose: #ff5ca1\nBilobaFlower: #a695c7\n\nThis command accepts either the name or hex value as input.",
-                "syntax": "color (#{six-digit hex color}|rand(om))",
                 "example": ["color", "color #ffc300", "color random"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["color"],
+                    "params": [
+                        { "name": "color", "type": "word", "optional": true }
+                    ]
                 },
-                "regex": /color( (#(?:[a-f]|\d){6}|rand(?:om)?|[A-z]+))?/i,
                 "experimental": false
             },
             "clearnick": {
@@ -258,15 +325,15 @@ exports.categories = {
                 "pretty_name": "Clear nickname",
                 "short_description": "",
                 "description": "Clears the nickname for the given member",
-                "syntax": "clear (nick)name {member}",
                 "example": "clear name me",
-                "sudo": false,
+                "role": "admin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["clear name", "clear nickname"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" }
+                    ]
                 },
-                "regex": "clear (?:nick)?name",
                 "experimental": false
             },
             "setnick": {
@@ -274,15 +341,16 @@ exports.categories = {
                 "pretty_name": "Set nickname",
                 "short_description": "",
                 "description": "Sets the given nickname for the given member",
-                "syntax": "((nick|re)name) {member} {nickname}",
                 "example": ["nickname me Bot Impersonator", "rename me Bot Impersonator"],
-                "sudo": false,
+                "role": "admin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["nickname", "rename", "name"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" },
+                        { "name": "nickname" }
+                    ]
                 },
-                "regex": ["(?:(?:nick|re)?name)", " (.*)"],
                 "experimental": false
             },
             "randmess": {
@@ -290,15 +358,12 @@ exports.categories = {
                 "pretty_name": "Random message",
                 "short_description": "",
                 "description": "Retrieves a random message from the recent history of the group",
-                "syntax": "random message",
                 "example": "",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["random message"]
                 },
-                "regex": /random message/i,
                 "experimental": false
             },
             "emoji": {
@@ -306,15 +371,15 @@ exports.categories = {
                 "pretty_name": "Emoji",
                 "short_description": "",
                 "description": "Sets the emoji to the specified Unicode value",
-                "syntax": "emoji {emoji}",
                 "example": "emoji 🚀",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["emoji"],
+                    "params": [
+                        { "name": "emoji", "type": "emoji" }
+                    ]
                 },
-                "regex": /emoji ([\uD83C-\uDBFF\uDC00-\uDFFF]{1,2})/iu, // Match emoji w/ Unicode modifier (1-2 chars)
                 "experimental": false
             },
             "photo": {
@@ -322,15 +387,15 @@ exports.categories = {
                 "pretty_name": "Photo",
                 "short_description": "Sets group photo",
                 "description": "Changes the group's photo to the image at the specified URL or the attached image, or displays the current photo if neither is given.",
-                "syntax": "(photo|picture|image) ({url})",
                 "example": ["photo http://i.imgur.com/tzwVWot.png", "photo [attach an image]", "photo"],
-                "sudo": false,
+                "role": "admin",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["photo", "picture", "image"],
+                    "params": [
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /(?:photo|picture|image)(?: ((?:http|ftp|https):\/\/([\w_-]+(?:(?:\.[\w_-]+)+))([\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i, // URL
                 "experimental": false
             },
             "poll": {
@@ -338,15 +403,16 @@ exports.categories = {
                 "pretty_name": "Poll",
                 "short_description": "Creates a group poll",
                 "description": "Creates a poll in the group with the given title and optional comma-delimited initial options in brackets",
-                "syntax": "poll {title} ([{option 1}, {option 2}, {option 3}, {option n}])",
                 "example": ["poll What time should we eat dinner? [6 PM, 6:30 PM, Tomorrow]", "poll Which restaurant should we go to?"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["poll"],
+                    "params": [
+                        { "name": "title" },
+                        { "name": "options", "type": "list", "label": "option", "brackets": true, "optional": true }
+                    ]
                 },
-                "regex": /poll ([^[]+)(?:\[(.*)\])?/i,
                 "experimental": false
             },
             "title": {
@@ -354,15 +420,15 @@ exports.categories = {
                 "pretty_name": "Set title",
                 "short_description": "",
                 "description": "Sets the title to the specified value",
-                "syntax": "title {title}",
                 "example": "title One Chat to Rule Them All",
-                "sudo": false,
+                "role": "admin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["title"],
+                    "params": [
+                        { "name": "title" }
+                    ]
                 },
-                "regex": /title (.*)/i,
                 "experimental": false
             },
             "branch": {
@@ -370,15 +436,16 @@ exports.categories = {
                 "pretty_name": "Branch",
                 "short_description": "Create a new group from a subset of the current members",
                 "description": "Creates a new group chat given members of the current chat, with an optional title",
-                "syntax": "branch (title) {member 1}, {member 2}, {member 3}, {member n}",
                 "example": ["branch me, Cameron, Jonah, Justin", "branch Test Chat me, Larry"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["branch"],
+                    "params": [
+                        { "name": "title", "type": "word", "optional": true },
+                        { "name": "members", "type": "list", "of": "user", "label": "member" }
+                    ]
                 },
-                "regex": /branch ([^,]+ )?((?:[^,]+(?:,|$))+)/i,
                 "experimental": false
             },
             "restore": {
@@ -386,15 +453,15 @@ exports.categories = {
                 "pretty_name": "Restore",
                 "short_description": "Restores the properties of a previous chat",
                 "description": "Given a thread ID for an existing chat that the bot is in, this will change the current chat's properties (color, nicknames, title, etc.) to match",
-                "syntax": "restore {thread ID}",
                 "example": ["restore 883154065107088"],
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["restore"],
+                    "params": [
+                        { "name": "threadId", "type": "id", "label": "thread ID" }
+                    ]
                 },
-                "regex": /restore (\d+)/i,
                 "experimental": false
             },
             "admin": {
@@ -402,15 +469,15 @@ exports.categories = {
                 "pretty_name": "(De)admin",
                 "short_description": "De(admin) a user",
                 "description": "Change a user's admin status for a group",
-                "syntax": "(de)admin {user}",
                 "example": ["admin me", "deadmin me"],
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["admin", "deadmin"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" }
+                    ]
                 },
-                "regex": "(de)?admin",
                 "experimental": false
             }
         }
@@ -422,15 +489,12 @@ exports.categories = {
                 "pretty_name": "Destroy",
                 "short_description": "",
                 "description": "Destroys the chat",
-                "syntax": "sudo destroy confirm", // Redundancy to prevent accidental triggers
                 "example": "",
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["sudo destroy confirm"] // Redundancy to prevent accidental triggers
                 },
-                "regex": /sudo destroy confirm/i,
                 "experimental": false
             },
             "infiltrate": {
@@ -438,15 +502,15 @@ exports.categories = {
                 "pretty_name": "Infiltrate",
                 "short_description": "",
                 "description": "Allows the bot to add the admin to groups that it's in",
-                "syntax": "infiltrate ({threadId}|{group name})",
                 "example": ["infiltrate", "infiltrate 883154065107088", "infiltrate Assume Zero Brain Power"],
-                "sudo": true,
+                "role": "owner",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["infiltrate"],
+                    "params": [
+                        { "name": "target", "label": "thread ID or group name", "optional": true }
+                    ]
                 },
-                "regex": /infiltrate(?: ([0-9]+|.+))?/i,
                 "experimental": false
             }
         }
@@ -459,32 +523,38 @@ exports.categories = {
                 "display_names": ["<", ">", "points", "vote"],
                 "pretty_name": "Vote (</>)",
                 "short_description": "Vote on users",
-                "description": "Allows users to upvote (>) or downvote (<) a given user to influence their current point total",
-                "syntax": "(<|>) {member}",
-                "example": ["> me", "< me"],
-                "sudo": false,
+                "description": "Allows users to upvote (>) or downvote (<) a given user to influence their current point total in the chat, optionally with a reason that's kept in their score history",
+                "example": ["> me", "< me", "> Alice for fixing the build"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": [">", "<"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" },
+                        { "name": "reason", "after": ["for", "because"], "optional": true }
+                    ]
                 },
-                "regex": "(<|>)",
                 "experimental": false
             },
             "score": {
                 "display_names": ["score", "scoreboard"],
                 "pretty_name": "Score",
                 "short_description": "Get/set user score",
-                "description": "Displays the user's current point score or sets it to a new provided value (must be ≥ 0)",
-                "syntax": "score(board|({new score}) {member})",
-                "example": ["scoreboard", "score me", "score me 20"],
-                "sudo": false,
+                "description": "Displays the user's current point score in the chat or sets it to a new provided value (must be ≥ 0), shows the latest votes on them with 'score history', or ranks the chat's members by their scores (or by the points they've gained this week or month)",
+                "example": ["scoreboard", "scoreboard week", "score me", "score me 20", "score history Alice"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": true
+                "args": {
+                    "names": ["score", "scoreboard"],
+                    "subcommands": {
+                        "history": [{ "name": "user", "type": "user", "label": "member", "optional": true }]
+                    },
+                    "params": [
+                        { "name": "period", "type": "choice", "choices": ["week", "month", "all time"], "optional": true },
+                        { "name": "user", "type": "user", "label": "member", "optional": true },
+                        { "name": "score", "type": "number", "label": "new score", "integer": true, "optional": true }
+                    ]
                 },
-                "regex": ["score(board)?", "(?: (\\d+))?"],
                 "experimental": false
             },
             "order66": {
@@ -492,15 +562,12 @@ exports.categories = {
                 "pretty_name": "Order 66",
                 "short_description": "Destroy group temporarily",
                 "description": `Every single group member, including your Socialpath Yiyi Kuang, is now an enemy of the group chat (for ${config.order66Time} seconds)`,
-                "syntax": "execute order 66",
                 "example": "",
-                "sudo": false,
+                "role": "admin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["execute order 66"]
                 },
-                "regex": /execute order 66/i,
                 "experimental": false
             },
             "hitlights": {
@@ -508,15 +575,12 @@ exports.categories = {
                 "pretty_name": "Hit the lights",
                 "short_description": "Random chat colors",
                 "description": "Changes the group colors to random colors in quick succession",
-                "syntax": "hit the lights",
                 "example": "",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["hit the lights"]
                 },
-                "regex": /hit the lights/i,
                 "experimental": false
             },
             "wakeup": {
@@ -524,15 +588,15 @@ exports.categories = {
                 "pretty_name": "Wake up",
                 "short_description": "Message user repeatedly",
                 "description": `Sends ${config.wakeUpTimes} messages to the given member`,
-                "syntax": "wake up {member}",
                 "example": ["wake me", "wake up me"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["wake up", "wake"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member" }
+                    ]
                 },
-                "regex": "wake(?: up)?",
                 "experimental": false
             },
             "echo": {
@@ -540,15 +604,15 @@ exports.categories = {
                 "pretty_name": "Echo/quote",
                 "short_description": "",
                 "description": "Echoes or quotes the provided statement",
-                "syntax": "(echo|quote) {statement}",
                 "example": ["echo Hello, world!", "quote I am not a bot"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["echo", "quote"],
+                    "params": [
+                        { "name": "message", "label": "statement" }
+                    ]
                 },
-                "regex": /(echo|quote)(?:(?:\s|$)([\s\S]+))?/im,
                 "experimental": false
             },
             "answer": {
@@ -556,15 +620,15 @@ exports.categories = {
                 "pretty_name": "Magic 8-ball",
                 "short_description": "",
                 "description": "Answers your yes/no question with a random value",
-                "syntax": "(ask|answer) {question}",
                 "example": ["ask Do you believe in magic?", "answer Will we have school tomorrow?"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["ask", "answer"],
+                    "params": [
+                        { "name": "question" }
+                    ]
                 },
-                "regex": /(?:ask|answer) .*/i,
                 "experimental": false
             },
             "rng": {
@@ -572,15 +636,16 @@ exports.categories = {
                 "pretty_name": "Random number generator",
                 "short_description": "",
                 "description": `Generates a random number in the given range (between two args if passed, between ${config.defaultRNGBounds[0]} and the arg if one is passed, or between ${config.defaultRNGBounds[0]} and ${config.defaultRNGBounds[1]} otherwise)`,
-                "syntax": "(rng|rand(om)) (({lower bound}) {upper bound})",
                 "example": ["rand", "rng 0 50", "rng 100"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["rng", "rand", "random"],
+                    "params": [
+                        { "name": "lower", "type": "number", "label": "lower bound", "integer": true, "optional": true },
+                        { "name": "upper", "type": "number", "label": "upper bound", "integer": true, "optional": true }
+                    ]
                 },
-                "regex": /r(?:and(?:om)?|ng)(?: (\d+))?(?: (\d+))?/i,
                 "experimental": false
             },
             "snap": {
@@ -588,15 +653,12 @@ exports.categories = {
                 "pretty_name": "Snap",
                 "short_description": "Destroy half the group temporarily",
                 "description": "Fun isn’t something one considers when balancing the group chat. But this...does put a smile on my face...",
-                "syntax": "snap",
                 "example": "",
-                "sudo": false,
+                "role": "admin",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["snap"]
                 },
-                "regex": /snap/i,
                 "experimental": false
             },
             "choose": {
@@ -604,15 +666,15 @@ exports.categories = {
                 "pretty_name": "Choose",
                 "short_description": "",
                 "description": "Choose one thing from a list of options",
-                "syntax": "choose {thing 1}, {thing 2}, {thing 3}",
                 "example": "choose Mr. Robot, Better Call Saul, Suits",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["choose"],
+                    "params": [
+                        { "name": "choices", "type": "list", "label": "thing" }
+                    ]
                 },
-                "regex": /choose ((?:[^,]+(?:,|$))+)/i,
                 "experimental": false
             }
         }
@@ -627,15 +689,21 @@ exports.categories = {
                 "pretty_name": "xkcd",
                 "short_description": "Links xkcd",
                 "description": "Outputs the numbered xkcd or search result (or a random one if none was specified)",
-                "syntax": "xkcd (new|{comic number}|search {search query})",
                 "example": ["xkcd new", "xkcd 303", "xkcd search Wisdom of the Ancients"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["xkcd"],
+                    "subcommands": {
+                        "new": [],
+                        "search": [
+                            { "name": "query", "label": "search query" }
+                        ]
+                    },
+                    "params": [
+                        { "name": "comic", "type": "id", "label": "comic number", "optional": true }
+                    ]
                 },
-                "regex": /xkcd(?: (new|\d+|search (.+)))?/i,
                 "experimental": false
             },
             "wiki": {
@@ -643,15 +711,15 @@ exports.categories = {
                 "pretty_name": "Wiki",
                 "short_description": "Searches Wikipedia",
                 "description": "Searches Wikipedia for a given query and returns the best result",
-                "syntax": "wiki {query}",
                 "example": ["wiki bots"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["wiki"],
+                    "params": [
+                        { "name": "query" }
+                    ]
                 },
-                "regex": /wiki (.*)/i,
                 "experimental": false
             },
             "space": {
@@ -659,15 +727,16 @@ exports.categories = {
                 "pretty_name": "Space",
                 "short_description": "Search for images from the NASA database",
                 "description": "Performs a search on NASA's database of space imagery, found at https://images.nasa.gov/; use 'random' to get a random result rather than the top",
-                "syntax": "space (random) {search query}",
                 "example": ["space mars", "space milky way", "space random sun"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["space"],
+                    "params": [
+                        { "name": "random", "type": "flag", "words": ["random", "rand"] },
+                        { "name": "query", "label": "search query" }
+                    ]
                 },
-                "regex": /space (rand(?:om)? )?(.*)/i,
                 "experimental": false
             },
             "wolfram": {
@@ -675,15 +744,15 @@ exports.categories = {
                 "pretty_name": "Wolfram",
                 "short_description": "Searches Wolfram Alpha",
                 "description": "Performs a search using Wolfram Alpha (http://www.wolframalpha.com)",
-                "syntax": "wolfram {query}",
                 "example": ["wolfram ∫(5x^2 + 10x + 34)dx", "wolfram Who is the president of the United States?"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["wolfram"],
+                    "params": [
+                        { "name": "query" }
+                    ]
                 },
-                "regex": /wolfram (.*)/i,
                 "experimental": false
             },
             "weather": {
@@ -691,15 +760,15 @@ exports.categories = {
                 "pretty_name": "Weather",
                 "short_description": "",
                 "description": "Get current weather for a given city",
-                "syntax": "weather {city name}",
                 "example": "weather Timonium",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["weather"],
+                    "params": [
+                        { "name": "city", "label": "city name" }
+                    ]
                 },
-                "regex": /weather (.+)/i,
                 "experimental": false
             },
             "google": {
@@ -707,15 +776,15 @@ exports.categories = {
                 "pretty_name": "Google",
                 "short_description": "Generates a link to Google the given term",
                 "description": "Given a search query, the bot will create a link to a Google search for it",
-                "syntax": "google {query}",
                 "example": ["google UMD schedule of classes"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["google"],
+                    "params": [
+                        { "name": "query" }
+                    ]
                 },
-                "regex": /google (.+)/i,
                 "experimental": false
             },
             "lucky": {
@@ -723,15 +792,15 @@ exports.categories = {
                 "pretty_name": "Lucky",
                 "short_description": "I'm feeling lucky",
                 "description": "Replicates functionality of Google's \"I'm feeling lucky\" functionality (takes to first webpage result for a search)",
-                "syntax": "lucky {query}",
                 "example": ["lucky define testing"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["lucky"],
+                    "params": [
+                        { "name": "query" }
+                    ]
                 },
-                "regex": /lucky (.+)/i,
                 "experimental": true
             },
             "covid": {
@@ -739,15 +808,33 @@ exports.categories = {
                 "pretty_name": "COVID",
                 "short_description": "Information about COVID-19",
                 "description": "Search various data sets for information about COVID cases around the world",
-                "syntax": "covid ((state|country|province|top|today|vaccine) {query})",
                 "example": ["covid", "covid state Maryland", "covid country Italy", "covid province Hubei", "covid top 5", "covid today all", "covid vaccine moderna"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["covid"],
+                    "subcommands": {
+                        "state": [
+                            { "name": "query" }
+                        ],
+                        "country": [
+                            { "name": "query" }
+                        ],
+                        "province": [
+                            { "name": "query" }
+                        ],
+                        "top": [
+                            { "name": "query" }
+                        ],
+                        "today": [
+                            { "name": "query" }
+                        ],
+                        "vaccine": [
+                            { "name": "query" }
+                        ]
+                    },
+                    "params": []
                 },
-                "regex": /covid(?: (state|country|province|top|today|vaccine) (.+))?/i,
                 "experimental": false
             },
             "stocks": {
@@ -755,15 +842,15 @@ exports.categories = {
                 "pretty_name": "Stocks",
                 "short_description": "",
                 "description": "Get current stock prices",
-                "syntax": "${ticker symbol}",
                 "example": "$TSLA",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optinoal": false
+                "args": {
+                    "names": ["$"],
+                    "params": [
+                        { "name": "symbol", "type": "word", "label": "ticker symbol", "attached": true, "pattern": "[A-Za-z]+" }
+                    ]
                 },
-                "regex": /\$([A-Z]+)/i,
                 "experimental": false
             }
         }
@@ -777,15 +864,23 @@ exports.categories = {
                 "pretty_name": "Spotify search",
                 "short_description": "Search for music",
                 "description": "Searches Spotify's database for artists and songs",
-                "syntax": "search (artist|(song|track)) {query}",
                 "example": ["search artist The Goo Goo Dolls", "search song Back in Black"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["search"],
+                    "subcommands": {
+                        "artist": [
+                            { "name": "query" }
+                        ],
+                        "song": [
+                            { "name": "query" }
+                        ],
+                        "track": [
+                            { "name": "query" }
+                        ]
+                    }
                 },
-                "regex": /search (artist|song|track) (.*)/i,
                 "experimental": false
             },
             "song": {
@@ -793,15 +888,15 @@ exports.categories = {
                 "pretty_name": "Song",
                 "short_description": "Random song",
                 "description": "Grabs a random song from member playlists added with 'playlist' command",
-                "syntax": "song ({member})",
                 "example": "song me",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": true
+                "args": {
+                    "names": ["song"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member", "optional": true }
+                    ]
                 },
-                "regex": "song",
                 "experimental": false
             },
             "playlist": {
@@ -809,15 +904,16 @@ exports.categories = {
                 "pretty_name": "Playlist",
                 "short_description": "Add/update playlist",
                 "description": "Add or update playlist for the group – to find a playlist's URI in Spotify desktop, right click on it, select 'Share', and click 'URI'",
-                "syntax": "playlist {member} {playlist URI}",
                 "example": "playlist me spotify:user:astrocb:playlist:05zXCuscrw1BW5NyeN45DB",
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": true
+                "args": {
+                    "names": ["playlist"],
+                    "params": [
+                        { "name": "user", "type": "user", "label": "member", "optional": true },
+                        { "name": "uri", "type": "word", "label": "playlist URI", "pattern": "spotify:user:[^:\\s]+:playlist:[A-Za-z0-9]+", "optional": true }
+                    ]
                 },
-                "regex": ["playlist", "( spotify:user:([^:]+):playlist:([A-z0-9]+))?"],
                 "experimental": false
             }
         }
@@ -831,15 +927,15 @@ exports.categories = {
                 "pretty_name": "Black & white",
                 "short_description": "Converts an image to black and white",
                 "description": "Converts an image to black and white with either a URL or an uploaded image",
-                "syntax": "bw ({url})",
                 "example": ["bw http://i.imgur.com/tzwVWot.png", "bw [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["bw"],
+                    "params": [
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /bw(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i,
                 "experimental": false
             },
             "sepia": {
@@ -847,15 +943,15 @@ exports.categories = {
                 "pretty_name": "Sepia",
                 "short_description": "Converts an image to sepia tone",
                 "description": "Converts an image to sepia tone with either a URL or an uploaded image",
-                "syntax": "sepia ({url})",
                 "example": ["sepia http://i.imgur.com/tzwVWot.png", "sepia [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["sepia"],
+                    "params": [
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /sepia(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i,
                 "experimental": false
             },
             "flip": {
@@ -863,15 +959,16 @@ exports.categories = {
                 "pretty_name": "Flip",
                 "short_description": "Flips/mirrors an image",
                 "description": "Flips/mirrors the image from the given URL or attachments",
-                "syntax": "flip (horiz(ontal)|vert(ical)) ({url})",
                 "example": ["flip http://i.imgur.com/tzwVWot.png", "flip horizontal http://i.imgur.com/tzwVWot.png", "flip vert [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["flip"],
+                    "params": [
+                        { "name": "direction", "type": "choice", "choices": ["horizontal", "horiz", "vertical", "vert"], "optional": true },
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /flip (horiz(?:ontal)?|vert(?:ical)?)(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i,
                 "experimental": false
             },
             "invert": {
@@ -879,15 +976,15 @@ exports.categories = {
                 "pretty_name": "Invert",
                 "short_description": "Invert image colors",
                 "description": "Inverts the colors of the image from the given URL or attachments",
-                "syntax": "invert ({url})",
                 "example": ["invert http://i.imgur.com/tzwVWot.png", "invert [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["invert"],
+                    "params": [
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /invert(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i,
                 "experimental": false
             },
             "blur": {
@@ -895,15 +992,17 @@ exports.categories = {
                 "pretty_name": "Blur",
                 "short_description": "Blurs an image",
                 "description": "Blurs the image by the given number of pixels from the given URL or attachments; optional param to do a Gaussian blur, which is very slow (< 15 pixels recommended for this one)",
-                "syntax": "blur {# of pixels} (gauss) ({url})",
                 "example": ["blur 50 http://i.imgur.com/tzwVWot.png", "blur 10 gauss [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["blur"],
+                    "params": [
+                        { "name": "pixels", "type": "number", "label": "# of pixels", "integer": true, "min": 1, "optional": true },
+                        { "name": "gauss", "type": "flag" },
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /blur(?: (\d+))?( gauss)?(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i,
                 "experimental": false
             },
             "overlay": {
@@ -911,15 +1010,16 @@ exports.categories = {
                 "pretty_name": "Overlay",
                 "short_description": "Overlays text on an image",
                 "description": "Overlays text on an image from the given URL or attachments",
-                "syntax": "overlay ({url}) {text}",
                 "example": ["overlay http://i.imgur.com/tzwVWot.png Hello there!", "overlay Wake up! [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["overlay"],
+                    "params": [
+                        { "name": "url", "type": "url", "optional": true },
+                        { "name": "text" }
+                    ]
                 },
-                "regex": /overlay(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?(.*)/i,
                 "experimental": false
             },
             "brightness": {
@@ -927,155 +1027,218 @@ exports.categories = {
                 "pretty_name": "Brighten/darken",
                 "short_description": "Alters image brightness",
                 "description": "Brightens or darkens an image by the given percentage",
-                "syntax": "(brighten|darken) {percentage} ({url})",
                 "example": ["brighten 10 http://i.imgur.com/tzwVWot.png", "darken 20 [attach an image]"],
-                "sudo": false,
+                "role": "member",
                 "attachments": true,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["brighten", "darken"],
+                    "params": [
+                        { "name": "percent", "type": "number", "label": "percentage", "min": 0, "max": 100 },
+                        { "name": "url", "type": "url", "optional": true }
+                    ]
                 },
-                "regex": /(brighten|darken) (\d*)(?: ((?:http|ftp|https):\/\/(?:[\w_-]+(?:(?:\.[\w_-]+)+))(?:[\w.,@?^=%&:\/~+#-]*[\w@?^=%&\/~+#-])?))?/i,
                 "experimental": false
             }
         }
     },
-    "umd": {
-        "display_name": "UMD",
-        "description": "Commands related to UMD",
+    "misc": {
+        "display_name": "Miscellaneous",
+        "description": "Random utility stuff",
         "commands": {
-            "course": {
-                "display_names": ["course"],
-                "pretty_name": "Course",
-                "short_description": "UMD course info",
-                "description": "Gets information about a specific course at UMD",
-                "syntax": "course {course}",
-                "example": "course CMSC330",
-                "sudo": false,
+            "command": {
+                "display_names": ["command"],
+                "pretty_name": "Custom commands",
+                "short_description": "Make your own commands",
+                "description": "Adds a custom command to this chat that responds with a template, or removes one (only for its creator or chat admins), or lists them. Templates can use {sender}, {mention:who} (who can be sender, arg1, or a member's name), {arg1}, {arg2}, …, {args}, {random:a|b|c}, {date}, and {media:file} to attach a file from the bot's media library",
+                "example": ["command add hug {sender} hugs {mention:arg1}!", "command add coin {random:heads|tails}", "command remove hug", "command list"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["command"],
+                    "subcommands": {
+                        "add": [{ "name": "name", "type": "word" }, { "name": "template", "label": "response" }],
+                        "remove": [{ "name": "name", "type": "word" }],
+                        "list": []
+                    },
+                    "params": []
                 },
-                "regex": /course ([A-z]{4}[0-9]{3}[A-z]?)/i,
                 "experimental": false
             },
-            "professor": {
-                "display_names": ["professor"],
-                "pretty_name": "Professor",
-                "short_description": "UMD professor info",
-                "description": "Gets information about a specific professor at UMD",
-                "syntax": "professor {professor}",
-                "example": "professor Allan Yashinski",
-                "sudo": false,
-                "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
-                },
-                "regex": /professor (.+)/i,
-                "experimental": false
-            },
-            "whereis": {
-                "display_names": ["whereis"],
-                "pretty_name": "Whereis",
-                "short_description": "Find UMD buildings",
-                "description": "Find the location of different UMD buildings",
-                "syntax": "whereis {building name or code}",
-                "example": "whereis AVW",
-                "sudo": false,
+            "custom": {
+                "display_names": [], // Invoked by the names of a chat's custom commands
+                "pretty_name": "Custom command",
+                "short_description": "",
+                "description": "Runs one of the chat's custom commands (see the command command)",
+                "example": "",
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": [], // Filled in with the chat's custom commands in handleCommand
+                    "params": [
+                        { "name": "input", "label": "arguments", "optional": true }
+                    ]
                 },
-                "regex": /whereis (.+)/i,
                 "experimental": false
             },
-            "findbus": {
-                "display_names": ["findbus"],
-                "pretty_name": "Find Bus",
-                "short_description": "Find UMD buses",
-                "description": "Find the location of different UMD buses",
-                "syntax": "findbus {bus number}",
-                "example": "findbus 117",
-                "sudo": false,
-                "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
-                },
-                "regex": /findbus (\d+)/i,
-                "experimental": false
-            }
-        }
-    },
-    "misc": {
-        "display_name": "Miscellaneous",
-        "description": "Random utility stuff",
-        "commands": {
             "pin": {
                 "display_names": ["pin"],
                 "pretty_name": "Pin",
                 "short_description": "Pin a message to the chat",
                 "description": `Pins a message to the chat to be accessed later, using a unique name (case-sensitive)${config.introPin ? `; special pins named "${config.introPin}" will be displayed when a new member joins the chat` : ""}`,
-                "syntax": "pin (delete|rename|append) {pin name} ({new message})",
                 "example": ["pin test Test message", "pin", "pin rename test other", "pin append other New stuff", "pin delete other"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["pin"],
+                    "subcommands": {
+                        "delete": [
+                            { "name": "pin", "type": "word", "label": "pin name" }
+                        ],
+                        "rename": [
+                            { "name": "pin", "type": "word", "label": "pin name" },
+                            { "name": "newName", "type": "word", "label": "new name" }
+                        ],
+                        "append": [
+                            { "name": "pin", "type": "word", "label": "pin name" },
+                            { "name": "content", "label": "message", "optional": true }
+                        ]
+                    },
+                    "params": [
+                        { "name": "pin", "type": "word", "label": "pin name", "optional": true },
+                        { "name": "content", "label": "message", "optional": true }
+                    ]
                 },
-                "regex": /pin(?:(?:\s|$)([\S]+)?(?:\s|$)?([\s\S]+)?)?/im,
                 "experimental": false
             },
             "tab": {
                 "display_names": ["tab"],
                 "pretty_name": "Tab",
-                "short_description": "Keeps a running total",
-                "description": "Maintains a running total for the group that can be incremented or decremented (default amount is 1)",
-                "syntax": "tab {add|subtract|clear} ({amount})",
-                "example": ["tab add 5.50", "tab subtract 2.10", "tab add", "tab subtract", "tab clear"],
-                "sudo": false,
+                "short_description": "Keeps track of shared expenses",
+                "description": "Keeps a ledger of shared expenses for the group: add what someone paid (in the chat's currency or any other) and who it was for (the person adding it and everyone in the chat by default), see how much everyone owes or is owed in the chat's currency, get the fewest payments that would settle everyone up, and record payments between members. Entries can be listed and undone (by whoever added them or chat admins), and admins can clear the whole tab or change its currency. Amounts in other currencies are converted with exchange rates that the bot's owner can update",
+                "example": ["tab", "tab add 30 dinner paid by me split among Alice, Bob, Carol", "tab add 12.50 EUR pizza", "tab settle", "tab paid Alice 10", "tab history", "tab undo", "tab undo 3", "tab currency BDT", "tab rates", "tab rate EUR 0.86", "tab clear"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["tab"],
+                    "subcommands": {
+                        "add": [
+                            { "name": "amount", "type": "money" },
+                            { "name": "currency", "type": "currency", "optional": true },
+                            { "name": "description", "label": "what it was for", "pattern": "(?!paid\\s+by\\b|split\\s+(?:among|between)\\b)[\\s\\S]+?", "optional": true },
+                            { "name": "payer", "type": "user", "label": "person", "after": ["paid by"], "optional": true },
+                            { "name": "people", "type": "list", "of": "user", "label": "person", "after": ["split among", "split between"], "optional": true }
+                        ],
+                        "paid": [
+                            { "name": "user", "type": "user", "label": "person" },
+                            { "name": "amount", "type": "money", "optional": true },
+                            { "name": "currency", "type": "currency", "optional": true }
+                        ],
+                        "settle": [],
+                        "history": [],
+                        "undo": [
+                            { "name": "id", "type": "number", "integer": true, "label": "entry number", "optional": true }
+                        ],
+                        "currency": [
+                            { "name": "code", "type": "word", "label": "currency", "optional": true }
+                        ],
+                        "rates": [
+                            { "name": "reload", "type": "flag" }
+                        ],
+                        "rate": [
+                            { "name": "code", "type": "word", "label": "currency" },
+                            { "name": "rate", "type": "number" }
+                        ],
+                        "clear": []
+                    },
+                    "params": []
                 },
-                "regex": /tab(?: (add|subtract|clear|split)(?: \$?((?:\d+)?(?:\.\d+)?))?|)?/i,
                 "experimental": false
             },
             "remind": {
                 "display_names": ["remind"],
                 "pretty_name": "Remind",
                 "short_description": "",
-                "description": "Sends a reminder at a certain point in the future",
-                "syntax": "remind {person} {reminder} (in|for|at) {time}",
-                "example": "remind me let the dogs out in 20 minutes",
-                "sudo": false,
+                "description": "Sends a reminder at a certain point in the future, or repeatedly (e.g. every day, every Monday and Thursday, or monthly, optionally until a date or for a number of times); reminders can be listed, and cancelled, snoozed (by number, or by replying to a reminder), or edited by whoever they're for or chat admins",
+                "example": ["remind me let the dogs out in 20 minutes", "remind me take out the trash at 8pm every monday", "remind list", "remind cancel 1", "remind snooze 10m", "remind snooze 2 1 hour", "remind edit 1 text walk the dogs", "remind edit 1 time tomorrow at 6pm"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": true,
-                    "optional": false
+                "args": {
+                    "names": ["remind"],
+                    "subcommands": {
+                        "list": [],
+                        "cancel": [{ "name": "id", "type": "number", "integer": true, "label": "reminder number" }],
+                        "snooze": [
+                            { "name": "id", "type": "number", "integer": true, "label": "reminder number", "optional": true },
+                            { "name": "length", "type": "duration", "unit": "minutes", "label": "time", "optional": true }
+                        ],
+                        "edit": [
+                            { "name": "id", "type": "number", "integer": true, "label": "reminder number" },
+                            { "name": "field", "type": "choice", "choices": ["text", "time"] },
+                            { "name": "value", "label": "new value" }
+                        ]
+                    },
+                    "params": [
+                        { "name": "user", "type": "user", "label": "person" },
+                        { "name": "reminder" },
+                        { "name": "time", "type": "schedule", "after": ["in", "for", "at", "on"] }
+                    ]
                 },
-                "regex": ["remind", "[^\s](.+) (?:in|for|at|on) (.+)"],
                 "experimental": false
             },
             "event": {
                 "display_names": ["event"],
                 "pretty_name": "Event",
                 "short_description": "Create and manage events",
-                "description": "Create, delete, and list events in the chat, which will send reminders for pre-set times (with RSVP functionality)",
-                "syntax": "event (create {name} for {date/time}|delete {name}|list ({name}))",
-                "example": ["event create Dinner for tomorrow at 6 PM", "event delete Dinner", "event list"],
-                "sudo": false,
+                "description": "Create, edit, delete, and list events in the chat, which will send reminders for pre-set times (with RSVP functionality, including \"maybe\" and a waitlist for events with a capacity); events can repeat (e.g. every week, every weekday, or monthly, optionally until a date or for a number of times), and move on to their next time after each one. Events can also be exported to or imported from calendar (.ics) files, or subscribed to with the chat's calendar feed",
+                "example": ["event create Dinner for tomorrow at 6 PM", "event create Book club for 7pm every 2 weeks on thursday until june", "event edit Dinner location Star Kabab", "event edit Dinner capacity 8", "event edit Dinner time tomorrow at 7 PM", "event delete Dinner", "event list", "event export", "event import", "event feed"],
+                "role": "member",
+                "attachments": true,
+                "args": {
+                    "names": ["event"],
+                    "subcommands": {
+                        "create": [
+                            { "name": "title", "label": "name" },
+                            { "name": "time", "type": "schedule", "label": "date/time", "after": ["for"] }
+                        ],
+                        "edit": [
+                            { "name": "title", "label": "name", "pattern": "[\\s\\S]+?" },
+                            { "name": "field", "type": "choice", "choices": ["title", "time", "description", "location", "capacity"] },
+                            { "name": "value", "label": "new value" }
+                        ],
+                        "delete": [
+                            { "name": "title", "label": "name" }
+                        ],
+                        "list": [
+                            { "name": "title", "label": "name", "optional": true }
+                        ],
+                        "export": [],
+                        "import": [],
+                        "feed": []
+                    }
+                },
+                "experimental": false
+            },
+            "schedule": {
+                "display_names": ["schedule"],
+                "pretty_name": "Schedule",
+                "short_description": "Run commands later or on a schedule",
+                "description": "Runs a command at a later time or repeatedly (every day, weekday, or week, on given days of the week, or every so many hours), as if the person who scheduled it had sent it; schedules can be listed, paused, resumed, and deleted (only by whoever made them or chat admins)",
+                "example": ["at 9am every weekday do weather Dhaka", "every friday do song", "schedule tomorrow at noon do echo Lunch!", "schedule list", "schedule pause 1", "schedule delete 1"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["schedule", "at", "every"],
+                    "subcommands": {
+                        "list": [],
+                        "pause": [{ "name": "id", "type": "number", "integer": true, "label": "schedule number" }],
+                        "resume": [{ "name": "id", "type": "number", "integer": true, "label": "schedule number" }],
+                        "delete": [{ "name": "id", "type": "number", "integer": true, "label": "schedule number" }]
+                    },
+                    "params": [
+                        { "name": "when", "label": "time", "pattern": "[\\s\\S]+?" },
+                        { "name": "task", "label": "command", "after": ["do"] }
+                    ]
                 },
-                "regex": /event (?:(create) (.+) for (.+)|(delete) (.+)|(list)( .+)?)/i,
                 "experimental": false
             },
             "group": {
@@ -1083,15 +1246,32 @@ exports.categories = {
                 "pretty_name": "Mention groups",
                 "short_description": "",
                 "description": "Manage groups of people that can be mentioned collectively with @@group_name",
-                "syntax": "group (create|delete|subscribe|unsubscribe) {group_name} ({users})",
                 "example": ["group create testers me, Larry", "group delete testers", "group subscribe testers Anton", "group unsubscribe testers me"],
-                "sudo": false,
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["group"],
+                    "subcommands": {
+                        "create": [
+                            { "name": "name", "type": "word", "label": "group name" },
+                            { "name": "users", "type": "list", "of": "user", "label": "member", "optional": true }
+                        ],
+                        "delete": [
+                            { "name": "name", "type": "word", "label": "group name" }
+                        ],
+                        "subscribe": [
+                            { "name": "name", "type": "word", "label": "group name" },
+                            { "name": "users", "type": "list", "of": "user", "label": "member" }
+                        ],
+                        "unsubscribe": [
+                            { "name": "name", "type": "word", "label": "group name" },
+                            { "name": "users", "type": "list", "of": "user", "label": "member" }
+                        ],
+                        "list": [
+                            { "name": "name", "type": "word", "label": "group name", "optional": true }
+                        ]
+                    }
                 },
-                "regex": /group (create|delete|subscribe|unsubscribe|list)(?: ([\w]+)(?: (.+))?)?/i,
                 "experimental": false
             },
             "timer": {
@@ -1099,15 +1279,37 @@ exports.categories = {
                 "pretty_name": "Timer",
                 "short_description": "",
                 "description": "Starts/stops a timer in the chat, and reports the duration",
-                "syntax": "timer (start|stop)",
                 "example": ["timer start", "timer stop"],
-                "sudo": false,
+                "role": "member",
+                "attachments": false,
+                "args": {
+                    "names": ["timer"],
+                    "subcommands": {
+                        "start": [],
+                        "stop": []
+                    }
+                },
+                "experimental": false
+            },
+            "timezone": {
+                "display_names": ["timezone", "time zone"],
+                "pretty_name": "Time zone",
+                "short_description": "Set your or the chat's time zone",
+                "description": "Shows or sets the time zone that times you give (e.g. for events, reminders, and schedules) are in and that times are shown to you in, or the chat's time zone (for members who haven't set one; only admins can change it). Times are shown in both zones when yours and the chat's are different",
+                "example": ["timezone", "timezone set New York", "timezone set chat Asia/Dhaka", "timezone clear"],
+                "role": "member",
                 "attachments": false,
-                "user_input": {
-                    "accepts": false,
-                    "optional": false
+                "args": {
+                    "names": ["timezone", "time zone", "tz"],
+                    "subcommands": {
+                        "set": [
+                            { "name": "chat", "type": "flag", "words": ["chat", "group"] },
+                            { "name": "zone", "label": "time zone" }
+                        ],
+                        "clear": [{ "name": "chat", "type": "flag", "words": ["chat", "group"] }]
+                    },
+                    "params": []
                 },
-                "regex": /timer (start|stop)/i,
                 "experimental": false
             }
         }
@@ -1123,4 +1325,40 @@ exports.commands = commGroups.reduce((acc, group) => {
         }
     }
     return acc;
-}, {});
\ No newline at end of file
+}, {});
+// Generate each command's syntax (shown in help) from its argument spec (see args.js)
+for (let co in exports.commands) {
+    if (exports.commands.hasOwnProperty(co)) {
+        exports.commands[co].syntax = args.syntax(exports.commands[co].args);
+    }
+}
+// Record the category that each command is listed under (so that chats can turn off whole categories)
+Object.keys(exports.categories).forEach(cat => {
+    Object.keys(exports.categories[cat].commands).forEach(co => {
+        exports.categories[cat].commands[co].category = cat;
+    });
+});
+
+// Adds the commands from a plugin (see plugins/index.js), listing them in help under
+// their categories (which are created from the plugin's if they don't exist yet)
+exports.addPlugin = plugin => {
+    Object.keys(plugin.commands).forEach(key => {
+        if (exports.commands[key]) {
+            throw new Error(`Command "${key}" in plugin "${plugin.name}" is already defined`);
+        }
+        const entry = { ...plugin.commands[key], "plugin": plugin.name };
+        const catKey = entry.category;
+        delete entry.run;
+        entry.syntax = args.syntax(entry.args);
+
+        if (!exports.categories[catKey]) {
+            const cat = plugin.categories[catKey];
+            if (!cat) {
+                throw new Error(`Plugin "${plugin.name}" uses undefined category "${catKey}"`);
+            }
+            exports.categories[catKey] = { ...cat, "plugin": plugin.name, "commands": {} };
+        }
+        exports.categories[catKey].commands[key] = entry;
+        exports.commands[key] = entry;
+    });
+};
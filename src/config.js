@@ -10,6 +10,10 @@ exports.owner = {
     "id": "100009601655445" // ID of bot owner (for secure commands, reports, and alerts)
 };
 
+// IDs of users trusted to help run the bot, who can use commands that require the
+// "botadmin" role (such as ban) in every chat, along with anything chat admins can
+exports.botAdmins = [];
+
 // Bot information
 exports.bot = {
     "names": {
@@ -29,6 +33,50 @@ exports.repoPath = "/data/data/com.termux/files/home/nanobot/";
 // single message.
 exports.contextless = false;
 
+// Where the bot's persistent data (group info, scores, and usage stats) is stored
+// Possible backends:
+//   "memcached" – MemCachier (requires the MEMCACHIER_ credentials; data is lost if the cache is wiped)
+//   "file" – a local JSON file at `path` (relative to the repo root)
+//   "memory" – kept in memory only and lost on restart (for testing)
+exports.storage = {
+    "backend": "memcached",
+    "path": "data/store.json"
+};
+
+// Snapshots of the bot's persistent data taken by the running bot (see archive.js)
+// Snapshots are saved in `dir` (relative to the repo root) every `interval` hours
+// (0 to disable). Expired snapshots are deleted after each one: the most recent
+// `keep` snapshots are kept, along with the newest one from each of the last
+// `daily` days and each of the last `weekly` weeks.
+exports.backups = {
+    "dir": "archives",
+    "interval": 24,
+    "keep": 5,
+    "daily": 7,
+    "weekly": 4
+};
+
+// Plugins that add commands, passive types, and Easter eggs (see plugins/index.js)
+// Every plugin in the plugins directory is loaded except those listed in `disabled`
+// (by name); the rest can also be turned off in individual chats with the
+// "plugins" command
+exports.plugins = {
+    "disabled": []
+};
+
+// Chat platform that the bot runs on (see platforms/index.js)
+//   "messenger" – Facebook Messenger
+//   "console" – simulated chats in the terminal for offline development and demos
+//     (can also be selected with the --console flag; see platforms/console.js)
+exports.platform = "messenger";
+
+// Where data is stored when running on the console platform (same options as
+// `storage` above), so that offline sessions don't touch the real bot's data
+exports.consoleStorage = {
+    "backend": "file",
+    "path": "data/console.json"
+};
+
 // Default group name when no other information is available
 exports.defaultTitle = "Unnamed chat";
 
@@ -58,6 +106,29 @@ exports.order66Time = 15;
 // Time in seconds to ban users for violating the GIF policy
 exports.banTime = 30;
 
+// How often commands can be used, in seconds (see cooldowns.js)
+// Each command has a cooldown between uses by the same person (`user`) and between
+// uses in the same chat (`thread`); `default` applies to every command and `commands`
+// overrides it for individual ones (by their keys in commands.js). On top of that,
+// each person can use at most `rate.limit` commands every `rate.per` seconds (0 for
+// no limit). None of these apply to the owner.
+exports.cooldowns = {
+    "default": { "user": 0, "thread": 0 },
+    "commands": {
+        "wakeup": { "user": 300, "thread": 60 },
+        "hitlights": { "thread": 30 },
+        "blur": { "user": 15 },
+        "addsearch": { "user": 10 },
+        "google": { "user": 5 },
+        "lucky": { "user": 5 },
+        "wiki": { "user": 5 },
+        "wolfram": { "user": 5 },
+        "xkcd": { "user": 5 },
+        "spotsearch": { "user": 5 }
+    },
+    "rate": { "limit": 10, "per": 60 }
+};
+
 // Number of times to message user with the "wake up" command
 exports.wakeUpTimes = 20;
 
@@ -83,6 +154,11 @@ exports.xkcd = {
 // See commands.js for more info
 exports.votePoints = 5;
 
+// How many of the latest votes are kept per chat for score history (see scores.js), and
+// how many of them are shown in a member's history
+exports.voteHistoryLimit = 500;
+exports.scoreHistoryLength = 10;
+
 // Default playlist to use if group has no added playlists
 exports.defaultPlaylist = {
     "name": "Assume Zero Brain Power",
@@ -108,6 +184,10 @@ exports.defaultRNGBounds = [1, 100];
 // Timeout in milliseconds for functions that gather data asynchronously
 exports.asyncTimeout = 5000;
 
+// Longest time in seconds to wait for each command in a pipeline to respond before
+// moving on to the next one without its output (see pipeline.js)
+exports.pipelineTimeout = 30;
+
 // Number of chats to fetch when pulling thread history
 exports.threadLimit = 50;
 
@@ -147,14 +227,50 @@ exports.dbFailSilently = true;
 // To disable, remove this line
 exports.introPin = "intro";
 
-// How often to check whether an event has happened (in minutes)
-// Smaller intervals are more accurate, but intervals smaller than one minute are not
-// recommended as delays could cause event reminders to be triggered multiple times
-exports.eventCheckInterval = 0.5;
+// Settings for the scheduler that sends events and reminders and runs scheduled commands
+// (see scheduler.js): how often to check for anything that's due (in seconds), and how
+// many minutes late something can be before it's marked as late (e.g. if the bot was down)
+exports.scheduler = {
+    "tick": 1,
+    "lateAfter": 2
+};
 
 // When to send an early reminder before the event (in minutes)
 exports.reminderTime = 30;
 
+// Most events that can be imported from a calendar file at a time
+exports.maxImportedEvents = 50;
+
+// Reactions to an event's message that RSVP to it, and the responses they stand for
+exports.rsvpReactions = {
+    "👍": "going",
+    "👎": "not_going",
+    "🤔": "maybe"
+};
+
+// How long reminders are snoozed for by default (in minutes), and how many sent
+// reminders are kept per chat so that they can be snoozed by replying to them
+exports.snoozeTime = 10;
+exports.snoozableReminders = 20;
+
+// Shortest time in minutes that scheduled commands can repeat at (see recurrence.js)
+exports.scheduleMinInterval = 15;
+
+// How many of the latest entries in a chat's tab are shown in its history
+exports.tabHistoryLength = 10;
+
+// Directory (relative to the repo root) of the media library that custom commands
+// can attach files from (see the command command)
+exports.mediaLibrary = "media";
+
+// Currencies for the tab (see currency.js): the one that a chat's tab is kept in
+// unless it's been changed, and the local file (relative to the repo root) that
+// exchange rates are read from
+exports.currency = {
+    "default": "USD",
+    "rates": "src/rates.json"
+};
+
 // User agent to use for scraping (impersonate Twitter and Facebook bots by default)
 exports.scrapeAgent = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_11_1) AppleWebKit/601.2.4 (KHTML, like Gecko) Version/9.0.1 Safari/601.2.4 facebookexternalhit/1.1 Facebot Twitterbot/1.0";
 
@@ -0,0 +1,77 @@
+/*
+    Limits on how often commands can be used (configured with `cooldowns` in
+    config.js), which are checked by handleCommand before running any command.
+
+    Each command can have a cooldown for each user and one for each chat, and
+    each user can only run so many commands in total within a window of time.
+    Uses are only tracked in memory, so limits start over when the bot restarts.
+*/
+const config = require("./config");
+
+let lastUsed = {}; // Map from command/user and command/thread keys to times of last use
+let recent = {}; // Map from user IDs to the times of their recent commands
+let warnedUntil = {}; // Map from user/thread keys to when the wait they were last warned about ends
+
+// Gets the cooldowns (in seconds) for a command, falling back on the defaults
+function getCooldowns(command) {
+    return { ...config.cooldowns.default, ...config.cooldowns.commands[command] };
+}
+
+function userKey(command, userId) {
+    return `${command}/user/${userId}`;
+}
+
+function threadKey(command, threadId) {
+    return `${command}/thread/${threadId}`;
+}
+
+// Returns how long (in ms) a user has to wait before using a command in a thread,
+// or 0 if they can use it now
+exports.wait = (command, userId, threadId, now = Date.now()) => {
+    const cooldowns = getCooldowns(command);
+    const rate = config.cooldowns.rate;
+    const waits = [0];
+
+    if (cooldowns.user && lastUsed[userKey(command, userId)] !== undefined) {
+        waits.push(lastUsed[userKey(command, userId)] + cooldowns.user * 1000 - now);
+    }
+    if (cooldowns.thread && lastUsed[threadKey(command, threadId)] !== undefined) {
+        waits.push(lastUsed[threadKey(command, threadId)] + cooldowns.thread * 1000 - now);
+    }
+    if (rate.limit > 0) {
+        const times = (recent[userId] || []).filter(time => time > now - rate.per * 1000);
+        if (times.length >= rate.limit) {
+            // Wait until enough of the window has passed for the oldest use to drop out
+            waits.push(times[times.length - rate.limit] + rate.per * 1000 - now);
+        }
+    }
+    return Math.max(...waits);
+};
+
+// Records that a user used a command in a thread
+exports.record = (command, userId, threadId, now = Date.now()) => {
+    const rate = config.cooldowns.rate;
+
+    lastUsed[userKey(command, userId)] = now;
+    lastUsed[threadKey(command, threadId)] = now;
+    recent[userId] = (recent[userId] || []).filter(time => time > now - rate.per * 1000).concat([now]);
+};
+
+// Returns whether to tell a user who has to wait (for `wait` ms) in a thread to slow
+// down, which only happens once for each wait so that spamming commands doesn't
+// make the bot spam warnings (the rest are ignored silently)
+exports.shouldWarn = (userId, threadId, wait, now = Date.now()) => {
+    const key = `${userId}/${threadId}`;
+    if (warnedUntil[key] > now) {
+        return false;
+    }
+    warnedUntil[key] = now + wait;
+    return true;
+};
+
+// Forgets all uses of commands
+exports.reset = () => {
+    lastUsed = {};
+    recent = {};
+    warnedUntil = {};
+};
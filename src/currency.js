@@ -0,0 +1,97 @@
+/*
+    Currencies for the tab (see ledger.js) and the exchange rates used to
+    convert between them. So that they work offline, rates are read from a
+    local file (see config.currency) of the form:
+
+    {
+        "base": "USD",
+        "updated": "2026-10-01", // When the rates are from
+        "rates": { "USD": 1, "EUR": 0.855, ... } // How much of each currency one of the base buys
+    }
+
+    The bot's owner can also change rates (see the tab command), which are kept
+    in storage and used instead of the file's until it's reloaded (see
+    utils.loadRates and utils.reloadRates), except for currencies that the
+    file doesn't have, whose rates are kept in case tabs still use them.
+*/
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const ratesFile = path.join(__dirname, "..", config.currency.rates);
+
+// Every currency that rates can be given for, by ISO 4217 code (listed here rather
+// than taken from Intl, which can't list them on older versions of Node)
+const codes = ("AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN "
+    + "BZD CAD CDF CHF CLP CNY COP CRC CUC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL "
+    + "GHS GIP GMD GNF GTQ GYD HKD HNL HRK HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF "
+    + "KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR "
+    + "MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG "
+    + "SEK SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD "
+    + "UYU UZS VES VND VUV WST XAF XCD XCG XDR XOF XPF XSU YER ZAR ZMW ZWG ZWL").split(" ");
+
+// The rates in the local file when the bot started (loaded along with this module,
+// since rates are needed as soon as commands are parsed)
+exports.fileTable = require(ratesFile);
+
+let table = this.fileTable; // The rates in use
+
+// Reads the rate table from the local file again (e.g. once it's been replaced with newer rates)
+exports.readFile = callback => {
+    fs.readFile(ratesFile, "utf8", (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+        let newTable;
+        try {
+            newTable = JSON.parse(data);
+        } catch (e) {
+            return callback(e);
+        }
+        callback(null, newTable);
+    });
+};
+
+exports.getTable = () => table;
+exports.setTable = newTable => {
+    table = newTable;
+};
+
+// Gets the codes of the currencies that there are rates for
+exports.codes = () => Object.keys(table.rates);
+
+// Whether a code is a real currency (whether or not there's a rate for it)
+exports.exists = code => codes.includes(code.toUpperCase());
+
+// Gets a chat's currency
+exports.ofGroup = groupInfo => groupInfo.currency || config.currency.default;
+
+// Converts an amount from one currency to another, throwing an Error if there's no
+// rate for either of them
+exports.convert = (amount, from, to) => {
+    if (from == to) {
+        return amount;
+    }
+    const missing = [from, to].find(code => table.rates[code] === undefined);
+    if (missing) {
+        throw new Error(`There's no exchange rate for ${missing}.`);
+    }
+    return amount / table.rates[from] * table.rates[to];
+};
+
+function formatter(code) {
+    return new Intl.NumberFormat("en-US", { "style": "currency", "currency": code });
+}
+
+// How many digits a currency's amounts have after the decimal point (e.g. 2 for cents)
+function digits(code) {
+    // Left out (rather than 0) by older versions of Node for currencies like JPY
+    return formatter(code).resolvedOptions().maximumFractionDigits || 0;
+}
+
+// Converts an amount to the currency's smallest unit (e.g. dollars to cents), and back
+exports.toMinor = (amount, code) => Math.round(amount * (10 ** digits(code)));
+exports.fromMinor = (minor, code) => minor / (10 ** digits(code));
+
+// Formats an amount in a currency's smallest unit, e.g. $12.50 or ¥1,500
+exports.format = (minor, code) => formatter(code).format(this.fromMinor(minor, code));
@@ -10,6 +10,7 @@
 
 const utils = require("./utils"); // For function access
 const config = require("./config");
+const plugins = require("./plugins"); // For per-chat plugin settings
 
 // List of Easter eggs
 /*
@@ -31,10 +32,6 @@ const eggs = [
         "regex": /(?:^|\s)(?:problem |p)set(?:s)?/i,
         "func": threadId => { utils.sendContentsOfFile("../media/monologue.txt", threadId); }
     },
-    {
-        "regex": /(?:hard work)|(?:work(?:ing)? hard)/i,
-        "func": threadId => { utils.sendFile("../media/umd.png", threadId); }
-    },
     {
         "regex": /bingalee dingalee/i,
         "func": threadId => { utils.sendFile("../media/cornell.mp4", threadId); }
@@ -336,10 +333,6 @@ const eggs = [
         "regex": /life advice/i,
         "func": threadId => { utils.sendFile("../media/advice.png", threadId); }
     },
-    {
-        "regex": /UMD CS/i,
-        "func": threadId => { utils.sendFile("../media/umdcs.jpeg", threadId); }
-    },
     {
         "regex": /pizza time/i,
         "func": threadId => { utils.sendFile("../media/siri.jpg", threadId); }
@@ -439,10 +432,6 @@ const eggs = [
         "regex": /dulaney high school/i,
         "func": threadId => { utils.sendFile("../media/dulaney.png", threadId); }
     },
-    {
-        "regex": /university of maryland,? college park/i,
-        "func": threadId => { utils.sendFile("../media/umdessay.png", threadId); }
-    },
     {
         "regex": /i(?:\'|’)?ll lie/i,
         "func": threadId => { utils.sendFile("../media/lie.png", threadId); }
@@ -473,19 +462,28 @@ const eggs = [
     }
 ];
 
+// Adds the Easter eggs from a plugin (see plugins/index.js)
+exports.addPlugin = plugin => {
+    plugin.eggs.forEach(egg => {
+        eggs.push({ "plugin": plugin.name, ...egg });
+    });
+};
+
 exports.handleEasterEggs = (messageObj, fromUserId, attachments, groupInfo) => {
     const message = messageObj.body;
     const messageId = messageObj.messageID;
     if (!groupInfo.muted) { // Don't check for Easter eggs if muted
-        for (let i = 0; i < eggs.length; i++) {
+        // Skip eggs from plugins that are turned off in this chat
+        const active = eggs.filter(egg => plugins.isEnabled(egg.plugin, groupInfo));
+        for (let i = 0; i < active.length; i++) {
             // Check for regex first and then alt function
             // If matched, pass data to trigger function
-            if (eggs[i].regex) {
-                let match = message.match(eggs[i].regex);
-                if (match) { eggs[i].func(groupInfo.threadId, messageId, match, groupInfo); }
-            } else if (eggs[i].alt) {
-                let alt = eggs[i].alt(messageObj, fromUserId, groupInfo);
-                if (alt) { eggs[i].func(groupInfo.threadId, messageId, alt, groupInfo); }
+            if (active[i].regex) {
+                let match = message.match(active[i].regex);
+                if (match) { active[i].func(groupInfo.threadId, messageId, match, groupInfo); }
+            } else if (active[i].alt) {
+                let alt = active[i].alt(messageObj, fromUserId, groupInfo);
+                if (alt) { active[i].func(groupInfo.threadId, messageId, alt, groupInfo); }
             } else {
                 console.error("No conditions found for egg");
             }
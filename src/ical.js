@@ -0,0 +1,242 @@
+/*
+    Converts between stored events (see utils.addEvent) and iCalendar (.ics)
+    files, so that a chat's events can be exported to calendar apps (or
+    subscribed to as a feed; see server.js) and events can be imported from
+    calendar files.
+
+    Only what events can store is kept: the title, time, description, location,
+    RSVPs (as attendees), and how the event repeats, which is converted to and
+    from an RRULE for the rules that recurrence.js supports. Repeating events
+    are given in the time zone their rule follows, so that calendar apps repeat
+    them at the same time of day when the clocks change.
+*/
+const timezones = require("./timezones");
+
+const dayCodes = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const frequencies = {
+    "minute": "MINUTELY",
+    "hour": "HOURLY",
+    "day": "DAILY",
+    "week": "WEEKLY",
+    "month": "MONTHLY"
+};
+
+// Attendees are identified by the URLs of their profiles (followed by their user IDs)
+const profileUrl = "https://www.facebook.com/";
+
+// How each RSVP list is described for attendees
+const participation = {
+    "going": "ACCEPTED",
+    "maybe": "TENTATIVE",
+    "not_going": "DECLINED",
+    "waitlist": "NEEDS-ACTION"
+};
+
+// Escapes text for a property value
+function escape(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function unescape(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, c) => ((c == "n" || c == "N") ? "\n" : c));
+}
+
+// Folds a content line so that no line is longer than 75 characters
+function fold(line) {
+    const parts = [];
+    for (let i = 0; i < line.length; i += (i == 0 ? 75 : 74)) {
+        parts.push(line.slice(i, i + (i == 0 ? 75 : 74)));
+    }
+    return parts.join("\r\n ");
+}
+
+// Formats a time as a UTC date-time, e.g. 20261021T140000Z
+function formatTime(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+// Formats a time as a date-time on the clock in a time zone, e.g. 20261021T200000
+function formatLocalTime(time, zone) {
+    const wall = timezones.toWallClock(time, zone);
+    const pad = n => String(n).padStart(2, "0");
+    return `${wall.getFullYear()}${pad(wall.getMonth() + 1)}${pad(wall.getDate())}`
+        + `T${pad(wall.getHours())}${pad(wall.getMinutes())}${pad(wall.getSeconds())}`;
+}
+
+// Parses a DATE or DATE-TIME value (UTC if it ends in Z, or else in the given time
+// zone, or the server's local time if there isn't one)
+function parseTime(value, zone) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => parseInt(part || 0));
+    if (match[7]) {
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    }
+    const time = new Date(year, month - 1, day, hour, minute, second);
+    return zone ? timezones.fromWallClock(time, zone) : time;
+}
+
+// Converts a recurrence rule (see recurrence.js) to an RRULE value
+function toRRule(rule) {
+    const parts = [`FREQ=${frequencies[rule.unit]}`, `INTERVAL=${rule.interval}`];
+    if (rule.days) {
+        parts.push(`BYDAY=${rule.days.map(day => dayCodes[day]).join(",")}`);
+    }
+    if (rule.date) {
+        parts.push(`BYMONTHDAY=${rule.date}`);
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${formatTime(rule.until)}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+    return parts.join(";");
+}
+
+// Converts an RRULE value to a recurrence rule following a time zone, or null
+// if it can't be represented
+function fromRRule(value, zone) {
+    const parts = value.split(";").reduce((all, part) => {
+        const [key, val] = part.split("=");
+        all[key.toUpperCase()] = val;
+        return all;
+    }, {});
+    const unit = Object.keys(frequencies).find(key => frequencies[key] == parts.FREQ);
+    // Dates without a time include the whole day
+    const allDay = parts.UNTIL && parts.UNTIL.length == 8;
+    let until = parts.UNTIL ? parseTime(allDay ? `${parts.UNTIL}T235959` : parts.UNTIL, zone) : null;
+    if (until && allDay) {
+        until = new Date(until.getTime() + 999);
+    }
+    const supported = ["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "UNTIL", "COUNT", "WKST"];
+    if (!unit || Object.keys(parts).some(key => !supported.includes(key))) {
+        return null;
+    }
+    const rule = {
+        "unit": unit,
+        "interval": parseInt(parts.INTERVAL || 1),
+        "days": null,
+        "date": null,
+        "until": until ? until.getTime() : null,
+        "count": parts.COUNT ? parseInt(parts.COUNT) : null,
+        "zone": zone
+    };
+    if (parts.BYDAY) {
+        rule.days = parts.BYDAY.split(",").map(day => dayCodes.indexOf(day.toUpperCase()));
+        if (unit != "week" || rule.days.includes(-1)) {
+            return null; // Only plain days of the week on weekly rules (not e.g. "last Friday of the month")
+        }
+        rule.days.sort();
+    }
+    if (parts.BYMONTHDAY) {
+        rule.date = parseInt(parts.BYMONTHDAY);
+        if (unit != "month" || !(rule.date >= 1 && rule.date <= 31)) {
+            return null;
+        }
+    }
+    if (!(rule.interval >= 1) || (parts.UNTIL && !until)) {
+        return null;
+    }
+    return rule;
+}
+
+// Builds a calendar from a chat's events (leaving out any reminders), given the
+// chat's thread ID (to identify its events) and the name to give the calendar
+exports.build = (events, threadId, name) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//nanobot//Events//EN",
+        "CALSCALE:GREGORIAN",
+        `X-WR-CALNAME:${escape(name)}`
+    ];
+    Object.keys(events).map(key => events[key]).filter(event => event.type == "event").forEach(event => {
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${encodeURIComponent(event.key_title)}-${threadId}@nanobot`,
+            `DTSTAMP:${formatTime(Date.now())}`,
+            (event.recurrence && event.recurrence.zone)
+                ? `DTSTART;TZID=${event.recurrence.zone}:${formatLocalTime(event.timestamp, event.recurrence.zone)}`
+                : `DTSTART:${formatTime(event.timestamp)}`,
+            `SUMMARY:${escape(event.title)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escape(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escape(event.location)}`);
+        }
+        if (event.recurrence) {
+            lines.push(`RRULE:${toRRule(event.recurrence)}`);
+        }
+        Object.keys(participation).forEach(list => {
+            (event[list] || []).forEach(user => {
+                lines.push(`ATTENDEE;CN="${user.name.replace(/"/g, "'")}";PARTSTAT=${participation[list]}:${profileUrl}${user.id}`);
+            });
+        });
+        lines.push("END:VEVENT");
+    });
+    lines.push("END:VCALENDAR");
+    return `${lines.map(fold).join("\r\n")}\r\n`;
+};
+
+/*
+Reads the events in a calendar, returning a list of { title, time, description,
+location, recurrence } with the Date the event starts and its recurrence rule
+(null if it doesn't repeat, or if it repeats in a way that can't be stored, in
+which case `unsupported` is true). Events without a start time are skipped.
+Times that aren't in UTC or a known time zone are taken to be in the given
+zone, which repeating events follow unless they say otherwise.
+*/
+exports.parse = (text, zone = null) => {
+    // Unfold lines that were split across several
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const events = [];
+    let current = null;
+    let nested = 0; // How many components (e.g. alarms) deep inside the current event
+    lines.forEach(line => {
+        const match = line.match(/^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+        if (!match) {
+            return;
+        }
+        const name = match[1].toUpperCase();
+        const value = match[3];
+        if (name == "BEGIN" && value.toUpperCase() == "VEVENT") {
+            current = {};
+            nested = 0;
+        } else if (name == "END" && value.toUpperCase() == "VEVENT") {
+            if (current && current.time) {
+                const recurrence = current.rrule ? fromRRule(current.rrule, current.zone) : null;
+                events.push({
+                    "title": current.title || "Untitled event",
+                    "time": current.time,
+                    "description": current.description || null,
+                    "location": current.location || null,
+                    "recurrence": recurrence,
+                    "unsupported": Boolean(current.rrule && !recurrence)
+                });
+            }
+            current = null;
+        } else if (current && (name == "BEGIN" || name == "END")) {
+            nested += (name == "BEGIN") ? 1 : -1;
+        } else if (current && nested == 0) {
+            if (name == "SUMMARY") {
+                current.title = unescape(value).trim();
+            } else if (name == "DESCRIPTION") {
+                current.description = unescape(value).trim();
+            } else if (name == "LOCATION") {
+                current.location = unescape(value).trim();
+            } else if (name == "DTSTART") {
+                const tzid = match[2].match(/;TZID=([^;]+)/i);
+                current.zone = (tzid && timezones.find(tzid[1].replace(/"/g, ""))) || zone;
+                current.time = parseTime(value.trim(), current.zone);
+            } else if (name == "RRULE") {
+                current.rrule = value.trim();
+            }
+        }
+    });
+    return events;
+};
@@ -0,0 +1,102 @@
+/*
+    The chat's tab: a ledger of shared expenses and of payments between members,
+    stored (oldest first) in groupInfo.tab as entries of the form:
+
+    {
+        "id": number,
+        "type": "expense" | "payment",
+        "amount": number,
+        "currency": string, // ISO 4217 code of the amount's currency (see currency.js)
+        "description": string | null, // What an expense was for
+        "from": string | null, // User ID of whoever paid
+        "to": [string], // User IDs of everyone an expense was split among, or of whoever was paid
+        "by": string | null, // User ID of whoever added the entry
+        "time": number | null // When it was added
+    }
+
+    Whoever pays is owed the amount by everyone it's for (themselves included,
+    if they're one of them). Balances are kept in the chat's currency, which
+    entries in other currencies are converted to at the current rates, and are
+    worked out in its smallest unit (e.g. cents) so that everyone's shares
+    always add up to the total.
+*/
+const currency = require("./currency");
+
+// Gets an entry's amount in a currency's smallest unit
+function amountIn(entry, code) {
+    return currency.toMinor(currency.convert(entry.amount, entry.currency, code), code);
+}
+
+// Splits a whole amount (in a currency's smallest unit) into a number of shares,
+// as evenly as possible (anything left over goes to the first shares)
+exports.shares = (amount, count) => {
+    const share = Math.floor(amount / count);
+    return Array.from({ "length": count }, (_, i) => share + (i < amount - share * count ? 1 : 0));
+};
+
+// Gets the ID to give the next entry in a tab
+exports.nextId = entries => Math.max(0, ...entries.map(entry => entry.id)) + 1;
+
+// Gets how much each member is owed (or owes, if negative) in the smallest unit
+// of a currency, by user ID, leaving out anyone who's settled up
+exports.balances = (entries, code) => {
+    const balances = {};
+    const change = (userId, amount) => {
+        balances[userId] = (balances[userId] || 0) + amount;
+    };
+    entries.filter(entry => entry.from && entry.to.length > 0).forEach(entry => {
+        const amount = amountIn(entry, code);
+        change(entry.from, amount);
+        this.shares(amount, entry.to.length).forEach((share, i) => change(entry.to[i], -share));
+    });
+    Object.keys(balances).filter(userId => balances[userId] == 0).forEach(userId => delete balances[userId]);
+    return balances;
+};
+
+/*
+Suggests payments that would settle everyone up, as a list of { from, to,
+amount } with user IDs and amounts in the balances' units. Whoever owes the
+most pays whoever is owed the most until one of them is settled, and so on,
+which takes at most one payment fewer than the number of people who aren't
+settled up.
+*/
+exports.settle = balances => {
+    const remaining = { ...balances };
+    const payments = [];
+    const most = sign => Object.keys(remaining).filter(userId => Math.sign(remaining[userId]) == sign)
+        .sort((a, b) => sign * (remaining[b] - remaining[a]))[0];
+    let debtor = most(-1);
+    let creditor = most(1);
+    while (debtor && creditor) {
+        const amount = Math.min(-remaining[debtor], remaining[creditor]);
+        payments.push({ "from": debtor, "to": creditor, "amount": amount });
+        remaining[debtor] += amount;
+        remaining[creditor] -= amount;
+        debtor = most(-1);
+        creditor = most(1);
+    }
+    return payments;
+};
+
+// Lists names in a sentence, e.g. "Alice, Bob and Carol"
+function list(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+}
+
+// Describes an entry, given a map from user IDs to names and the chat's currency
+// (which amounts in other currencies are also shown in)
+exports.describe = (entry, names, code) => {
+    const name = userId => names[userId] || "someone who left";
+    let amount = currency.format(currency.toMinor(entry.amount, entry.currency), entry.currency);
+    if (entry.currency != code) {
+        amount += ` (${currency.format(amountIn(entry, code), code)})`;
+    }
+    if (!entry.from) {
+        return `#${entry.id}: ${amount} (the tab's total before it kept track of who paid)`;
+    }
+    if (entry.type == "payment") {
+        return `#${entry.id}: ${name(entry.from)} paid ${name(entry.to[0])} ${amount}`;
+    }
+    const what = entry.description ? ` for ${entry.description}` : "";
+    return `#${entry.id}: ${amount}${what}, paid by ${name(entry.from)} and split among ${list(entry.to.map(name))}`;
+};
@@ -3,14 +3,22 @@
 */
 
 // Dependencies
-const botcore = require("messenger-botcore"); // Common bot code
 const config = require("./config"); // Config file
 const utils = require("./utils"); // Utility functions
 const commands = require("./commands"); // Command documentation/configuration
+const args = require("./args"); // Command argument parsing
 const runner = require("./runcommand"); // For command handling code
-require("./server"); // Server configuration (just needs to be loaded)
 const easter = require("./easter"); // Easter eggs
 const passive = require("./passive"); // Passive messages
+const storage = require("./storage"); // Persistent storage backends
+const platforms = require("./platforms"); // Chat platforms
+const backup = require("./backup"); // Data snapshots
+const cooldowns = require("./cooldowns"); // Limits on how often commands are used
+const plugins = require("./plugins"); // Extra commands, passive types, and Easter eggs
+const pipeline = require("./pipeline"); // Running several commands from one message
+const recurrence = require("./recurrence"); // Repeating schedules
+const scheduler = require("./scheduler"); // Events, reminders, and scheduled commands
+const timezones = require("./timezones"); // Time zones of chats and their members
 let credentials;
 try {
     // Login creds from local dir
@@ -19,45 +27,123 @@ try {
     // Deployed to Heroku or config file is missing
     credentials = process.env;
 }
-// External storage API (Memcachier) (requires credentials)
-const mem = require("memjs").Client.create(credentials.MEMCACHIER_SERVERS, {
-    "username": credentials.MEMCACHIER_USERNAME,
-    "password": credentials.MEMCACHIER_PASSWORD
-});
 var gapi; // Global API for external functions (set on login)
 var stopListening; // Global function to call to halt the listening process
+let store; // Persistent storage (set on start)
+let platform; // Chat platform (set on start)
+let timers = []; // Recurring tasks (cleared on stop)
+let pluginsAdded = false; // Whether plugins have been added (only done on the first start)
 
 // Log in
 if (require.main === module) { // Called directly; login immediately
-    console.log(`Bot ${config.bot.id} logging in ${process.env.FACEBOOK_EMAIL ? "remotely" : "locally"} with trigger "${config.trigger}".`);
-    botcore.login.login(credentials, main);
+    require("./server"); // Server configuration (just needs to be loaded)
+
+    // Chat platform to run on (Messenger unless otherwise specified)
+    const gplatform = platforms.create(process.argv.includes("--console") ? "console" : config.platform, credentials);
+    // Persistent storage (backend set in config; some backends require credentials)
+    const gstore = storage.create(gplatform.storage || config.storage, credentials);
+
+    console.log(`Bot ${config.bot.id} logging in ${process.env.FACEBOOK_EMAIL ? "remotely" : "locally"} to ${gplatform.name} with trigger "${config.trigger}".`);
+    gplatform.login((err, api) => {
+        if (err) return console.error(err);
+        console.info(`Successfully logged in to user account ${api.getCurrentUserID()}.`);
+        start(api, gstore, gplatform);
+
+        // Tell process manager that this process is ready
+        process.send ? process.send("ready") : null;
+    });
 }
 
 // Bot setup
-function main(err, api) {
-    if (err) return console.error(err);
-    console.info(`Successfully logged in to user account ${api.getCurrentUserID()}.`);
+// Can also be called externally to run the bot on an api that's already logged in
+// (e.g. a simulated one in the end-to-end tests)
+function start(api, gstore, gplatform) {
     gapi = api; // Initialize global API variable
-    utils.setglobals(api, mem); // Initialize in utils module as well
+    store = gstore;
+    platform = gplatform;
+    utils.setglobals(api, store, credentials, platform); // Initialize in utils module as well
+    cooldowns.reset(); // Start over on limits from any previous runs
+    utils.loadRates(); // Exchange rates for the tab (see currency.js)
 
-    // Configure the instance
-    botcore.monitoring.monitor(api, config.owner.id, config.bot.names.short, credentials, process, newApi => {
-        // Called when login failed and a new retried login was successful
-        stopListening();
-        gapi = newApi;
-        utils.setglobals(gapi, mem);
-        stopListening = newApi.listenMqtt(handleMessage);
+    const running = timers;
+    addPlugins(err => {
+        if (err) { return console.error(`Couldn't load plugins: ${err}`); }
+        if (timers != running) { return; } // Stopped in the meantime
+
+        // Configure the instance
+        platform.monitor(api, newApi => {
+            // Called when login failed and a new retried login was successful
+            stopListening();
+            gapi = newApi;
+            utils.setglobals(gapi, store, credentials, platform);
+            stopListening = newApi.listenMqtt(handleMessage);
+        });
+        api.setOptions({ listenEvents: true });
+
+        // Kick off the message handler
+        stopListening = api.listenMqtt(handleMessage);
+        // Kick off the scheduler for events, reminders, and scheduled commands
+        scheduler.start();
+        // Take snapshots of the stored data
+        if (config.backups.interval > 0) {
+            scheduleBackups();
+        }
+        // Show that the bot is running so that snapshots aren't restored underneath it
+        backup.heartbeat(store);
+        timers.push(setInterval(() => backup.heartbeat(store), backup.heartbeatInterval));
     });
-    api.setOptions({ listenEvents: true });
+}
+exports.start = start;
 
-    // Kick off the message handler
-    stopListening = api.listenMqtt(handleMessage);
-    // Kick off the event handler
-    setInterval(eventLoop, config.eventCheckInterval * 60000);
+// Adds everything provided by plugins to the modules that handle it
+function addPlugins(callback) {
+    if (pluginsAdded) { return callback(); }
+    plugins.load((err, loaded) => {
+        if (err) { return callback(err); }
+        if (!pluginsAdded) {
+            pluginsAdded = true;
+            loaded.forEach(plugin => {
+                commands.addPlugin(plugin);
+                runner.addPlugin(plugin);
+                easter.addPlugin(plugin);
+                passive.addPlugin(plugin);
+            });
+        }
+        callback();
+    });
+}
+
+// Takes a snapshot every config.backups.interval hours, counting from the last one
+// (which may have been before a restart), so a snapshot that's overdue is taken now
+function scheduleBackups() {
+    const interval = config.backups.interval * 3600000;
+    const save = () => {
+        backup.save(store, config.backups, err => {
+            if (err) { console.log(`Scheduled backup failed: ${err}`); }
+        });
+    };
+    const running = timers;
+    backup.list(config.backups, (err, snapshots) => {
+        if (err) { console.log(`Couldn't list backups: ${err}`); }
+        if (timers != running) { return; } // Stopped in the meantime
+        timers.push(setTimeout(() => {
+            save();
+            timers.push(setInterval(save, interval));
+        }, backup.getNextDue(snapshots, config.backups)));
+    });
+}
 
-    // Tell process manager that this process is ready
-    process.send ? process.send("ready") : null;
+// Stops listening for messages and running recurring tasks
+function stop() {
+    if (stopListening) {
+        stopListening();
+        stopListening = null;
+    }
+    timers.forEach(clearInterval);
+    timers = [];
+    scheduler.stop();
 }
+exports.stop = stop;
 
 // Processes incoming messages
 // Passed as callback to API's listen, but can also be called externally
@@ -84,17 +170,17 @@ function handleMessage(err, message, external = false, api = gapi) { // New mess
 
                 // Handle messages
                 const senderId = message.senderID;
-                botcore.banned.isUser(senderId, isBanned => {
+                platform.banned.isUser(senderId, isBanned => {
                     if ((message.type == "message" || message.type == "message_reply") && senderId != config.bot.id && !isBanned) { // Sender is not banned and is not the bot
                         const m = message.body;
                         const attachments = message.attachments;
                         // Handle message body
                         if (m) {
-                            // Pass to commands testing for trigger word
-                            const cindex = m.toLowerCase().indexOf(config.trigger);
-                            if (cindex > -1) { // Trigger command mode
+                            // Pass to commands testing for the chat's trigger word or prefix
+                            const command = utils.getCommandText(m, info);
+                            if (command !== null) { // Trigger command mode
                                 // Also pass full message obj in case it's needed in a command
-                                handleCommand(m.substring(cindex + config.trigger.length + 1), senderId, info, message);
+                                handleCommand(command, senderId, info, message);
                             }
 
                             // Check for Easter eggs
@@ -112,31 +198,16 @@ function handleMessage(err, message, external = false, api = gapi) { // New mess
 
                         const event = eventMidMap[message.messageID];
                         const rsvpr = message.userID;
-                        const resp = message.reaction;
-                        if (event && (resp == "👍" || resp == "👎")) {
+                        // Removing a reaction (which leaves it empty) takes back the RSVP
+                        const resp = message.reaction ? config.rsvpReactions[message.reaction] : null;
+                        if (event && event.type == "event" && (resp || !message.reaction)) {
                             api.getUserInfo(rsvpr, (err, uinfo) => {
                                 if (!err) {
-                                    const data = uinfo[rsvpr];
-                                    let resp_list;
-
-                                    // Remove any pre-existing responses from that user
-                                    event.going = event.going.filter(user => user.id != rsvpr);
-                                    event.not_going = event.not_going.filter(user => user.id != rsvpr);
-
-                                    if (resp == "👍") {
-                                        resp_list = event.going;
-                                    } else if (resp == "👎") {
-                                        resp_list = event.not_going;
-                                    } else {
-                                        // Not a valid RSVP react
-                                        return;
-                                    }
-
-                                    resp_list.push({
+                                    const user = {
                                         "id": rsvpr,
-                                        "name": data.firstName
-                                    });
-                                    utils.setGroupProperty("events", info.events, info);
+                                        "name": uinfo[rsvpr].firstName
+                                    };
+                                    utils.rsvpToEvent(event.key_title, user, resp || null, info.threadId);
                                 }
                             });
                         }
@@ -151,123 +222,230 @@ exports.handleMessage = handleMessage;
 /*
   This is the main body of the bot; it handles whatever comes after the trigger word
   in the received message body and looks for matches of commands listed in the commands.js
-  file, and then processes them accordingly.
+  file, and then processes them accordingly. Commands joined with "|" or "&&" are run
+  one after another as a pipeline (see pipeline.js).
 */
 function handleCommand(command, fromUserId, groupInfo, messageLiteral, api = gapi) {
+    // "{}" stands in for the output of an earlier stage
+    const stages = pipeline.split(command, text => utils.findCommand(text.split("{}").join("x"), fromUserId, groupInfo) !== null);
+    if (stages) {
+        pipeline.run(stages, groupInfo.threadId, text => runCommand(text, fromUserId, groupInfo, messageLiteral, api));
+    } else {
+        runCommand(command, fromUserId, groupInfo, messageLiteral, api);
+    }
+}
+exports.handleCommand = handleCommand; // Export for external use
+
+// Matches a single command against each command's argument spec and runs it
+function runCommand(command, fromUserId, groupInfo, messageLiteral, api) {
     const attachments = messageLiteral.attachments; // For commands that take attachments
-    // Command preprocessing to compare command grammars against input and check for matches
+    // Command preprocessing to compare the input against each command's argument spec
+    // (see args.js) and parse the arguments of any matches
     const co = commands.commands; // Short var names since I'll be typing them a lot
+    const trigger = utils.getTrigger(groupInfo);
+    const context = {
+        "groupInfo": groupInfo,
+        "fromUserId": fromUserId,
+        "contextless": config.contextless,
+        "trigger": trigger
+    };
+    let matched = false;
+    let problem; // Reported if nothing matches; problems with arguments take precedence over bad syntax
+    let disabled; // Reported if nothing else matches but a command that's turned off in this chat did
+    let forbidden; // Likewise for a command that requires a role the user doesn't have
     for (let c in co) {
         if (co.hasOwnProperty(c)) {
-            // Check whether command is sudo-protected and, if so, whether the user is the owner
-            if (!co[c].sudo || (co[c].sudo && fromUserId == config.owner.id)) {
-                // Set match vals
-                // fromStart will concatenate a 'start of string' operator to the beginning
-                // of the regular expression used to match commands if contextless grammar
-                // is turned off in the config (off by default)
-                let regex = Array.isArray(co[c].regex) ? co[c].regex[0] : co[c].regex;
-                if (typeof regex == "string") { regex = new RegExp(regex); }
-                const fromStart = config.contextless ? regex : new RegExp("^" + regex.source, regex.flags);
-                if (co[c].user_input.accepts) { // Takes a match from the members dict
-                    if (Array.isArray(co[c].regex)) { // Also has a regex suffix (passed as length 2 array)
-                        co[c].m = utils.matchesWithUser(fromStart, command, fromUserId, groupInfo, co[c].user_input.optional, " ", co[c].regex[1]);
-                    } else { // Just a standard regex prefex as a string + name
-                        co[c].m = utils.matchesWithUser(fromStart, command, fromUserId, groupInfo, co[c].user_input.optional);
-                    }
-                } else {
-                    co[c].m = command.match(fromStart);
+            co[c].m = null; // Match is the parsed args object (if any)
+            const allowed = utils.hasRole(fromUserId, co[c].role, groupInfo);
+            // Skip commands whose plugin is turned off in this chat, and secret commands
+            // that the user can't run (so that they aren't revealed)
+            const spec = utils.getSpec(c, groupInfo);
+            if (plugins.isEnabled(co[c].plugin, groupInfo) && (allowed || co[c].display_names.length > 0)
+                && spec.names.length > 0) {
+                const result = args.parse(spec, command, context);
+                if (result && result.args && !utils.isCommandEnabled(c, groupInfo)) {
+                    disabled = c;
+                } else if (result && result.args && !allowed) {
+                    forbidden = c;
+                } else if (result && result.args) {
+                    co[c].m = result.args;
+                    matched = true;
+                } else if (result && (!problem || (problem.usage && !result.usage))) {
+                    problem = result;
                 }
-            } else { // User not authorized
-                // Set match to null to prevent checking issues
-                co[c].m = null;
-            }
-            // Update usage statistics if command is matched
-            if (co[c].m) {
-                utils.updateStats(c, fromUserId);
             }
         }
     }
     debugCommandOutput(false);
+    if (!matched) {
+        // Nothing to run, so the rest of a pipeline shouldn't run either (and any
+        // notice below is sent instead of being taken as the output)
+        pipeline.abort();
+    }
+    if (!matched && disabled) {
+        // Point to whatever has to be turned back on (the command or its whole category)
+        const entry = co[disabled];
+        const target = groupInfo.disabledCategories.includes(entry.category)
+            ? commands.categories[entry.category].display_name : (entry.display_names[0] || disabled);
+        utils.sendError(`${entry.pretty_name} is turned off in this chat (admins can turn it back on with "${trigger} enable ${target.toLowerCase()}").`, groupInfo.threadId);
+    } else if (!matched && forbidden) {
+        utils.sendError(`${co[forbidden].pretty_name} can only be used by ${utils.describeRole(co[forbidden].role)}.`, groupInfo.threadId);
+    } else if (!matched && problem) {
+        utils.sendError(problem.error, groupInfo.threadId);
+    } else if (!matched) {
+        // Suggest any commands that the user can run whose names are close to what they typed
+        const names = Object.keys(co).filter(c => plugins.isEnabled(co[c].plugin, groupInfo)
+            && utils.isCommandEnabled(c, groupInfo) && utils.hasRole(fromUserId, co[c].role, groupInfo))
+            .reduce((names, c) => names.concat(co[c].display_names), []);
+        const closest = utils.findClosest(command, names).slice(0, 3);
+        if (closest.length > 0) {
+            utils.sendMessage(`Did you mean ${closest.map(name => `"${trigger} ${name}"`).join(" or ")}?`, groupInfo.threadId);
+        }
+    }
+    const matches = Object.keys(co).filter(c => co[c].m);
+    if (fromUserId != config.owner.id) {
+        // Hold off if any of the commands are cooling down for this user or chat
+        const wait = Math.max(0, ...matches.map(c => cooldowns.wait(c, fromUserId, groupInfo.threadId)));
+        if (wait > 0) {
+            matches.forEach(c => { co[c].m = null; });
+            pipeline.abort(); // Likewise for commands that are cooling down
+            if (cooldowns.shouldWarn(fromUserId, groupInfo.threadId, wait)) {
+                utils.sendMessage(`Slow down! Try again in ${Math.ceil(wait / 1000)}s.`, groupInfo.threadId, undefined, messageLiteral.messageID);
+            }
+            return;
+        }
+    }
+    matches.forEach(c => {
+        cooldowns.record(c, fromUserId, groupInfo.threadId);
+        // Update usage statistics
+        utils.updateStats(c, fromUserId);
+    });
+
     // Check commands for matches & eval
     runner.run(api, co, groupInfo, fromUserId, attachments, messageLiteral);
 }
-exports.handleCommand = handleCommand; // Export for external use
 
 function debugCommandOutput(flag) {
     if (flag) {
         const co = commands.commands;
         console.log(Object.keys(co).map(c => {
-            return `${c}: ${co[c].m}`;
+            return `${c}: ${JSON.stringify(co[c].m)}`;
         }));
     }
 }
 
-function eventLoop() {
-    utils.getGroupData((err, data) => {
-        if (!err) {
-            // Collect events from all of the groups
-            let events = Object.keys(data).reduce((events, group) => {
-                const gEvents = data[group].events;
-                Object.keys(gEvents).forEach(event => {
-                    events.push(gEvents[event]);
-                });
-
-                return events;
-            }, []);
-
-            const curTime = new Date();
-            events.forEach(event => {
-                if (new Date(event.timestamp) <= curTime
-                    || (event.remind_time && new Date(event.remind_time) <= curTime)) {
-                    // Event is occurring! (or occurred since last check)
-                    let msg, mentions, replyId;
-                    if (event.type == "event") {
-                        // Event
-                        msg = `Happening ${event.remind_time ? `in ${config.reminderTime} minutes` : "now"}: ${event.title}${event.going.length > 0 ? "\n\nReminder for " : ""}`;
-
-                        // Build up mentions string (with Oxford comma 🤘)
-                        let numGoing = event.going.length;
-                        event.going.forEach((user, i) => {
-                            if (i < numGoing - 1 || numGoing == 1) {
-                                msg += `@${user.name}`;
-                                if (numGoing > 2) {
-                                    msg += ", ";
-                                } else {
-                                    msg += " ";
-                                }
-                            } else {
-                                msg += `and @${user.name}`;
-                            }
-                        });
-                        mentions = event.going.map(user => {
-                            return {
-                                "tag": `@${user.name}`,
-                                "id": user.id
-                            };
-                        });
-                    } else {
-                        // Reminder
-                        msg = `Reminder for @${event.owner_name}: ${event.reminder}`;
-                        mentions = [{
-                            "tag": `@${event.owner_name}`,
-                            "id": event.owner
-                        }];
-                        replyId = event.replyId;
-                    }
-
-                    // Send off the reminder message and delete the event
-                    const groupInfo = data[event.threadId];
-                    utils.sendMessageWithMentions(msg, mentions, groupInfo.threadId, replyId);
+/*
+  Events and reminders (stored in the chat's events) are sent when they're due,
+  starting with an early reminder for events if they have one, and then move on
+  to their next occurrence if they repeat (keeping any RSVPs) or are removed
+*/
+scheduler.define("event", {
+    "collect": info => Object.keys(info.events).map(key => {
+        const event = info.events[key];
+        return { "key": key, "time": event.remind_time || event.timestamp };
+    }),
+    "get": (info, key) => info.events[key] || null,
+    "claim": (info, key, time) => {
+        const event = info.events[key];
+        if (!event || (event.remind_time || event.timestamp) != time) {
+            return false;
+        }
+        if (event.remind_time) {
+            event.remind_time = null; // Don't delete, but don't remind again
+            return true;
+        }
+        const next = event.recurrence ? recurrence.advance(event.recurrence, event.timestamp) : null;
+        if (next) {
+            event.timestamp = next.time.getTime();
+            event.recurrence = next.recurrence;
+            if (event.type == "event") {
+                event.remind_time = utils.getEarlyReminderTime(event.timestamp);
+                event.pretty_time = utils.getPrettyDateString(next.time, true, timezones.ofGroup(info));
+            }
+        } else {
+            delete info.events[key];
+        }
+        return true;
+    },
+    "run": (info, event, time, late, callback) => {
+        let msg, mentions, replyId;
+        if (event.type == "event") {
+            msg = `Happening ${event.remind_time ? `in ${config.reminderTime} minutes` : "now"}: ${event.title}${late ? " (late)" : ""}${event.going.length > 0 ? "\n\nReminder for " : ""}`;
 
-                    if (event.remind_time) {
-                        // Don't delete, but don't remind again
-                        groupInfo.events[event.key_title].remind_time = null;
-                        utils.setGroupProperty("events", groupInfo.events, groupInfo);
+            // Build up mentions string (with Oxford comma 🤘)
+            let numGoing = event.going.length;
+            event.going.forEach((user, i) => {
+                if (i < numGoing - 1 || numGoing == 1) {
+                    msg += `@${user.name}`;
+                    if (numGoing > 2) {
+                        msg += ", ";
                     } else {
-                        utils.deleteEvent(event.key_title, event.owner, groupInfo, groupInfo.threadId, false);
+                        msg += " ";
                     }
+                } else {
+                    msg += `and @${user.name}`;
                 }
             });
+            mentions = event.going.map(user => {
+                return {
+                    "tag": `@${user.name}`,
+                    "id": user.id
+                };
+            });
+        } else {
+            // Reminder
+            msg = `Reminder for @${event.owner_name}: ${event.reminder}${late ? " (late)" : ""}`;
+            mentions = [{
+                "tag": `@${event.owner_name}`,
+                "id": event.owner
+            }];
+            replyId = event.replyId;
         }
-    });
-}
\ No newline at end of file
+        utils.sendMessageWithMentions(msg, mentions, info.threadId, replyId, (err, sent) => {
+            if (!err && sent && event.type == "reminder") {
+                utils.rememberSentReminder(event, sent.messageID, info.threadId); // For snoozing
+            }
+            callback();
+        });
+    }
+});
+
+/*
+  Scheduled commands are run as if their owners had sent them, and then move on to
+  their next run (skipping any that were missed) or are removed
+*/
+scheduler.define("schedule", {
+    "collect": info => Object.keys(info.schedules).filter(id => !info.schedules[id].paused).map(id => {
+        return { "key": id, "time": info.schedules[id].time };
+    }),
+    "get": (info, id) => info.schedules[id] || null,
+    "claim": (info, id, time) => {
+        const schedule = info.schedules[id];
+        if (!schedule || schedule.paused || schedule.time != time) {
+            return false;
+        }
+        const next = schedule.recurrence ? recurrence.advance(schedule.recurrence, time) : null;
+        if (next) {
+            schedule.time = next.time.getTime();
+            schedule.recurrence = next.recurrence;
+        } else {
+            delete info.schedules[id];
+        }
+        return true;
+    },
+    "run": (info, schedule, time, late, callback) => {
+        if (late) {
+            utils.sendMessage(`Running "${schedule.command}", which was scheduled for ${utils.getPrettyTimeFor(new Date(time), schedule.owner, info)} (late).`, info.threadId);
+        }
+        handleCommand(schedule.command, schedule.owner, info, {
+            "type": "message",
+            "threadID": info.threadId,
+            "senderID": schedule.owner,
+            "body": schedule.command,
+            "attachments": [],
+            "mentions": {},
+            "messageID": null
+        });
+        callback();
+    }
+});
@@ -0,0 +1,183 @@
+/*
+    Versioned schema for stored group info (see the groupInfo definition in the README).
+
+    Every stored group records the schema version it was last written with in
+    `schemaVersion`. When groups are loaded from storage, any that are behind
+    the current version are passed through each of the remaining migration
+    steps in order, so that handlers can rely on the current shape no matter
+    how long ago a group was first registered.
+
+    To change the schema, add a new step to the end of the list below (never
+    edit or reorder existing ones) and add tests for it in tests/migrations.test.js.
+    Each step receives the group's info, modifies it in place, and must be safe
+    to run on a record that already has the new shape.
+*/
+const crypto = require("crypto"); // For generating secret tokens
+
+const steps = [
+    // 1: Backfill collections that used to be initialized only for brand new groups
+    info => {
+        if (info.muted === undefined) { info.muted = true; }
+        ["playlists", "aliases", "pinned", "events", "mentionGroups", "nicknames", "names", "members"].forEach(prop => {
+            if (info[prop] === undefined || info[prop] === null) {
+                info[prop] = {};
+            }
+        });
+        if (!Array.isArray(info.admins)) { info.admins = []; }
+    },
+    // 2: Convert legacy shapes
+    info => {
+        // Chats used to have a single pinned message stored as a string
+        if (typeof info.pinned == "string") {
+            info.pinned = info.pinned ? {
+                "pin": {
+                    "msg": info.pinned,
+                    "sender": "Unknown",
+                    "date": null
+                }
+            } : {};
+        }
+        // Events predate reminders (and their type field) and RSVP tracking, and
+        // their early reminder times were stored as serialized dates
+        Object.keys(info.events).forEach(key => {
+            const event = info.events[key];
+            if (!event.type) { event.type = "event"; }
+            if (event.type == "event") {
+                if (!Array.isArray(event.going)) { event.going = []; }
+                if (!Array.isArray(event.not_going)) { event.not_going = []; }
+                if (typeof event.remind_time == "string") {
+                    event.remind_time = new Date(event.remind_time).getTime() || null;
+                }
+            }
+        });
+        // Mention groups with a single member were sometimes stored as a bare ID
+        Object.keys(info.mentionGroups).forEach(name => {
+            const members = info.mentionGroups[name];
+            if (!Array.isArray(members)) {
+                info.mentionGroups[name] = members ? [members] : [];
+            }
+        });
+        // Aliases are matched case-insensitively
+        Object.keys(info.aliases).forEach(id => {
+            info.aliases[id] = String(info.aliases[id]).toLowerCase();
+        });
+    },
+    // 3: Plugins that have been turned off in the chat (see plugins/index.js)
+    info => {
+        if (!Array.isArray(info.disabledPlugins)) { info.disabledPlugins = []; }
+    },
+    // 4: Commands and categories of commands that have been turned off in the chat
+    info => {
+        if (!Array.isArray(info.disabledCommands)) { info.disabledCommands = []; }
+        if (!Array.isArray(info.disabledCategories)) { info.disabledCategories = []; }
+    },
+    // 5: Roles granted to members of the chat
+    info => {
+        if (!info.roles) { info.roles = {}; }
+    },
+    // 6: Trigger words and command prefix for the chat (the defaults are used if none are set)
+    info => {
+        if (!Array.isArray(info.triggers)) { info.triggers = []; }
+        if (info.prefix === undefined) { info.prefix = null; }
+        if (info.triggerAtStart === undefined) { info.triggerAtStart = false; }
+    },
+    // 7: Custom commands defined in the chat, by name
+    info => {
+        if (!info.customCommands) { info.customCommands = {}; }
+    },
+    // 8: Commands scheduled to run in the chat, by number
+    info => {
+        if (!info.schedules) { info.schedules = {}; }
+    },
+    // 9: Reminders are numbered (in the order they're due) so that they can be
+    // managed, and reminders that have been sent are kept by message ID for snoozing
+    info => {
+        Object.keys(info.events).map(key => info.events[key])
+            .filter(event => event.type == "reminder")
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach((reminder, i) => { reminder.id = i + 1; });
+        if (!info.sentReminders) { info.sentReminders = {}; }
+    },
+    // 10: Events have details, "maybe" RSVPs, and an optional capacity with a waitlist
+    info => {
+        Object.keys(info.events).map(key => info.events[key])
+            .filter(event => event.type == "event")
+            .forEach(event => {
+                if (event.description === undefined) { event.description = null; }
+                if (event.location === undefined) { event.location = null; }
+                if (event.capacity === undefined) { event.capacity = null; }
+                if (!Array.isArray(event.maybe)) { event.maybe = []; }
+                if (!Array.isArray(event.waitlist)) { event.waitlist = []; }
+            });
+    },
+    // 11: Secret token for the chat's calendar feed (see server.js)
+    info => {
+        if (!info.calendarToken) { info.calendarToken = crypto.randomBytes(16).toString("hex"); }
+    },
+    // 12: Time zones for the chat and its members (see timezones.js)
+    info => {
+        if (info.timeZone === undefined) { info.timeZone = null; }
+        if (!info.userTimeZones) { info.userTimeZones = {}; }
+    },
+    // 13: The tab is a ledger of entries (see ledger.js) rather than a running total, which
+    // is kept as an entry that nobody paid
+    info => {
+        if (!Array.isArray(info.tab)) {
+            const total = info.tab || 0;
+            info.tab = [];
+            if (total) {
+                info.tab.push({
+                    "id": 1, "type": "expense", "amount": total, "description": null,
+                    "from": null, "to": [], "by": null, "time": null
+                });
+            }
+        }
+    },
+    // 14: The tab can be kept in any currency (see currency.js), and entries from before were in dollars
+    info => {
+        if (info.currency === undefined) { info.currency = null; }
+        info.tab.forEach(entry => {
+            if (!entry.currency) { entry.currency = "USD"; }
+        });
+    },
+    // 15: Each chat keeps its own scores and totals for this week and month (see scores.js);
+    // scores stay null until they've been started from the members' scores from before
+    // (see utils.getScores)
+    info => {
+        if (info.scores === undefined) { info.scores = null; }
+        if (!info.periodScores) { info.periodScores = {}; }
+    },
+    // 16: Runs of jobs that have been claimed but haven't finished yet (see scheduler.js)
+    info => {
+        if (!info.claimedJobs) { info.claimedJobs = {}; }
+    }
+];
+exports.steps = steps;
+exports.CURRENT_VERSION = steps.length;
+
+// Upgrades a single group's info in place to the current schema version
+// Returns whether any migration steps were applied
+exports.migrate = info => {
+    const from = info.schemaVersion || 0;
+    if (from >= this.CURRENT_VERSION) {
+        return false;
+    }
+    for (let i = from; i < this.CURRENT_VERSION; i++) {
+        steps[i](info);
+    }
+    info.schemaVersion = this.CURRENT_VERSION;
+    return true;
+};
+
+// Upgrades every group in a map of thread IDs to group info (as stored)
+// Returns the IDs of the threads that were changed
+exports.migrateAll = groups => {
+    return Object.keys(groups).filter(threadId => this.migrate(groups[threadId]));
+};
+
+// Creates the info for a newly-registered group, with every collection initialized
+exports.create = () => {
+    const info = {};
+    this.migrate(info);
+    return info;
+};
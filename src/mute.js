@@ -1,11 +1,12 @@
 /* 
     Mutes all threads that the bot is currently in.
 */
-const botcore = require("messenger-botcore");
+const config = require("./config");
+const platforms = require("./platforms");
 const credentials = require("./credentials");
 const LIMIT = 1000;
 
-botcore.login.login(credentials, (err, api) => {
+platforms.create(config.platform, credentials).login((err, api) => {
     if (!err) {
         api.getThreadList(LIMIT, null, [], (err, list) => {
             if (!err) {
@@ -16,4 +17,4 @@ botcore.login.login(credentials, (err, api) => {
         });
         api.markAsReadAll();
     }
-});
\ No newline at end of file
+});
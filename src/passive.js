@@ -9,6 +9,7 @@ const Entities = require("html-entities").XmlEntities; // For decoding HTML enti
 const entities = new Entities();
 const utils = require("./utils"); // For util funcs
 const config = require("./config"); // For configuration
+const plugins = require("./plugins"); // For per-chat plugin settings
 
 const dom = new domParser({
     locator: {},
@@ -42,7 +43,7 @@ const passiveTypes = [
 exports.handlePassive = (messageObj, groupInfo, api) => {
     const message = messageObj.body;
 
-    getPassiveTypes(message, type => {
+    getPassiveTypes(message, groupInfo, type => {
         // Call generic handler and pass in all message info (handler can
         // decide whether they want to use it selectively via parameters)
         const match = message.match(type.regex);
@@ -50,9 +51,16 @@ exports.handlePassive = (messageObj, groupInfo, api) => {
     });
 };
 
-function getPassiveTypes(text, cb) {
+// Adds the passive types from a plugin (see plugins/index.js)
+exports.addPlugin = plugin => {
+    plugin.passive.forEach(type => {
+        passiveTypes.push({ "plugin": plugin.name, ...type });
+    });
+};
+
+function getPassiveTypes(text, groupInfo, cb) {
     passiveTypes.forEach(type => {
-        if (text.match(type.regex)) {
+        if (text.match(type.regex) && plugins.isEnabled(type.plugin, groupInfo)) {
             cb(type);
         }
     });
@@ -0,0 +1,213 @@
+/*
+    Pipelines run several commands from a single message, one after another:
+
+      nano space moon | bw | overlay hello
+      nano choose pizza, tacos && remind me to order {} in 1 hour
+
+    Each stage's output is its first message (or, for image commands, the image
+    it produces), and the text of that output replaces "{}" in the next stage.
+    Stages followed by "|" pass their output to the next stage instead of sending
+    it: images go straight into the next image command (see processImage in
+    utils.js) and text is added to the end of the next command if it has no "{}".
+    Stages followed by "&&" send their output as usual. Either way, the pipeline
+    stops if a stage fails (i.e. sends an error).
+
+    Stages are run in an async context (see AsyncLocalStorage) so that messages
+    sent by a command can be traced back to its stage, however deep in callbacks
+    they're sent from. The same context is used to keep track of the async work
+    (timers, file and network requests, etc.) that each stage has started, so that
+    a stage that doesn't send anything ends once its command has finished.
+*/
+const { AsyncLocalStorage, createHook } = require("async_hooks");
+const jimp = require("jimp"); // For reading images passed between stages
+const config = require("./config");
+
+const stages = new AsyncLocalStorage();
+
+// Async resources (by ID) that stages are waiting on, while any pipelines are running
+// (promises are left out because they're settled by other resources or by code that
+// runs before a stage is checked, and aren't destroyed until they're garbage collected)
+const pending = new Map();
+let running = 0; // Number of pipelines that are running
+const tracker = createHook({
+    "init": (asyncId, type) => {
+        const stage = stages.getStore();
+        if (stage && !stage.done && type != "PROMISE") {
+            pending.set(asyncId, stage);
+            stage.pending++;
+        }
+    },
+    "destroy": asyncId => {
+        const stage = pending.get(asyncId);
+        if (stage) {
+            pending.delete(asyncId);
+            stage.pending--;
+            if (stage.pending == 0) {
+                // Checked outside of the hook (and the stage) once any callbacks have run
+                stages.exit(() => setImmediate(stage.check));
+            }
+        }
+    }
+});
+
+/*
+Splits the text of a command into pipeline stages, each with its text and the
+operator ("|" or "&&") joining it to the previous stage. Returns null if the
+text isn't a pipeline: it has no operators, or any of the text after them isn't
+a command (according to isCommand), in which case it's taken as it is.
+*/
+exports.split = (text, isCommand) => {
+    const parts = text.split(/\s+(\||&&)\s+/);
+    if (parts.length == 1) {
+        return null;
+    }
+    const split = [{ "text": parts[0] }];
+    for (let i = 1; i < parts.length; i += 2) {
+        split.push({ "operator": parts[i], "text": parts[i + 1] });
+    }
+    return split.slice(1).every(stage => isCommand(stage.text)) ? split : null;
+};
+
+// Fills a stage's text in with the output of the previous one
+function fillInput(stage, input) {
+    if (stage.text.includes("{}")) {
+        return stage.text.split("{}").join(input.text);
+    }
+    return (stage.operator == "|" && input.text) ? `${stage.text} ${input.text}` : stage.text;
+}
+
+/*
+Runs the stages from split for a thread in order, calling runStage with the
+(filled-in) text of each one; anything that it sends to the thread is taken as
+the stage's output. Stages that finish without sending anything (or haven't sent
+anything within `config.pipelineTimeout` seconds, e.g. because they're waiting
+on a long timer) are taken to have succeeded without output.
+*/
+exports.run = (split, threadId, runStage) => {
+    if (running++ == 0) {
+        tracker.enable();
+    }
+    const end = () => {
+        if (--running == 0) {
+            tracker.disable();
+            pending.clear();
+        }
+    };
+    const next = (i, input) => {
+        if (i >= split.length) {
+            return end();
+        }
+        const stage = {
+            "threadId": threadId,
+            "input": input,
+            "capture": (i + 1 < split.length && split[i + 1].operator == "|"),
+            "image": null, // Image being worked on by an image command in this stage
+            "done": false,
+            "pending": 0 // Number of async resources that the stage is waiting on
+        };
+        const timeout = setTimeout(() => stage.finish(false, { "text": "", "image": null }), config.pipelineTimeout * 1000);
+        stage.finish = (failed, output) => {
+            if (!stage.done) {
+                stage.done = true;
+                clearTimeout(timeout);
+                pending.forEach((owner, asyncId) => {
+                    if (owner == stage) {
+                        pending.delete(asyncId);
+                    }
+                });
+                if (failed) {
+                    end();
+                } else {
+                    next(i + 1, output);
+                }
+            }
+        };
+        // Ends the stage without output if its command has finished without sending any
+        stage.check = () => {
+            if (stage.pending == 0) {
+                stage.finish(false, { "text": "", "image": null });
+            }
+        };
+        stages.run(stage, () => runStage(fillInput(split[i], input)));
+        stages.exit(() => setImmediate(stage.check));
+    };
+    next(0, { "text": "", "image": null });
+};
+
+// Stops the pipeline that the current code is running in (if any) without running
+// the rest of its stages, so that anything sent afterwards is sent as usual
+exports.abort = () => {
+    const stage = this.current();
+    if (stage) {
+        stage.finish(true);
+    }
+};
+
+// Gets the stage that the current code is running in (if any)
+exports.current = () => stages.getStore();
+
+/*
+Checks a message being sent to a thread, and returns null if it was intercepted as
+the output of the current stage (and shouldn't be sent), in which case the callback
+is called as if it had been sent. Otherwise, returns the callback to send it with
+(which moves the pipeline along once it's sent if it's the stage's output). Once an
+image command has picked up an image in a stage, only the image it sends counts as
+the stage's output, so other updates from it are sent as usual.
+*/
+exports.intercept = (msg, threadId, callback) => {
+    const stage = this.current();
+    if (!stage || stage.done || stage.threadId != threadId) {
+        return callback;
+    }
+    const body = (typeof msg == "string") ? msg : (msg.body || "");
+    const failed = body.startsWith("Error: ");
+    const attachments = [].concat(msg.attachment || []);
+    if (stage.image && attachments.length == 0 && !failed) {
+        return callback;
+    }
+
+    if (!stage.capture || failed) {
+        // Sent as usual, and the pipeline carries on with it as the output
+        stage.done = true; // Don't let anything else count as the output in the meantime
+        return (err, minfo) => {
+            callback(err, minfo);
+            stage.done = false;
+            stage.finish(failed || Boolean(err), { "text": body, "image": null });
+        };
+    }
+    const file = attachments.find(attachment => attachment.path);
+    if (stage.image || !file) {
+        discard(attachments, () => {
+            stage.finish(false, { "text": body, "image": stage.image });
+            callback();
+        });
+    } else {
+        // Read images sent by other commands before they're cleaned up
+        jimp.read(file.path, (err, image) => {
+            discard(attachments, () => {
+                stage.finish(false, { "text": body, "image": err ? null : image });
+                callback();
+            });
+        });
+    }
+    return null;
+};
+
+// Closes the streams of attachments that won't be sent (before their files
+// can be cleaned up) and then calls the callback
+function discard(attachments, callback) {
+    const streams = attachments.filter(attachment => attachment.destroy);
+    let open = streams.length;
+    if (open == 0) {
+        return callback();
+    }
+    streams.forEach(stream => {
+        stream.on("error", () => { }).on("close", () => {
+            open--;
+            if (open == 0) {
+                callback();
+            }
+        });
+        stream.destroy();
+    });
+}
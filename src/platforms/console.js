@@ -0,0 +1,262 @@
+/*
+    Console platform for developing and demoing the bot offline.
+
+    Runs the bot against simulated chats (see simulator.js) in the terminal:
+    anything typed is sent to the current thread as the current user, and
+    everything the bot does is printed. Lines starting with a slash control the
+    simulation (type /help to see them all), so you can switch users and
+    threads, add and remove members, react to and reply to messages, and send
+    attachments.
+
+    Start it with `npm run console` (or `node src/main.js --console`). Data is
+    stored with the `consoleStorage` settings in config.js so that it doesn't
+    touch the real bot's data.
+*/
+const path = require("path");
+const readline = require("readline");
+const config = require("../config");
+const simulator = require("./simulator");
+
+// The simulated world that the console starts with
+const ownerId = config.owner.id;
+const defaultUsers = {
+    [ownerId]: config.owner.names.long,
+    "1001": "Alice Smith",
+    "1002": "Bob Jones",
+    "1003": "Carol White"
+};
+const defaultThreads = {
+    "2001": {
+        "name": "Console Chat",
+        "members": Object.keys(defaultUsers),
+        "admins": [config.bot.id, ownerId],
+        "isGroup": true
+    },
+    [ownerId]: {
+        "members": [ownerId],
+        "isGroup": false
+    }
+};
+
+const helpText = `
+Type a message to send it to the current thread as the current user. Commands:
+  /as NAME              Switch to another user (created if they don't exist)
+  /thread ID|NAME       Switch to another thread (a new group is created if it doesn't exist)
+  /threads              List threads
+  /members              List the members of the current thread
+  /join NAME            Add a user to the current thread
+  /leave NAME           Remove a user from the current thread
+  /react EMOJI [ID]     React to a message (the bot's last message by default)
+  /reply ID MESSAGE     Reply to a message
+  /attach FILE|URL [MESSAGE]  Send an attachment (images are sent as photos)
+  /help                 Show this message
+  /quit                 Exit`;
+
+exports.create = () => {
+    const sim = simulator.create({
+        "botId": config.bot.id,
+        "botName": config.bot.names.long,
+        "users": defaultUsers,
+        "threads": defaultThreads
+    });
+    const banned = [];
+    let currentUser = ownerId;
+    let currentThread = "2001";
+    let lastBotMessage = null;
+    let rl;
+
+    function print(line) {
+        if (rl) {
+            // Keep the prompt intact when output arrives asynchronously
+            readline.clearLine(process.stdout, 0);
+            readline.cursorTo(process.stdout, 0);
+            console.log(line);
+            rl.prompt(true);
+        } else {
+            console.log(line);
+        }
+    }
+
+    function threadName(threadId) {
+        const thread = sim.getThread(threadId);
+        if (thread && thread.threadName) {
+            return thread.threadName;
+        }
+        const user = sim.getUser(threadId);
+        return user ? `DM with ${user.name}` : threadId;
+    }
+
+    function setPrompt() {
+        rl.setPrompt(`[${threadName(currentThread)}] ${sim.getUser(currentUser).name}> `);
+    }
+
+    // Finds a user by ID or (partial) name
+    function findUser(name) {
+        const lower = name.toLowerCase();
+        const ids = [config.bot.id].concat(Object.keys(defaultUsers));
+        const thread = sim.getThread(currentThread);
+        thread.participantIDs.forEach(id => { if (!ids.includes(id)) { ids.push(id); } });
+        return ids.map(id => sim.getUser(id)).find(u => u && (u.id == name || u.name.toLowerCase().startsWith(lower)));
+    }
+
+    function findOrCreateUser(name) {
+        let user = findUser(name);
+        if (!user) {
+            let id = 1004;
+            while (sim.getUser(`${id}`)) { id++; }
+            user = sim.addUser(`${id}`, name.charAt(0).toUpperCase() + name.substring(1));
+            defaultUsers[user.id] = user.name;
+            print(`* Created user ${user.name} (${user.id})`);
+        }
+        return user;
+    }
+
+    // Prints everything that happens in the simulation
+    sim.on("message", message => {
+        if (message.senderID != config.bot.id) {
+            return; // Already visible as typed
+        }
+        lastBotMessage = message.messageID;
+        const where = message.threadID == currentThread ? "" : ` in ${threadName(message.threadID)}`;
+        const reply = message.messageReply ? ` (replying to ${message.messageReply.messageID})` : "";
+        let out = `${config.bot.names.short || config.bot.names.long}${where} [${message.messageID}]${reply}: ${message.body}`;
+        message.attachments.forEach(a => { out += `\n  [${a.type}: ${a.source || a.name}]`; });
+        if (message.url) { out += `\n  [link: ${message.url}]`; }
+        print(out);
+    });
+    sim.on("reaction", r => {
+        if (r.userId == config.bot.id) { print(`* Bot reacted ${r.reaction} to ${r.messageId}`); }
+    });
+    sim.on("kick", e => print(`* Bot removed ${sim.getUser(e.userId).name} from ${threadName(e.threadId)}`));
+    sim.on("add", e => print(`* Bot added ${sim.getUser(e.userId).name} to ${threadName(e.threadId)}`));
+    sim.on("nickname", e => print(`* Bot set ${sim.getUser(e.userId).name}'s nickname to "${e.nickname || ""}"`));
+    ["title", "emoji", "color", "image"].forEach(event => {
+        sim.on(event, e => print(`* Bot changed the ${event} of ${e.threadId} to ${e.value}`));
+    });
+    sim.on("admin", e => print(`* Bot ${e.status ? "promoted" : "demoted"} ${e.userIds.map(id => sim.getUser(id).name).join(", ")}`));
+    sim.on("unsend", e => print(`* Bot unsent ${e.messageId}`));
+    sim.on("poll", e => print(`* Bot created a poll "${e.title}": ${Object.keys(e.options).join(", ")}`));
+
+    function handleLine(line) {
+        const input = line.trim();
+        if (!input) {
+            return;
+        }
+        if (!input.startsWith("/")) {
+            sim.receive(currentThread, currentUser, input);
+            return;
+        }
+        const [command, ...rest] = input.substring(1).split(" ");
+        const arg = rest.join(" ");
+        switch (command) {
+            case "as": {
+                currentUser = findOrCreateUser(arg).id;
+                break;
+            }
+            case "thread": {
+                const found = sim.getThreadIds().find(id => id == arg || threadName(id).toLowerCase() == arg.toLowerCase());
+                if (found) {
+                    currentThread = found;
+                } else {
+                    let id = 2002;
+                    while (sim.getThread(`${id}`)) { id++; }
+                    currentThread = `${id}`;
+                    sim.addThread(currentThread, { "name": arg, "members": [currentUser], "admins": [currentUser], "isGroup": true });
+                    print(`* Created group ${arg} (${currentThread})`);
+                }
+                break;
+            }
+            case "threads": {
+                sim.getThreadIds().forEach(id => print(`${id}\t${threadName(id)}`));
+                break;
+            }
+            case "members": {
+                const thread = sim.getThread(currentThread);
+                const admins = thread.adminIDs.map(a => a.id);
+                thread.participantIDs.forEach(id => {
+                    const nickname = thread.nicknames[id] ? ` "${thread.nicknames[id]}"` : "";
+                    print(`${id}\t${sim.getUser(id).name}${nickname}${admins.includes(id) ? " (admin)" : ""}`);
+                });
+                break;
+            }
+            case "join": {
+                sim.join(currentThread, findOrCreateUser(arg).id, currentUser);
+                break;
+            }
+            case "leave": {
+                const user = findUser(arg);
+                if (user) {
+                    sim.leave(currentThread, user.id);
+                } else {
+                    print(`* No user called ${arg}`);
+                }
+                break;
+            }
+            case "react": {
+                const messageId = rest[1] || lastBotMessage;
+                try {
+                    sim.react(messageId, currentUser, rest[0]);
+                } catch (e) {
+                    print(`* ${e.message}`);
+                }
+                break;
+            }
+            case "reply": {
+                if (!sim.getMessage(rest[0])) {
+                    print(`* No message with ID ${rest[0]}`);
+                } else {
+                    sim.receive(currentThread, currentUser, rest.slice(1).join(" "), { "replyTo": rest[0] });
+                }
+                break;
+            }
+            case "attach": {
+                const source = /^https?:/.test(rest[0]) ? rest[0] : path.resolve(rest[0] || "");
+                sim.receive(currentThread, currentUser, rest.slice(1).join(" "), { "attachments": [sim.makeAttachment(source)] });
+                break;
+            }
+            case "help": {
+                print(helpText);
+                break;
+            }
+            case "quit": {
+                process.exit();
+                break;
+            }
+            default: {
+                print(`* Unknown command /${command} (type /help for a list)`);
+            }
+        }
+        setPrompt();
+    }
+
+    return {
+        "name": "console",
+        "login": callback => {
+            rl = readline.createInterface({ "input": process.stdin, "output": process.stdout });
+            setPrompt();
+            print(`Simulating chats locally as ${config.bot.names.long}. Type /help for help.`);
+            rl.on("line", line => {
+                handleLine(line);
+                rl.prompt();
+            });
+            rl.on("close", () => process.exit());
+            callback(null, sim.api);
+            rl.prompt();
+        },
+        "monitor": () => { }, // Nothing to monitor
+        "banned": {
+            "isUser": (id, callback) => callback(banned.includes(id)),
+            "addUser": (id, callback) => {
+                const success = !banned.includes(id);
+                if (success) { banned.push(id); }
+                callback(success);
+            },
+            "removeUser": (id, callback) => {
+                const success = banned.includes(id);
+                if (success) { banned.splice(banned.indexOf(id), 1); }
+                callback(success);
+            }
+        },
+        "storage": config.consoleStorage
+    };
+};
@@ -0,0 +1,34 @@
+/*
+    Chat platforms that the bot can run on.
+
+    The rest of the bot talks to the platform through an `api` object with the
+    same interface as facebook-chat-api (sendMessage, getThreadInfo,
+    listenMqtt, etc.), so every platform has to provide one. Each platform
+    module exposes a `create(credentials)` function that returns an object
+    with these properties:
+
+    name                        – the platform's name
+    login(callback)             – connects and passes (err, api)
+    monitor(api, onRelogin)     – watches the connection, calling onRelogin with a
+                                  new api if it had to log in again (optional to act on)
+    banned                      – { isUser, addUser, removeUser } for the list of
+                                  users that the bot ignores (same interface as BotCore's)
+    storage                     – storage options to use instead of the `storage`
+                                  setting in config.js (or null to use it)
+
+    The platform is chosen with the `platform` setting in config.js or, for the
+    console, the --console command-line flag.
+*/
+const platforms = {
+    "messenger": "./messenger", // Facebook Messenger (via BotCore and facebook-chat-api)
+    "console": "./console" // Simulated chats in the terminal
+};
+
+exports.create = (name, credentials = {}) => {
+    const platform = platforms[name];
+    if (!platform) {
+        throw new Error(`Unknown platform "${name}" (expected one of ${Object.keys(platforms).join(", ")})`);
+    }
+    // Platforms are required lazily so that unused ones don't need their dependencies
+    return require(platform).create(credentials);
+};
@@ -0,0 +1,20 @@
+/*
+    Facebook Messenger platform (the original behavior of the bot).
+
+    Login, connection monitoring, and the banned user list are all handled by
+    BotCore, and the api object is facebook-chat-api's.
+*/
+const botcore = require("messenger-botcore");
+const config = require("../config");
+
+exports.create = credentials => ({
+    "name": "messenger",
+    "login": callback => {
+        botcore.login.login(credentials, callback);
+    },
+    "monitor": (api, onRelogin) => {
+        botcore.monitoring.monitor(api, config.owner.id, config.bot.names.short, credentials, process, onRelogin);
+    },
+    "banned": botcore.banned,
+    "storage": null
+});
@@ -0,0 +1,443 @@
+/*
+    A simulated chat platform that implements the subset of the
+    facebook-chat-api interface used by the bot, entirely in memory.
+
+    It keeps track of users, threads (members, admins, nicknames, title,
+    emoji, color, image), and every message sent in them, so that anything the
+    bot does through the API is reflected in later calls. Messages, reactions,
+    and membership changes can be fed to the bot as if they came from real
+    users, and everything the bot does is emitted as an event:
+
+    "message"   – (message) any message in any thread, from the bot or a user
+    "reaction"  – ({ threadId, messageId, userId, reaction })
+    "kick"      – ({ threadId, userId })
+    "add"       – ({ threadId, userId })
+    "nickname"  – ({ threadId, userId, nickname })
+    "title", "emoji", "color", "image" – ({ threadId, value })
+    "admin"     – ({ threadId, userIds, status })
+    "unsend"    – ({ threadId, messageId })
+    "poll"      – ({ threadId, title, options })
+
+    Used by the console platform and the end-to-end tests.
+*/
+const EventEmitter = require("events");
+const path = require("path");
+
+// Same names as facebook-chat-api (null is the default color)
+const threadColors = {
+    "MessengerBlue": null,
+    "Viking": "#44bec7",
+    "GoldenPoppy": "#ffc300",
+    "RadicalRed": "#fa3c4c",
+    "Shocking": "#d696bb",
+    "PictonBlue": "#6699cc",
+    "FreeSpeechGreen": "#13cf13",
+    "Pumpkin": "#ff7e29",
+    "LightCoral": "#e68585",
+    "MediumSlateBlue": "#7646ff",
+    "DeepSkyBlue": "#20cef5",
+    "Fern": "#67b868",
+    "Cameo": "#d4a88c",
+    "BrilliantRose": "#ff5ca1",
+    "BilobaFlower": "#a695c7"
+};
+
+/*
+Creates a new simulated platform. Options (all optional):
+
+botId     – user ID of the bot's account
+botName   – name of the bot's account
+users     – map from user IDs to names (first name first) to register up front
+threads   – map from thread IDs to { name, members: [userId], admins: [userId], isGroup }
+*/
+exports.create = (options = {}) => {
+    const sim = new EventEmitter();
+    const botId = options.botId || "0";
+    const users = {};
+    const threads = {};
+    const messages = {}; // Map from message IDs to messages
+    const listeners = [];
+    let nextId = 1;
+
+    // Registers a user with a full name (first name is the first word)
+    sim.addUser = (id, name) => {
+        users[id] = {
+            "id": id,
+            "name": name,
+            "firstName": name.split(" ")[0]
+        };
+        return users[id];
+    };
+
+    // Registers a thread; the bot is always a member
+    sim.addThread = (threadId, info = {}) => {
+        const members = (info.members || []).filter(id => id != botId);
+        threads[threadId] = {
+            "threadID": threadId,
+            "threadName": info.name || null,
+            "participantIDs": [botId].concat(members),
+            "adminIDs": (info.admins || []).map(id => ({ "id": id })),
+            "nicknames": {},
+            "emoji": null,
+            "color": null,
+            "imageSrc": null,
+            "isGroup": info.isGroup === undefined ? members.length > 1 : info.isGroup,
+            "muted": false,
+            "archived": false,
+            "history": []
+        };
+        return threads[threadId];
+    };
+
+    sim.getUser = id => users[id];
+    sim.getThread = threadId => threads[threadId];
+    sim.getMessage = messageId => messages[messageId];
+    sim.getThreadIds = () => Object.keys(threads);
+    sim.botId = botId;
+
+    sim.addUser(botId, options.botName || "Bot");
+    Object.keys(options.users || {}).forEach(id => sim.addUser(id, options.users[id]));
+    Object.keys(options.threads || {}).forEach(id => sim.addThread(id, options.threads[id]));
+
+    function dispatch(message) {
+        listeners.forEach(listener => listener(null, message));
+    }
+
+    function requireThread(threadId, callback) {
+        const thread = threads[threadId];
+        if (!thread) {
+            callback(new Error(`Thread ${threadId} doesn't exist`));
+        }
+        return thread;
+    }
+
+    function logEvent(threadId, author, type, data, body) {
+        dispatch({
+            "type": "event",
+            "threadID": threadId,
+            "author": author,
+            "logMessageType": type,
+            "logMessageData": data,
+            "logMessageBody": body
+        });
+    }
+
+    // Describes an attachment passed to sendMessage (usually a file stream)
+    function describeAttachment(attachment) {
+        const source = attachment.path || (attachment.uri && attachment.uri.href) || attachment.url;
+        const name = source ? path.basename(String(source)) : "attachment";
+        const types = {
+            "photo": /\.(png|jpe?g|gif|webp)$/i,
+            "audio": /\.(mp3|wav|m4a)$/i,
+            "video": /\.(mp4|mov)$/i
+        };
+        const type = Object.keys(types).find(t => types[t].test(name)) || "file";
+        return { "type": type, "name": name, "source": source };
+    }
+
+    function addMessage(threadId, senderId, msg, replyId) {
+        const thread = threads[threadId];
+        const content = typeof msg == "string" ? { "body": msg } : msg;
+        let attachments = content.attachment || [];
+        if (!Array.isArray(attachments)) {
+            attachments = [attachments];
+        }
+        const message = {
+            "type": "message",
+            "threadID": threadId,
+            "messageID": `mid.${nextId++}`,
+            "senderID": senderId,
+            "senderName": users[senderId] ? users[senderId].name : senderId,
+            "body": content.body || content.emoji || "", // Big emoji come through as the message body
+            "mentions": (content.mentions || []).reduce((obj, mention) => {
+                obj[mention.id] = mention.tag;
+                return obj;
+            }, {}),
+            "attachments": attachments.map(a => (a.type && !a.pipe ? a : describeAttachment(a))),
+            "url": content.url,
+            "timestamp": `${Date.now()}`,
+            "isGroup": thread.isGroup,
+            "reactions": {}
+        };
+        if (replyId && messages[replyId]) {
+            message.type = "message_reply";
+            message.messageReply = messages[replyId];
+        }
+        messages[message.messageID] = message;
+        thread.history.push(message);
+        return message;
+    }
+
+    // -- Feeding input to the bot as a user --
+
+    // Sends a message from a user; options can include attachments (objects
+    // with a type like "photo" and a url) and the ID of a message to reply to
+    sim.receive = (threadId, senderId, body, opts = {}) => {
+        const message = addMessage(threadId, senderId, {
+            "body": body,
+            "attachment": opts.attachments || [],
+            "mentions": opts.mentions
+        }, opts.replyTo);
+        sim.emit("message", message);
+        dispatch(message);
+        return message;
+    };
+
+    // Builds an attachment for a file path or URL, shaped like the ones the
+    // real API includes in incoming messages
+    sim.makeAttachment = source => {
+        const described = describeAttachment({ "path": source });
+        const id = `${nextId++}`;
+        return {
+            "type": described.type,
+            "ID": id,
+            "name": described.name.replace(/\.[^.]*$/, ""),
+            "filename": described.name,
+            "url": source,
+            "previewUrl": source,
+            "largePreviewUrl": source
+        };
+    };
+
+    // Reacts to a message as a user
+    sim.react = (messageId, userId, reaction) => {
+        const message = messages[messageId];
+        if (!message) {
+            throw new Error(`Message ${messageId} doesn't exist`);
+        }
+        message.reactions[userId] = reaction;
+        sim.emit("reaction", { "threadId": message.threadID, "messageId": messageId, "userId": userId, "reaction": reaction });
+        dispatch({
+            "type": "message_reaction",
+            "threadID": message.threadID,
+            "messageID": messageId,
+            "reaction": reaction,
+            "senderID": message.senderID,
+            "userID": userId,
+            "timestamp": Date.now()
+        });
+    };
+
+    // Adds a user to a thread as if another member had added them
+    sim.join = (threadId, userId, adderId = userId) => {
+        const thread = threads[threadId];
+        if (!thread.participantIDs.includes(userId)) {
+            thread.participantIDs.push(userId);
+        }
+        logEvent(threadId, adderId, "log:subscribe", {
+            "addedParticipants": [{ "userFbId": userId, "firstName": users[userId].firstName, "fullName": users[userId].name }]
+        }, `${users[userId].name} joined the group.`);
+    };
+
+    // Removes a user from a thread as if they had left
+    sim.leave = (threadId, userId) => {
+        const thread = threads[threadId];
+        thread.participantIDs = thread.participantIDs.filter(id => id != userId);
+        logEvent(threadId, userId, "log:unsubscribe", { "leftParticipantFbId": userId }, `${users[userId].name} left the group.`);
+    };
+
+    // -- The facebook-chat-api interface --
+
+    const api = {
+        "threadColors": threadColors,
+        "getCurrentUserID": () => botId,
+        "setOptions": () => { },
+        "listenMqtt": callback => {
+            listeners.push(callback);
+            return () => {
+                const i = listeners.indexOf(callback);
+                if (i > -1) { listeners.splice(i, 1); }
+            };
+        },
+        "sendMessage": (msg, threadId, callback = () => { }, replyId = null) => {
+            if (Array.isArray(threadId)) {
+                // Like the real API, sending to a list of users starts a new group with them
+                let id = 3001;
+                while (threads[`${id}`]) { id++; }
+                sim.addThread(`${id}`, { "members": threadId.filter(uid => users[uid]), "isGroup": true });
+                threadId = `${id}`;
+            }
+            if (!requireThread(threadId, callback)) { return; }
+            const message = addMessage(threadId, botId, msg, replyId);
+            setImmediate(() => {
+                sim.emit("message", message);
+                callback(null, { "threadID": threadId, "messageID": message.messageID, "timestamp": message.timestamp });
+            });
+        },
+        "unsendMessage": (messageId, callback = () => { }) => {
+            const message = messages[messageId];
+            if (!message || message.senderID != botId) {
+                return callback(new Error("Can't unsend that message"));
+            }
+            message.body = "";
+            message.unsent = true;
+            sim.emit("unsend", { "threadId": message.threadID, "messageId": messageId });
+            setImmediate(() => callback(null));
+        },
+        "setMessageReaction": (reaction, messageId, callback = () => { }) => {
+            const message = messages[messageId];
+            if (message) {
+                message.reactions[botId] = reaction;
+                sim.emit("reaction", { "threadId": message.threadID, "messageId": messageId, "userId": botId, "reaction": reaction });
+            }
+            setImmediate(() => callback(message ? null : new Error(`Message ${messageId} doesn't exist`)));
+        },
+        "getUserInfo": (ids, callback) => {
+            const result = {};
+            [].concat(ids).forEach(id => {
+                const user = users[id];
+                if (user) {
+                    result[id] = {
+                        "name": user.name,
+                        "firstName": user.firstName,
+                        "vanity": user.firstName.toLowerCase(),
+                        "thumbSrc": null,
+                        "profileUrl": `https://www.facebook.com/${id}`,
+                        "gender": null,
+                        "type": "user",
+                        "isFriend": true,
+                        "isBirthday": false
+                    };
+                }
+            });
+            setImmediate(() => callback(null, result));
+        },
+        "getUserID": (name, callback) => {
+            const lower = name.toLowerCase();
+            const matches = Object.keys(users).filter(id => id != botId && users[id].name.toLowerCase().includes(lower));
+            setImmediate(() => {
+                if (matches.length == 0) {
+                    return callback({ "error": "Bes match not found" }); // Mirrors the real API's error
+                }
+                callback(null, matches.map((id, i) => ({
+                    "userID": id,
+                    "name": users[id].name,
+                    "type": "user",
+                    "photoUrl": null,
+                    "profileUrl": `https://www.facebook.com/${id}`,
+                    "indexRank": i,
+                    "isVerified": false
+                })));
+            });
+        },
+        "getThreadInfo": (threadId, callback) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            const info = { ...thread, "messageCount": thread.history.length };
+            delete info.history;
+            setImmediate(() => callback(null, JSON.parse(JSON.stringify(info))));
+        },
+        "getThreadList": (limit, timestamp, tags, callback) => {
+            const list = Object.keys(threads).slice(0, limit).map(id => ({
+                "threadID": id,
+                "name": threads[id].threadName,
+                "isGroup": threads[id].isGroup,
+                "participants": threads[id].participantIDs.map(uid => ({ "userID": uid, "name": users[uid] ? users[uid].name : uid })),
+                "isArchived": threads[id].archived
+            }));
+            setImmediate(() => callback(null, list));
+        },
+        "getThreadHistory": (threadId, amount, timestamp, callback) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            setImmediate(() => callback(null, thread.history.slice(-amount)));
+        },
+        "markAsReadAll": (callback = () => { }) => setImmediate(() => callback(null)),
+        "muteThread": (threadId, seconds, callback = () => { }) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            thread.muted = seconds != 0;
+            setImmediate(() => callback(null));
+        },
+        "changeArchivedStatus": (threadIds, archive, callback = () => { }) => {
+            [].concat(threadIds).forEach(id => {
+                if (threads[id]) { threads[id].archived = archive; }
+            });
+            setImmediate(() => callback(null));
+        },
+        "changeNickname": (nickname, threadId, userId, callback = () => { }) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            if (nickname) {
+                thread.nicknames[userId] = nickname;
+            } else {
+                delete thread.nicknames[userId];
+            }
+            sim.emit("nickname", { "threadId": threadId, "userId": userId, "nickname": nickname });
+            logEvent(threadId, botId, "log:user-nickname", { "participant_id": userId, "nickname": nickname || "" });
+            setImmediate(() => callback(null));
+        },
+        "setTitle": (title, threadId, callback = () => { }) => {
+            changeThread(threadId, "threadName", "title", title, "log:thread-name", callback);
+        },
+        "changeThreadEmoji": (emoji, threadId, callback = () => { }) => {
+            changeThread(threadId, "emoji", "emoji", emoji, "log:thread-icon", callback);
+        },
+        "changeThreadColor": (color, threadId, callback = () => { }) => {
+            const hex = color ? color.replace("#", "").toLowerCase() : null;
+            changeThread(threadId, "color", "color", hex, "log:thread-color", callback);
+        },
+        "changeGroupImage": (image, threadId, callback = () => { }) => {
+            changeThread(threadId, "imageSrc", "image", describeAttachment(image).source, "log:thread-image", callback);
+        },
+        "changeAdminStatus": (threadId, userIds, status, callback = () => { }) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            const ids = [].concat(userIds);
+            const admins = thread.adminIDs.map(a => a.id).filter(id => !ids.includes(id));
+            thread.adminIDs = (status ? admins.concat(ids) : admins).map(id => ({ "id": id }));
+            sim.emit("admin", { "threadId": threadId, "userIds": ids, "status": status });
+            setImmediate(() => callback(null));
+        },
+        "addUserToGroup": (userId, threadId, callback = () => { }) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            if (!users[userId]) {
+                return setImmediate(() => callback(new Error(`User ${userId} doesn't exist`)));
+            }
+            if (!thread.participantIDs.includes(userId)) {
+                thread.participantIDs.push(userId);
+            }
+            sim.emit("add", { "threadId": threadId, "userId": userId });
+            setImmediate(() => {
+                callback(null);
+                logEvent(threadId, botId, "log:subscribe", {
+                    "addedParticipants": [{ "userFbId": userId, "firstName": users[userId].firstName, "fullName": users[userId].name }]
+                });
+            });
+        },
+        "removeUserFromGroup": (userId, threadId, callback = () => { }) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            if (!thread.participantIDs.includes(userId)) {
+                return setImmediate(() => callback(new Error(`User ${userId} isn't in thread ${threadId}`)));
+            }
+            thread.participantIDs = thread.participantIDs.filter(id => id != userId);
+            sim.emit("kick", { "threadId": threadId, "userId": userId });
+            setImmediate(() => {
+                callback(null);
+                logEvent(threadId, botId, "log:unsubscribe", { "leftParticipantFbId": userId });
+            });
+        },
+        "createPoll": (title, threadId, pollOptions = {}, callback = () => { }) => {
+            const thread = requireThread(threadId, callback);
+            if (!thread) { return; }
+            sim.emit("poll", { "threadId": threadId, "title": title, "options": pollOptions });
+            setImmediate(() => callback(null));
+        }
+    };
+
+    function changeThread(threadId, prop, event, value, logType, callback) {
+        const thread = requireThread(threadId, callback);
+        if (!thread) { return; }
+        thread[prop] = value;
+        sim.emit(event, { "threadId": threadId, "value": value });
+        setImmediate(() => {
+            callback(null);
+            logEvent(threadId, botId, logType, { [event]: value });
+        });
+    }
+
+    sim.api = api;
+    return sim;
+};
@@ -0,0 +1,110 @@
+/*
+    Plugins add commands, passive handlers, and Easter eggs to the bot without
+    touching its core modules. Every other module in this directory (either a
+    single file or a directory with an index.js) is a plugin, and exports:
+
+    name        – unique name used to turn the plugin on and off (lowercase)
+    description – what the plugin adds (shown by the "plugins" command)
+    commands    – (optional) map from command keys to entries with the same fields
+                  as those in commands.js, plus:
+                    category – key of the help category to list the command in
+                    run      – function called when the command matches, with the
+                               same arguments as those in runcommand.js
+    categories  – (optional) map from keys to any new help categories used above,
+                  each with a display_name and description
+    passive     – (optional) list of passive types, each with a regex and handler
+                  (see passive.js)
+    eggs        – (optional) list of Easter eggs, each with a regex or alt function
+                  and a func (see easter.js)
+
+    Plugins listed in `plugins.disabled` in config.js aren't loaded at all, and any
+    others can be turned off in individual chats with the "plugins" command (which
+    adds them to the chat's `disabledPlugins`).
+*/
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+let loaded; // Plugins enabled for this deployment (set on first load)
+
+// Finds and validates the plugins in a directory, and calls back with them sorted by name
+exports.discover = (dir, callback) => {
+    fs.readdir(dir, (err, entries) => {
+        if (err) { return callback(err); }
+        // Keep .js files and directories with an index.js, checking one entry at a time
+        const files = [];
+        const check = i => {
+            if (i >= entries.length) { return found(files); }
+            const full = path.join(dir, entries[i]);
+            if (entries[i].endsWith(".js")) {
+                if (full != __filename) { files.push(entries[i]); }
+                return check(i + 1);
+            }
+            fs.access(path.join(full, "index.js"), accessErr => {
+                if (!accessErr) { files.push(entries[i]); }
+                check(i + 1);
+            });
+        };
+        const found = pluginFiles => {
+            const names = {};
+            let plugins;
+            try {
+                plugins = pluginFiles.map(file => {
+                    const plugin = normalize(require(path.join(dir, file)), file);
+                    if (names[plugin.name]) {
+                        throw new Error(`Plugin "${plugin.name}" is defined by both ${names[plugin.name]} and ${file}`);
+                    }
+                    names[plugin.name] = file;
+                    return plugin;
+                }).sort((a, b) => a.name.localeCompare(b.name));
+            } catch (e) {
+                return callback(e);
+            }
+            callback(null, plugins);
+        };
+        check(0);
+    });
+};
+
+// Fills in a plugin's optional fields and checks that its commands can be run
+function normalize(plugin, file) {
+    if (!plugin.name || typeof plugin.name != "string") {
+        throw new Error(`Plugin in ${file} has no name`);
+    }
+    plugin.name = plugin.name.toLowerCase();
+    plugin.description = plugin.description || "";
+    ["commands", "categories"].forEach(prop => { plugin[prop] = plugin[prop] || {}; });
+    ["passive", "eggs"].forEach(prop => { plugin[prop] = plugin[prop] || []; });
+
+    Object.keys(plugin.commands).forEach(key => {
+        const entry = plugin.commands[key];
+        if (typeof entry.run != "function") {
+            throw new Error(`Command "${key}" in plugin "${plugin.name}" has no run function`);
+        }
+        if (!entry.category) {
+            throw new Error(`Command "${key}" in plugin "${plugin.name}" has no category`);
+        }
+    });
+    return plugin;
+}
+
+// Calls back with the plugins in this directory that aren't disabled in config.js
+// (plugins are only loaded once; the bot does this when it starts)
+exports.load = callback => {
+    if (loaded) { return callback(null, loaded); }
+    this.discover(__dirname, (err, found) => {
+        if (err) { return callback(err); }
+        const disabled = config.plugins.disabled.map(name => name.toLowerCase());
+        loaded = loaded || found.filter(plugin => !disabled.includes(plugin.name));
+        callback(null, loaded);
+    });
+};
+
+// Returns the plugins that have been loaded (none until the bot has started)
+exports.installed = () => loaded || [];
+
+// Whether something provided by the given plugin should run in a chat
+// (anything not provided by a plugin always runs)
+exports.isEnabled = (name, groupInfo) => {
+    return !name || !(groupInfo.disabledPlugins || []).includes(name);
+};
@@ -0,0 +1,186 @@
+/*
+    Commands and Easter eggs for chats at the University of Maryland
+    (see index.js for the structure of plugins).
+*/
+const request = require("request"); // For HTTP requests
+const utils = require("../utils"); // For util funcs
+
+exports.name = "umd";
+exports.description = "UMD course, professor, building, and bus info";
+
+exports.categories = {
+    "umd": {
+        "display_name": "UMD",
+        "description": "Commands related to UMD"
+    }
+};
+
+exports.commands = {
+    "course": {
+        "category": "umd",
+        "display_names": ["course"],
+        "pretty_name": "Course",
+        "short_description": "UMD course info",
+        "description": "Gets information about a specific course at UMD",
+        "example": "course CMSC330",
+        "role": "member",
+        "attachments": false,
+        "args": {
+            "names": ["course"],
+            "params": [
+                { "name": "course", "type": "word", "pattern": "[A-Za-z]{4}\\d{3}[A-Za-z]?" }
+            ]
+        },
+        "experimental": false,
+        "run": (threadId, args) => {
+            const course = args.course;
+            request.get(`https://api.umd.io/v0/courses/${course}`, (err, res, body) => {
+                if (!err) {
+                    const data = JSON.parse(body);
+                    if (data.error_code && data.error_code == 404) {
+                        utils.sendError("Course not found", threadId);
+                    } else {
+                        const msg = `${data.name} (${data.course_id})\nCredits: ${data.credits}\n\n${data.description ? data.description : ""}`;
+                        utils.sendMessage(msg, threadId);
+                    }
+                }
+            });
+        }
+    },
+    "professor": {
+        "category": "umd",
+        "display_names": ["professor"],
+        "pretty_name": "Professor",
+        "short_description": "UMD professor info",
+        "description": "Gets information about a specific professor at UMD",
+        "example": "professor Allan Yashinski",
+        "role": "member",
+        "attachments": false,
+        "args": {
+            "names": ["professor"],
+            "params": [
+                { "name": "professor" }
+            ]
+        },
+        "experimental": false,
+        "run": (threadId, args) => {
+            const prof = args.professor;
+            request.get(`https://api.umd.io/v0/professors?name=${encodeURIComponent(prof)}`, (err, res, body) => {
+                if (!err) {
+                    const data = JSON.parse(body);
+                    if (data.error_code && data.error_code == 404 || data.length < 1) {
+                        utils.sendError("Professor not found", threadId);
+                    } else {
+                        const best = data[0];
+                        const msg = `${best.name} (${best.department || best.departments.join(", ")})\n\nCourses:\n${best.courses.join("\n")}`;
+                        utils.sendMessage(msg, threadId);
+                    }
+                }
+            });
+        }
+    },
+    "whereis": {
+        "category": "umd",
+        "display_names": ["whereis"],
+        "pretty_name": "Whereis",
+        "short_description": "Find UMD buildings",
+        "description": "Find the location of different UMD buildings",
+        "example": "whereis AVW",
+        "role": "member",
+        "attachments": false,
+        "args": {
+            "names": ["whereis"],
+            "params": [
+                { "name": "query", "label": "building name or code" }
+            ]
+        },
+        "experimental": false,
+        "run": (threadId, args) => {
+            const query = args.query;
+            let url = "https://www.google.com/maps/search/?api=1&query=";
+            request.get("https://api.umd.io/v0/map/buildings", (err, res, body) => {
+                if (!err) {
+                    const buildings = JSON.parse(body);
+                    let match;
+                    let i = 0;
+                    while (!match && i < buildings.length) {
+                        const build = buildings[i];
+                        const name = build.name;
+                        const code = build.code;
+                        const matcher = new RegExp(query, "i");
+                        if (name.match(matcher) || code.match(matcher)) {
+                            match = build;
+                        }
+                        i++;
+                    }
+
+                    if (match) {
+                        utils.sendMessage({
+                            "url": `${url}${match.lat},${match.lng}`
+                        }, threadId);
+                    } else {
+                        utils.sendError("No building matches found.", threadId);
+                    }
+                }
+            });
+        }
+    },
+    "findbus": {
+        "category": "umd",
+        "display_names": ["findbus"],
+        "pretty_name": "Find Bus",
+        "short_description": "Find UMD buses",
+        "description": "Find the location of different UMD buses",
+        "example": "findbus 117",
+        "role": "member",
+        "attachments": false,
+        "args": {
+            "names": ["findbus"],
+            "params": [
+                { "name": "bus", "type": "id", "label": "bus number" }
+            ]
+        },
+        "experimental": false,
+        "run": (threadId, args) => {
+            const busNum = args.bus;
+            const baseUrl = "https://www.google.com/maps/place/";
+            request.get("https://api.umd.io/v0/bus/locations", (err, res, body) => {
+                if (!err) {
+                    const data = JSON.parse(body);
+                    if (data && data.vehicle) {
+                        const buses = data.vehicle.filter(bus => bus.routeTag == busNum);
+                        if (buses.length > 0) {
+                            const bus = buses[0]; // Should only find one match
+                            const url = `${baseUrl}${bus.lat},${bus.lon}/`;
+                            const body = `The ${bus.routeTag} bus currently has ${bus.passengerCount} passenger${bus.passengerCount != 1 ? "s" : ""} and is moving at ${bus.speedKmHr} km/h.`;
+
+                            utils.sendMessage({
+                                "url": url,
+                                "body": body
+                            }, threadId);
+                        } else {
+                            utils.sendError("That bus isn't currently running.", threadId);
+                        }
+                    } else {
+                        utils.sendError("No buses are currently reporting locations.", threadId);
+                    }
+                }
+            });
+        }
+    }
+};
+
+exports.eggs = [
+    {
+        "regex": /(?:hard work)|(?:work(?:ing)? hard)/i,
+        "func": threadId => { utils.sendFile("../media/umd.png", threadId); }
+    },
+    {
+        "regex": /UMD CS/i,
+        "func": threadId => { utils.sendFile("../media/umdcs.jpeg", threadId); }
+    },
+    {
+        "regex": /university of maryland,? college park/i,
+        "func": threadId => { utils.sendFile("../media/umdessay.png", threadId); }
+    }
+];
@@ -0,0 +1,360 @@
+/*
+    Natural-language schedules like "at 9am every weekday", "every friday",
+    "monthly until june", or "tomorrow at noon", which are split into the time
+    of the first occurrence and (if the schedule repeats) a recurrence rule of
+    the form:
+
+    {
+        "unit": "minute" | "hour" | "day" | "week" | "month",
+        "interval": number, // How many units apart occurrences are
+        "days": [number] | null, // For weekly rules, the days of the week (0 is Sunday)
+        "date": number | null, // For monthly rules, the day of the month
+        "until": number | null, // Time after which there are no more occurrences
+        "count": number | null, // How many occurrences are left (including the next one)
+        "zone": string | null // The time zone whose days the rule follows (see timezones.js)
+    }
+
+    Rules are stored with whatever they schedule, and `advance` moves them on
+    from each occurrence to the next one (if any). Rules without a zone follow
+    the server's local time.
+*/
+const chrono = require("chrono-node"); // For NL date parsing
+const config = require("./config");
+const timezones = require("./timezones");
+
+const dayNames = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const dayAbbreviations = {
+    "sun": 0, "mon": 1, "tue": 2, "tues": 2, "wed": 3, "thu": 4, "thur": 4, "thurs": 4, "fri": 5, "sat": 6
+};
+const weekdays = [1, 2, 3, 4, 5];
+const weekend = [0, 6];
+const units = ["minute", "hour", "day", "week", "month"];
+const unitLengths = {
+    "minute": 60000,
+    "hour": 3600000
+};
+// How long each unit usually lasts (or at most, for months)
+const usualLengths = {
+    ...unitLengths,
+    "day": 86400000,
+    "week": 7 * 86400000,
+    "month": 31 * 86400000
+};
+const adverbs = {
+    "hourly": "hour",
+    "daily": "day",
+    "weekly": "week",
+    "monthly": "month"
+};
+
+// A list of words separated by commas or "and" (e.g. "mon, wed and fri")
+const wordList = "[a-z]+(?:\\s*(?:,|\\band\\b|&)\\s*[a-z]+)*";
+
+// Matches the part of a schedule that says how it repeats: "every" with an
+// optional interval ("other" or a number) followed by a unit or days, or an
+// adverb like "weekly", either of which can be followed by "on" and days
+const everyRegex = new RegExp(`\\b(?:every\\s+(?:(other)\\s+|(\\d+)\\s+)?(${wordList})|(hourly|daily|weekly|monthly))(?:\\s+on\\s+(?!the\\b)(${wordList}))?`, "i");
+
+// Matches the day of the month that a monthly schedule is on, e.g. "on the 15th"
+const dateRegex = /\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)\b/i;
+
+// Matches how many times a schedule repeats, e.g. "10 times" or "for 3 times"
+const countRegex = /\b(?:for\s+)?(\d+)\s+times\b/i;
+
+// Matches when a schedule stops repeating (up to any other part of the schedule)
+const untilRegex = /\buntil\s+([\s\S]+?)(?=\s+(?:every|hourly|daily|weekly|monthly|for\s+\d+\s+times|\d+\s+times)\b|$)/i;
+
+// Gets the day of the week for a day's name or abbreviation (singular or plural), if any
+function dayOf(word) {
+    const name = word.toLowerCase();
+    const singular = name.replace(/s$/, "");
+    for (const candidate of [name, singular]) {
+        if (dayNames.includes(candidate)) {
+            return dayNames.indexOf(candidate);
+        }
+        if (dayAbbreviations[candidate] !== undefined) {
+            return dayAbbreviations[candidate];
+        }
+    }
+    return null;
+}
+
+function splitWords(list) {
+    return list.toLowerCase().split(/\s*(?:,|\band\b|&)\s*/).filter(word => word.length > 0)
+        .map(word => word.replace(/s$/, ""));
+}
+
+// Gets the days of the week in a list (or null if any of them aren't days)
+function parseDays(list) {
+    const words = splitWords(list);
+    if (words.length == 1 && words[0] == "weekday") {
+        return weekdays;
+    }
+    if (words.length == 1 && words[0] == "weekend") {
+        return weekend;
+    }
+    const days = words.map(dayOf);
+    if (days.includes(null)) {
+        return null;
+    }
+    return days.filter((day, i) => days.indexOf(day) == i).sort();
+}
+
+// Builds a rule from a match of everyRegex (throwing an Error if it's not understood)
+function parseEvery(match) {
+    const rule = {
+        "unit": null,
+        "interval": match[1] ? 2 : parseInt(match[2] || 1),
+        "days": null,
+        "date": null,
+        "until": null,
+        "count": null,
+        "zone": null
+    };
+    const words = match[3] ? splitWords(match[3]) : [adverbs[match[4].toLowerCase()]];
+    if (words.length == 1 && units.includes(words[0])) {
+        rule.unit = words[0];
+        if (match[5]) {
+            rule.days = (rule.unit == "week") ? parseDays(match[5]) : null;
+        }
+    } else if (!match[5]) {
+        rule.unit = "week";
+        rule.days = parseDays(match[3]);
+    }
+    if (!rule.unit || (match[5] && !rule.days) || (rule.unit == "week" && !rule.days && !units.includes(words[0]))) {
+        throw new Error(`Couldn't understand "${match[0].trim()}".`);
+    }
+    exports.check(rule);
+    return rule;
+}
+
+// Throws an Error with a message for the user if a rule repeats in a way that
+// schedules aren't allowed to (e.g. more often than config.scheduleMinInterval)
+exports.check = rule => {
+    if (unitLengths[rule.unit] && rule.interval * unitLengths[rule.unit] < config.scheduleMinInterval * 60000) {
+        throw new Error(`Schedules can't repeat more often than every ${config.scheduleMinInterval} minutes.`);
+    }
+    if (rule.days && rule.days.length > 1 && rule.interval > 1) {
+        throw new Error("Schedules on more than one day of the week have to repeat every week.");
+    }
+};
+
+// Whether a time is one that a rule can occur at
+function matches(rule, date) {
+    return !rule.days || rule.days.includes(date.getDay());
+}
+
+// Parses the time given in a schedule (null if there isn't one), where a time of
+// day without a date that's already passed today means that time tomorrow
+function parseTime(text, now) {
+    if (text.length == 0) {
+        return null;
+    }
+    const results = chrono.parse(text, now, { "forwardDate": true });
+    if (results.length == 0) {
+        throw new Error(`Couldn't understand the time "${text}".`);
+    }
+    const time = results[0].start.date();
+    if (time <= now && !results[0].start.isCertain("day") && !results[0].start.isCertain("weekday")) {
+        time.setDate(time.getDate() + 1);
+    }
+    return time;
+}
+
+// Parses when a schedule stops repeating (the end of the day if no time is given)
+function parseUntil(text, now) {
+    const results = chrono.parse(text, now, { "forwardDate": true });
+    if (results.length == 0) {
+        throw new Error(`Couldn't understand the time "${text}".`);
+    }
+    const until = results[0].start.date();
+    if (!results[0].start.isCertain("hour")) {
+        until.setHours(23, 59, 59, 999);
+    }
+    return until.getTime();
+}
+
+/*
+Parses a schedule, returning { time, recurrence } with the Date of the first
+occurrence and the recurrence rule (null if it only happens once). Recurring
+schedules without a time start from their next occurrence after now (at the
+current time of day), and the parts of a schedule can come in any order, as
+long as the time it stops repeating ("until …") isn't followed by the time it
+starts. Throws an Error with a message for the user if the schedule can't be
+understood or is in the past. Times are in the given time zone (or the
+server's local time if there isn't one), which the rule follows from then on.
+*/
+exports.parse = (text, realNow = new Date(), zone = null) => {
+    // Everything is worked out on the zone's wall clock and converted back at the end
+    const now = zone ? timezones.toWallClock(realNow, zone) : realNow;
+    const toTime = date => (zone ? timezones.fromWallClock(date, zone) : date);
+    let rest = text;
+    const take = regex => {
+        const match = rest.match(regex);
+        if (match) {
+            rest = rest.replace(match[0], " ");
+        }
+        return match;
+    };
+    const count = take(countRegex);
+    const every = take(everyRegex);
+    const until = take(untilRegex);
+    const date = take(dateRegex);
+    const time = parseTime(rest.replace(/\s+/g, " ").trim(), now);
+
+    if (date && (!every || parseEvery(every).unit != "month")) {
+        throw new Error("Only monthly schedules can be on a day of the month.");
+    }
+    if (!every) {
+        if (count || until) {
+            throw new Error("Only schedules that repeat can have an end.");
+        }
+        if (!time) {
+            throw new Error("Please say when to run the command.");
+        }
+        if (time <= now) {
+            throw new Error("That time has already passed.");
+        }
+        return { "time": toTime(time), "recurrence": null };
+    }
+
+    const rule = parseEvery(every);
+    if (count) {
+        rule.count = parseInt(count[1]);
+        if (rule.count < 1) {
+            throw new Error("Schedules have to happen at least once.");
+        }
+    }
+    if (until) {
+        rule.until = parseUntil(until[1], now);
+    }
+
+    if (rule.unit == "month") {
+        rule.date = date ? parseInt(date[1]) : (time || now).getDate();
+        if (rule.date < 1 || rule.date > 31) {
+            throw new Error(`There's no ${date[0].replace(/^on\s+the\s+/i, "")} day of the month.`);
+        }
+    }
+
+    let start = time || now;
+    if (date) {
+        start = new Date(start.getTime());
+        const daysInMonth = new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+        start.setDate(Math.min(rule.date, daysInMonth));
+    }
+    let first = start;
+    if (rule.days) {
+        // Move forward a day at a time to the first matching day that hasn't passed yet
+        first = new Date(start.getTime());
+        const usable = () => first > now && matches(rule, first);
+        while (!usable()) {
+            first.setDate(first.getDate() + 1);
+        }
+    } else if (start <= now) {
+        first = this.nextAfter(rule, start, now);
+    }
+    if (rule.until && first.getTime() > rule.until) {
+        throw new Error("That schedule ends before it starts.");
+    }
+    if (rule.until) {
+        rule.until = toTime(new Date(rule.until)).getTime();
+    }
+    rule.zone = zone;
+    return { "time": toTime(first), "recurrence": rule };
+};
+
+// Gets the next occurrence of a rule after a time in the time zone it follows
+function step(rule, after) {
+    const next = new Date(after);
+    if (unitLengths[rule.unit]) {
+        return new Date(next.getTime() + rule.interval * unitLengths[rule.unit]);
+    }
+    if (rule.unit == "month") {
+        // Stay on the same day of the month where possible (or the last day if not)
+        const date = rule.date || next.getDate();
+        next.setDate(1);
+        next.setMonth(next.getMonth() + rule.interval);
+        const daysInMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(date, daysInMonth));
+    } else if (rule.unit == "day") {
+        next.setDate(next.getDate() + rule.interval);
+    } else if (!rule.days || rule.days.length == 1) {
+        next.setDate(next.getDate() + 7 * rule.interval);
+    } else {
+        do {
+            next.setDate(next.getDate() + 1);
+        } while (!matches(rule, next));
+    }
+    return next;
+}
+
+// Gets the next occurrence of a rule after one at the given time (a Date or
+// timestamp), whether or not the rule has ended by then
+exports.next = (rule, after) => {
+    if (rule.zone && !unitLengths[rule.unit]) {
+        return timezones.fromWallClock(step(rule, timezones.toWallClock(after, rule.zone)), rule.zone);
+    }
+    return step(rule, after);
+};
+
+// Gets the next occurrence of a rule that's after the given time (skipping any
+// that were missed), starting from an occurrence at `from`
+exports.nextAfter = (rule, from, now = new Date()) => {
+    // Jump most of the way in one go (stopping an occurrence short, since the clocks
+    // changing can make days longer), so that a rule that started long ago doesn't
+    // take ages to catch up
+    const skip = Math.floor((now - from) / (usualLengths[rule.unit] * rule.interval)) - 1;
+    if (skip > 0) {
+        from = this.next({ ...rule, "interval": rule.interval * skip, "days": null }, from);
+    }
+    let next = this.next(rule, from);
+    while (next <= now) {
+        next = this.next(rule, next);
+    }
+    return next;
+};
+
+// Moves a rule on from an occurrence at `from` to its next occurrence after now
+// (skipping any that were missed), returning { time, recurrence } with the Date of
+// that occurrence and the updated rule, or null if there are no more occurrences
+exports.advance = (rule, from, now = new Date()) => {
+    if (rule.count && rule.count <= 1) {
+        return null;
+    }
+    const time = this.nextAfter(rule, from, now);
+    if (rule.until && time.getTime() > rule.until) {
+        return null;
+    }
+    return {
+        "time": time,
+        "recurrence": { ...rule, "count": rule.count ? rule.count - 1 : null }
+    };
+};
+
+// Describes a rule, e.g. "every weekday" or "every 2 weeks on Friday until June 1, 2027"
+exports.describe = rule => {
+    const capitalize = day => `${day[0].toUpperCase()}${day.slice(1)}`;
+    let description;
+    if (rule.days && rule.days.join() == weekdays.join()) {
+        description = "every weekday";
+    } else if (rule.days && rule.days.join() == weekend.join()) {
+        description = "every weekend day";
+    } else if (rule.days) {
+        const names = rule.days.map(day => capitalize(dayNames[day]));
+        const list = names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+        description = (rule.interval > 1) ? `every ${rule.interval} weeks on ${list}` : `every ${list}`;
+    } else {
+        description = (rule.interval > 1) ? `every ${rule.interval} ${rule.unit}s` : `every ${rule.unit}`;
+    }
+
+    if (rule.until) {
+        const until = new Date(rule.until).toLocaleDateString("en-US", {
+            "year": "numeric", "month": "long", "day": "numeric", "timeZone": rule.zone || config.timeZone
+        });
+        description += ` until ${until}`;
+    }
+    if (rule.count) {
+        description += ` (${rule.count} more time${rule.count == 1 ? "" : "s"})`;
+    }
+    return description;
+};
@@ -1,12 +1,18 @@
 const request = require("request");
 const fs = require("fs");
+const path = require("path");
 const Entities = require("html-entities").XmlEntities;
 const jimp = require("jimp");
-const botcore = require("messenger-botcore");
 const config = require("./config");
 const utils = require("./utils");
 const cutils = require("./configutils");
 const commands = require("./commands");
+const plugins = require("./plugins");
+const recurrence = require("./recurrence");
+const timezones = require("./timezones");
+const ledger = require("./ledger");
+const currency = require("./currency");
+const scores = require("./scores");
 const entities = new Entities();
 let credentials;
 try {
@@ -22,19 +28,58 @@ const spotify = new (require("spotify-web-api-node"))({
     "clientSecret": credentials.SPOTIFY_CLIENTSECRET
 }); // Spotify API
 
+// Gets the path of a file in the media library (see config.mediaLibrary)
+function mediaPath(file) {
+    return path.resolve(__dirname, "..", config.mediaLibrary, file);
+}
+
+// Finds the first of a list of file names that isn't a file in the media library
+// (including any that point outside of it) and passes it to the callback, or
+// null if they're all there
+function findMissingMedia(files, callback) {
+    const found = [];
+    let remaining = files.length;
+    const check = (file, exists) => {
+        if (exists) {
+            found.push(file);
+        }
+        remaining--;
+        if (remaining == 0) {
+            callback(files.find(f => !found.includes(f)) || null);
+        }
+    };
+    if (files.length == 0) {
+        return callback(null);
+    }
+    files.forEach(file => {
+        if (path.basename(file) != file) {
+            return check(file, false);
+        }
+        fs.stat(mediaPath(file), (err, stats) => check(file, !err && stats.isFile()));
+    });
+}
+
 // Stores user commands (accessible via trigger word set in config.js)
 // Command order indicates (and determines) precedence
 const funcs = {
-    "help": (threadId, cmatch) => { // Check help first to avoid command conflicts
+    "help": (threadId, args, groupInfo) => { // Check help first to avoid command conflicts
         const cats = commands.categories;
-        let input;
-        if (cmatch[1]) {
-            input = cmatch[1].trim().toLowerCase();
-        }
-        if (input && input.length > 0) {
+        const trigger = utils.getTrigger(groupInfo);
+        const input = args.topic ? args.topic.toLowerCase() : null;
+        if (input) {
             // Give details of specific command or category
-            const cat = utils.getHelpCategory(input);
-            const entry = utils.getHelpEntry(input);
+            let cat = utils.getHelpCategory(input);
+            let entry = utils.getHelpEntry(input);
+            if (!cat && !entry) {
+                // Fall back on the closest category or command name (in case of typos)
+                const names = Object.keys(cats).map(c => cats[c].display_name).filter(name => name)
+                    .concat(...Object.keys(commands.commands).map(c => commands.commands[c].display_names));
+                const closest = utils.findClosest(input, names)[0];
+                if (closest) {
+                    cat = utils.getHelpCategory(closest.toLowerCase());
+                    entry = utils.getHelpEntry(closest);
+                }
+            }
             if (cat) {
                 const name = cat.display_name;
                 const desc = cat.description;
@@ -44,14 +89,16 @@ const funcs = {
                 for (let c in commands) {
                     if (commands.hasOwnProperty(c)) {
                         const curEntry = commands[c];
-                        if (curEntry.display_names.length > 0) { // Don't display if no display names (secret command)
+                        // Don't display if no display names (secret command) or turned off in this chat
+                        if (curEntry.display_names.length > 0 && plugins.isEnabled(curEntry.plugin, groupInfo)
+                            && utils.isCommandEnabled(c, groupInfo)) {
                             // Only display short description if one exists
-                            mess += `${curEntry.syntax}${curEntry.short_description ? `: ${curEntry.short_description}` : ""}${curEntry.sudo ? " [OWNER]" : ""}\n`;
+                            mess += `${curEntry.syntax}${curEntry.short_description ? `: ${curEntry.short_description}` : ""}${curEntry.role != "member" ? ` [${curEntry.role.toUpperCase()}]` : ""}\n`;
                             mess += "------------------\n"; // Suffix for separating commands
                         }
                     }
                 }
-                mess += `Contact ${config.owner.names.long} with any questions, or use "${config.trigger} bug" to report bugs directly.\n\nTip: for more detailed descriptions, use "${config.trigger} help {command}"`;
+                mess += `Contact ${config.owner.names.long} with any questions, or use "${trigger} bug" to report bugs directly.\n\nTip: for more detailed descriptions, use "${trigger} help {command}"`;
                 utils.sendMessage(mess, threadId);
             } else if (entry) {
                 const info = entry.entry;
@@ -60,15 +107,15 @@ const funcs = {
                 if (Array.isArray(info.example)) {
                     example.header = "Examples:\n";
                     example.body = info.example.map(e => {
-                        return `${config.trigger} ${e}`; // Add trigger to example
+                        return `${trigger} ${e}`; // Add trigger to example
                     }).join("\n");
                 } else if (info.example.length > 0) {
                     example.header = "Example: ";
-                    example.body = `${config.trigger} ${info.example}`;
+                    example.body = `${trigger} ${info.example}`;
                 }
 
-                const helpMsg = `Entry for command "${info.pretty_name}":\n${info.description}\n\nSyntax: ${config.trigger} ${info.syntax}${example.header ? `\n\n${example.header}${example.body}` : ""}`;
-                const addenda = `${info.attachments ? "\n\n(This command accepts attachments)" : ""}${info.sudo ? "\n\n(This command requires owner privileges)" : ""}${info.experimental ? "\n\n(This command is experimental)" : ""}`;
+                const helpMsg = `Entry for command "${info.pretty_name}":\n${info.description}\n\nSyntax: ${trigger} ${info.syntax}${example.header ? `\n\n${example.header}${example.body}` : ""}`;
+                const addenda = `${info.attachments ? "\n\n(This command accepts attachments)" : ""}${info.role != "member" ? `\n\n(This command can only be used by ${utils.describeRole(info.role)})` : ""}${info.experimental ? "\n\n(This command is experimental)" : ""}${utils.isCommandEnabled(entry.key, groupInfo) ? "" : "\n\n(This command is turned off in this chat)"}`;
                 utils.getStats(entry.key, false, (err, stats) => {
                     if (err) { // Couldn't retrieve stats; just show help message
                         utils.sendMessage(`${helpMsg}${addenda}`, threadId);
@@ -82,11 +129,12 @@ const funcs = {
             }
         } else {
             // No command passed; give overview of categories
-            let mess = `Quick Help for ${config.bot.names.short || config.bot.names.long}\n\nSelect a category from below with "${config.trigger} help {category}"\n\n`;
+            let mess = `Quick Help for ${config.bot.names.short || config.bot.names.long}\n\nSelect a category from below with "${trigger} help {category}"\n\n`;
             for (let c in cats) {
                 if (cats.hasOwnProperty(c)) {
                     const cat = cats[c];
-                    if (cat.display_name) { // Don't display hidden categories
+                    // Don't display hidden categories or those turned off in this chat (directly or by plugin)
+                    if (cat.display_name && plugins.isEnabled(cat.plugin, groupInfo) && !groupInfo.disabledCategories.includes(c)) {
                         mess += `*${cat.display_name}*: ${cat.description}\n`;
                     }
                 }
@@ -94,14 +142,10 @@ const funcs = {
             utils.sendMessage(mess, threadId);
         }
     },
-    "stats": (threadId, cmatch, groupInfo) => {
-        const command = cmatch[1];
-        utils.getStats(command, true, () => {
-            let input;
-            if (cmatch[1]) {
-                input = cmatch[1].trim().toLowerCase();
-            }
-            if (input && input.length > 0) {
+    "stats": (threadId, args, groupInfo) => {
+        utils.getStats(args.topic, true, () => {
+            const input = args.topic ? args.topic.toLowerCase() : null;
+            if (input) {
                 // Give details of specific command
                 const entry = utils.getHelpEntry(input);
                 if (entry) {
@@ -149,13 +193,13 @@ const funcs = {
             }
         });
     },
-    "psa": (_, cmatch) => {
-        utils.sendToAll(`"${cmatch[1]}"\n\nThis has been a public service announcement from ${config.owner.names.short}.`);
+    "psa": (_, args) => {
+        utils.sendToAll(`"${args.message}"\n\nThis has been a public service announcement from ${config.owner.names.short}.`);
     },
-    "bug": (_, cmatch, groupInfo, __, fromUserId) => {
-        const msg = cmatch[1] || "none";
+    "bug": (_, args, groupInfo, __, fromUserId) => {
+        const msg = args.message || "none";
 
-        if (msg.toLowerCase().trim() == "thread") {
+        if (msg.toLowerCase() == "thread") {
             utils.sendMessage(`Thread ID: ${groupInfo.threadId}`, groupInfo.threadId);
         } else {
             utils.sendMessage(`-------BUG-------\nMessage: ${msg}\nSender: ${groupInfo.names[fromUserId]}\nTime: ${utils.getTimeString()} (${utils.getDateString()})\nGroup: ${groupInfo.name}\nID: ${groupInfo.threadId}\nInfo: ${JSON.stringify(groupInfo)}`, config.owner.id, err => {
@@ -173,26 +217,19 @@ const funcs = {
             });
         }
     },
-    "kick": (_, cmatch, groupInfo, __, senderId) => {
-        const user = cmatch[1].toLowerCase();
-        const optTime = cmatch[2] ? parseInt(cmatch[2]) : undefined;
+    "kick": (_, args, groupInfo, __, senderId) => {
+        // Kick time is in seconds (only passed if specified in command)
+        const optTime = args.time ? Math.round(args.time / 1000) : undefined;
         try {
-            // Make sure already in group
-            if (groupInfo.members[user]) {
-                // Kick with optional time specified in call only if specified in command
-                utils.kick(groupInfo.members[user], senderId, groupInfo, optTime);
-            } else {
-                utils.sendError(`Couldn't find user "${cmatch[1]}".`, groupInfo.threadId);
-            }
+            utils.kick(args.user, senderId, groupInfo, optTime);
         } catch (e) {
             utils.sendError(e, groupInfo.threadId);
         }
     },
-    "xkcd": (threadId, cmatch) => { // Check before regular searches to prevent collisions
-        if (cmatch[1]) { // Parameter specified
-            const query = cmatch[2];
-            const param = cmatch[1].split(query).join("").trim(); // Param = 1st match - 2nd
-            if (query && param == "search") {
+    "xkcd": (threadId, args) => { // Check before regular searches to prevent collisions
+        if (args.subcommand || args.comic) { // Parameter specified
+            const query = args.query;
+            if (args.subcommand == "search") {
                 // Perform search using Google Custom Search API (provide API key / custom engine in config.js)
                 const url = `https://www.googleapis.com/customsearch/v1?key=${config.xkcd.key}&cx=${config.xkcd.engine}&q=${encodeURIComponent(query)}`;
                 request(url, (err, res, body) => {
@@ -209,7 +246,7 @@ const funcs = {
                         console.log(err);
                     }
                 });
-            } else if (param == "new") { // Get most recent (but send as permalink for future reference)
+            } else if (args.subcommand == "new") { // Get most recent (but send as permalink for future reference)
                 request("http://xkcd.com/info.0.json", (err, res, body) => {
                     if (!err && res.statusCode == 200) {
                         const num = parseInt(JSON.parse(body).num); // Number of most recent xkcd
@@ -223,9 +260,9 @@ const funcs = {
                         }, threadId);
                     }
                 });
-            } else if (param) { // If param != search or new, it should be either a number or valid sub-URL for xkcd.com
+            } else { // Comic number
                 utils.sendMessage({
-                    "url": `http://xkcd.com/${param}`
+                    "url": `http://xkcd.com/${args.comic}`
                 }, threadId);
             }
         } else { // No parameter passed; send random xkcd
@@ -241,8 +278,8 @@ const funcs = {
             });
         }
     },
-    "wiki": (threadId, cmatch) => {
-        const query = cmatch[1];
+    "wiki": (threadId, args) => {
+        const query = args.query;
         // Perform search using Google Custom Search API (provide API key / custom engine in config.js)
         const url = `https://www.googleapis.com/customsearch/v1?key=${config.wiki.key}&cx=${config.wiki.engine}&q=${encodeURIComponent(query)}`;
         request(url, (err, res, body) => {
@@ -260,11 +297,11 @@ const funcs = {
             }
         });
     },
-    "spotsearch": (threadId, cmatch) => {
+    "spotsearch": (threadId, args) => {
         utils.loginSpotify(spotify, err => {
             if (!err) {
-                const query = cmatch[2];
-                if (cmatch[1].toLowerCase() == "artist") {
+                const query = args.query;
+                if (args.subcommand == "artist") {
                     // Artist search
                     spotify.searchArtists(query, {}, (err, data) => {
                         if (!err && data.body) {
@@ -339,11 +376,10 @@ const funcs = {
             }
         });
     },
-    "song": (threadId, cmatch, groupInfo) => {
+    "song": (threadId, args, groupInfo) => {
         utils.loginSpotify(spotify, err => {
             if (!err) {
-                const user = cmatch[1] ? cmatch[1].toLowerCase() : null;
-                const userId = groupInfo.members[user];
+                const userId = args.user;
                 const playlists = groupInfo.playlists;
                 const ids = Object.keys(playlists);
 
@@ -351,7 +387,7 @@ const funcs = {
                 if (playlists && ids.length > 0) { // At least 1 playlist stored
                     // Find random playlist in case one isn't specified or can't be found
                     const randPlaylist = playlists[ids[Math.floor(Math.random() * ids.length)]];
-                    if (user && userId) {
+                    if (userId) {
                         // User specified
                         if (playlists[userId]) {
                             // User has a playlist
@@ -367,7 +403,7 @@ const funcs = {
                     }
                 } else {
                     playlist = config.defaultPlaylist;
-                    utils.sendMessage(`No playlists found for this group. To add one, use "${config.trigger} playlist" (see help for more info).\nFor now, using the default playlist.`, threadId);
+                    utils.sendMessage(`No playlists found for this group. To add one, use "${utils.getTrigger(groupInfo)} playlist" (see help for more info).\nFor now, using the default playlist.`, threadId);
                 }
 
                 spotify.getPlaylist(playlist.uri, {}, (err, data) => {
@@ -398,21 +434,22 @@ const funcs = {
             }
         });
     },
-    "playlist": (threadId, cmatch, groupInfo) => {
+    "playlist": (threadId, args, groupInfo) => {
         const playlists = groupInfo["playlists"];
-        if (cmatch[1]) { // User provided
-            const user = cmatch[1].toLowerCase();
-            const userId = groupInfo.members[user];
+        if (args.user) { // User provided
+            const userId = args.user;
             const name = groupInfo.names[userId];
-            if (cmatch[2]) { // Data provided
+            if (args.uri) { // Data provided (spotify:user:{user}:playlist:{id})
+                const uriParts = args.uri.split(":");
                 const newPlaylist = {
                     "name": name,
                     "id": userId,
-                    "user": cmatch[3],
-                    "uri": cmatch[4]
+                    "user": uriParts[2],
+                    "uri": uriParts[4]
                 };
-                playlists[userId] = newPlaylist;
-                utils.setGroupProperty("playlists", playlists, groupInfo, err => {
+                utils.updateGroup(threadId, info => {
+                    info.playlists[userId] = newPlaylist;
+                }, err => {
                     if (!err) {
                         utils.loginSpotify(spotify, err => {
                             if (!err) {
@@ -472,7 +509,7 @@ const funcs = {
                 return playlists[p];
             });
             if (pArr.length === 0) {
-                utils.sendMessage(`No playlists for this group. To add one, use "${config.trigger} playlist" (see help).`, threadId);
+                utils.sendMessage(`No playlists for this group. To add one, use "${utils.getTrigger(groupInfo)} playlist" (see help).`, threadId);
             } else {
                 utils.loginSpotify(spotify, err => {
                     if (!err) {
@@ -511,111 +548,297 @@ const funcs = {
             }
         }
     },
-    "pin": (threadId, cmatch, groupInfo, _, fromUserId, __, msgObj) => {
-        const name = cmatch[1];
-        const msg = cmatch[2];
+    "command": (threadId, args, groupInfo, _, fromUserId) => {
+        const customs = groupInfo.customCommands;
+        const name = args.name ? args.name.toLowerCase() : null;
+        const co = commands.commands;
+        if (args.subcommand == "add") {
+            const taken = Object.keys(co).some(c => co[c].args.names.includes(name) || co[c].display_names.includes(name));
+            if (!name.match(/^[a-z0-9]+$/)) {
+                utils.sendError("Custom command names can only have letters and numbers.", threadId);
+            } else if (taken) {
+                utils.sendError(`"${name}" is already the name of a built-in command.`, threadId);
+            } else if (customs[name]) {
+                utils.sendError(`There's already a custom command called "${name}"; remove it first to replace it.`, threadId);
+            } else {
+                findMissingMedia(utils.fillTemplate(args.template, [], fromUserId, groupInfo).media, missing => {
+                    if (missing) {
+                        return utils.sendError(`Couldn't find "${missing}" in the media library.`, threadId);
+                    }
+                    utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                        stored.customCommands[name] = {
+                            "template": args.template,
+                            "creator": fromUserId,
+                            "created": Date.now()
+                        };
+                    }, `Couldn't add "${name}".`, `Added custom command "${name}". Try it with "${utils.getTrigger(groupInfo)} ${name}".`);
+                });
+            }
+        } else if (args.subcommand == "remove") {
+            if (!customs[name]) {
+                utils.sendError(`There's no custom command called "${name}".`, threadId);
+            } else if (customs[name].creator != fromUserId && !utils.hasRole(fromUserId, "admin", groupInfo)) {
+                utils.sendError("Only the creator of a custom command or chat admins can remove it.", threadId);
+            } else {
+                utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                    delete stored.customCommands[name];
+                }, `Couldn't remove "${name}".`, `Removed custom command "${name}".`);
+            }
+        } else {
+            const names = Object.keys(customs).sort();
+            if (names.length > 0) {
+                utils.sendMessage(`Custom commands:\n${names.map(n => `– ${n}: ${customs[n].template}`).join("\n")}`, threadId);
+            } else {
+                utils.sendMessage(`No custom commands yet. Add one with "${utils.getTrigger(groupInfo)} command add {name} {response}".`, threadId);
+            }
+        }
+    },
+    "custom": (threadId, args, groupInfo, _, fromUserId) => {
+        const custom = groupInfo.customCommands[args.command];
+        const templateArgs = args.input ? args.input.trim().split(/\s+/) : [];
+        const filled = utils.fillTemplate(custom.template, templateArgs, fromUserId, groupInfo);
+
+        const msg = {
+            "body": filled.body,
+            "mentions": filled.mentions
+        };
+        if (filled.media.length == 0) {
+            return utils.sendMessage(msg, threadId);
+        }
+        // Files were checked when the command was added, but could have been removed since
+        findMissingMedia(filled.media, missing => {
+            if (missing) {
+                return utils.sendError(`Couldn't find "${missing}" in the media library anymore.`, threadId);
+            }
+            msg.attachment = filled.media.map(mediaPath).map(file => fs.createReadStream(file).on("error", err => {
+                console.log(`Couldn't read ${file}: ${err}`);
+            }));
+            utils.sendMessage(msg, threadId);
+        });
+    },
+    "pin": (threadId, args, groupInfo, _, fromUserId, __, msgObj) => {
+        const name = args.pin;
+        const msg = args.content;
         const reply = msgObj.messageReply;
 
-        if (groupInfo.pinned) {
-            if (name == "delete") { // Delete pins
-                utils.deletePin(msg, groupInfo, threadId);
-            } else if (name == "rename") {
-                utils.renamePin(msg, groupInfo, threadId);
-            } else if (!msg && !reply) { // No new pin message; display pins
-                if (name) { // Requested specific pin
-                    const pin = groupInfo.pinned[name];
-                    if (pin) {
-                        utils.sendMessage(utils.stringifyPin(pin), threadId);
-                    } else {
-                        utils.sendError("Couldn't find that pin.", threadId);
-                    }
+        if (args.subcommand == "delete") { // Delete pins
+            utils.deletePin(name, groupInfo, threadId);
+        } else if (args.subcommand == "rename") {
+            utils.renamePin(name, args.newName, groupInfo, threadId);
+        } else if (!msg && !reply && !args.subcommand) { // No new pin message; display pins
+            if (name) { // Requested specific pin
+                const pin = groupInfo.pinned[name];
+                if (pin) {
+                    utils.sendMessage(utils.stringifyPin(pin), threadId);
                 } else {
-                    const pins = Object.keys(groupInfo.pinned);
-                    if (pins.length > 0) {
-                        if (pins.length == 1) { // Display pin if only one; otherwise list pins
-                            const pin = pins[0];
-                            utils.sendMessage(utils.stringifyPin(groupInfo.pinned[pin]), threadId);
-                        } else {
-                            let msg = pins.reduce((m, pin) => `${m}\n${pin}`, "Available pins:");
-                            utils.sendMessage(msg, threadId);
-                        }
+                    utils.sendError("Couldn't find that pin.", threadId);
+                }
+            } else {
+                const pins = Object.keys(groupInfo.pinned);
+                if (pins.length > 0) {
+                    if (pins.length == 1) { // Display pin if only one; otherwise list pins
+                        const pin = pins[0];
+                        utils.sendMessage(utils.stringifyPin(groupInfo.pinned[pin]), threadId);
                     } else {
-                        utils.sendError("No pinned messages in this chat.", threadId);
+                        let msg = pins.reduce((m, pin) => `${m}\n${pin}`, "Available pins:");
+                        utils.sendMessage(msg, threadId);
                     }
+                } else {
+                    utils.sendError("No pinned messages in this chat.", threadId);
                 }
-            } else { // Pin new message (or append to existing pin)
-                let pin = msg;
-                let sender = groupInfo.names[fromUserId];
-                let time = msgObj.timestamp;
-
-                if (reply) { // If reply provided, pin the reply instead
-                    pin = reply.body;
-                    sender = reply.senderID == config.bot.id ? config.bot.names.short :
-                        (groupInfo.names[reply.senderID] || "Unknown");
-                    time = reply.timestamp;
-                }
-                const date = new Date(parseInt(time));
+            }
+        } else { // Pin new message (or append to existing pin)
+            let pin = msg;
+            let sender = groupInfo.names[fromUserId];
+            let time = msgObj.timestamp;
 
-                if (name == "append") {
-                    // -- Appending an existing pin --
-                    // Need to extract existing pin name and content to append, which
-                    // comes from different places in the case of a reply pin
-                    // (regex designed to capture multiple lines)
-                    const match = msg ? (msg.match(/(\S+)(?:\s|$)([\s\S]+)/m) || []) : [];
-                    const existing = reply ? msg : match[1];
-                    const content = reply ? pin : match[2];
+            if (reply) { // If reply provided, pin the reply instead
+                pin = reply.body;
+                sender = reply.senderID == config.bot.id ? config.bot.names.short :
+                    (groupInfo.names[reply.senderID] || "Unknown");
+                time = reply.timestamp;
+            }
+            const date = new Date(parseInt(time));
 
-                    if (existing && content) {
-                        utils.appendPin(content, existing, date, sender, groupInfo);
-                    } else {
-                        utils.sendError("Please provide a pin and content to append to it.", threadId);
-                    }
+            if (args.subcommand == "append") {
+                // -- Appending an existing pin --
+                if (pin) {
+                    utils.appendPin(pin, name, date, sender, groupInfo);
                 } else {
-                    // Just a regular fresh pin creation (or overwrite)
-                    if (pin && name) {
-                        utils.addPin(pin, name, date, sender, groupInfo);
-                    } else {
-                        utils.sendError("Please provide a pin name and message to pin.", threadId);
-                    }
+                    utils.sendError("Please provide a pin and content to append to it.", threadId);
+                }
+            } else {
+                // Just a regular fresh pin creation (or overwrite)
+                if (pin && name) {
+                    utils.addPin(pin, name, date, sender, groupInfo);
+                } else {
+                    utils.sendError("Please provide a pin name and message to pin.", threadId);
                 }
             }
-        } else {
-            console.log("Unable to pin message due to malformed db entry");
         }
     },
-    "tab": (threadId, cmatch, groupInfo) => {
-        const op = cmatch[1];
-        const amt = parseFloat(cmatch[2]) || 1;
-        const cur = groupInfo.tab || 0;
-        const numMembers = Object.keys(groupInfo.members).length;
-        if (!op) { // No operation – just display total
-            utils.sendMessage(`$${cur.toFixed(2)} ($${(cur / numMembers).toFixed(2)} per person in this group)`, threadId);
-        } else if (op == "split") {
-            const num = parseFloat(cmatch[2]) || numMembers;
-            utils.sendMessage(`$${cur.toFixed(2)}: $${(cur / num).toFixed(2)} per person for ${num} ${(num == 1) ? "person" : "people"}`, threadId);
-        } else if (op == "clear") { // Clear tab
-            utils.setGroupProperty("tab", 0, groupInfo, err => {
-                if (!err) { utils.sendMessage("Tab cleared.", threadId); }
-            });
+    "tab": (threadId, args, groupInfo, _, fromUserId) => {
+        const op = args.subcommand;
+        const entries = groupInfo.tab;
+        const code = currency.ofGroup(groupInfo);
+        let balances;
+        try {
+            balances = ledger.balances(entries, code);
+        } catch (e) { // Missing an exchange rate
+            return utils.sendError(`${e.message} The bot's owner can add one with "${utils.getTrigger(groupInfo)} tab rate {currency} {rate}".`, threadId);
+        }
+        const name = userId => groupInfo.names[userId] || "someone who left";
+        if (!op) { // Show everyone's balance
+            const owed = Object.keys(balances).sort((a, b) => balances[b] - balances[a]);
+            if (owed.length > 0) {
+                const lines = owed.map(userId => `${name(userId)} ${balances[userId] > 0 ? "is owed" : "owes"} ${currency.format(Math.abs(balances[userId]), code)}`);
+                utils.sendMessage(`Balances:\n${lines.join("\n")}\n\nSee how to settle up with "${utils.getTrigger(groupInfo)} tab settle".`, threadId);
+            } else {
+                utils.sendMessage(`Everyone's settled up. Add an expense with "${utils.getTrigger(groupInfo)} tab add {amount} {what it was for}".`, threadId);
+            }
+        } else if (op == "settle") {
+            const payments = ledger.settle(balances);
+            if (payments.length > 0) {
+                const lines = payments.map(payment => `${name(payment.from)} pays ${name(payment.to)} ${currency.format(payment.amount, code)}`);
+                utils.sendMessage(`To settle up:\n${lines.join("\n")}\n\nOnce you've paid, record it with "${utils.getTrigger(groupInfo)} tab paid {person} {amount}".`, threadId);
+            } else {
+                utils.sendMessage("Everyone's settled up.", threadId);
+            }
+        } else if (op == "history") {
+            const latest = entries.slice(-config.tabHistoryLength);
+            if (latest.length > 0) {
+                utils.sendMessage(`Tab history:\n${latest.map(entry => ledger.describe(entry, groupInfo.names, code)).join("\n")}`, threadId);
+            } else {
+                utils.sendMessage("Nothing's been added to the tab yet.", threadId);
+            }
+        } else if (op == "undo") {
+            const entry = (args.id !== undefined) ? entries.find(e => e.id == args.id)
+                : entries.filter(e => e.by == fromUserId).pop();
+            if (!entry) {
+                utils.sendError((args.id !== undefined) ? `There's no entry #${args.id} in the tab.` : "You haven't added anything to the tab.", threadId);
+            } else if (entry.by != fromUserId && !utils.hasRole(fromUserId, "admin", groupInfo)) {
+                utils.sendError("Only whoever added an entry or chat admins can undo it.", threadId);
+            } else {
+                utils.updateGroupAndHandleErrors(groupInfo, info => {
+                    info.tab = info.tab.filter(e => e.id != entry.id);
+                }, `Couldn't undo entry #${entry.id}.`, `Removed ${ledger.describe(entry, groupInfo.names, code)}.`);
+            }
+        } else if (op == "currency") {
+            const newCode = args.code ? args.code.toUpperCase() : null;
+            if (!newCode) {
+                utils.sendMessage(`This chat's tab is kept in ${code}. Admins can change that with "${utils.getTrigger(groupInfo)} tab currency {currency}".`, threadId);
+            } else if (!utils.hasRole(fromUserId, "admin", groupInfo)) {
+                utils.sendError("Only admins can change the currency of the tab in this chat.", threadId);
+            } else if (!currency.codes().includes(newCode)) {
+                utils.sendError(`There's no exchange rate for "${args.code}". See the currencies that there are with "${utils.getTrigger(groupInfo)} tab rates".`, threadId);
+            } else {
+                utils.updateGroupAndHandleErrors(groupInfo, info => {
+                    info.currency = newCode;
+                }, "Couldn't change the currency of the tab.", `This chat's tab is now kept in ${newCode}.`);
+            }
+        } else if (op == "rates") {
+            const table = currency.getTable();
+            if (!args.reload) {
+                const rates = currency.codes().filter(other => other != code).sort()
+                    .map(other => `${other} ${Number(currency.convert(1, code, other).toPrecision(4))}`);
+                utils.sendMessage(`Exchange rates for 1 ${code} (from ${table.updated}):\n${rates.join(", ")}`, threadId);
+            } else if (!utils.hasRole(fromUserId, "owner", groupInfo)) {
+                utils.sendError("Only the bot's owner can change exchange rates.", threadId);
+            } else {
+                utils.reloadRates((err, kept) => {
+                    if (err) {
+                        utils.sendError("Couldn't reload the exchange rates.", threadId);
+                    } else {
+                        const keptMsg = (kept.length > 0) ? ` Kept the rates set for ${kept.join(", ")}, which aren't in the file.` : "";
+                        utils.sendMessage(`Reloaded the exchange rates (from ${currency.getTable().updated}).${keptMsg}`, threadId);
+                    }
+                });
+            }
+        } else if (op == "rate") {
+            const table = currency.getTable();
+            const rateCode = args.code.toUpperCase();
+            if (!utils.hasRole(fromUserId, "owner", groupInfo)) {
+                utils.sendError("Only the bot's owner can change exchange rates.", threadId);
+            } else if (!currency.exists(rateCode)) {
+                utils.sendError(`"${args.code}" isn't a currency.`, threadId);
+            } else if (rateCode == table.base) {
+                utils.sendError(`Rates are for 1 ${table.base}, so its rate is always 1.`, threadId);
+            } else if (!(args.rate > 0)) {
+                utils.sendError("The rate has to be more than zero.", threadId);
+            } else {
+                utils.setRate(rateCode, args.rate, err => {
+                    if (err) {
+                        utils.sendError("Couldn't change the exchange rate.", threadId);
+                    } else {
+                        utils.sendMessage(`1 ${table.base} is now ${args.rate} ${rateCode}.`, threadId);
+                    }
+                });
+            }
+        } else if (op == "clear") {
+            if (utils.hasRole(fromUserId, "admin", groupInfo)) {
+                utils.updateGroupAndHandleErrors(groupInfo, info => {
+                    info.tab = [];
+                }, "Couldn't clear the tab.", "Tab cleared.");
+            } else {
+                utils.sendError("Only admins can clear the tab in this chat.", threadId);
+            }
         } else {
-            const newTab = (op == "add") ? (cur + amt) : (cur - amt);
-            utils.setGroupProperty("tab", newTab, groupInfo, err => {
-                if (!err) { utils.sendMessage(`Tab updated to $${newTab.toFixed(2)}.`, threadId); }
+            let entry;
+            if (op == "add") {
+                // Split among everyone in the chat (other than the bot) by default
+                const people = args.people || Object.keys(groupInfo.members).map(key => groupInfo.members[key])
+                    .filter(userId => userId != config.bot.id);
+                entry = {
+                    "type": "expense",
+                    "amount": args.amount,
+                    "currency": args.currency || code,
+                    "description": args.description ? args.description.trim() : null,
+                    "from": args.payer || fromUserId,
+                    "to": people.filter((userId, i) => people.indexOf(userId) == i)
+                };
+            } else {
+                // Whatever the sender owes the person (as far as they're owed) by default
+                const owed = Math.min(-(balances[fromUserId] || 0), balances[args.user] || 0);
+                entry = {
+                    "type": "payment",
+                    "amount": args.amount || currency.fromMinor(Math.max(owed, 0), code),
+                    "currency": (args.amount && args.currency) || code,
+                    "description": null,
+                    "from": fromUserId,
+                    "to": [args.user]
+                };
+                if (args.user == fromUserId) {
+                    return utils.sendError("You can't pay yourself.", threadId);
+                }
+                if (!entry.amount) {
+                    return utils.sendError(`You don't owe ${name(args.user)} anything; give an amount to record a payment anyway.`, threadId);
+                }
+            }
+            if (!(entry.amount > 0)) {
+                return utils.sendError("The amount has to be more than zero.", threadId);
+            }
+            utils.updateGroup(threadId, info => {
+                entry = { "id": ledger.nextId(info.tab), ...entry, "by": fromUserId, "time": Date.now() };
+                info.tab.push(entry);
+            }, err => {
+                if (err) {
+                    utils.sendError("Couldn't update the tab.", threadId);
+                } else {
+                    utils.sendMessage(`${op == "add" ? "Added" : "Recorded"} ${ledger.describe(entry, groupInfo.names, code)}.`, threadId);
+                }
             });
         }
     },
-    "addsearch": (threadId, cmatch, groupInfo, api) => {
-        // Fields 1 & 3 are are for the command and the user, respectively
-        // Field 2 is for an optional number parameter specifying the number of search results
-        // for a search command (default is 1)
-        const user = cmatch[3];
-        const command = cmatch[1].split(" ")[0].toLowerCase(); // Strip opt parameter from match if present
+    "addsearch": (threadId, args, groupInfo, api) => {
+        // Search commands can specify the number of search results (default is 1)
+        const user = args.query;
+        const command = args.command;
         try {
             api.getUserID(user, (err, data) => {
                 if (!err) {
                     const filteredData = data.filter(m => m.type == "user");
                     const bestMatch = filteredData[0]; // Hopefully the right person
-                    const numResults = parseInt(cmatch[2]) || 1; // Number of results to display
+                    const numResults = args.count || 1; // Number of results to display
                     if (command == "search") { // Is a search command
                         // Output search results / propic
                         for (let i = 0; i < numResults; i++) {
@@ -655,14 +878,14 @@ const funcs = {
             utils.sendMessage("Cannot execute Order 66 on a non-group chat. Safe for now, you are, Master Jedi.", threadId);
         }
     },
-    "color": (threadId, cmatch, groupInfo, api) => {
+    "color": (threadId, args, groupInfo, api) => {
         // Extract input and pull valid colors from API as well as current thread color
         const apiColors = api.threadColors;
         const hexToName = Object.keys(apiColors).reduce((obj, key) => { obj[apiColors[key]] = key; return obj; }, {}); // Flip the map
         const ogColor = hexToName[groupInfo.color ? groupInfo.color.toLowerCase() : groupInfo.color]; // Will be null if no custom color set
 
-        if (cmatch[1]) {
-            const inputColor = cmatch[2];
+        if (args.color) {
+            const inputColor = args.color;
             const colorToSet = (inputColor.match(/rand(om)?/i)) ? utils.getRandomColor() : inputColor.toLowerCase();
 
             // Construct a lowercased-key color dictionary to make input case insensitive
@@ -704,24 +927,19 @@ const funcs = {
             }, delay + (i * delay)); // Queue color changes
         }
     },
-    "clearnick": (threadId, cmatch, groupInfo, api) => {
-        const user = cmatch[1].toLowerCase();
-        api.changeNickname("", threadId, groupInfo.members[user]);
+    "clearnick": (threadId, args, _, api) => {
+        api.changeNickname("", threadId, args.user);
     },
-    "setnick": (threadId, cmatch, groupInfo, api) => {
-        const user = cmatch[1].toLowerCase();
-        const newName = cmatch[2];
-        api.changeNickname(newName, threadId, groupInfo.members[user]);
+    "setnick": (threadId, args, _, api) => {
+        api.changeNickname(args.nickname, threadId, args.user);
     },
-    "wakeup": (threadId, cmatch, groupInfo) => {
-        const user = cmatch[1].toLowerCase();
-        const members = groupInfo.members; // Save in case it changes
+    "wakeup": (threadId, args, groupInfo) => {
         for (let i = 0; i < config.wakeUpTimes; i++) {
             setTimeout(() => {
-                utils.sendMessage("Wake up", members[user]);
+                utils.sendMessage("Wake up", args.user);
             }, 500 + (500 * i));
         }
-        utils.sendMessage(`Messaged ${user.substring(0, 1).toUpperCase()}${user.substring(1)} ${config.wakeUpTimes} times`, threadId);
+        utils.sendMessage(`Messaged ${groupInfo.names[args.user]} ${config.wakeUpTimes} times`, threadId);
     },
     "randmess": (threadId, _, __, api) => {
         // Get thread length
@@ -750,8 +968,8 @@ const funcs = {
     "alive": (_, __, groupInfo) => {
         utils.sendGroupEmoji(groupInfo, "large"); // Send emoji and react to message in response
     },
-    "emoji": (threadId, cmatch, groupInfo, api) => {
-        api.changeThreadEmoji(cmatch[1], threadId, err => {
+    "emoji": (threadId, args, groupInfo, api) => {
+        api.changeThreadEmoji(args.emoji, threadId, err => {
             if (err) {
                 // Set to default as backup if errors
                 api.changeThreadEmoji(groupInfo.emoji, threadId);
@@ -759,10 +977,9 @@ const funcs = {
         });
         utils.updateGroupInfo(threadId); // Update emoji
     },
-    "echo": (threadId, cmatch, _, api, fromUserId) => {
-        const command = cmatch[1].toLowerCase();
-        let message = `${cmatch[2]}`;
-        if (command == "echo") {
+    "echo": (threadId, args, _, api, fromUserId) => {
+        let message = args.message;
+        if (args.command == "echo") {
             // Just an echo – repeat message
             utils.sendMessage(message, threadId);
         } else {
@@ -782,101 +999,95 @@ const funcs = {
             });
         }
     },
-    "ban": (threadId, cmatch, groupInfo) => {
-        const user = cmatch[2].toLowerCase();
-        const userId = groupInfo.members[user];
+    "ban": (threadId, args, groupInfo) => {
+        const userId = args.user;
 
-        if (user) {
-            if (cmatch[1]) { // Unban
-                botcore.banned.removeUser(userId, success => {
-                    if (success) {
-                        utils.sendMessage(`Successfully unbanned ${groupInfo.names[userId]}.`, threadId);
-                    } else {
-                        utils.sendError(`Unable to unban ${groupInfo.names[userId]} because they're not currently banned.`, threadId);
-                    }
-                });
-            } else { // Ban
-                botcore.banned.addUser(userId, success => {
-                    if (success) {
-                        utils.sendMessage(`Successfully banned ${groupInfo.names[userId]}.`, threadId);
-                    } else {
-                        utils.sendError(`Unable to ban ${groupInfo.names[userId]} because they've already been banned.`, threadId);
-                    }
-                });
-            }
-        } else {
-            utils.sendError(`User ${user} not found`, threadId);
-        }
-    },
-    "vote": (threadId, cmatch, groupInfo) => {
-        const user = cmatch[2].toLowerCase();
-        const userId = groupInfo.members[user];
-        const user_cap = user.substring(0, 1).toUpperCase() + user.substring(1);
-        const getCallback = () => {
-            return (err, success, newScore) => {
+        if (args.command == "unban") {
+            utils.getPlatform().banned.removeUser(userId, success => {
                 if (success) {
-                    utils.sendMessage(`${user_cap}'s current score is now ${newScore}.`, threadId);
+                    utils.sendMessage(`Successfully unbanned ${groupInfo.names[userId]}.`, threadId);
                 } else {
-                    utils.sendError("Score update failed.", threadId);
+                    utils.sendError(`Unable to unban ${groupInfo.names[userId]} because they're not currently banned.`, threadId);
                 }
-            };
-        };
-        if (userId) {
-            if (cmatch[1] == ">") {
-                // Upvote
-                utils.updateScore(true, userId, getCallback(true));
+            });
+        } else { // Ban
+            utils.getPlatform().banned.addUser(userId, success => {
+                if (success) {
+                    utils.sendMessage(`Successfully banned ${groupInfo.names[userId]}.`, threadId);
+                } else {
+                    utils.sendError(`Unable to ban ${groupInfo.names[userId]} because they've already been banned.`, threadId);
+                }
+            });
+        }
+    },
+    "vote": (threadId, args, groupInfo, _, fromUserId) => {
+        const userId = args.user;
+        const user_cap = groupInfo.names[userId];
+        // Can be easily customized to accept a number of points if so desired
+        const points = config.votePoints || 5; // Default to five points
+        const delta = (args.command == ">") ? points : -points;
+        utils.addVote(fromUserId, userId, delta, args.reason, groupInfo, (err, newScore) => {
+            if (!err) {
+                utils.sendMessage(`${user_cap}'s current score is now ${newScore}.`, threadId);
             } else {
-                // Downvote
-                utils.updateScore(false, userId, getCallback(false));
+                utils.sendError("Score update failed.", threadId);
             }
-        } else {
-            utils.sendError(`User ${user_cap} not found`, threadId);
-        }
+        });
     },
-    "score": (threadId, cmatch, groupInfo) => {
-        if (cmatch[1]) { // Display scoreboard
-            utils.getAllScores(groupInfo, (success, scores) => {
-                if (success) {
-                    scores = scores.sort((a, b) => {
-                        return (b.score - a.score); // Sort greatest to least
-                    });
-
-                    let message = `Rankings for ${groupInfo.name}:`;
-                    for (let i = 0; i < scores.length; i++) {
-                        message += `\n${i + 1}. ${scores[i].name}: ${scores[i].score}`;
-                    }
-                    utils.sendMessage(message, threadId);
-                } else {
-                    utils.sendError("Scores couldn't be retrieved for this group.", threadId);
+    "score": (threadId, args, groupInfo, _, fromUserId) => {
+        if (args.subcommand == "history") { // Display the latest votes on a member
+            const userId = args.user || fromUserId;
+            const user_cap = groupInfo.names[userId];
+            utils.getVotes(threadId, (err, allVotes) => {
+                if (err) {
+                    return utils.sendError("Votes couldn't be retrieved for this group.", threadId);
+                }
+                const votes = allVotes.filter(vote => vote.target == userId)
+                    .slice(-config.scoreHistoryLength).reverse();
+                if (votes.length == 0) {
+                    return utils.sendMessage(`${user_cap} hasn't been voted on in this chat yet.`, threadId);
+                }
+                const zone = timezones.of(fromUserId, groupInfo);
+                const lines = votes.map(vote => scores.describe(vote, groupInfo.names, zone));
+                utils.sendMessage(`Latest votes on ${user_cap}:\n${lines.join("\n")}`, threadId);
+            });
+        } else if (args.command == "scoreboard" || args.period) { // Display scoreboard
+            utils.getScores(groupInfo, (err, current) => {
+                if (err) {
+                    return utils.sendError("Scores couldn't be retrieved for this group.", threadId);
+                }
+                const period = args.period || "all time";
+                const board = scores.leaderboard({ ...groupInfo, "scores": current }, period);
+                const when = (period == "all time") ? "" : ` this ${period}`;
+                let message = `Rankings for ${groupInfo.name}${when}:`;
+                for (let i = 0; i < board.length; i++) {
+                    message += `\n${i + 1}. ${board[i].name}: ${board[i].score}`;
                 }
+                utils.sendMessage(message, threadId);
             });
-        } else if (cmatch[2]) {
-            const user = cmatch[2].toLowerCase();
-            const userId = groupInfo.members[user];
-            const user_cap = user.substring(0, 1).toUpperCase() + user.substring(1);
-            if (userId) {
-                const new_score = cmatch[3];
-                if (new_score || new_score == "0") { // Set to provided score if valid (0 is falsey)
-                    utils.setScore(userId, new_score, (err, success) => {
-                        if (success) {
+        } else if (args.user) {
+            const userId = args.user;
+            const user_cap = groupInfo.names[userId];
+            const new_score = args.score;
+            utils.getScores(groupInfo, (err, current) => {
+                if (err) {
+                    return utils.sendError(err, threadId);
+                }
+                const stored_score = current[userId] || 0;
+                if (new_score !== undefined) { // Set to provided score (0 is falsey)
+                    // Recorded as a vote so that it shows up in the member's history
+                    const reason = `having their score set to ${new_score}`;
+                    utils.addVote(fromUserId, userId, new_score - stored_score, reason, groupInfo, err => {
+                        if (!err) {
                             utils.sendMessage(`${user_cap}'s score updated to ${new_score}.`, threadId);
                         } else {
                             utils.sendError(err, threadId);
                         }
                     });
                 } else { // No value provided; just display score
-                    utils.getScore(`${userId}`, (err, val) => {
-                        if (!err) {
-                            const stored_score = val ? val.toString() : 0;
-                            utils.sendMessage(`${user_cap}'s current score is ${stored_score}.`, threadId);
-                        } else {
-                            console.log(err);
-                        }
-                    });
+                    utils.sendMessage(`${user_cap}'s current score is ${stored_score}.`, threadId);
                 }
-            } else {
-                utils.sendError(`User ${user_cap} not found`, threadId);
-            }
+            });
         }
     },
     "restart": (threadId,) => {
@@ -884,9 +1095,9 @@ const funcs = {
             utils.sendMessage("Restarting...", threadId);
         });
     },
-    "photo": (threadId, cmatch, groupInfo, _, __, attachments, messageObj) => {
+    "photo": (threadId, args, groupInfo, _, __, attachments, messageObj) => {
         // Set group photo to photo at provided URL
-        const url = cmatch[1];
+        const url = args.url;
         if (url) {
             // Use passed URL
             utils.setGroupImageFromUrl(url, threadId, "Can't set group image for this chat.");
@@ -918,15 +1129,12 @@ const funcs = {
             }
         }
     },
-    "poll": (threadId, cmatch, _, api) => {
-        const title = cmatch[1];
-        const opts = cmatch[2];
+    "poll": (threadId, args, _, api) => {
+        const title = args.title;
+        const opts = args.options || [];
         let optsObj = {};
-        if (opts) {
-            const items = opts.split(",");
-            for (let i = 0; i < items.length; i++) {
-                optsObj[items[i]] = false; // Initialize options to unselected in poll
-            }
+        for (let i = 0; i < opts.length; i++) {
+            optsObj[opts[i]] = false; // Initialize options to unselected in poll
         }
         api.createPoll(title, threadId, optsObj, err => { // I contributed this func to the API!
             if (err) {
@@ -934,8 +1142,8 @@ const funcs = {
             }
         });
     },
-    "title": (threadId, cmatch, _, api) => {
-        const title = cmatch[1];
+    "title": (threadId, args, _, api) => {
+        const title = args.title;
         api.setTitle(title, threadId, err => {
             if (err) {
                 utils.sendError("Cannot set title for non-group chats.", threadId);
@@ -945,13 +1153,13 @@ const funcs = {
     "answer": threadId => {
         utils.sendMessage(config.answerResponses[Math.floor(Math.random() * config.answerResponses.length)], threadId);
     },
-    "space": (threadId, cmatch) => {
-        const search = cmatch[2];
+    "space": (threadId, args) => {
+        const search = args.query;
         request.get(`https://images-api.nasa.gov/search?q=${encodeURIComponent(search)}&media_type=image`, (err, res, body) => {
             if (!err) {
                 const results = JSON.parse(body).collection.items;
                 if (results && results.length > 0) {
-                    const chosen = cmatch[1] ? Math.floor(Math.random() * results.length) : 0; // If rand not specified, use top result
+                    const chosen = args.random ? Math.floor(Math.random() * results.length) : 0; // If rand not specified, use top result
                     const link = results[chosen].links[0].href;
                     const data = results[chosen].data[0];
                     utils.sendFilesFromUrl(link, threadId, `"${data.title}"\n${data.description}`);
@@ -963,15 +1171,15 @@ const funcs = {
             }
         });
     },
-    "rng": (threadId, cmatch) => {
+    "rng": (threadId, args) => {
         let lowerBound, upperBound;
-        if (cmatch[2]) {
-            lowerBound = parseInt(cmatch[1]); // Assumed to exist if upperBound was passed
-            upperBound = parseInt(cmatch[2]);
+        if (args.upper !== undefined) {
+            lowerBound = args.lower; // Assumed to exist if upperBound was passed
+            upperBound = args.upper;
         } else { // No last parameter
             lowerBound = config.defaultRNGBounds[0];
-            if (cmatch[1]) { // Only parameter passed becomes upper bound
-                upperBound = parseInt(cmatch[1]);
+            if (args.lower !== undefined) { // Only parameter passed becomes upper bound
+                upperBound = args.lower;
             } else { // No params passed at all
                 upperBound = config.defaultRNGBounds[1];
             }
@@ -980,8 +1188,8 @@ const funcs = {
         const chance = Math.abs(((1.0 / (upperBound - lowerBound + 1)) * 100).toFixed(2));
         utils.sendMessage(`${rand}\n\nWith bounds of (${lowerBound}, ${upperBound}), the chances of receiving this result were ${chance}%`, threadId);
     },
-    "bw": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const url = cmatch[1];
+    "bw": (threadId, args, groupInfo, _, __, attachments) => {
+        const url = args.url;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             img.greyscale().write(path, err => {
                 if (!err) {
@@ -992,8 +1200,8 @@ const funcs = {
             });
         });
     },
-    "sepia": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const url = cmatch[1];
+    "sepia": (threadId, args, groupInfo, _, __, attachments) => {
+        const url = args.url;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             img.sepia().write(path, err => {
                 if (!err) {
@@ -1004,9 +1212,9 @@ const funcs = {
             });
         });
     },
-    "flip": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const horiz = (cmatch[1].toLowerCase().indexOf("horiz") > -1); // Horizontal or vertical
-        const url = cmatch[2];
+    "flip": (threadId, args, groupInfo, _, __, attachments) => {
+        const horiz = (args.direction || "").startsWith("horiz"); // Horizontal or vertical (default)
+        const url = args.url;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             img.flip(horiz, !horiz).write(path, err => {
                 if (!err) {
@@ -1017,8 +1225,8 @@ const funcs = {
             });
         });
     },
-    "invert": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const url = cmatch[1];
+    "invert": (threadId, args, groupInfo, _, __, attachments) => {
+        const url = args.url;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             img.invert().write(path, err => {
                 if (!err) {
@@ -1029,10 +1237,10 @@ const funcs = {
             });
         });
     },
-    "blur": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const pixels = parseInt(cmatch[1]) || 2;
-        const gauss = cmatch[2];
-        const url = cmatch[3];
+    "blur": (threadId, args, groupInfo, _, __, attachments) => {
+        const pixels = args.pixels || 2;
+        const gauss = args.gauss;
+        const url = args.url;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             if (gauss) {
                 // Gaussian blur (extremely resource-intensive – will pretty much halt the bot while processing)
@@ -1057,9 +1265,9 @@ const funcs = {
             }
         });
     },
-    "overlay": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const url = cmatch[1];
-        const overlay = cmatch[2];
+    "overlay": (threadId, args, groupInfo, _, __, attachments) => {
+        const url = args.url;
+        const overlay = args.text;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             jimp.loadFont(jimp.FONT_SANS_32_BLACK, (err, font) => {
                 if (!err) {
@@ -1085,13 +1293,11 @@ const funcs = {
             });
         });
     },
-    "brightness": (threadId, cmatch, groupInfo, _, __, attachments) => {
-        const bright = (cmatch[1].toLowerCase() == "brighten");
+    "brightness": (threadId, args, groupInfo, _, __, attachments) => {
+        const bright = (args.command == "brighten");
         // Value must range from -1 to 1
-        let perc = parseInt(cmatch[2]);
-        perc = (perc > 100) ? 1 : (perc / 100.0);
-        perc = bright ? perc : (-1 * perc);
-        const url = cmatch[3];
+        const perc = (bright ? 1 : -1) * (args.percent / 100.0);
+        const url = args.url;
         utils.processImage(url, attachments, groupInfo, (img, filename, path) => {
             img.brightness(perc).write(path, err => {
                 if (!err) {
@@ -1102,7 +1308,7 @@ const funcs = {
             });
         });
     },
-    "mute": (threadId, cmatch, groupInfo) => {
+    "mute": (threadId, args, groupInfo) => {
         const getCallback = muted => {
             return err => {
                 if (!err) {
@@ -1110,14 +1316,166 @@ const funcs = {
                 }
             };
         };
-        const mute = !(cmatch[1]); // True if muting; false if unmuting
+        const mute = (args.command == "mute"); // True if muting; false if unmuting
         utils.setGroupProperty("muted", mute, groupInfo, getCallback(mute));
     },
-    "christen": (threadId, cmatch, _, api) => {
-        api.changeNickname(cmatch[1], threadId, config.bot.id);
+    "plugins": (threadId, args, groupInfo, _, fromUserId) => {
+        const installed = plugins.installed();
+        if (!args.subcommand) {
+            // List installed plugins and whether they're on in this chat
+            if (installed.length > 0) {
+                const list = installed.map(plugin => {
+                    return `– ${plugin.name} (${plugins.isEnabled(plugin.name, groupInfo) ? "on" : "off"}): ${plugin.description}`;
+                }).join("\n");
+                utils.sendMessage(`Plugins:\n${list}`, threadId);
+            } else {
+                utils.sendMessage("No plugins are installed.", threadId);
+            }
+        } else {
+            const name = args.plugin.toLowerCase();
+            const enable = (args.subcommand == "enable");
+            if (!utils.hasRole(fromUserId, "admin", groupInfo)) {
+                utils.sendError(`Only admins can ${args.subcommand} plugins in this chat.`, threadId);
+            } else if (!installed.find(plugin => plugin.name == name)) {
+                utils.sendError(`Couldn't find a plugin named "${name}".`, threadId);
+            } else {
+                utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                    stored.disabledPlugins = stored.disabledPlugins.filter(plugin => plugin != name);
+                    if (!enable) {
+                        stored.disabledPlugins.push(name);
+                    }
+                }, `Couldn't ${args.subcommand} plugin "${name}".`, `Plugin "${name}" ${enable ? "enabled" : "disabled"}.`);
+            }
+        }
+    },
+    "disable": (threadId, args, groupInfo, _, fromUserId) => {
+        const enable = (args.command == "enable");
+        if (!args.target) {
+            // List everything that's turned off
+            const cats = groupInfo.disabledCategories.filter(cat => commands.categories[cat])
+                .map(cat => commands.categories[cat].display_name);
+            const cmds = groupInfo.disabledCommands.filter(c => commands.commands[c])
+                .map(c => commands.commands[c].pretty_name);
+            if (cats.length + cmds.length > 0) {
+                utils.sendMessage(`Turned off in this chat:${cats.length > 0 ? `\nCategories: ${cats.join(", ")}` : ""}${cmds.length > 0 ? `\nCommands: ${cmds.join(", ")}` : ""}`, threadId);
+            } else {
+                utils.sendMessage("Nothing is turned off in this chat.", threadId);
+            }
+        } else if (!utils.hasRole(fromUserId, "admin", groupInfo)) {
+            utils.sendError(`Only admins can ${args.command} commands in this chat.`, threadId);
+        } else {
+            // Look for a matching command first (by key or name), then a category
+            const input = args.target.toLowerCase();
+            const cats = commands.categories;
+            const entry = commands.commands[input] ? { "key": input, "entry": commands.commands[input] } : utils.getHelpEntry(input);
+            const catKey = Object.keys(cats).find(cat => cat == input || (cats[cat].display_name || "").toLowerCase() == input);
+            if (entry) {
+                const key = entry.key;
+                const name = entry.entry.pretty_name;
+                if (!enable && utils.alwaysEnabled.includes(key)) {
+                    utils.sendError(`${name} can't be turned off.`, threadId);
+                } else if (enable && groupInfo.disabledCategories.includes(entry.entry.category)) {
+                    utils.sendError(`${name} is in the ${cats[entry.entry.category].display_name} category, which is turned off in this chat; enable the category first.`, threadId);
+                } else {
+                    utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                        stored.disabledCommands = stored.disabledCommands.filter(c => c != key);
+                        if (!enable) {
+                            stored.disabledCommands.push(key);
+                        }
+                    }, `Couldn't ${args.command} ${name}.`, `${name} ${enable ? "enabled" : "disabled"}.`);
+                }
+            } else if (catKey) {
+                const name = `${cats[catKey].display_name || catKey} commands`;
+                utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                    stored.disabledCategories = stored.disabledCategories.filter(cat => cat != catKey);
+                    if (!enable) {
+                        stored.disabledCategories.push(catKey);
+                    }
+                }, `Couldn't ${args.command} ${name}.`, `${name} ${enable ? "enabled" : "disabled"}.`);
+            } else {
+                utils.sendError(`Couldn't find a command or category named "${args.target}".`, threadId);
+            }
+        }
+    },
+    "role": (threadId, args, groupInfo, _, fromUserId) => {
+        const getNames = ids => ids.map(id => groupInfo.names[id] || id).join(", ");
+        if (!args.subcommand) {
+            // List members with elevated built-in roles, then holders of custom roles
+            const titles = { "owner": "Owner", "botadmin": "Bot admins", "admin": "Admins" };
+            const members = Object.keys(groupInfo.names);
+            const lines = Object.keys(titles).map(role => {
+                const holders = members.filter(id => utils.getRole(id, groupInfo) == role);
+                return holders.length > 0 ? `${titles[role]}: ${getNames(holders)}` : null;
+            }).concat(Object.keys(groupInfo.roles).filter(role => role != "admin").map(role => {
+                return `${role}: ${getNames(groupInfo.roles[role])}`;
+            })).filter(line => line);
+            utils.sendMessage(`Roles in this chat:\n${lines.join("\n")}`, threadId);
+        } else if (!utils.hasRole(fromUserId, "admin", groupInfo)) {
+            utils.sendError(`Only admins can ${args.subcommand} roles in this chat.`, threadId);
+        } else {
+            const role = args.role.toLowerCase();
+            const grant = (args.subcommand == "grant");
+            const userIds = utils.pruneDuplicates(args.users);
+            if (utils.roles.includes(role) && role != "admin") {
+                utils.sendError(`The ${role} role can't be granted or revoked in a chat.`, threadId);
+            } else {
+                utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                    const holders = (stored.roles[role] || []).filter(id => !userIds.includes(id));
+                    stored.roles[role] = grant ? holders.concat(userIds) : holders;
+                    if (stored.roles[role].length == 0) {
+                        delete stored.roles[role];
+                    }
+                }, `Couldn't ${args.subcommand} the ${role} role.`,
+                `${grant ? "Granted" : "Revoked"} the ${role} role ${grant ? "to" : "from"} ${getNames(userIds)}.`);
+            }
+        }
+    },
+    "trigger": (threadId, args, groupInfo, _, fromUserId) => {
+        if (!args.subcommand) {
+            // Describe the current settings
+            const triggers = groupInfo.triggers.length > 0 ? groupInfo.triggers : [config.trigger];
+            const prefix = groupInfo.prefix ? `\nPrefix: ${groupInfo.prefix} (e.g. "${groupInfo.prefix}help")` : "";
+            const start = groupInfo.triggerAtStart ? "at the start of messages" : "anywhere in messages";
+            utils.sendMessage(`Trigger words: ${triggers.join(", ")} (${start})${prefix}`, threadId);
+        } else if (!utils.hasRole(fromUserId, "admin", groupInfo)) {
+            utils.sendError("Only admins can change the trigger in this chat.", threadId);
+        } else if (args.subcommand == "set") {
+            const words = utils.pruneDuplicates(args.words.map(word => word.toLowerCase()));
+            if (words.length == 0) {
+                utils.sendError("Give at least one trigger word.", threadId);
+            } else if (words.some(word => word.length < 2)) {
+                utils.sendError("Trigger words have to be at least two characters long.", threadId);
+            } else {
+                groupInfo.triggers = words;
+                utils.setGroupPropertyAndHandleErrors("triggers", groupInfo, "Couldn't change the trigger words.",
+                    `Trigger words set to ${words.join(", ")}.`);
+            }
+        } else if (args.subcommand == "prefix") {
+            const prefix = (args.prefix.toLowerCase() == "off") ? null : args.prefix;
+            if (prefix && !prefix.match(/^[^\w\s]{1,3}$/)) {
+                utils.sendError("The prefix has to be one to three symbols (like \"!\").", threadId);
+            } else {
+                groupInfo.prefix = prefix;
+                utils.setGroupPropertyAndHandleErrors("prefix", groupInfo, "Couldn't change the prefix.",
+                    prefix ? `Commands can now also start with ${prefix} (e.g. "${prefix}help").` : "Prefix removed.");
+            }
+        } else if (args.subcommand == "start") {
+            groupInfo.triggerAtStart = (args.required == "on");
+            utils.setGroupPropertyAndHandleErrors("triggerAtStart", groupInfo, "Couldn't change where the trigger goes.",
+                `The trigger ${groupInfo.triggerAtStart ? "now has to be at the start of messages" : "can now be anywhere in messages"}.`);
+        } else {
+            utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                stored.triggers = [];
+                stored.prefix = null;
+                stored.triggerAtStart = false;
+            }, "Couldn't reset the trigger.", `Trigger reset to "${config.trigger}".`);
+        }
     },
-    "wolfram": (threadId, cmatch) => {
-        const query = cmatch[1];
+    "christen": (threadId, args, _, api) => {
+        api.changeNickname(args.name, threadId, config.bot.id);
+    },
+    "wolfram": (threadId, args) => {
+        const query = args.query;
         request(`http://api.wolframalpha.com/v1/result?appid=${credentials.WOLFRAM_KEY}&i=${encodeURIComponent(query)}`, (err, res, body) => {
             if (!(err || body == "Wolfram|Alpha did not understand your input")) {
                 utils.sendMessage(body, threadId);
@@ -1147,8 +1505,8 @@ const funcs = {
     "clearstats": () => {
         utils.resetStats();
     },
-    "infiltrate": (threadId, cmatch, _, api) => {
-        const searchName = cmatch[1];
+    "infiltrate": (threadId, args, _, api) => {
+        const searchName = args.target;
         api.getThreadList(config.threadLimit, null, [], (err, chats) => {
             if (!err) {
                 if (!searchName) { // Just list chats
@@ -1185,22 +1543,24 @@ const funcs = {
             }
         });
     },
-    "alias": (threadId, cmatch, groupInfo) => {
-        const user = cmatch[2].toLowerCase();
-        const aliasInput = cmatch[3];
+    "alias": (threadId, args, groupInfo) => {
+        const user = Object.keys(groupInfo.members).find(name => groupInfo.members[name] == args.user);
+        const aliasInput = args.alias;
         const aliases = groupInfo.aliases;
-        const name = groupInfo.names[groupInfo.members[user]];
-        if (cmatch[1]) { // Clear
-            delete aliases[user];
-            utils.setGroupProperty("aliases", aliases, groupInfo, err => {
+        const name = groupInfo.names[args.user];
+        if (args.clear) { // Clear
+            utils.updateGroup(threadId, info => {
+                delete info.aliases[user];
+            }, err => {
                 if (!err) {
                     utils.sendMessage(`Alias cleared for ${name}.`, threadId);
                 }
             });
         } else if (aliasInput) { // Set new alias
             const alias = aliasInput.toLowerCase();
-            aliases[user] = alias;
-            utils.setGroupProperty("aliases", aliases, groupInfo, err => {
+            utils.updateGroup(threadId, info => {
+                info.aliases[user] = alias;
+            }, err => {
                 if (!err) {
                     utils.sendMessage(`${name} can now be called "${aliasInput}".`, threadId);
                 }
@@ -1213,8 +1573,8 @@ const funcs = {
             }
         }
     },
-    "weather": (threadId, cmatch) => {
-        const city = cmatch[1];
+    "weather": (threadId, args) => {
+        const city = args.city;
         request(`http://api.openweathermap.org/data/2.5/weather?appid=${credentials.WEATHER_KEY}&q=${city}&units=imperial`, (err, res, body) => {
             if (!err && res.statusCode == 200) {
                 const data = JSON.parse(body);
@@ -1230,11 +1590,9 @@ const funcs = {
             }
         });
     },
-    "branch": (threadId, cmatch, groupInfo, api, fromUserId) => {
-        const title = cmatch[1] ? cmatch[1].trim() : null;
-        const input = cmatch[2];
-        const members = input.split(",").map(m => utils.parseNameReplacements(m.toLowerCase().trim(), fromUserId, groupInfo));
-        const ids = members.map(m => groupInfo.members[m]);
+    "branch": (threadId, args, groupInfo, api) => {
+        const title = args.title;
+        const ids = utils.pruneDuplicates(args.members);
 
         // Start a new chat with the collected IDs and the bot
         utils.sendMessage(`Welcome! This group was created from ${groupInfo.name}.`, ids, (err, info) => {
@@ -1254,8 +1612,8 @@ const funcs = {
             }
         });
     },
-    "restore": (threadId, cmatch, _, api) => {
-        const oldId = cmatch[1];
+    "restore": (threadId, args, _, api) => {
+        const oldId = args.threadId;
 
         // Collect properties about old chat
         utils.getGroupInfo(oldId, (err, info) => {
@@ -1292,24 +1650,21 @@ const funcs = {
                             }
                         }
                     }
-                    // Restore groupInfo properties (cascaded to avoid race conditions)
-                    utils.setGroupProperty("muted", restorables.muted, curInfo, () => {
-                        utils.setGroupProperty("playlists", restorables.playlists, curInfo, () => {
-                            utils.setGroupProperty("aliases", restorables.aliases, curInfo, () => {
-                                utils.setGroupProperty("tab", restorables.tab, curInfo, () => {
-                                    utils.setGroupProperty("pinned", restorables.pinned, curInfo, () => {
-                                        utils.setGroupProperty("image", restorables.image, curInfo);
-                                    });
-                                });
-                            });
-                        });
+                    // Restore groupInfo properties
+                    utils.updateGroup(threadId, stored => {
+                        stored.muted = restorables.muted;
+                        stored.playlists = restorables.playlists;
+                        stored.aliases = restorables.aliases;
+                        stored.tab = restorables.tab;
+                        stored.pinned = restorables.pinned;
+                        stored.image = restorables.image;
                     });
                 }
             });
         });
     },
-    "google": (threadId, cmatch) => {
-        const query = cmatch[1];
+    "google": (threadId, args) => {
+        const query = args.query;
         const encoded = encodeURI(query);
         utils.sendMessage({
             "url": `https://www.google.com/search?q=${encoded}`
@@ -1350,86 +1705,54 @@ const funcs = {
             utils.sendMessage("Cannot perform The Snap on a non-group chat. The hardest choices require the strongest wills.", threadId);
         }
     },
-    "choose": (threadId, cmatch) => {
-        const choices = cmatch[1].split(",");
+    "choose": (threadId, args) => {
+        const choices = args.choices;
         const choice = choices[Math.floor(Math.random() * choices.length)];
 
         utils.sendMessage(choice, threadId);
     },
-    "course": (threadId, cmatch) => {
-        const course = cmatch[1];
-        request.get(`https://api.umd.io/v0/courses/${course}`, (err, res, body) => {
-            if (!err) {
-                const data = JSON.parse(body);
-                if (data.error_code && data.error_code == 404) {
-                    utils.sendError("Course not found", threadId);
-                } else {
-                    const msg = `${data.name} (${data.course_id})\nCredits: ${data.credits}\n\n${data.description ? data.description : ""}`;
-                    utils.sendMessage(msg, threadId);
+    "remind": (threadId, args, groupInfo, _, fromUserId, __, messageObj) => {
+        // Reminders that have been sent can be snoozed by replying to them
+        const repliedTo = (args.subcommand == "snooze" && args.id === undefined && messageObj.type == "message_reply")
+            ? messageObj.messageReply.messageID : null;
+        const existing = repliedTo ? groupInfo.sentReminders[repliedTo] : utils.findReminder(args.id, groupInfo);
+        if (!args.subcommand) {
+            let reminder = args.reminder;
+            let when = args.time;
+            // How the reminder repeats can come before its time (e.g. "every monday at 9am")
+            const repeat = reminder.match(/\s+((?:every|hourly|daily|weekly|monthly)\b[\s\S]*)$/i);
+            if (repeat && !when.recurrence) {
+                try {
+                    when = recurrence.parse(`${repeat[1]} ${when.text}`, new Date(), timezones.of(fromUserId, groupInfo));
+                    reminder = reminder.slice(0, repeat.index);
+                } catch (e) {
+                    // Not a schedule after all, so it's part of the reminder
                 }
             }
-        });
-    },
-    "professor": (threadId, cmatch) => {
-        const prof = cmatch[1];
-        request.get(`https://api.umd.io/v0/professors?name=${encodeURIComponent(prof)}`, (err, res, body) => {
-            if (!err) {
-                const data = JSON.parse(body);
-                if (data.error_code && data.error_code == 404 || data.length < 1) {
-                    utils.sendError("Professor not found", threadId);
-                } else {
-                    const best = data[0];
-                    const msg = `${best.name} (${best.department || best.departments.join(", ")})\n\nCourses:\n${best.courses.join("\n")}`;
-                    utils.sendMessage(msg, threadId);
-                }
+            utils.addReminder(args.user, reminder, when.time, groupInfo, threadId, messageObj.messageID, when.recurrence);
+        } else if (args.subcommand == "list") {
+            utils.listReminders(groupInfo, fromUserId);
+        } else if (!existing) {
+            if (args.id !== undefined) {
+                utils.sendError(`There's no reminder #${args.id}.`, threadId);
+            } else {
+                utils.sendError("Reply to a reminder or give its number to snooze it.", threadId);
             }
-        });
-    },
-    "remind": (threadId, cmatch, groupInfo, _, __, ___, messageObj) => {
-        const user = cmatch[1].toLowerCase();
-        const userId = groupInfo.members[user];
-        const reminder = cmatch[2];
-        const time = cmatch[3];
-
-        if (userId) {
-            utils.addReminder(userId, reminder, time, groupInfo, threadId, messageObj.messageID);
+        } else if (existing.owner != fromUserId && !utils.hasRole(fromUserId, "admin", groupInfo)) {
+            utils.sendError("Only whoever a reminder is for or chat admins can change it.", threadId);
+        } else if (args.subcommand == "cancel") {
+            utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                delete stored.events[existing.key_title];
+            }, `Couldn't cancel reminder #${existing.id}.`, `Cancelled reminder #${existing.id}.`);
+        } else if (args.subcommand == "snooze") {
+            utils.snoozeReminder(existing, args.length || config.snoozeTime * 60000, repliedTo, groupInfo);
         } else {
-            utils.sendError(`Couldn't find user "${cmatch[1]}".`, threadId);
+            utils.editReminder(existing, args.field, args.value, fromUserId, groupInfo);
         }
     },
-    "whereis": (threadId, cmatch) => {
-        const query = cmatch[1];
-        let url = "https://www.google.com/maps/search/?api=1&query=";
-        request.get("https://api.umd.io/v0/map/buildings", (err, res, body) => {
-            if (!err) {
-                const buildings = JSON.parse(body);
-                let match;
-                let i = 0;
-                while (!match && i < buildings.length) {
-                    const build = buildings[i];
-                    const name = build.name;
-                    const code = build.code;
-                    const matcher = new RegExp(query, "i");
-                    if (name.match(matcher) || code.match(matcher)) {
-                        match = build;
-                    }
-                    i++;
-                }
-
-                if (match) {
-                    utils.sendMessage({
-                        "url": `${url}${match.lat},${match.lng}`
-                    }, threadId);
-                } else {
-                    utils.sendError("No building matches found.", threadId);
-                }
-            }
-        });
-    },
-    "admin": (threadId, cmatch, groupInfo, api, senderId) => {
-        const status = cmatch[1] ? false : true;
-        const user = cmatch[2].toLowerCase();
-        const userId = groupInfo.members[user];
+    "admin": (threadId, args, groupInfo, api, senderId) => {
+        const status = (args.command == "admin");
+        const userId = args.user;
 
         if (groupInfo.isGroup) {
             api.changeAdminStatus(threadId, userId, status, err => {
@@ -1448,55 +1771,68 @@ const funcs = {
             }
         });
     },
-    "findbus": (threadId, cmatch) => {
-        const busNum = cmatch[1];
-        const baseUrl = "https://www.google.com/maps/place/";
-        request.get("https://api.umd.io/v0/bus/locations", (err, res, body) => {
-            if (!err) {
-                const data = JSON.parse(body);
-                if (data && data.vehicle) {
-                    const buses = data.vehicle.filter(bus => bus.routeTag == busNum);
-                    if (buses.length > 0) {
-                        const bus = buses[0]; // Should only find one match
-                        const url = `${baseUrl}${bus.lat},${bus.lon}/`;
-                        const body = `The ${bus.routeTag} bus currently has ${bus.passengerCount} passenger${bus.passengerCount != 1 ? "s" : ""} and is moving at ${bus.speedKmHr} km/h.`;
-
-                        utils.sendMessage({
-                            "url": url,
-                            "body": body
-                        }, threadId);
-                    } else {
-                        utils.sendError("That bus isn't currently running.", threadId);
-                    }
-                } else {
-                    utils.sendError("No buses are currently reporting locations.", threadId);
-                }
-            }
-        });
-    },
-    "event": (threadId, cmatch, groupInfo, _, fromUserId) => {
-        if (cmatch[1]) {
-            // Create event
-            const title = cmatch[2];
-            const at = cmatch[3];
-            utils.addEvent(title, at, fromUserId, groupInfo, threadId);
-        } else if (cmatch[4]) {
-            // Delete event
-            const title = cmatch[5];
-            utils.deleteEvent(title, fromUserId, groupInfo, threadId);
-        } else if (cmatch[6]) {
+    "event": (threadId, args, groupInfo, _, fromUserId, attachments, messageObj) => {
+        if (args.subcommand == "create") {
+            utils.addEvent(args.title, args.time.time, fromUserId, groupInfo, threadId, args.time.recurrence);
+        } else if (args.subcommand == "edit") {
+            utils.editEvent(args.title, args.field, args.value, fromUserId, groupInfo, threadId);
+        } else if (args.subcommand == "delete") {
+            utils.deleteEvent(args.title, fromUserId, groupInfo, threadId);
+        } else if (args.subcommand == "export") {
+            utils.exportEvents(groupInfo, threadId);
+        } else if (args.subcommand == "import") {
+            // The calendar can be attached or in the message being replied to
+            const replied = (messageObj.type == "message_reply") ? messageObj.messageReply.attachments : [];
+            utils.importEvents((attachments || []).concat(replied || []), fromUserId, groupInfo, threadId);
+        } else if (args.subcommand == "feed") {
+            utils.sendMessage(`Subscribe to this chat's events in your calendar app with ${utils.getCalendarUrl(groupInfo)} (anyone with this link can see them).`, threadId);
+        } else {
             // List event(s)
-            const rawTitle = cmatch[7];
-            utils.listEvents(rawTitle, groupInfo, threadId);
+            utils.listEvents(args.title, groupInfo, threadId, fromUserId);
+        }
+    },
+    "schedule": (threadId, args, groupInfo, _, fromUserId) => {
+        const schedules = groupInfo.schedules;
+        const schedule = schedules[args.id];
+        if (!args.subcommand) {
+            // Names other than "schedule" are part of when to run the command
+            const when = (args.command == "schedule") ? args.when : `${args.command} ${args.when}`;
+            utils.addSchedule(args.task, when, fromUserId, groupInfo);
+        } else if (args.subcommand == "list") {
+            const ids = Object.keys(schedules).sort((a, b) => a - b);
+            if (ids.length > 0) {
+                utils.sendMessage(`Scheduled commands:\n${ids.map(id => `#${id}: ${utils.describeSchedule(schedules[id], fromUserId, groupInfo)}`).join("\n")}`, threadId);
+            } else {
+                utils.sendMessage(`Nothing is scheduled in this chat. Schedule a command with "${utils.getTrigger(groupInfo)} schedule {time} do {command}".`, threadId);
+            }
+        } else if (!schedule) {
+            utils.sendError(`There's no schedule #${args.id}.`, threadId);
+        } else if (schedule.owner != fromUserId && !utils.hasRole(fromUserId, "admin", groupInfo)) {
+            utils.sendError("Only whoever scheduled a command or chat admins can change its schedule.", threadId);
+        } else if (args.subcommand == "delete") {
+            utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                delete stored.schedules[args.id];
+            }, `Couldn't delete schedule #${args.id}.`, `Deleted schedule #${args.id}.`);
+        } else {
+            const paused = (args.subcommand == "pause");
+            utils.updateGroupAndHandleErrors(groupInfo, stored => {
+                const updated = stored.schedules[args.id];
+                if (!updated) {
+                    return; // Deleted in the meantime
+                }
+                updated.paused = paused;
+                if (!paused && updated.recurrence && updated.time <= Date.now()) {
+                    // Skip any runs missed while it was paused
+                    updated.time = recurrence.nextAfter(updated.recurrence, updated.time).getTime();
+                }
+            }, `Couldn't ${args.subcommand} schedule #${args.id}.`, `${paused ? "Paused" : "Resumed"} schedule #${args.id}.`);
         }
     },
-    "covid": (threadId, cmatch) => {
-        const type = cmatch[1];
-        const search = cmatch[2];
-        utils.getCovidData(type, search, threadId);
+    "covid": (threadId, args) => {
+        utils.getCovidData(args.subcommand, args.query, threadId);
     },
-    "stocks": (threadId, cmatch) => {
-        const ticker = cmatch[1];
+    "stocks": (threadId, args) => {
+        const ticker = args.symbol;
         utils.getStockData(ticker, (err, data) => {
             if (err) {
                 utils.sendError(err, threadId);
@@ -1516,19 +1852,11 @@ const funcs = {
             }
         });
     },
-    "group": (_, cmatch, groupInfo, __, fromUserId) => {
-        const action = cmatch[1].toLowerCase();
-        const name = cmatch[2] || "unnamed";
-        const userList = cmatch[3];
+    "group": (_, args, groupInfo) => {
+        const name = args.name || "unnamed";
+        const userIds = utils.pruneDuplicates(args.users || []);
 
-        let userIds = [];
-        if (userList) {
-            const users = userList.split(",").map(m => utils.parseNameReplacements(m.toLowerCase().trim(), fromUserId, groupInfo));
-            userIds = users.map(user => groupInfo.members[user]).filter(id => id);
-            userIds = utils.pruneDuplicates(userIds);
-        }
-
-        switch (action) {
+        switch (args.subcommand) {
             case "create": utils.createMentionGroup(name, userIds, groupInfo); break;
             case "subscribe": utils.subToMentionGroup(name, userIds, groupInfo); break;
             case "unsubscribe": utils.unsubFromMentionGroup(name, userIds, groupInfo); break;
@@ -1536,8 +1864,8 @@ const funcs = {
             case "list": utils.listMentionGroups(name, groupInfo); break;
         }
     },
-    "lucky": (threadId, cmatch) => {
-        const query = cmatch[1].trim().split(/\s/).join("+");
+    "lucky": (threadId, args) => {
+        const query = args.query.split(/\s/).join("+");
 
         request.get(`https://api.duckduckgo.com/?q=!${query}&format=json&no_redirect=1`, (err, res, body) => {
             if (!err && res.statusCode == 200) {
@@ -1552,10 +1880,8 @@ const funcs = {
             }
         });
     },
-    "timer": (threadId, cmatch, groupInfo) => {
-        const operation = cmatch[1].toLowerCase().trim();
-
-        if (operation == "start") {
+    "timer": (threadId, args, groupInfo, _, fromUserId) => {
+        if (args.subcommand == "start") {
             if (groupInfo.timer) {
                 utils.sendError("Can't start a new timer while one is already running.", threadId);
             } else {
@@ -1564,7 +1890,7 @@ const funcs = {
                 groupInfo.timer = time;
                 utils.setGroupPropertyAndHandleErrors("timer", groupInfo,
                     "Couldn't start a new timer.",
-                    `Started new timer from ${utils.getPrettyDateString(time, true)}.`);
+                    `Started new timer from ${utils.getPrettyTimeFor(time, fromUserId, groupInfo)}.`);
             }
         } else {
             if (!groupInfo.timer) {
@@ -1579,16 +1905,53 @@ const funcs = {
                     `Timer stopped. Elapsed time: ${utils.fancyDuration(from, to)}`);
             }
         }
+    },
+    "timezone": (threadId, args, groupInfo, _, fromUserId) => {
+        const mine = groupInfo.userTimeZones[fromUserId];
+        const zone = args.zone ? timezones.find(args.zone) : null;
+        const cleared = (args.subcommand == "clear");
+        if (!args.subcommand) {
+            const chat = timezones.ofGroup(groupInfo);
+            utils.sendMessage(mine
+                ? `Your time zone is ${mine}, and this chat's is ${chat}.`
+                : `This chat's time zone is ${chat}, which you're using too. Set your own with "${utils.getTrigger(groupInfo)} timezone set {time zone}".`, threadId);
+        } else if (args.chat && !utils.hasRole(fromUserId, "admin", groupInfo)) {
+            utils.sendError("Only admins can change the time zone of this chat.", threadId);
+        } else if (!cleared && !zone) {
+            utils.sendError(`Couldn't find a time zone called "${args.zone}". Try a city, like "New York", or a name like "Asia/Dhaka".`, threadId);
+        } else if (args.chat) {
+            utils.updateGroupAndHandleErrors(groupInfo, info => {
+                info.timeZone = zone;
+            }, "Couldn't change the time zone of this chat.",
+            cleared ? `This chat's time zone is back to ${config.timeZone}.` : `This chat's time zone is now ${zone}.`);
+        } else {
+            utils.updateGroupAndHandleErrors(groupInfo, info => {
+                if (cleared) {
+                    delete info.userTimeZones[fromUserId];
+                } else {
+                    info.userTimeZones[fromUserId] = zone;
+                }
+            }, "Couldn't change your time zone.",
+            cleared ? `Cleared your time zone, so you'll use this chat's (${timezones.ofGroup(groupInfo)}).` : `Your time zone is now ${zone}.`);
+        }
     }
 };
 
+// Adds the command functions from a plugin (see plugins/index.js)
+exports.addPlugin = plugin => {
+    Object.keys(plugin.commands).forEach(key => {
+        funcs[key] = plugin.commands[key].run;
+    });
+};
+
 /*
     Run function: called with threadId, the matchInfo object (previously "co"),
     the groupInfo object, the current api instance, fromUserId, any
     attachments, and the full message object that triggered the command.
 
     Matches the correct command and runs its associated function block (above),
-    passing in the requisite information from main.
+    passing in the requisite information from main, including the command's
+    arguments as parsed from its spec in commands.js (see args.js).
 */
 exports.run = (api, matchInfo, groupInfo, fromUserId, attachments, messageObj) => {
     for (let c in matchInfo) {
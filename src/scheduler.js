@@ -0,0 +1,183 @@
+/*
+    Runs jobs that are due at a certain time, like events, reminders, and
+    scheduled commands.
+
+    Jobs are stored as part of the info of the group that they belong to, so
+    they persist along with everything else, and each kind of job is defined
+    (with `define`) by how to find its jobs in a group's info and how to run
+    them:
+
+    collect(info)            – returns a list of { key, time } for the jobs of
+                               this type in the group's info (key identifies the
+                               job within the group, and time is when it's due)
+    get(info, key)           – returns the job's own data (e.g. the event), or
+                               null if it's gone
+    claim(info, key, time)   – marks the job as done in the stored group info
+                               (modifying it in place), e.g. by deleting it or
+                               moving it on to its next run, and returns whether
+                               the job is still due (it won't run otherwise)
+    run(info, job, time, late, callback)
+                             – does the job, given the group info, the job's
+                               data from before it was claimed, and whether it's
+                               running more than `scheduler.lateAfter` minutes
+                               late (see config.js), and calls the callback once
+                               it's done
+
+    Due jobs are kept in memory in a timer wheel: slots of `scheduler.tick`
+    seconds, each holding the jobs due within it. The slots are checked every
+    tick, and the jobs for a group are found again whenever its info is written,
+    so the wheel always matches what's stored. When the bot starts, the wheel is
+    filled from every group, so any jobs missed while it was down run (late)
+    right away.
+
+    A job only runs after it's been claimed in the same write that marks it as
+    done, and writes to group info are applied one at a time (see
+    utils.updateGroup), so it can't run twice, even if it's due again before the
+    last run has finished. That write also records the run in the group's
+    `claimedJobs` (along with the job's data), and the record is cleared once
+    the run is done, so if the bot stops in between, the run happens (late)
+    when it starts again rather than being lost. If the write fails, the job
+    goes back into the wheel to be tried again.
+*/
+const config = require("./config");
+const utils = require("./utils");
+
+const types = {}; // Map from job types to their definitions (see above)
+let jobs = {}; // Map from job IDs to jobs ({ id, threadId, type, key, time })
+let slots = {}; // Map from slot numbers to the IDs of the jobs due in them
+let ticker = null; // Interval that checks the wheel (set while started)
+let refreshed = {}; // Threads whose jobs were found since the bot started (see start)
+
+// Defines a type of job (see above)
+exports.define = (type, definition) => {
+    types[type] = definition;
+};
+
+function slotOf(time) {
+    return Math.floor(time / (config.scheduler.tick * 1000));
+}
+
+function add(job) {
+    const slot = slotOf(job.time);
+    jobs[job.id] = job;
+    slots[slot] = (slots[slot] || []).concat([job.id]);
+}
+
+function remove(id) {
+    const job = jobs[id];
+    if (job) {
+        const slot = slotOf(job.time);
+        slots[slot] = slots[slot].filter(other => other != id);
+        if (slots[slot].length == 0) {
+            delete slots[slot];
+        }
+        delete jobs[id];
+    }
+}
+
+// Replaces the jobs in the wheel for a group with the ones in its current info
+exports.refresh = (threadId, info) => {
+    refreshed[threadId] = true;
+    Object.keys(jobs).filter(id => jobs[id].threadId == threadId).forEach(remove);
+    if (info) {
+        Object.keys(types).forEach(type => {
+            types[type].collect(info).forEach(job => add({
+                "id": `${threadId}/${type}/${job.key}`,
+                "threadId": threadId,
+                "type": type,
+                "key": job.key,
+                "time": job.time
+            }));
+        });
+    }
+};
+utils.onGroupWrite(this.refresh);
+
+// Gets the jobs waiting in the wheel, soonest first
+exports.pending = () => Object.keys(jobs).map(id => jobs[id]).sort((a, b) => a.time - b.time);
+
+// Runs a job that's been recorded in a group's claimedJobs, and then clears the record
+function run(info, id, late) {
+    const claimed = info.claimedJobs[id];
+    types[claimed.type].run(info, claimed.job, claimed.time, late, () => {
+        utils.updateGroup(info.threadId, stored => {
+            if (stored) {
+                delete stored.claimedJobs[id];
+            }
+        }, err => {
+            if (err) {
+                console.log(`Couldn't record that ${info.threadId}/${id} has run: ${err}`);
+            }
+        });
+    });
+}
+
+// Claims and runs a job (see above)
+function fire(job, now) {
+    const type = types[job.type];
+    const id = `${job.type}/${job.key}/${job.time}`;
+    let claimed = false;
+    utils.updateGroup(job.threadId, stored => {
+        const data = stored ? type.get(stored, job.key) : null;
+        if (data) {
+            const before = JSON.parse(JSON.stringify(data));
+            claimed = type.claim(stored, job.key, job.time);
+            if (claimed) {
+                stored.claimedJobs[id] = { "type": job.type, "key": job.key, "time": job.time, "job": before };
+            }
+        }
+    }, (err, info) => {
+        if (err && claimed) {
+            // Nothing was stored, so try again (unless the group's jobs were found again since)
+            console.log(`Couldn't claim ${job.id}: ${err}`);
+            if (!jobs[job.id]) {
+                add(job);
+            }
+        } else if (claimed) {
+            run(info, id, now - job.time > config.scheduler.lateAfter * 60000);
+        }
+    });
+}
+
+// Runs every job in the wheel that's due
+exports.tick = (now = Date.now()) => {
+    const current = slotOf(now);
+    Object.keys(slots).filter(slot => parseInt(slot) <= current).forEach(slot => {
+        slots[slot].map(id => jobs[id]).filter(job => job.time <= now).forEach(job => {
+            remove(job.id);
+            fire(job, now);
+        });
+    });
+};
+
+// Fills the wheel with the jobs from every group and starts checking it
+exports.start = (callback = () => { }) => {
+    this.stop();
+    utils.getGroupData((err, groups) => {
+        if (err) {
+            console.log(`Couldn't load scheduled jobs: ${err}`);
+        } else {
+            // Groups written in the meantime already have newer jobs in the wheel
+            Object.keys(groups).filter(threadId => !refreshed[threadId])
+                .forEach(threadId => this.refresh(threadId, groups[threadId]));
+            // Runs that were claimed but never finished before the bot last stopped
+            Object.keys(groups).forEach(threadId => {
+                Object.keys(groups[threadId].claimedJobs).forEach(id => run(groups[threadId], id, true));
+            });
+        }
+        ticker = setInterval(() => this.tick(), config.scheduler.tick * 1000);
+        this.tick();
+        callback(err);
+    });
+};
+
+// Stops checking for due jobs and empties the wheel
+exports.stop = () => {
+    if (ticker) {
+        clearInterval(ticker);
+        ticker = null;
+    }
+    jobs = {};
+    slots = {};
+    refreshed = {};
+};
@@ -0,0 +1,84 @@
+/*
+    Members' scores in a chat, which are changed by votes (see the vote and
+    score commands). Each chat keeps its own scores in groupInfo.scores (a map
+    from user IDs to scores), along with running totals for this week and
+    month in groupInfo.periodScores, of the form:
+
+    {
+        "week": { "start": number, "scores": {string: number} },
+        "month": { "start": number, "scores": {string: number} }
+    }
+
+    where `start` is when the period started in the chat's time zone (totals
+    from an earlier period don't count). The latest votes in each chat are
+    kept separately (so that they don't fill up the stored group info; see
+    utils.addVote), oldest first, as objects of the form:
+
+    {
+        "voter": string, // User ID of whoever voted
+        "target": string, // User ID of whoever was voted on
+        "delta": number, // How much their score changed
+        "reason": string | null,
+        "time": number
+    }
+*/
+const config = require("./config");
+const timezones = require("./timezones");
+
+// Periods that running totals are kept for
+const periods = ["week", "month"];
+
+// Gets when this week (starting on Monday) or this month started in a time zone
+exports.periodStart = (period, zone, now = new Date()) => {
+    const start = timezones.toWallClock(now, zone);
+    start.setHours(0, 0, 0, 0);
+    if (period == "week") {
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    } else {
+        start.setDate(1);
+    }
+    return timezones.fromWallClock(start, zone).getTime();
+};
+
+// Gets a chat's totals for the current week or month (empty if none have been
+// recorded since it started)
+const periodTotals = (info, period, now) => {
+    const stored = info.periodScores[period];
+    const start = this.periodStart(period, timezones.ofGroup(info), now);
+    return (stored && stored.start == start) ? stored.scores : {};
+};
+
+// Records a vote in a chat's scores and running totals (for use in a utils.updateGroup
+// mutator) and returns the target's new score
+exports.record = (info, vote) => {
+    const score = (info.scores[vote.target] || 0) + vote.delta;
+    info.scores[vote.target] = score;
+    const now = new Date(vote.time);
+    periods.forEach(period => {
+        const totals = periodTotals(info, period, now);
+        totals[vote.target] = (totals[vote.target] || 0) + vote.delta;
+        info.periodScores[period] = { "start": this.periodStart(period, timezones.ofGroup(info), now), "scores": totals };
+    });
+    return score;
+};
+
+// Adds a vote to a chat's list of votes, dropping the oldest ones past
+// config.voteHistoryLimit, and returns the new list
+exports.addToHistory = (votes, vote) => (votes || []).concat([vote]).slice(-config.voteHistoryLimit);
+
+// Ranks a chat's members (from highest to lowest) by their scores for a period, as
+// a list of { userId, name, score }
+exports.leaderboard = (info, period, now = new Date()) => {
+    const totals = (period == "all time") ? info.scores : periodTotals(info, period, now);
+    return Object.keys(info.names)
+        .map(userId => ({ "userId": userId, "name": info.names[userId], "score": totals[userId] || 0 }))
+        .sort((a, b) => b.score - a.score);
+};
+
+// Describes a vote, given a map from user IDs to names and the time zone to show its date in
+exports.describe = (vote, names, zone) => {
+    const delta = vote.delta > 0 ? `+${vote.delta}` : `${vote.delta}`;
+    const date = new Date(vote.time).toLocaleDateString("en-US", { "month": "short", "day": "numeric", "timeZone": zone });
+    const reason = vote.reason ? ` for ${vote.reason}` : "";
+    return `${delta} from ${names[vote.voter] || "someone who left"} on ${date}${reason}`;
+};
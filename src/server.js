@@ -4,6 +4,7 @@ const app = express();
 const bodyParser = require("body-parser");
 const main = require("./main");
 const config = require("./config");
+const utils = require("./utils");
 
 app.set("port", (process.env.PORT || 4000));
 app.listen(app.get("port"));
@@ -15,6 +16,17 @@ app.get("/", (_, res) => {
     });
 });
 
+// Read-only calendar feed of a chat's events (see utils.getCalendarUrl)
+app.get("/calendar/:threadId/:token.ics", (req, res) => {
+    utils.getCalendar(req.params.threadId, req.params.token, (err, calendar) => {
+        if (err) {
+            res.sendStatus(404);
+        } else {
+            res.type("text/calendar").send(calendar);
+        }
+    });
+});
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({
     extended: true
@@ -0,0 +1,109 @@
+/*
+    Local JSON file storage backend.
+
+    The entire store is kept in memory and written back to a single JSON file
+    (`path` in the storage options, relative to the repo root) after every
+    change. Writes go to a temporary file first and are then renamed over the
+    real one so that a crash mid-write can't corrupt the stored data.
+*/
+const fs = require("fs");
+const path = require("path");
+
+exports.create = (options = {}) => {
+    const file = path.resolve(`${__dirname}/../..`, options.path || "data/store.json");
+    let data = null; // Loaded lazily on first access
+    const loadCallbacks = [];
+    let writing = false;
+    let writeCallbacks = [];
+
+    function load(callback) {
+        if (data) {
+            return callback();
+        }
+        loadCallbacks.push(callback);
+        if (loadCallbacks.length > 1) {
+            return; // Already loading
+        }
+        fs.readFile(file, "utf-8", (err, contents) => {
+            let loadErr = null;
+            if (err && err.code != "ENOENT") {
+                loadErr = err;
+            } else {
+                try {
+                    data = contents ? JSON.parse(contents) : {};
+                } catch (e) {
+                    loadErr = new Error(`Storage file ${file} is corrupt: ${e.message}`);
+                }
+            }
+            loadCallbacks.splice(0).forEach(cb => cb(loadErr));
+        });
+    }
+
+    // Queues a write of the current data; writes never overlap, and any changes
+    // made while a write is in progress are picked up by the next one
+    function save(callback) {
+        writeCallbacks.push(callback);
+        if (!writing) {
+            flush();
+        }
+    }
+
+    function flush() {
+        writing = true;
+        const callbacks = writeCallbacks;
+        writeCallbacks = [];
+        const tmp = `${file}.tmp`;
+        fs.mkdir(path.dirname(file), { "recursive": true }, () => {
+            fs.writeFile(tmp, JSON.stringify(data), err => {
+                const done = err => {
+                    writing = false;
+                    callbacks.forEach(cb => cb(err || null));
+                    if (writeCallbacks.length > 0) {
+                        flush();
+                    }
+                };
+                if (err) {
+                    done(err);
+                } else {
+                    fs.rename(tmp, file, done);
+                }
+            });
+        });
+    }
+
+    return {
+        "get": (key, callback) => {
+            load(err => {
+                if (err) {
+                    callback(err);
+                } else {
+                    callback(null, data.hasOwnProperty(key) ? copy(data[key]) : null);
+                }
+            });
+        },
+        "set": (key, value, callback = () => { }) => {
+            load(err => {
+                if (err) {
+                    callback(err);
+                } else {
+                    data[key] = copy(value);
+                    save(callback);
+                }
+            });
+        },
+        "delete": (key, callback = () => { }) => {
+            load(err => {
+                if (err) {
+                    callback(err);
+                } else {
+                    delete data[key];
+                    save(callback);
+                }
+            });
+        }
+    };
+};
+
+function copy(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,32 @@
+/*
+    Persistent storage for the bot (group info, scores, and usage stats).
+
+    Every backend exposes the same callback-based interface, so the rest of
+    the bot doesn't need to know where its data actually lives:
+
+    get(key, callback)          – passes (err, value), where value is the stored
+                                  JSON value or null if the key doesn't exist
+    set(key, value, callback)   – stores any JSON-serializable value
+    delete(key, callback)       – removes a key (no error if it doesn't exist)
+
+    Values are always copied on the way in and out, so mutating a retrieved
+    value has no effect until it is passed back to `set`.
+
+    The backend is chosen with the `storage` setting in config.js.
+*/
+const backends = {
+    "memcached": "./memcached", // MemCachier (original behavior; data lost if the cache is wiped)
+    "file": "./file", // Local JSON file
+    "memory": "./memory" // In-process only (for tests and offline development)
+};
+
+// Creates a store from the given storage options (see config.js) and the
+// credentials object (only needed for remote backends)
+exports.create = (options = {}, credentials = {}) => {
+    const backend = backends[options.backend];
+    if (!backend) {
+        throw new Error(`Unknown storage backend "${options.backend}" (expected one of ${Object.keys(backends).join(", ")})`);
+    }
+    // Backends are required lazily so that unused ones don't need their dependencies
+    return require(backend).create(options, credentials);
+};
@@ -0,0 +1,49 @@
+/*
+    Memcached (MemCachier) storage backend.
+
+    Values are stored as JSON strings. Older entries that were written as raw
+    strings (e.g. `userscore_*` and `usage_*` keys) are still readable: anything
+    that doesn't parse as JSON is returned as the original string.
+*/
+const memjs = require("memjs");
+
+exports.create = (_, credentials) => {
+    const mem = memjs.Client.create(credentials.MEMCACHIER_SERVERS, {
+        "username": credentials.MEMCACHIER_USERNAME,
+        "password": credentials.MEMCACHIER_PASSWORD
+    });
+
+    return {
+        "get": (key, callback) => {
+            mem.get(key, (err, val) => {
+                if (err) {
+                    callback(err);
+                } else {
+                    callback(null, parse(val));
+                }
+            });
+        },
+        "set": (key, value, callback = () => { }) => {
+            mem.set(key, JSON.stringify(value), {}, (err, success) => {
+                callback(success ? null : (err || new Error(`Unable to store ${key}`)));
+            });
+        },
+        "delete": (key, callback = () => { }) => {
+            mem.delete(key, err => {
+                callback(err);
+            });
+        }
+    };
+};
+
+function parse(buffer) {
+    if (!buffer || buffer.length == 0) {
+        return null;
+    }
+    const str = buffer.toString();
+    try {
+        return JSON.parse(str);
+    } catch (e) {
+        return str;
+    }
+}
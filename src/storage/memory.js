@@ -0,0 +1,30 @@
+/*
+    In-memory storage backend.
+
+    Nothing is persisted, so this is only useful for tests and offline
+    development. An optional `data` object in the options can be used to seed
+    the store.
+*/
+exports.create = (options = {}) => {
+    const data = options.data ? copy(options.data) : {};
+
+    return {
+        "get": (key, callback) => {
+            setImmediate(() => {
+                callback(null, data.hasOwnProperty(key) ? copy(data[key]) : null);
+            });
+        },
+        "set": (key, value, callback = () => { }) => {
+            data[key] = copy(value);
+            setImmediate(() => callback(null));
+        },
+        "delete": (key, callback = () => { }) => {
+            delete data[key];
+            setImmediate(() => callback(null));
+        }
+    };
+};
+
+function copy(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
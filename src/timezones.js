@@ -0,0 +1,82 @@
+/*
+    Time zones for chats and their members. Each chat has a time zone (the one
+    in config.timeZone unless it's been set), and members can set their own,
+    which is used for the times they send and the times the bot shows them.
+
+    Zones are IANA names like "Asia/Dhaka". Dates are parsed (by chrono-node)
+    and stepped through (see recurrence.js) in the server's local time, so
+    times in other zones are handled as "wall clock" Dates: Dates whose local
+    time (getHours() and so on) is the time on a clock in that zone, which are
+    converted to and from real times with toWallClock and fromWallClock.
+*/
+const config = require("./config");
+
+// Areas that zones' names start with, so that zones can be found by just the last
+// part of their name
+const areas = ["America", "Europe", "Asia", "Africa", "Australia", "Pacific", "Atlantic", "Indian",
+    "Antarctica", "Arctic", "America/Argentina", "America/Indiana", "America/Kentucky", "America/North_Dakota"];
+
+// Gets the IANA name of a zone if it exists (its name can be in any case), or null
+function resolve(name) {
+    try {
+        return new Intl.DateTimeFormat("en-US", { "timeZone": name }).resolvedOptions().timeZone;
+    } catch (e) {
+        return null; // Not a zone
+    }
+}
+
+/*
+Finds a zone from what someone typed: its IANA name in any case (e.g.
+"america/new_york"), or just the last part of its name (e.g. "new york" or
+"Dhaka"). Returns the zone's IANA name, or null if there's no such zone.
+*/
+exports.find = name => {
+    const key = name.trim().replace(/\s+/g, "_");
+    if (!key) {
+        return null;
+    }
+    return resolve(key) || areas.map(area => resolve(`${area}/${key}`)).find(zone => zone) || null;
+};
+
+// Gets a chat's time zone
+exports.ofGroup = groupInfo => groupInfo.timeZone || config.timeZone;
+
+// Gets the time zone of a member of a chat (theirs if they've set one, or else the chat's)
+exports.of = (userId, groupInfo) => (groupInfo.userTimeZones || {})[userId] || this.ofGroup(groupInfo);
+
+// Formatters for each zone's wall clock, by zone (they're slow to create)
+const formatters = {};
+
+// Gets how far ahead of UTC a zone is at a time (in ms)
+function offset(zone, time) {
+    if (!formatters[zone]) {
+        formatters[zone] = new Intl.DateTimeFormat("en-US", {
+            "timeZone": zone,
+            "hourCycle": "h23",
+            "year": "numeric", "month": "numeric", "day": "numeric",
+            "hour": "numeric", "minute": "numeric", "second": "numeric"
+        });
+    }
+    const parts = formatters[zone].formatToParts(new Date(time)).reduce((all, part) => {
+        all[part.type] = parseInt(part.value);
+        return all;
+    }, {});
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - (time - (((time % 1000) + 1000) % 1000));
+}
+
+// Gets the wall clock Date for a time (a Date or timestamp) in a zone
+exports.toWallClock = (time, zone) => {
+    const ms = new Date(time).getTime();
+    const wall = new Date(ms + offset(zone, ms));
+    return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+        wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds());
+};
+
+// Gets the time at which the clock in a zone shows a wall clock Date
+exports.fromWallClock = (date, zone) => {
+    const wall = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    const guess = wall - offset(zone, wall);
+    return new Date(wall - offset(zone, guess)); // Checked again in case the offset changes in between
+};
@@ -1,27 +1,44 @@
 const fs = require("fs"); // File system
+const crypto = require("crypto"); // For comparing secret tokens
 const request = require("request"); // For HTTP requests
 const jimp = require("jimp"); // For image processing
-const chrono = require("chrono-node"); // For NL date parsing
 const entities = new (require('html-entities').XmlEntities)(); // For parsing HTML strings
 const humanize = require("humanize-duration"); // For creating readable time durations
 const config = require("./config");
 const utils = require("./configutils");
 const commands = require("./commands");
+const migrations = require("./migrations");
+const args = require("./args");
+const pipeline = require("./pipeline");
+const recurrence = require("./recurrence");
+const ical = require("./ical");
+const timezones = require("./timezones");
+const currency = require("./currency");
+const scores = require("./scores");
 let gapi;
-let mem;
+let store;
 let credentials;
-let lockedThreads = [];
+let platform;
+let pendingGroupWrites = []; // Queued updateGroup calls (see below)
+let writingGroups = false;
+const groupWriteListeners = []; // Called after each group write (see onGroupWrite)
+let initializing = []; // Threads that have been greeted but aren't stored yet (see updateGroupInfo)
+const pendingValueWrites = {}; // Queued updateValue calls, by storage key (see below)
 
 // Initialize the global variables in this module
 // MUST be called before other functions in this module
-// Values to be initialized: api instance, memjs instance,
-// credentials object
-exports.setglobals = (api, gmem, gcreds) => {
+// Values to be initialized: api instance, storage instance (see storage/),
+// credentials object, platform (see platforms/)
+exports.setglobals = (api, gstore, gcreds, gplatform) => {
     gapi = api;
-    mem = gmem;
+    store = gstore;
     credentials = gcreds;
+    platform = gplatform;
 };
 
+// Returns the chat platform that the bot is running on (see platforms/index.js)
+exports.getPlatform = () => platform;
+
 // Assorted utility functions
 
 /*
@@ -91,19 +108,23 @@ exports.sendMessage = (m, threadId, callback = () => { }, replyId = null, api =
     if (!m || !threadId) {
         return callback(new Error("Must provide message and threadId."));
     }
+    callback = pipeline.intercept(m, threadId, callback);
+    if (!callback) {
+        return; // Passed on to the next command in a pipeline instead
+    }
 
     try {
         api.sendMessage(m, threadId, (err, minfo) => {
             callback(err, minfo);
 
-            // Save last message ID sent
-            this.getGroupInfo(threadId, (err, info) => {
-                if (minfo && info) {
-                    if (err) return console.error(err);
-
-                    this.setGroupProperty("lastBotMessageID", minfo.messageID, info);
-                }
-            });
+            // Save last message ID sent (only for threads with stored info)
+            if (minfo) {
+                this.updateGroup(threadId, info => {
+                    if (info) {
+                        info.lastBotMessageID = minfo.messageID;
+                    }
+                });
+            }
         }, replyId);
     } catch (e) { // For debug mode (API not available)
         console.log(`${threadId}: ${m}`);
@@ -122,11 +143,11 @@ Mentions parameter is an array of dictionaries for each mention
 Each dict contains "tag" and "id" keys that should be set to
 the text and the id of the mention respectively
 */
-exports.sendMessageWithMentions = (message, mentions, threadId, replyId = null) => {
+exports.sendMessageWithMentions = (message, mentions, threadId, replyId = null, callback = () => { }) => {
     this.sendMessage({
         "body": message,
         "mentions": mentions,
-    }, threadId, () => { }, replyId);
+    }, threadId, callback, replyId);
 };
 
 // Kick user for an optional length of time in seconds (default indefinitely)
@@ -237,6 +258,10 @@ but can be ignored when called from anywhere else.
 Using callback is discouraged as the idea of this function is to update in
 the background to decrease lag, but it may be useful if updates are required
 to continue.
+
+Only the properties that mirror the thread's state on Messenger are written
+here (through updateGroup), so this never overwrites changes to other properties
+that were made while the thread info was being fetched.
 */
 exports.updateGroupInfo = (threadId, message, callback = () => { }, sendsInit = true, api = gapi) => {
     this.getGroupInfo(threadId, (err, existingInfo) => {
@@ -255,7 +280,9 @@ exports.updateGroupInfo = (threadId, message, callback = () => { }, sendsInit =
                     isNew = true;
 
 
-                    if (shouldSendMessage) {
+                    // Only greet once, even if more messages arrive before the group is stored
+                    if (shouldSendMessage && !initializing.includes(threadId)) {
+                        initializing.push(threadId);
                         this.sendMessage(`Hello! I'm ${n.long}${n.short ? `, but you can call me ${n.short}` : ""}. Give me a moment to collect some information about this chat before you use any commands.`, threadId);
 
                         // Add bot's nickname if available
@@ -267,59 +294,60 @@ exports.updateGroupInfo = (threadId, message, callback = () => { }, sendsInit =
                 // groupInfo schema definition
                 api.getThreadInfo(threadId, (err, data) => {
                     if (data) {
-                        let info = existingInfo || {};
-                        info.threadId = threadId;
-                        info.lastMessage = message;
-                        info.name = data.threadName || config.defaultTitle;
-                        info.emoji = data.emoji;
-                        info.image = data.imageSrc;
-                        info.color = data.color ? `#${data.color}` : null;
+                        const current = {};
+                        current.threadId = threadId;
+                        current.lastMessage = message;
+                        current.name = data.threadName || config.defaultTitle;
+                        current.emoji = data.emoji;
+                        current.image = data.imageSrc;
+                        current.color = data.color ? `#${data.color}` : null;
                         if (data.nicknames && data.nicknames[config.bot.id]) { // Don't add bot to nicknames list
                             delete data.nicknames[config.bot.id];
                         }
-                        info.nicknames = data.nicknames || {};
-                        info.admins = data.adminIDs ? data.adminIDs.map(u => u["id"]) : [];
-                        if (isNew) {
-                            // These properties only need to be initialized once
-                            info.muted = true;
-                            info.playlists = {};
-                            info.aliases = {};
-                            info.pinned = {};
-                            info.events = {};
-                            info.mentionGroups = {};
-                            info.isGroup = data.isGroup;
-                        }
+                        current.nicknames = data.nicknames || {};
+                        current.admins = data.adminIDs ? data.adminIDs.map(u => u["id"]) : [];
                         api.getUserInfo(data.participantIDs, (err, userData) => {
                             if (!err) {
-                                info.members = {};
-                                info.names = {};
+                                current.members = {};
+                                current.names = {};
                                 for (let id in userData) {
                                     if (userData.hasOwnProperty(id) && id != config.bot.id) { // Very important to not add bot to participants list
-                                        info.members[userData[id].firstName.toLowerCase()] = id;
-                                        info.names[id] = userData[id].firstName;
+                                        current.members[userData[id].firstName.toLowerCase()] = id;
+                                        current.names[id] = userData[id].firstName;
                                     }
                                 }
-                                // Set regex to search for member first names and any included aliases
-                                const aliases = Object.keys(info.aliases).map(n => {
-                                    return info.aliases[n];
-                                });
-                                const matches = Object.keys(info.members);
-                                info.userRegExp = utils.getRegexFromMembers(matches.concat(aliases));
-                                // Attempt to give chat a more descriptive name than "Unnamed chat" if possible
-                                if (info.name == config.defaultTitle) {
-                                    let names = Object.keys(info.names).map(n => {
-                                        return info.names[n];
+                            }
+                            this.updateGroup(threadId, stored => {
+                                const info = stored || migrations.create();
+                                isNew = !stored; // Another update may have stored the group in the meantime
+                                Object.assign(info, current);
+                                if (!stored) {
+                                    // Only needs to be initialized once
+                                    info.isGroup = data.isGroup;
+                                }
+                                if (info.members) {
+                                    // Set regex to search for member first names and any included aliases
+                                    const aliases = Object.keys(info.aliases).map(n => {
+                                        return info.aliases[n];
                                     });
-                                    info.name = names.join("/") || "Unnamed chat";
+                                    const matches = Object.keys(info.members);
+                                    info.userRegExp = utils.getRegexFromMembers(matches.concat(aliases));
+                                    // Attempt to give chat a more descriptive name than "Unnamed chat" if possible
+                                    if (info.name == config.defaultTitle) {
+                                        let names = Object.keys(info.names).map(n => {
+                                            return info.names[n];
+                                        });
+                                        info.name = names.join("/") || "Unnamed chat";
+                                    }
                                 }
-
-                                if (isNew && shouldSendMessage) {
+                                return info;
+                            }, (err, info) => {
+                                if (isNew) {
+                                    initializing = initializing.filter(id => id != threadId);
+                                }
+                                if (!err && isNew && shouldSendMessage) {
                                     // Alert owner now that chat name is available
                                     this.sendMessage(`Bot added to new chat: "${info.name}".`, config.owner.id);
-                                }
-                            }
-                            this.setGroupInfo(info, err => {
-                                if (!existingInfo && shouldSendMessage) {
                                     this.sendMessage(`All done! Use '${config.trigger} help' to see what I can do.`, threadId);
                                 }
                                 callback(err, info);
@@ -359,46 +387,164 @@ exports.getGroupInfo = (threadId, callback) => {
     });
 };
 
-// Wrapper function for retrieving all groups from memory
+// Wrapper function for retrieving all groups from storage
+// Groups stored with an older schema are upgraded on load (see migrations.js)
 exports.getGroupData = callback => {
-    mem.get(`groups`, (err, groups) => {
+    loadGroups((err, groups, migrated) => {
+        if (!err && migrated.length > 0) {
+            // Save the upgraded versions so that this only needs to happen once
+            migrated.forEach(threadId => this.updateGroup(threadId, () => { }));
+        }
+        callback(err, groups);
+    });
+};
+
+function loadGroups(callback) {
+    store.get(`groups`, (err, groups) => {
         if (err) {
             // Error retrieving data
             callback(err);
         } else {
             // No errors and groups are retrieved
-            const groupData = (groups && groups.length) ? JSON.parse(groups) : {};
-            callback(null, groupData);
+            groups = groups || {};
+            callback(null, groups, migrations.migrateAll(groups));
         }
     });
+}
+
+// Registers a function to be called with the thread ID and new info of each
+// group whenever its info is written (see updateGroup)
+exports.onGroupWrite = listener => {
+    groupWriteListeners.push(listener);
 };
 
-// Updates stored information about a group
+// Replaces the stored information about a group
 exports.setGroupInfo = (info, callback = () => { }) => {
-    this.getGroupData((err, groupData) => {
-        if (!err) {
-            groupData[info.threadId] = info;
-            mem.set(`groups`, JSON.stringify(groupData), {}, (err, success) => {
-                callback(success ? null : err);
-            });
+    this.updateGroup(info.threadId, () => info, callback);
+};
+
+/*
+Safely updates the stored information about a group.
+
+All groups share a single storage key, so every write has to load all of them,
+change one, and store them again. To make sure that concurrent writes (to the
+same group or to different ones) never overwrite each other with stale data,
+writes are queued and applied one batch at a time against freshly-loaded data.
+
+The `mutator` is called with the currently-stored info for the thread (or null if
+there isn't any yet) and should modify it in place, or return a replacement object.
+It should not depend on any other copy of the group's info, since that might be out
+of date by the time it runs. If it throws, that update is skipped and the error is
+passed to the callback.
+
+The callback receives an error (if any) and the updated group info.
+*/
+exports.updateGroup = (threadId, mutator, callback = () => { }) => {
+    pendingGroupWrites.push({
+        "threadId": threadId,
+        "mutator": mutator,
+        "callback": callback
+    });
+    if (!writingGroups) {
+        this.flushGroupWrites();
+    }
+};
+
+// Applies all currently-queued group updates in one write (see updateGroup)
+exports.flushGroupWrites = () => {
+    writingGroups = true;
+    const writes = pendingGroupWrites;
+    pendingGroupWrites = [];
+
+    const finish = results => {
+        writingGroups = false;
+        results.filter(res => !res.err).forEach(res => {
+            groupWriteListeners.forEach(listener => listener(res.write.threadId, res.info));
+        });
+        results.forEach(res => res.write.callback(res.err, res.info));
+        if (pendingGroupWrites.length > 0) {
+            this.flushGroupWrites();
         }
+    };
+
+    // Any groups that need migrating are saved along with this write
+    loadGroups((err, groupData) => {
+        if (err) {
+            return finish(writes.map(write => ({ "write": write, "err": err })));
+        }
+
+        const results = writes.map(write => {
+            // Work on a copy so that a mutator that throws partway through leaves nothing behind
+            const stored = groupData[write.threadId] ? JSON.parse(JSON.stringify(groupData[write.threadId])) : null;
+            try {
+                const updated = write.mutator(stored) || stored;
+                if (!updated) {
+                    return { "write": write, "err": new Error(`No stored info for thread ${write.threadId}`) };
+                }
+                groupData[write.threadId] = updated;
+                return { "write": write, "info": updated };
+            } catch (e) {
+                return { "write": write, "err": e };
+            }
+        });
+
+        store.set(`groups`, groupData, err => {
+            finish(results.map(res => err ? { "write": res.write, "err": res.err || err } : res));
+        });
     });
 };
 
+/*
+Safely updates a stored value other than the groups (see updateGroup). Updates
+to the same key are applied one at a time against freshly-loaded data, so that
+concurrent ones don't overwrite each other.
+
+The `mutator` is called with the currently-stored value (or null) and returns
+the new one. The callback receives an error (if any) and the new value.
+*/
+exports.updateValue = (key, mutator, callback = () => { }) => {
+    const queued = pendingValueWrites[key];
+    if (queued) {
+        queued.push({ "mutator": mutator, "callback": callback });
+        return;
+    }
+    pendingValueWrites[key] = [{ "mutator": mutator, "callback": callback }];
+    const next = () => {
+        const write = pendingValueWrites[key][0];
+        const done = (err, value) => {
+            pendingValueWrites[key].shift();
+            if (pendingValueWrites[key].length == 0) {
+                delete pendingValueWrites[key];
+            } else {
+                next();
+            }
+            write.callback(err, value);
+        };
+        store.get(key, (err, stored) => {
+            if (err) {
+                return done(err);
+            }
+            let value;
+            try {
+                value = write.mutator(stored);
+            } catch (e) {
+                return done(e);
+            }
+            store.set(key, value, err => done(err, value));
+        });
+    };
+    next();
+};
+
 // Wrapper for updating a group property
+// Also updates the passed info object so that it stays in sync with the stored data
 exports.setGroupProperty = (key, value, info, callback = () => { }) => {
-    if (!lockedThreads.includes(info.threadId)) {
-        info[key] = value;
-        lockedThreads.push(info.threadId);
-        setTimeout(() => {
-            this.setGroupInfo(info, err => {
-                lockedThreads = lockedThreads.filter(t => t != info.threadId);
-                callback(err);
-            });
-        }, 1500);
-    }
-    // NOTE: temporary arbitrary delay until I can figure out how to prevent
-    // the background update calls from overwriting these property changes (async/await?)
+    info[key] = value;
+    this.updateGroup(info.threadId, group => {
+        if (group) {
+            group[key] = value;
+        }
+    }, callback);
 };
 
 // Searches help for a given entry and returns an object containing the entry
@@ -419,6 +565,196 @@ exports.getHelpEntry = input => {
         }
     }
 };
+// Built-in roles, from most to least privileged: the bot's owner, the bot admins
+// in config.js, admins of the chat (including anyone granted the admin role there,
+// and the other person in a one-on-one chat), and everyone else
+exports.roles = ["owner", "botadmin", "admin", "member"];
+
+// Gets the most privileged built-in role that a user has in a chat
+exports.getRole = (userId, groupInfo) => {
+    if (userId == config.owner.id) {
+        return "owner";
+    } else if (config.botAdmins.includes(userId)) {
+        return "botadmin";
+    } else if (groupInfo.admins.includes(userId) || (groupInfo.roles.admin || []).includes(userId)
+        || groupInfo.isGroup === false) {
+        return "admin";
+    }
+    return "member";
+};
+
+// Whether a user has a role in a chat; built-in roles also cover everything less
+// privileged, and custom roles are held by anyone granted them in the chat as
+// well as by its admins
+exports.hasRole = (userId, role, groupInfo) => {
+    const rank = this.roles.indexOf(this.getRole(userId, groupInfo));
+    const required = this.roles.indexOf(role);
+    if (required > -1) {
+        return rank <= required;
+    }
+    return rank <= this.roles.indexOf("admin") || (groupInfo.roles[role] || []).includes(userId);
+};
+
+// Describes who has a role (e.g. for explaining why someone can't use a command)
+exports.describeRole = role => {
+    switch (role) {
+        case "owner": return "the bot's owner";
+        case "botadmin": return "bot admins";
+        case "admin": return "admins of this chat";
+        case "member": return "members of this chat";
+        default: return `members with the "${role}" role`;
+    }
+};
+
+// Commands that can't be turned off in a chat (so that they can be turned back on)
+exports.alwaysEnabled = ["help", "disable"];
+
+// Whether a command can be used in a chat, i.e. neither it nor its category
+// has been turned off there (see the disable command)
+exports.isCommandEnabled = (key, groupInfo) => {
+    const entry = commands.commands[key];
+    if (!entry || this.alwaysEnabled.includes(key)) {
+        return true;
+    }
+    return !groupInfo.disabledCommands.includes(key) && !groupInfo.disabledCategories.includes(entry.category);
+};
+
+// Gets the argument spec of a command in a chat
+exports.getSpec = (key, groupInfo) => {
+    const entry = commands.commands[key];
+    // Custom commands are invoked by whatever names they were given in this chat
+    return (key == "custom") ? { ...entry.args, "names": Object.keys(groupInfo.customCommands) } : entry.args;
+};
+
+// Gets the key of the command that some text (after the trigger) invokes, whether
+// or not its arguments are valid, or null if it doesn't invoke any
+exports.findCommand = (text, fromUserId, groupInfo) => {
+    const context = {
+        "groupInfo": groupInfo,
+        "fromUserId": fromUserId,
+        "contextless": false,
+        "trigger": this.getTrigger(groupInfo)
+    };
+    const key = Object.keys(commands.commands).find(c => {
+        const spec = this.getSpec(c, groupInfo);
+        return spec.names.length > 0 && args.parse(spec, text, context) !== null;
+    });
+    return key || null;
+};
+
+// Gets the trigger word to show in messages to a chat (its first one if it has its own)
+exports.getTrigger = groupInfo => {
+    return groupInfo.triggers.length > 0 ? groupInfo.triggers[0] : config.trigger;
+};
+
+// Finds the command in a message sent to a chat using the chat's trigger words
+// (or the default one) and command prefix, which are set with the trigger command
+// Returns the text of the command, or null if the message doesn't invoke the bot
+exports.getCommandText = (message, groupInfo) => {
+    if (groupInfo.prefix && message.startsWith(groupInfo.prefix)) {
+        return message.substring(groupInfo.prefix.length);
+    }
+    const lower = message.toLowerCase();
+    const triggers = groupInfo.triggers.length > 0 ? groupInfo.triggers : [config.trigger];
+    for (let i = 0; i < triggers.length; i++) {
+        const trigger = triggers[i].toLowerCase();
+        if (groupInfo.triggerAtStart) {
+            // Trigger has to be the first word of the message
+            if (lower == trigger || lower.startsWith(`${trigger} `)) {
+                return message.substring(trigger.length + 1);
+            }
+        } else {
+            // Has to be a whole word, so "nano" doesn't trigger on "nanometer"
+            // (lookarounds rather than \b, which fails next to symbols like "!")
+            const match = message.match(new RegExp(`(?<!\\w)${args.escape(trigger)}(?!\\w)`, "i"));
+            if (match) {
+                return message.substring(match.index + match[0].length + 1);
+            }
+        }
+    }
+    return null;
+};
+
+/*
+Fills in the variables in the template of a chat's custom command (see the
+command command) for a use of it by fromUserId with the given arguments:
+  {sender}            – the sender's name
+  {mention:who}       – a mention of the "sender", the member named by an
+                        argument ("arg1", "arg2", …), or a member by name
+  {arg1}, {arg2}, …   – the arguments, or {args} for all of them
+  {random:a|b|c}      – one of the options, chosen at random
+  {date}              – the current date and time
+  {media:file}        – attaches a file from the media library (media directory)
+Unknown variables are left as they are.
+
+Returns an object with the message body, its mentions, and the names of any
+media files to attach.
+*/
+exports.fillTemplate = (template, templateArgs, fromUserId, groupInfo) => {
+    const result = { "body": "", "mentions": [], "media": [] };
+    const getArg = name => {
+        const index = parseInt(name.substring("arg".length));
+        return templateArgs[index - 1] || "";
+    };
+
+    result.body = template.replace(/\{(\w+)(?::([^}]*))?\}/g, (variable, name, value) => {
+        if (name == "sender") {
+            return groupInfo.names[fromUserId] || "";
+        } else if (name == "mention" && value) {
+            const who = value.match(/^arg\d+$/) ? getArg(value) : value;
+            let userId;
+            try {
+                userId = (who == "sender") ? fromUserId : args.types.user.parse(who, {}, { groupInfo, fromUserId });
+            } catch (e) {
+                return who; // Not a member; leave as plain text
+            }
+            const tag = `@${groupInfo.names[userId]}`;
+            result.mentions.push({ "tag": tag, "id": userId });
+            return tag;
+        } else if (name.match(/^arg\d+$/)) {
+            return getArg(name);
+        } else if (name == "args") {
+            return templateArgs.join(" ");
+        } else if (name == "random" && value) {
+            const options = value.split("|");
+            return options[Math.floor(Math.random() * options.length)];
+        } else if (name == "date") {
+            return this.getPrettyDateString(new Date());
+        } else if (name == "media" && value) {
+            result.media.push(value.trim());
+            return "";
+        }
+        return variable;
+    }).trim();
+    return result;
+};
+
+// Counts the single-character edits needed to turn one string into another
+exports.editDistance = (a, b) => {
+    let prev = Array.from({ "length": b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const sub = prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1);
+            cur.push(Math.min(sub, prev[j] + 1, cur[j - 1] + 1));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+};
+
+// Finds the names that the start of some input is close enough to be a typo of,
+// closest first (names are compared with as many words as they have)
+exports.findClosest = (input, names) => {
+    const words = input.toLowerCase().trim().split(/\s+/);
+    return names.map(name => {
+        const start = words.slice(0, name.split(" ").length).join(" ");
+        return { "name": name, "distance": this.editDistance(start, name.toLowerCase()) };
+    }).filter(match => match.distance <= Math.floor(match.name.length / 3))
+        .sort((a, b) => a.distance - b.distance)
+        .map(match => match.name);
+};
+
 // Searches help for a given category and returns an object containing the
 // entry and its key if found
 exports.getHelpCategory = input => {
@@ -475,8 +811,8 @@ exports.getDateString = () => {
     return (new Date()).toLocaleDateString();
 };
 
-// Given a date, return a nicely-formatted string (with time)
-exports.getPrettyDateString = (date, withTime = true) => {
+// Given a date, return a nicely-formatted string (with time, in the given time zone)
+exports.getPrettyDateString = (date, withTime = true, zone = config.timeZone) => {
     const options = {
         'weekday': 'long',
         'year': 'numeric',
@@ -487,13 +823,32 @@ exports.getPrettyDateString = (date, withTime = true) => {
     if (withTime) {
         options['hour'] = 'numeric';
         options['minute'] = 'numeric';
-        options['timeZone'] = config.timeZone;
+        options['timeZone'] = zone;
         options['hour12'] = true;
     }
 
     return date.toLocaleString('en-US', options);
 };
 
+// Formats a date (with time) for a member of a chat in their time zone, along with
+// the time in the chat's zone if theirs is different (see timezones.js)
+exports.getPrettyTimeFor = (date, userId, groupInfo) => {
+    const zone = timezones.of(userId, groupInfo);
+    const groupZone = timezones.ofGroup(groupInfo);
+    const pretty = this.getPrettyDateString(date, true, zone);
+    if (zone == groupZone) {
+        return pretty;
+    }
+    const groupTime = date.toLocaleString('en-US', {
+        'weekday': 'short',
+        'hour': 'numeric',
+        'minute': 'numeric',
+        'timeZone': groupZone,
+        'hour12': true
+    });
+    return `${pretty} in ${zone} (${groupTime} in ${groupZone})`;
+};
+
 /*
 Creates a description for a user search result given the match's data from the chat API
 Also performs a Graph API search for a high-res version of the user's profile picture
@@ -619,62 +974,79 @@ exports.sendContentsOfFile = (file, threadId) => {
     });
 };
 
-// Functions for getting/setting user scores (doesn't save much in terms of
-// code/DRY, but wraps the functions so that it's easy to change how they're stored)
-exports.setScore = (userId, score, callback) => {
-    mem.set(`userscore_${userId}`, score, {}, callback);
-};
-
-exports.getScore = (userId, callback) => {
-    mem.get(`userscore_${userId}`, callback);
+/*
+Gets a chat's scores (a map from user IDs to scores; see scores.js). Scores used
+to be shared by every chat (stored as `userscore_{userId}`), so a chat that
+doesn't have its own yet starts with its members' scores from then.
+Returns a callback with error and the scores.
+*/
+exports.getScores = (groupInfo, callback) => {
+    if (groupInfo.scores) {
+        return callback(null, groupInfo.scores);
+    }
+    const userIds = Object.keys(groupInfo.names);
+    const seeded = {};
+    let remaining = userIds.length;
+    const save = () => {
+        this.updateGroup(groupInfo.threadId, info => {
+            if (!info.scores) {
+                info.scores = seeded;
+            }
+        }, (err, info) => callback(err, info && info.scores));
+    };
+    if (remaining == 0) {
+        return save();
+    }
+    userIds.forEach(userId => {
+        store.get(`userscore_${userId}`, (err, val) => {
+            if (!err && parseInt(val)) {
+                seeded[userId] = parseInt(val);
+            }
+            remaining--;
+            if (remaining == 0) {
+                save();
+            }
+        });
+    });
 };
 
-// Updates the user's score either by (if isAdd) increasing or (otherwise) decreasing
-// the user's score by the default value set in config, or 5 points if not set
-// Returns a callback with error, success, and a value equal to the user's new score
-exports.updateScore = (isAdd, userId, callback) => {
-    this.getScore(userId, (err, val) => {
+// Changes a member's score in a chat by the given amount and records the vote
+// (with an optional reason) in its history, which is stored under its own key
+// (`votes_{threadId}`) so that it doesn't take up space in the group info
+// Returns a callback with error and a value equal to the member's new score
+exports.addVote = (voterId, userId, delta, reason, groupInfo, callback = () => { }) => {
+    const vote = {
+        "voter": voterId,
+        "target": userId,
+        "delta": delta,
+        "reason": reason || null,
+        "time": Date.now()
+    };
+    this.getScores(groupInfo, err => {
         if (err) {
-            callback(err);
+            return callback(err);
         }
-        // Convert from buffer & grab current score (set 0 if it doesn't yet exist)
-        const score = val ? parseInt(val.toString()) : 0;
-
-        // Can be easily customized to accept a score parameter if so desired
-        const points = config.votePoints || 5; // Default to five points
-        const newScore = isAdd ? (score + points) : (score - points);
-        this.setScore(userId, `${newScore}`, (err, success) => {
-            callback(err, success, newScore);
+        let newScore;
+        this.updateGroup(groupInfo.threadId, info => {
+            newScore = scores.record(info, vote);
+        }, err => {
+            if (err) {
+                return callback(err);
+            }
+            this.updateValue(`votes_${groupInfo.threadId}`, votes => scores.addToHistory(votes, vote), err => {
+                if (err) {
+                    console.log(`Couldn't record vote history: ${err}`); // The score still changed
+                }
+                callback(null, newScore);
+            });
         });
     });
 };
 
-exports.getAllScores = (groupInfo, callback = () => { }) => {
-    const members = groupInfo.names;
-    let results = [];
-    const now = (new Date()).getTime();
-    let current = now;
-
-    function updateResults(value) {
-        results.push(value);
-        const success = (results.length == Object.keys(members).length);
-
-        current = (new Date()).getTime();
-        if (success || (current - now) >= config.asyncTimeout) {
-            callback(success, results);
-        }
-    }
-
-    for (let m in members) {
-        if (members.hasOwnProperty(m)) {
-            this.getScore(m, (err, val) => {
-                updateResults({
-                    "name": members[m],
-                    "score": parseInt(val) || "0"
-                });
-            });
-        }
-    }
+// Gets the latest votes in a chat, oldest first (see addVote)
+// Returns a callback with error and the votes
+exports.getVotes = (threadId, callback) => {
+    store.get(`votes_${threadId}`, (err, votes) => callback(err, votes || []));
 };
 
 // Sets group image to image found at given URL
@@ -687,7 +1059,7 @@ exports.setGroupImageFromUrl = (url, threadId, errMsg = "Photo couldn't download
     request(url).pipe(fs.createWriteStream(fullpath)).on('close', err => {
         if (!err) {
             api.changeGroupImage(fs.createReadStream(fullpath), threadId, err => {
-                fs.unlink(fullpath);
+                fs.unlink(fullpath, () => { });
                 if (err) {
                     this.sendError(errMsg, threadId);
                 }
@@ -698,11 +1070,19 @@ exports.setGroupImageFromUrl = (url, threadId, errMsg = "Photo couldn't download
     });
 };
 
-// Processes an image or images by sifting between URL input and attachments and downloading
+// Processes an image or images by sifting between URL input, the output of the previous
+// command in a pipeline, and attachments, and downloading
 // Returns a JIMP image object and filename where the image was stored
 exports.processImage = (url, attachments, info, callback = () => { }) => {
     const threadId = info.threadId;
     const root = `../media`;
+    const stage = pipeline.current();
+    const handOut = (file, filename, path) => {
+        if (stage) {
+            stage.image = file; // So that the processed image is taken as the stage's output
+        }
+        callback(file, filename, path);
+    };
     if (url) { // URL passed
         const filename = `${root}/${encodeURIComponent(url)}.png`;
         const path = `${__dirname}/${filename}`;
@@ -710,9 +1090,12 @@ exports.processImage = (url, attachments, info, callback = () => { }) => {
             if (err) {
                 this.sendError("Unable to retrieve image from that URL", threadId);
             } else {
-                callback(file, filename, path);
+                handOut(file, filename, path);
             }
         });
+    } else if (stage && stage.input.image) { // Output of the previous command in a pipeline
+        const filename = `${root}/pipeline-${threadId}-${Date.now()}.png`;
+        handOut(stage.input.image, filename, `${__dirname}/${filename}`);
     } else if (attachments || (info.lastMessage && info.lastMessage.attachments.length > 0)) {
         const attaches = attachments || info.lastMessage.attachments; // Either current message or last
         for (let i = 0; i < attaches.length; i++) {
@@ -723,7 +1106,7 @@ exports.processImage = (url, attachments, info, callback = () => { }) => {
                     if (err) {
                         this.sendError("Invalid file", threadId);
                     } else {
-                        callback(file, filename, path);
+                        handOut(file, filename, path);
                     }
                 });
             } else {
@@ -780,7 +1163,7 @@ exports.sendFilesFromDir = (dir, threadId) => {
 };
 
 /*
-Retrieve usage stats for a command from memory
+Retrieve usage stats for a command from storage
 Takes a command string, a fullData flag, and optional callback
 The callback passes an object containing the count for that command,
 the total number of commands and, if the fullData flag is true, a log of
@@ -788,17 +1171,17 @@ all the command's uses with an "at" timestamp and the "user" of the invoker
 for each command as an array of dictionaries with these properties
 */
 exports.getStats = (command, fullData, callback) => {
-    mem.get(`usage_total_${command}`, (err, count) => {
-        mem.get(`usage_total_all`, (err, total) => {
+    store.get(`usage_total_${command}`, (err, count) => {
+        store.get(`usage_total_all`, (err, total) => {
             if (!err) {
                 let stats = {
                     "count": (parseInt(count) || 0),
                     "total": (parseInt(total) || 0)
                 };
                 if (fullData) {
-                    mem.get(`usage_record_${command}`, (err, record) => {
+                    store.get(`usage_record_${command}`, (err, record) => {
                         if (!err) {
-                            stats.record = (JSON.parse(record) || []);
+                            stats.record = record || [];
                             callback(null, stats);
                         } else {
                             callback(err);
@@ -814,20 +1197,81 @@ exports.getStats = (command, fullData, callback) => {
     });
 };
 
-// Updates the usage stats for a command in memory
+// Updates the usage stats for a command in storage
 // Takes a command string and a stats object with `count`, `total`, and
 // `record` fields (i.e. the output from `getStats()` with the `fullData`
 // flag set to true)
 exports.setStats = (command, stats, callback = () => { }) => {
-    mem.set(`usage_total_all`, `${stats.total}`, {}, t_err => {
-        mem.set(`usage_total_${command}`, `${stats.count}`, {}, c_err => {
-            mem.set(`usage_record_${command}`, `${JSON.stringify(stats.record)}`, {}, u_err => {
+    store.set(`usage_total_all`, stats.total, t_err => {
+        store.set(`usage_total_${command}`, stats.count, c_err => {
+            store.set(`usage_record_${command}`, stats.record, u_err => {
                 callback(t_err, c_err, u_err);
             });
         });
     });
 };
 
+// Uses the exchange rates that the owner has set (see currency.js) if there are
+// any, or else the ones in the local file
+exports.loadRates = (callback = () => { }) => {
+    currency.setTable(currency.fileTable);
+    store.get("rates", (err, rates) => {
+        if (!err && rates) {
+            currency.setTable(rates);
+        }
+        callback(err);
+    });
+};
+
+// Sets the exchange rate for a currency (how much of it one of the rate table's
+// base currency buys), keeping it in storage
+exports.setRate = (code, rate, callback) => {
+    const table = currency.getTable();
+    const updated = {
+        ...table,
+        "updated": new Date().toISOString().slice(0, 10),
+        "rates": { ...table.rates, [code]: rate }
+    };
+    store.set("rates", updated, err => {
+        if (!err) {
+            currency.setTable(updated);
+        }
+        callback(err);
+    });
+};
+
+/*
+Goes back to the exchange rates in the local file (e.g. once it's been replaced
+with newer ones), forgetting any that the owner has set for currencies in the
+file. Rates for currencies that the file doesn't have are kept (converted to
+the file's base currency), since chats' tabs may still use them. Passes the
+codes of the currencies whose rates were kept to the callback.
+*/
+exports.reloadRates = callback => {
+    currency.readFile((err, file) => {
+        if (err) {
+            return callback(err);
+        }
+        const current = currency.getTable();
+        const kept = Object.keys(current.rates).filter(code => file.rates[code] === undefined
+            && current.rates[file.base] !== undefined);
+        const table = {
+            ...file,
+            "rates": kept.reduce((rates, code) => {
+                rates[code] = current.rates[code] / current.rates[file.base];
+                return rates;
+            }, { ...file.rates })
+        };
+        const save = cb => ((kept.length > 0) ? store.set("rates", table, cb) : store.delete("rates", cb));
+        save(err => {
+            if (!err) {
+                currency.setTable(table);
+            }
+            callback(err, kept.sort());
+        });
+    });
+};
+
 exports.getAllStats = callback => {
     const co = commands.commands;
     const names = Object.keys(co).filter(c => {
@@ -1003,8 +1447,9 @@ exports.parseNameReplacements = (message, fromUserId, groupInfo) => {
 // Deletes a pinned message from the chat
 exports.deletePin = (pin, groupInfo, threadId) => {
     if (pin && groupInfo.pinned[pin]) {
-        delete groupInfo.pinned[pin];
-        this.setGroupProperty("pinned", groupInfo.pinned, groupInfo, err => {
+        this.updateGroup(groupInfo.threadId, info => {
+            delete info.pinned[pin];
+        }, err => {
             if (!err) {
                 this.sendMessage(`Successfully deleted "${pin}".`, threadId);
             } else {
@@ -1017,21 +1462,18 @@ exports.deletePin = (pin, groupInfo, threadId) => {
 };
 
 // Renames a pinned message from the chat
-exports.renamePin = (pinArgs, groupInfo, threadId) => {
-    const args = pinArgs ? pinArgs.split(" ") : [];
-    if (args.length != 2) {
-        this.sendError("Please specify a valid pin to rename and new name.", threadId);
-        return;
-    }
-
-    const [oldPin, newPin] = args;
-    if (oldPin && newPin && groupInfo.pinned[oldPin]) {
+exports.renamePin = (oldPin, newPin, groupInfo, threadId) => {
+    if (groupInfo.pinned[oldPin]) {
         if (groupInfo.pinned[newPin]) {
             this.sendMessage(`Cannot rename "${oldPin}" to "${newPin}" as it would override an existing pin.`, threadId);
         } else {
-            groupInfo.pinned[newPin] = groupInfo.pinned[oldPin];
-            delete groupInfo.pinned[oldPin];
-            this.setGroupProperty("pinned", groupInfo.pinned, groupInfo, err => {
+            this.updateGroup(groupInfo.threadId, info => {
+                if (!info.pinned[oldPin] || info.pinned[newPin]) {
+                    throw new Error("Pins changed while renaming");
+                }
+                info.pinned[newPin] = info.pinned[oldPin];
+                delete info.pinned[oldPin];
+            }, err => {
                 if (!err) {
                     this.sendMessage(`Successfully renamed "${oldPin}" to "${newPin}".`, threadId);
                 } else {
@@ -1051,11 +1493,13 @@ exports.addPin = (msg, pinName, date, sender, groupInfo) => {
         "sender": sender,
         "date": date
     };
-    const oldPin = groupInfo.pinned[pinName];
+    let oldPin;
 
     // Add pin to db
-    groupInfo.pinned[pinName] = pin;
-    this.setGroupProperty("pinned", groupInfo.pinned, groupInfo, err => {
+    this.updateGroup(groupInfo.threadId, info => {
+        oldPin = info.pinned[pinName];
+        info.pinned[pinName] = pin;
+    }, err => {
         if (!err) {
             const pinMsg = `Pinned new message for pin "${pinName}" to the chat.${oldPin ? ` Previous message:\n\n"${oldPin.msg}"` : ""}`;
             this.sendMessage(pinMsg, groupInfo.threadId);
@@ -1066,21 +1510,28 @@ exports.addPin = (msg, pinName, date, sender, groupInfo) => {
 };
 
 exports.stringifyPin = pin => {
+    if (!pin.date) { // Pins migrated from the old single-pin format have no date
+        return `"${pin.msg}" – ${pin.sender}`;
+    }
     const dateStr = this.getPrettyDateString(new Date(pin.date), false);
     return `"${pin.msg}" – ${pin.sender} on ${dateStr}`;
 };
 
 exports.appendPin = (content, existing, date, sender, groupInfo) => {
-    const pin = groupInfo.pinned[existing];
-    if (pin) {
-        // Append new content to pin and update metadata
-        groupInfo.pinned[existing] = {
-            "msg": `${pin.msg}\n${content}`,
-            "sender": sender,
-            "date": date
-        };
-        // Commit changes to db
-        this.setGroupProperty("pinned", groupInfo.pinned, groupInfo, err => {
+    if (groupInfo.pinned[existing]) {
+        // Append new content to pin and update metadata (using the stored
+        // version of the pin in case it was changed in the meantime)
+        this.updateGroup(groupInfo.threadId, info => {
+            const pin = info.pinned[existing];
+            if (!pin) {
+                throw new Error(`Pin ${existing} no longer exists`);
+            }
+            info.pinned[existing] = {
+                "msg": `${pin.msg}\n${content}`,
+                "sender": sender,
+                "date": date
+            };
+        }, err => {
             if (!err) {
                 this.sendMessage(`Updated pin "${existing}".`, groupInfo.threadId);
             } else {
@@ -1092,56 +1543,206 @@ exports.appendPin = (content, existing, date, sender, groupInfo) => {
     }
 };
 
-// Adds an event to the chat
-exports.addEvent = (title, at, sender, groupInfo, threadId) => {
+// Adds an event to the chat, which repeats if given a recurrence rule (see recurrence.js),
+// optionally with details (a description and location)
+exports.addEvent = (title, timestamp, sender, groupInfo, threadId, rule = null, details = {}) => {
     const keyTitle = title.trim().toLowerCase();
     if (groupInfo.events[keyTitle]) {
         this.sendError(`An event already exists called "${title}". Please delete it if you wish to make a new one.`, threadId);
         return;
     }
 
-    const now = new Date();
-    const timestamp = chrono.parseDate(at, now, { 'forwardDate': true });
-    if (timestamp) {
-        const prettyTime = this.getPrettyDateString(timestamp);
-        let msg = `
-Event "${title}" created for ${prettyTime}. To RSVP, upvote or downvote this message. \
-To delete this event, use "${config.trigger} event delete ${title}" (only the owner can do this). \
+    const repeats = rule ? `, repeating ${recurrence.describe(rule)}` : "";
+    const reactions = Object.keys(config.rsvpReactions)
+        .map(reaction => `${reaction} (${config.rsvpReactions[reaction].replace("_", " ")})`).join(", ");
+    let msg = `
+Event "${title}" created for ${this.getPrettyTimeFor(timestamp, sender, groupInfo)}${repeats}. To RSVP, react to this message with ${reactions}. \
+To edit or delete this event, use "${this.getTrigger(groupInfo)} event edit ${title}" or "${this.getTrigger(groupInfo)} event delete ${title}" (only the owner can do this). \
 \n\nI'll remind you at the time of the event`;
 
-        let earlyReminderTime = new Date(timestamp.getTime() - (config.reminderTime * 60000));
-        if (earlyReminderTime <= now) {
-            // Too late to give an early reminder
-            earlyReminderTime = null;
-            msg += ".";
-        } else {
-            msg += `, and ${config.reminderTime} minutes early.`;
+    const earlyReminderTime = this.getEarlyReminderTime(timestamp.getTime());
+    if (!earlyReminderTime) {
+        // Too late to give an early reminder
+        msg += ".";
+    } else {
+        msg += `, and ${config.reminderTime} minutes early.`;
+    }
+
+    this.sendMessage(msg, threadId, (err, mid) => {
+        // Grab mid from sent message to monitor messages for RSVPs
+        if (!err) {
+            const event = makeEvent(title, timestamp, sender, groupInfo, threadId, rule, details, mid.messageID);
+            this.updateGroup(threadId, info => {
+                info.events[keyTitle] = event;
+            });
         }
+    });
+};
 
-        this.sendMessage(msg, threadId, (err, mid) => {
-            // Grab mid from sent message to monitor messages for RSVPs
-            if (!err) {
-                const event = {
-                    "type": "event",
-                    "title": title,
-                    "key_title": keyTitle,
-                    "timestamp": timestamp.getTime(),
-                    "owner": sender,
-                    "threadId": threadId,
-                    "pretty_time": prettyTime,
-                    "remind_time": earlyReminderTime,
-                    "mid": mid.messageID,
-                    "going": [],
-                    "not_going": []
-                };
+// Creates the stored info for a new event, given the ID of the message that members
+// react to to RSVP to it (or null if it doesn't have one yet; see listEvents)
+function makeEvent(title, timestamp, sender, groupInfo, threadId, rule, details, mid) {
+    return {
+        "type": "event",
+        "title": title,
+        "key_title": title.trim().toLowerCase(),
+        "timestamp": timestamp.getTime(),
+        "owner": sender,
+        "threadId": threadId,
+        "pretty_time": exports.getPrettyDateString(timestamp, true, timezones.ofGroup(groupInfo)),
+        "remind_time": exports.getEarlyReminderTime(timestamp.getTime()),
+        "recurrence": rule,
+        "mid": mid,
+        "description": details.description || null,
+        "location": details.location || null,
+        "capacity": null, // Number of people who can go (with a waitlist past that), if limited
+        "going": [],
+        "not_going": [],
+        "maybe": [],
+        "waitlist": []
+    };
+}
+
+// Gets when to send the early reminder for an event at a time (null if it's too late)
+exports.getEarlyReminderTime = timestamp => {
+    const remindTime = timestamp - config.reminderTime * 60000;
+    return (remindTime > Date.now()) ? remindTime : null;
+};
+
+// Moves people from an event's waitlist to going (in the order they joined it)
+// while there's room, returning the people who were moved
+function promoteFromWaitlist(event) {
+    const promoted = [];
+    while (event.waitlist.length > 0 && (!event.capacity || event.going.length < event.capacity)) {
+        const user = event.waitlist.shift();
+        event.going.push(user);
+        promoted.push(user);
+    }
+    return promoted;
+}
+
+// Lets people who were moved off an event's waitlist know that they're going
+function announcePromotions(promoted, event, threadId) {
+    promoted.forEach(user => {
+        exports.sendMessageWithMentions(`A spot opened up for "${event.title}", so @${user.name} is going now.`, [{
+            "tag": `@${user.name}`,
+            "id": user.id
+        }], threadId);
+    });
+}
 
-                groupInfo.events[keyTitle] = event;
-                this.setGroupProperty("events", groupInfo.events, groupInfo);
-            }
+/*
+RSVPs to an event for a user ({ id, name }) with a response of "going",
+"not_going", or "maybe" (or null to take back their RSVP). Once an event with a
+capacity is full, anyone else going is put on its waitlist, which moves up when
+someone who was going drops out, and the owner is told when it fills up.
+*/
+exports.rsvpToEvent = (keyTitle, user, response, threadId) => {
+    let event, ownerName;
+    let waitlisted = false;
+    let filled = false;
+    let promoted = [];
+    this.updateGroup(threadId, info => {
+        event = info && info.events[keyTitle];
+        if (!event || (response == "going" && event.going.some(other => other.id == user.id))) {
+            return; // Deleted in the meantime, or already going (so keep their spot)
+        }
+        const wasFull = event.capacity && event.going.length >= event.capacity;
+        ["going", "not_going", "maybe", "waitlist"].forEach(list => {
+            event[list] = event[list].filter(other => other.id != user.id);
         });
+
+        if (response == "going" && event.capacity && event.going.length >= event.capacity) {
+            event.waitlist.push(user);
+            waitlisted = true;
+        } else if (response) {
+            event[response].push(user);
+        }
+        promoted = promoteFromWaitlist(event);
+        filled = !wasFull && event.capacity && event.going.length >= event.capacity;
+        ownerName = info.names[event.owner];
+    }, err => {
+        if (err || !event) {
+            return;
+        }
+        if (waitlisted) {
+            this.sendMessageWithMentions(`"${event.title}" is full, so @${user.name} is on the waitlist (#${event.waitlist.length}).`, [{
+                "tag": `@${user.name}`,
+                "id": user.id
+            }], threadId);
+        }
+        announcePromotions(promoted, event, threadId);
+        if (filled && ownerName) {
+            this.sendMessageWithMentions(`@${ownerName}, "${event.title}" is full (${event.going.length}/${event.capacity} going).`, [{
+                "tag": `@${ownerName}`,
+                "id": event.owner
+            }], threadId);
+        }
+    });
+};
+
+// Changes the title, time (a schedule as understood by recurrence.js), description,
+// location, or capacity of an event (the last three can be cleared with "none")
+exports.editEvent = (rawTitle, field, rawValue, sender, groupInfo, threadId) => {
+    const keyTitle = rawTitle.trim().toLowerCase();
+    const event = groupInfo.events[keyTitle];
+    const value = rawValue.trim();
+    const cleared = (value.toLowerCase() == "none");
+    if (!event || event.type != "event") {
+        return this.sendError(`Couldn't find an event called ${rawTitle}.`, threadId);
+    }
+    if (event.owner != sender) {
+        return this.sendError("Sorry, you are not the owner of this event.", threadId);
+    }
+
+    const changes = {};
+    if (field == "title") {
+        changes.title = value;
+        changes.key_title = value.toLowerCase();
+        if (changes.key_title != keyTitle && groupInfo.events[changes.key_title]) {
+            return this.sendError(`An event already exists called "${value}".`, threadId);
+        }
+    } else if (field == "time") {
+        let when;
+        try {
+            when = recurrence.parse(value, new Date(), timezones.of(sender, groupInfo));
+        } catch (e) {
+            return this.sendError(e.message, threadId);
+        }
+        changes.timestamp = when.time.getTime();
+        changes.recurrence = when.recurrence;
+        changes.pretty_time = this.getPrettyDateString(when.time, true, timezones.ofGroup(groupInfo));
+        changes.remind_time = this.getEarlyReminderTime(changes.timestamp);
+    } else if (field == "capacity") {
+        if (!cleared && !(/^\d+$/.test(value) && parseInt(value) > 0)) {
+            return this.sendError("The capacity has to be a number of people (or \"none\" for no limit).", threadId);
+        }
+        changes.capacity = cleared ? null : parseInt(value);
     } else {
-        this.sendError("Couldn't understand that event's time.", threadId);
+        changes[field] = cleared ? null : value;
     }
+
+    let promoted = [];
+    this.updateGroup(threadId, info => {
+        const stored = info.events[keyTitle];
+        if (!stored) {
+            return; // Deleted in the meantime
+        }
+        Object.assign(stored, changes);
+        promoted = promoteFromWaitlist(stored); // In case there's room now
+        if (stored.key_title != keyTitle) {
+            delete info.events[keyTitle];
+            info.events[stored.key_title] = stored;
+        }
+    }, err => {
+        if (err) {
+            this.sendError("Sorry, couldn't edit the event.", threadId);
+        } else {
+            const updated = { ...event, ...changes };
+            this.sendMessage(`Updated the ${field} of "${updated.title}".`, threadId);
+            announcePromotions(promoted, updated, threadId);
+        }
+    });
 };
 
 // Delete an event from the chat
@@ -1150,8 +1751,9 @@ exports.deleteEvent = (rawTitle, sender, groupInfo, threadId, sendConfirmation =
     if (groupInfo.events[keyTitle]) {
         const event = groupInfo.events[keyTitle];
         if (event.owner == sender) {
-            delete groupInfo.events[keyTitle];
-            this.setGroupProperty("events", groupInfo.events, groupInfo, err => {
+            this.updateGroup(threadId, info => {
+                delete info.events[keyTitle];
+            }, err => {
                 if (err) {
                     this.sendError("Sorry, couldn't delete the event.", threadId);
                 } else if (sendConfirmation) {
@@ -1166,8 +1768,8 @@ exports.deleteEvent = (rawTitle, sender, groupInfo, threadId, sendConfirmation =
     }
 };
 
-// List event(s) in the chat
-exports.listEvents = (rawTitle, groupInfo, threadId) => {
+// List event(s) in the chat, with their times as the viewer would see them
+exports.listEvents = (rawTitle, groupInfo, threadId, viewer) => {
     if (rawTitle) {
         // Details for specific event
         const keyTitle = rawTitle.trim().toLowerCase();
@@ -1175,15 +1777,48 @@ exports.listEvents = (rawTitle, groupInfo, threadId) => {
         if (event) {
             const goList = event.going.map(u => u.name);
             const notGoList = event.not_going.map(u => u.name);
-            let msg = `*${event.title}*\n_${event.pretty_time}_\n`;
+            const maybeList = event.maybe.map(u => u.name);
+            const waitList = event.waitlist.map(u => u.name);
+            const repeats = event.recurrence ? ` (repeats ${recurrence.describe(event.recurrence)})` : "";
+            let msg = `*${event.title}*\n_${this.getPrettyTimeFor(new Date(event.timestamp), viewer, groupInfo)}_${repeats}\n`;
+            if (event.location) {
+                msg += `Where: ${event.location}\n`;
+            }
+            if (event.description) {
+                msg += `${event.description}\n`;
+            }
+            if (event.capacity) {
+                msg += `Spots: ${event.going.length}/${event.capacity} taken\n`;
+            }
             if (goList.length > 0) {
                 msg += `Going: ${goList.join('/')}\n`;
             }
+            if (maybeList.length > 0) {
+                msg += `Maybe: ${maybeList.join('/')}\n`;
+            }
             if (notGoList.length > 0) {
                 msg += `Not going: ${notGoList.join('/')}\n`;
             }
-            msg += "\nTo RSVP, upvote or downvote the original event message linked above.";
-            this.sendMessage(msg, threadId, () => { }, event.mid);
+            if (waitList.length > 0) {
+                msg += `Waitlist: ${waitList.join('/')}\n`;
+            }
+            if (event.mid) {
+                msg += `\nTo RSVP, react to the original event message linked above with ${Object.keys(config.rsvpReactions).join("/")}.`;
+                this.sendMessage(msg, threadId, () => { }, event.mid);
+            } else {
+                // Imported events don't have a message of their own yet, so this one becomes it
+                msg += `\nTo RSVP, react to this message with ${Object.keys(config.rsvpReactions).join("/")}.`;
+                this.sendMessage(msg, threadId, (err, mid) => {
+                    if (!err) {
+                        this.updateGroup(threadId, info => {
+                            const stored = info.events[keyTitle];
+                            if (stored && !stored.mid) {
+                                stored.mid = mid.messageID;
+                            }
+                        });
+                    }
+                });
+            }
         } else {
             this.sendError(`Couldn't find an event called ${rawTitle}.`, threadId);
         }
@@ -1203,10 +1838,15 @@ exports.listEvents = (rawTitle, groupInfo, threadId) => {
                     const event = events[e];
 
                     msg += `\n– ${event.title}`;
-                    if (event.going.length > 0) {
+                    if (event.capacity) {
+                        msg += ` (${event.going.length}/${event.capacity} going)`;
+                    } else if (event.going.length > 0) {
                         msg += ` (${event.going.length} going)`;
                     }
-                    msg += `: ${event.pretty_time}`;
+                    msg += `: ${this.getPrettyTimeFor(new Date(event.timestamp), viewer, groupInfo)}`;
+                    if (event.recurrence) {
+                        msg += ` (repeats ${recurrence.describe(event.recurrence)})`;
+                    }
                 }
             }
             this.sendMessage(msg, threadId);
@@ -1216,45 +1856,353 @@ exports.listEvents = (rawTitle, groupInfo, threadId) => {
     }
 };
 
-// Add a reminder to the chat
-exports.addReminder = (userId, reminderStr, timeStr, groupInfo, threadId, messageId) => {
+// Compares calendar tokens in constant time, so that how long it takes doesn't give away
+// how much of a guess was right
+function sameToken(expected, given) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given));
+    return a.length == b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Gets a chat's events as an iCalendar file (see ical.js) for its calendar feed, as
+// long as the token matches the chat's (see getCalendarUrl)
+exports.getCalendar = (threadId, token, callback) => {
+    this.getGroupInfo(threadId, (err, info) => {
+        if (err || !info || !info.calendarToken || !sameToken(info.calendarToken, token)) {
+            return callback(new Error("Couldn't find that calendar."));
+        }
+        callback(null, ical.build(info.events, threadId, info.name || config.defaultTitle));
+    });
+};
+
+// Gets the URL of a chat's calendar feed, which anyone with the URL can subscribe to
+exports.getCalendarUrl = groupInfo => {
+    return `${config.serverURL}/calendar/${groupInfo.threadId}/${groupInfo.calendarToken}.ics`;
+};
+
+// Sends a chat's events as an iCalendar file
+exports.exportEvents = (groupInfo, threadId) => {
+    const count = Object.keys(groupInfo.events).filter(key => groupInfo.events[key].type == "event").length;
+    if (count == 0) {
+        return this.sendMessage("There are no events set in this chat.", threadId);
+    }
+    const filename = `../media/events-${threadId}.ics`;
+    const path = `${__dirname}/${filename}`;
+    fs.writeFile(path, ical.build(groupInfo.events, threadId, groupInfo.name || config.defaultTitle), err => {
+        if (err) {
+            return this.sendError("Couldn't export the events.", threadId);
+        }
+        const msg = `${count} event${count == 1 ? "" : "s"} from this chat. To keep your calendar up to date instead, subscribe to ${this.getCalendarUrl(groupInfo)}`;
+        this.sendFile(filename, threadId, msg, () => {
+            fs.unlink(path, () => { });
+        });
+    });
+};
+
+/*
+Creates events from an iCalendar file in a list of attachments, skipping any
+that have already happened (repeating events start from their next time), that
+have the same name as an event in the chat, or that repeat in a way that
+schedules made in the chat couldn't (see recurrence.check). Events that repeat in ways
+that can't be stored (see ical.parse) are imported for their first time only.
+Times that aren't in a particular zone are taken to be in the chat's.
+*/
+exports.importEvents = (attachments, sender, groupInfo, threadId) => {
+    const file = attachments.find(attachment => /\.ics$/i.test(attachment.filename || attachment.name || "")
+        || /\.ics(\?|$)/i.test(attachment.url || ""));
+    if (!file) {
+        return this.sendError("Attach a calendar (.ics) file, or reply to one, to import its events.", threadId);
+    }
+    request.get(file.url, (err, res, body) => {
+        if (err || res.statusCode != 200) {
+            return this.sendError("Couldn't download that calendar.", threadId);
+        }
+        const now = Date.now();
+        const titles = Object.keys(groupInfo.events);
+        const imported = [];
+        let passed = 0;
+        let existing = 0;
+        let unsupported = 0;
+        let tooMany = 0;
+        const rejected = []; // Why any repeating events weren't allowed (see recurrence.check)
+        ical.parse(body, timezones.ofGroup(groupInfo)).forEach(event => {
+            let time = event.time;
+            let rule = event.recurrence;
+            try {
+                if (rule) {
+                    recurrence.check(rule);
+                }
+            } catch (e) {
+                return rejected.push(e.message);
+            }
+            if (rule && time <= now) {
+                const next = recurrence.advance(rule, time);
+                time = next ? next.time : time;
+                rule = next ? next.recurrence : rule;
+            }
+            if (time <= now) {
+                passed++;
+            } else if (titles.includes(event.title.toLowerCase())) {
+                existing++;
+            } else if (imported.length >= config.maxImportedEvents) {
+                tooMany++;
+            } else {
+                titles.push(event.title.toLowerCase());
+                unsupported += event.unsupported ? 1 : 0;
+                imported.push({ ...event, "time": time, "recurrence": rule });
+            }
+        });
+
+        const skipped = [];
+        if (passed > 0) {
+            skipped.push(`${passed} that already happened`);
+        }
+        if (existing > 0) {
+            skipped.push(`${existing} with the same name as one in this chat`);
+        }
+        if (tooMany > 0) {
+            skipped.push(`${tooMany} past the limit of ${config.maxImportedEvents} at a time`);
+        }
+        if (rejected.length > 0) {
+            skipped.push(`${rejected.length} that ${rejected.length == 1 ? "repeats" : "repeat"} in a way I don't allow`);
+        }
+        const summarize = () => {
+            let msg = `Imported ${imported.length} event${imported.length == 1 ? "" : "s"}`;
+            msg += skipped.length > 0 ? ` (skipped ${skipped.join(", ")})` : "";
+            msg += imported.length > 0 ? `: ${imported.map(event => event.title).join(", ")}.` : ".";
+            rejected.filter((reason, i) => rejected.indexOf(reason) == i).forEach(reason => {
+                msg += ` ${reason}`;
+            });
+            if (unsupported > 0) {
+                msg += ` ${unsupported} of them repeat in a way I can't, so only their next time was imported.`;
+            }
+            if (imported.length > 0) {
+                msg += ` To RSVP to one, use "${this.getTrigger(groupInfo)} event list {title}" and react to the message I send.`;
+            }
+            this.sendMessage(msg, threadId);
+        };
+        if (imported.length == 0) {
+            return summarize();
+        }
+        // Stored all at once (without a message each, so that a big calendar doesn't flood the chat)
+        this.updateGroup(threadId, info => {
+            imported.forEach(event => {
+                const keyTitle = event.title.trim().toLowerCase();
+                if (!info.events[keyTitle]) {
+                    info.events[keyTitle] = makeEvent(event.title, event.time, sender, info, threadId, event.recurrence, event, null);
+                }
+            });
+        }, err => {
+            if (err) {
+                return this.sendError("Couldn't import the events.", threadId);
+            }
+            summarize();
+        });
+    });
+};
+
+// Add a reminder to the chat, which repeats if given a recurrence rule (see recurrence.js)
+exports.addReminder = (userId, reminderStr, timestamp, groupInfo, threadId, messageId, rule = null) => {
     gapi.getUserInfo(userId, (err, uinfo) => {
         if (!err && uinfo[userId]) {
-            const timestamp = chrono.parseDate(timeStr, new Date(), { 'forwardDate': true });
-            if (timestamp) {
-                const time = timestamp.getTime();
-                const prettyTime = this.getPrettyDateString(timestamp);
-                const keyTitle = `r${userId}_${threadId}_${time}`; // Attempt to create a unique key
-                const userName = uinfo[userId].firstName;
-
-                const reminder = {
-                    "type": "reminder",
-                    "reminder": reminderStr,
-                    "key_title": keyTitle,
-                    "timestamp": time,
-                    "owner": userId,
-                    "owner_name": userName,
-                    "threadId": threadId,
-                    "replyId": messageId
-                };
+            const time = timestamp.getTime();
+            const prettyTime = this.getPrettyTimeFor(timestamp, userId, groupInfo);
+            const keyTitle = `r${userId}_${threadId}_${time}`; // Attempt to create a unique key
+            const userName = uinfo[userId].firstName;
+
+            const reminder = {
+                "type": "reminder",
+                "id": null, // Numbered when stored (see below)
+                "reminder": reminderStr,
+                "key_title": keyTitle,
+                "timestamp": time,
+                "owner": userId,
+                "owner_name": userName,
+                "threadId": threadId,
+                "replyId": messageId,
+                "recurrence": rule
+            };
+
+            this.updateGroup(threadId, info => {
+                reminder.id = this.nextReminderId(info);
+                info.events[keyTitle] = reminder;
+            }, err => {
+                if (!err) {
+                    const repeats = rule ? `, repeating ${recurrence.describe(rule)}` : "";
+                    this.sendMessage(`Created a reminder for ${groupInfo.names[userId]} for ${prettyTime}${repeats} (#${reminder.id}).`, threadId);
+                } else {
+                    this.sendMessage("Unable to create the reminder. Please try again.", threadId);
+                }
+            });
+        } else {
+            this.sendError("Couldn't get that user's info.", threadId);
+        }
+    });
+};
 
-                groupInfo.events[keyTitle] = reminder;
-                this.setGroupProperty("events", groupInfo.events, groupInfo, err => {
-                    if (!err) {
-                        this.sendMessage(`Created a reminder for ${groupInfo.names[userId]} for ${prettyTime}.`, threadId);
-                    } else {
-                        this.sendMessage("Unable to create the reminder. Please try again.", threadId);
-                    }
-                });
+// Gets the number to give the next reminder stored in a group's info
+exports.nextReminderId = info => {
+    const ids = Object.keys(info.events).map(key => info.events[key])
+        .filter(event => event.type == "reminder").map(reminder => reminder.id || 0);
+    return Math.max(0, ...ids) + 1;
+};
+
+// Finds a reminder in the chat by its number (undefined if there isn't one)
+exports.findReminder = (id, groupInfo) => {
+    return Object.keys(groupInfo.events).map(key => groupInfo.events[key])
+        .find(event => event.type == "reminder" && event.id == id);
+};
+
+// Describes a reminder, who it's for, and when it'll be sent next (as the viewer would see it)
+exports.describeReminder = (reminder, viewer, groupInfo) => {
+    const next = this.getPrettyTimeFor(new Date(reminder.timestamp), viewer, groupInfo);
+    const when = reminder.recurrence ? `${recurrence.describe(reminder.recurrence)}, next on ${next}` : `on ${next}`;
+    return `#${reminder.id}: "${reminder.reminder}" for ${reminder.owner_name} ${when}`;
+};
+
+// Lists the reminders in the chat, soonest first (with times as the viewer would see them)
+exports.listReminders = (groupInfo, viewer) => {
+    const reminders = Object.keys(groupInfo.events).map(key => groupInfo.events[key])
+        .filter(event => event.type == "reminder")
+        .sort((a, b) => a.timestamp - b.timestamp);
+    if (reminders.length > 0) {
+        this.sendMessage(`Reminders in this chat:\n${reminders.map(reminder => this.describeReminder(reminder, viewer, groupInfo)).join("\n")}`, groupInfo.threadId);
+    } else {
+        this.sendMessage(`There are no reminders set in this chat. Set one with "${this.getTrigger(groupInfo)} remind me {reminder} in {time}".`, groupInfo.threadId);
+    }
+};
+
+/*
+Snoozes a reminder for a length of time (in ms). A reminder that's been sent
+(passed along with the ID of the message it was sent in) is sent again that
+long from now, and one that hasn't been sent yet is put off for that long – just
+this once if it repeats, in which case it's copied for the snoozed time and the
+original moves on to its next time.
+*/
+exports.snoozeReminder = (reminder, length, sentId, groupInfo) => {
+    const threadId = groupInfo.threadId;
+    const time = (sentId ? Date.now() : reminder.timestamp) + length;
+    let snoozed;
+    this.updateGroup(threadId, info => {
+        const stored = info.events[reminder.key_title];
+        if (sentId) {
+            delete info.sentReminders[sentId]; // Its snoozed copy can be snoozed when it's sent
+        } else if (!stored) {
+            return; // Cancelled in the meantime
+        }
+
+        if (!sentId && !stored.recurrence) {
+            stored.timestamp = time;
+            snoozed = stored;
+            return;
+        }
+        snoozed = {
+            ...(sentId ? reminder : stored),
+            "id": this.nextReminderId(info),
+            "key_title": `r${reminder.owner}_${threadId}_${time}`,
+            "timestamp": time,
+            "recurrence": null
+        };
+        delete snoozed.sent;
+        info.events[snoozed.key_title] = snoozed;
+        if (!sentId) {
+            const next = recurrence.advance(stored.recurrence, stored.timestamp);
+            if (next) {
+                stored.timestamp = next.time.getTime();
+                stored.recurrence = next.recurrence;
             } else {
-                this.sendError("Couldn't understand that reminder's time.", threadId);
+                delete info.events[stored.key_title];
             }
+        }
+    }, err => {
+        if (err) {
+            this.sendError("Couldn't snooze that reminder.", threadId);
+        } else if (!snoozed) {
+            this.sendError(`There's no reminder #${reminder.id}.`, threadId);
         } else {
-            this.sendError("Couldn't get that user's info.", threadId);
+            const until = this.getPrettyTimeFor(new Date(time), snoozed.owner, groupInfo);
+            this.sendMessage(`Snoozed "${snoozed.reminder}" until ${until} (#${snoozed.id}).`, threadId);
         }
     });
 };
 
+// Changes the text or time (a schedule as understood by recurrence.js, in the
+// sender's time zone) of a reminder
+exports.editReminder = (reminder, field, value, sender, groupInfo) => {
+    const changes = {};
+    if (field == "text") {
+        changes.reminder = value.trim();
+    } else {
+        try {
+            const when = recurrence.parse(value.trim(), new Date(), timezones.of(sender, groupInfo));
+            changes.timestamp = when.time.getTime();
+            changes.recurrence = when.recurrence;
+        } catch (e) {
+            return this.sendError(e.message, groupInfo.threadId);
+        }
+    }
+    this.updateGroupAndHandleErrors(groupInfo, info => {
+        const stored = info.events[reminder.key_title];
+        if (stored) {
+            Object.assign(stored, changes);
+        }
+    }, `Couldn't edit reminder #${reminder.id}.`, `Updated reminder ${this.describeReminder({ ...reminder, ...changes }, sender, groupInfo)}.`);
+};
+
+// Keeps a reminder that was just sent (by the ID of the message it was sent in)
+// so that it can be snoozed by replying to it, forgetting the oldest ones past
+// the limit in config.snoozableReminders
+exports.rememberSentReminder = (reminder, messageId, threadId) => {
+    this.updateGroup(threadId, info => {
+        if (!info) {
+            return;
+        }
+        info.sentReminders[messageId] = { ...reminder, "sent": Date.now() };
+        const sent = Object.keys(info.sentReminders)
+            .sort((a, b) => info.sentReminders[b].sent - info.sentReminders[a].sent);
+        sent.slice(config.snoozableReminders).forEach(mid => delete info.sentReminders[mid]);
+    });
+};
+
+// Schedules a command to be run (as if sent by the sender) at a time or on a
+// recurring schedule (see recurrence.js for what `when` can be), in the sender's time zone
+exports.addSchedule = (command, when, sender, groupInfo) => {
+    const threadId = groupInfo.threadId;
+    const key = this.findCommand(command, sender, groupInfo);
+    let parsed;
+    try {
+        parsed = recurrence.parse(when, new Date(), timezones.of(sender, groupInfo));
+    } catch (e) {
+        return this.sendError(e.message, threadId);
+    }
+    if (!key) {
+        return this.sendError(`"${command}" isn't a command.`, threadId);
+    }
+    if (key == "schedule") {
+        return this.sendError("Schedules can't be scheduled.", threadId);
+    }
+
+    const ids = Object.keys(groupInfo.schedules).map(id => parseInt(id));
+    const schedule = {
+        "id": Math.max(0, ...ids) + 1,
+        "command": command,
+        "owner": sender,
+        "time": parsed.time.getTime(),
+        "recurrence": parsed.recurrence,
+        "paused": false
+    };
+    this.updateGroupAndHandleErrors(groupInfo, info => {
+        info.schedules[schedule.id] = schedule;
+    }, "Unable to schedule that command. Please try again.", `Scheduled #${schedule.id}: ${this.describeSchedule(schedule, sender, groupInfo)}.`);
+};
+
+// Describes a scheduled command and when it'll run next (as the viewer would see it)
+exports.describeSchedule = (schedule, viewer, groupInfo) => {
+    const next = this.getPrettyTimeFor(new Date(schedule.time), viewer, groupInfo);
+    const when = schedule.recurrence ? `${recurrence.describe(schedule.recurrence)}, next on ${next}` : `on ${next}`;
+    return `"${schedule.command}" ${when}${schedule.paused ? " (paused)" : ""}`;
+};
+
 // Get information about current status of COVID-19
 exports.getCovidData = (rawType, rawQuery, threadId) => {
     function buildMessage(data, useDetailedData, historical) {
@@ -1640,22 +2588,33 @@ exports.setGroupPropertyAndHandleErrors = (property, groupInfo, errMsg, successM
     });
 };
 
-exports.createMentionGroup = (name, userIds, groupInfo) => {
-    groupInfo.mentionGroups[name] = userIds;
+// Same as above, but for updates made with a mutator (see updateGroup)
+exports.updateGroupAndHandleErrors = (groupInfo, mutator, errMsg, successMsg) => {
+    this.updateGroup(groupInfo.threadId, mutator, err => {
+        if (err) {
+            this.sendError(errMsg, groupInfo.threadId);
+        } else {
+            this.sendMessage(successMsg, groupInfo.threadId);
+        }
+    });
+};
 
+exports.createMentionGroup = (name, userIds, groupInfo) => {
     const memberNames = userIds.map(user => groupInfo.names[user]).join("/");
     const memberString = userIds.length > 0 ? ` with member${userIds.length == 1 ? "" : "s"} ${memberNames}` : "";
 
-    this.setGroupPropertyAndHandleErrors("mentionGroups", groupInfo,
+    this.updateGroupAndHandleErrors(groupInfo, info => {
+        info.mentionGroups[name] = userIds;
+    },
         "Unable to create the group.",
         `Successfully created group "${name}"${memberString}.`
     );
 };
 
 exports.deleteMentionGroup = (name, groupInfo) => {
-    delete groupInfo.mentionGroups[name];
-
-    this.setGroupPropertyAndHandleErrors("mentionGroups", groupInfo,
+    this.updateGroupAndHandleErrors(groupInfo, info => {
+        delete info.mentionGroups[name];
+    },
         "Unable to delete the group.",
         `Successfully deleted group "${name}".`
     );
@@ -1664,36 +2623,39 @@ exports.deleteMentionGroup = (name, groupInfo) => {
 exports.subToMentionGroup = (name, userIds, groupInfo) => {
     if (userIds.length < 1) { return; }
 
-    let members = groupInfo.mentionGroups[name];
-    if (members) {
-        members = members.concat(userIds);
-        groupInfo.mentionGroups[name] = this.pruneDuplicates(members);
-
+    if (groupInfo.mentionGroups[name]) {
         const memberNames = userIds.map(user => groupInfo.names[user]).join("/");
-        this.setGroupPropertyAndHandleErrors("mentionGroups", groupInfo,
+        this.updateGroupAndHandleErrors(groupInfo, info => {
+            const members = info.mentionGroups[name];
+            if (!members) {
+                throw new Error(`Mention group ${name} no longer exists`);
+            }
+            info.mentionGroups[name] = this.pruneDuplicates(members.concat(userIds));
+        },
             "Unable to subscribe to the group.",
             `${memberNames} successfully subscribed to group "${name}".`
         );
     } else {
-        this.sendError("Please provide a valid group to add members.");
+        this.sendError("Please provide a valid group to add members.", groupInfo.threadId);
     }
 };
 
 exports.unsubFromMentionGroup = (name, userIds, groupInfo) => {
     if (userIds.length < 1) { return; }
 
-    let members = groupInfo.mentionGroups[name];
-    if (members) {
-        members = members.filter(id => !userIds.includes(id));
-        groupInfo.mentionGroups[name] = members;
-
+    if (groupInfo.mentionGroups[name]) {
         const memberNames = userIds.map(user => groupInfo.names[user]).join("/");
-        this.setGroupPropertyAndHandleErrors("mentionGroups", groupInfo,
+        this.updateGroupAndHandleErrors(groupInfo, info => {
+            const members = info.mentionGroups[name];
+            if (members) {
+                info.mentionGroups[name] = members.filter(id => !userIds.includes(id));
+            }
+        },
             "Unable to unsubscribe from the group.",
             `${memberNames} successfully unsubscribed from group "${name}".`
         );
     } else {
-        this.sendError("Please provide a valid group to remove members.");
+        this.sendError("Please provide a valid group to remove members.", groupInfo.threadId);
     }
 };
 
@@ -1719,7 +2681,7 @@ exports.listMentionGroups = (name, groupInfo) => {
         if (names.length > 0) {
             msg = `Available mention groups:\n\n${names.map(n => `– ${n}`).join("\n")}`;
         } else {
-            msg = `No available mention groups. Try adding one with "${config.trigger} group create".`;
+            msg = `No available mention groups. Try adding one with "${this.getTrigger(groupInfo)} group create".`;
         }
     }
     this.sendMessage(msg, groupInfo.threadId);
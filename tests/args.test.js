@@ -0,0 +1,136 @@
+const assert = require("assert");
+const args = require("../src/args");
+const commands = require("../src/commands");
+const timezones = require("../src/timezones");
+
+const context = {
+    "fromUserId": "1",
+    "groupInfo": {
+        "members": { "alice": "1", "bob": "2", "carol": "3" },
+        "names": { "1": "Alice", "2": "Bob", "3": "Carol" },
+        "aliases": { "bob": "big bob" },
+        "timeZone": null,
+        "userTimeZones": { "1": "America/New_York" }
+    }
+};
+
+function parse(spec, input) {
+    return args.parse(spec, input, context);
+}
+
+const kick = {
+    "names": ["kick"],
+    "params": [
+        { "name": "user", "type": "user", "label": "member" },
+        { "name": "time", "type": "duration", "label": "number of seconds", "optional": true }
+    ]
+};
+const event = {
+    "names": ["event"],
+    "subcommands": {
+        "create": [{ "name": "title" }, { "name": "time", "type": "date", "after": ["for"] }],
+        "delete": [{ "name": "title" }]
+    }
+};
+
+module.exports = {
+    "other commands don't match": () => {
+        assert.strictEqual(parse(kick, "ban bob"), null);
+        assert.strictEqual(parse(kick, "kicked bob"), null);
+    },
+    "users are matched by name, alias, or me": () => {
+        assert.strictEqual(parse(kick, "kick Bob").args.user, "2");
+        assert.strictEqual(parse(kick, "kick big bob").args.user, "2");
+        assert.strictEqual(parse(kick, "kick me").args.user, "1");
+    },
+    "unknown users are errors": () => {
+        assert.deepStrictEqual(parse(kick, "kick dave"), { "error": "Couldn't find user \"dave\"." });
+    },
+    "optional params are undefined when left out": () => {
+        const result = parse(kick, "kick bob");
+        assert.deepStrictEqual(result.args, { "command": "kick", "user": "2", "time": undefined });
+    },
+    "durations are converted to milliseconds": () => {
+        assert.strictEqual(parse(kick, "kick bob 10").args.time, 10000);
+        assert.strictEqual(parse(kick, "kick bob 5 minutes").args.time, 300000);
+        assert.strictEqual(parse(kick, "kick bob 1.5h").args.time, 5400000);
+    },
+    "input that doesn't fit the syntax is a usage error": () => {
+        const result = parse(kick, "kick bob soon");
+        assert.strictEqual(result.usage, true);
+        assert(result.error.includes("kick {member} ({number of seconds})"));
+    },
+    "trailing punctuation is allowed": () => {
+        assert(parse({ "names": ["alive"] }, "alive?").args);
+    },
+    "the name used is passed as command": () => {
+        const spec = { "names": ["ban", "unban"], "params": [{ "name": "user", "type": "user" }] };
+        assert.strictEqual(parse(spec, "UNBAN bob").args.command, "unban");
+    },
+    "names can have several words": () => {
+        const spec = { "names": ["wake up", "wake"], "params": [{ "name": "user", "type": "user" }] };
+        assert.strictEqual(parse(spec, "wake up bob").args.user, "2");
+        assert.strictEqual(parse(spec, "wake bob").args.user, "2");
+    },
+    "subcommands": () => {
+        const created = parse(event, "event create Dinner for two for tomorrow at 6pm").args;
+        assert.strictEqual(created.subcommand, "create");
+        assert.strictEqual(created.title, "Dinner for two");
+        assert(created.time instanceof Date);
+        assert.strictEqual(timezones.toWallClock(created.time, "America/New_York").getHours(), 18); // In the sender's zone
+
+        const deleted = parse(event, "event delete Dinner").args;
+        assert.strictEqual(deleted.subcommand, "delete");
+        assert.strictEqual(deleted.title, "Dinner");
+        assert.strictEqual(parse(event, "event rsvp Dinner").usage, true);
+    },
+    "dates that can't be understood are errors": () => {
+        assert.deepStrictEqual(parse(event, "event create Dinner for whenever"), { "error": "Couldn't understand the time \"whenever\"." });
+    },
+    "flags": () => {
+        const spec = {
+            "names": ["space"],
+            "params": [{ "name": "random", "type": "flag", "words": ["random", "rand"] }, { "name": "query" }]
+        };
+        assert.strictEqual(parse(spec, "space rand mars").args.random, true);
+        assert.strictEqual(parse(spec, "space mars").args.random, false);
+        assert.strictEqual(parse(spec, "space mars").args.query, "mars");
+    },
+    "numbers are validated": () => {
+        const spec = { "names": ["blur"], "params": [{ "name": "pixels", "type": "number", "integer": true, "min": 1 }] };
+        assert.strictEqual(parse(spec, "blur 5").args.pixels, 5);
+        assert.deepStrictEqual(parse(spec, "blur 0"), { "error": "The pixels must be at least 1." });
+        assert.strictEqual(parse(spec, "blur 1.5").usage, true);
+    },
+    "lists": () => {
+        const spec = {
+            "names": ["poll"],
+            "params": [{ "name": "title" }, { "name": "options", "type": "list", "brackets": true, "optional": true }]
+        };
+        assert.deepStrictEqual(parse(spec, "poll Lunch? [pizza, tacos]").args, { "command": "poll", "title": "Lunch?", "options": ["pizza", "tacos"] });
+        assert.deepStrictEqual(parse(spec, "poll Lunch?").args, { "command": "poll", "title": "Lunch?", "options": undefined });
+
+        const users = { "names": ["branch"], "params": [{ "name": "members", "type": "list", "of": "user" }] };
+        assert.deepStrictEqual(parse(users, "branch me, bob,carol").args.members, ["1", "2", "3"]);
+        assert.deepStrictEqual(parse(users, "branch bob, dave"), { "error": "Couldn't find user \"dave\"." });
+    },
+    "syntax": () => {
+        assert.strictEqual(args.syntax(kick), "kick {member} ({number of seconds})");
+        assert.strictEqual(args.syntax(event), "event (create {title} for {time}|delete {title})");
+        assert.strictEqual(args.syntax({
+            "names": ["search"],
+            "subcommands": { "artist": [{ "name": "query" }], "song": [{ "name": "query" }] }
+        }), "search (artist|song) {query}");
+    },
+    "every command's examples match its spec": () => {
+        const co = commands.commands;
+        Object.keys(co).forEach(c => {
+            const examples = Array.isArray(co[c].example) ? co[c].example : [co[c].example];
+            examples.filter(e => e.length > 0).forEach(example => {
+                const input = example.replace(/\s*\[attach an image\]/, "");
+                const result = args.parse(co[c].args, input, context);
+                assert(result && !result.usage, `"${example}" doesn't match ${c}`);
+            });
+        });
+    }
+};
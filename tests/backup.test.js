@@ -0,0 +1,210 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const backup = require("../src/backup");
+const memory = require("../src/storage/memory");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function makeStore() {
+    return memory.create({
+        "data": {
+            "groups": {
+                "1": { "threadId": "1", "name": "One", "members": { "bob": "10" }, "names": { "10": "Bob" }, "pinned": { "a": { "msg": "old" } } },
+                "2": { "threadId": "2", "name": "Two", "members": { "sue": "20" }, "names": { "20": "Sue" }, "pinned": {} }
+            },
+            "userscore_10": 5,
+            "userscore_20": 15,
+            "usage_total_all": 3,
+            "usage_total_help": 3,
+            "unrelated": "value"
+        }
+    });
+}
+
+// Deletes a directory of snapshots (fs.rmSync needs a newer version of Node than the bot runs on)
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+    fs.rmdirSync(dir);
+}
+
+module.exports = {
+    "getKeys includes groups, member scores, vote history, and usage stats": () => {
+        const keys = backup.getKeys({ "1": { "members": { "bob": "10" }, "names": { "10": "Bob", "11": "Al" } } });
+        assert.strictEqual(keys[0], "groups");
+        assert(keys.includes("userscore_10"));
+        assert(keys.includes("userscore_11"));
+        assert(keys.includes("votes_1"));
+        assert(keys.includes("usage_total_all"));
+        assert(keys.includes("usage_total_help"));
+        assert(keys.includes("usage_record_help"));
+    },
+    "create collects all known stored keys": done => {
+        backup.create(makeStore(), (err, snapshot) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(Object.keys(snapshot.data).sort(),
+                ["groups", "usage_total_all", "usage_total_help", "userscore_10", "userscore_20"]);
+            assert(snapshot.timestamp > 0);
+            done();
+        });
+    },
+    "filenames round-trip to timestamps": () => {
+        const time = Date.UTC(2020, 4, 6, 7, 8, 9, 123);
+        const name = backup.getFilename(time);
+        assert.strictEqual(name, "snapshot-2020-05-06T07-08-09.123Z.json");
+        assert.strictEqual(backup.parseFilename(name), time);
+        assert.strictEqual(backup.parseFilename("archive.json"), null);
+    },
+    "getExpired keeps recent, daily, and weekly snapshots": () => {
+        const now = Date.UTC(2020, 0, 31, 12);
+        // Two snapshots a day for 30 days
+        const snapshots = [];
+        for (let i = 0; i < 60; i++) {
+            snapshots.push({ "name": `s${i}`, "timestamp": now - (i * DAY / 2) - 1000 });
+        }
+        const expired = backup.getExpired(snapshots, { "keep": 3, "daily": 5, "weekly": 3 }, now);
+        const kept = snapshots.filter(s => !expired.includes(s)).map(s => s.name);
+        // Latest 3, newest of each of days 0-4, newest of each of weeks 0-2
+        assert.deepStrictEqual(kept, ["s0", "s1", "s2", "s4", "s6", "s8", "s14", "s28"]);
+    },
+    "getExpired keeps everything within limits": () => {
+        const snapshots = [{ "timestamp": 1 }, { "timestamp": 2 }];
+        assert.deepStrictEqual(backup.getExpired(snapshots, { "keep": 5 }, 3), []);
+    },
+    "diff reports changes per thread and property": () => {
+        const older = {
+            "groups": {
+                "1": { "name": "One", "pinned": {}, "lastMessage": { "body": "a" } },
+                "2": { "name": "Two" }
+            },
+            "userscore_10": 5
+        };
+        const newer = {
+            "groups": {
+                "1": { "name": "One", "pinned": { "a": {} }, "lastMessage": { "body": "b" } },
+                "3": { "name": "Three" }
+            },
+            "userscore_10": 10,
+            "usage_total_all": 1
+        };
+        const changes = backup.diff(older, newer).map(c => [c.change, c.key, c.threadId, c.property]);
+        assert.deepStrictEqual(changes, [
+            ["changed", "groups", "1", "pinned"],
+            ["removed", "groups", "2", undefined],
+            ["added", "groups", "3", undefined],
+            ["added", "usage_total_all", undefined, undefined],
+            ["changed", "userscore_10", undefined, undefined]
+        ]);
+    },
+    "restore a single property leaves everything else alone": done => {
+        const store = makeStore();
+        const snapshot = {
+            "timestamp": 1,
+            "data": { "groups": { "1": { "name": "Old name", "pinned": { "b": { "msg": "restored" } } } } }
+        };
+        backup.restore(store, snapshot, { "threadId": "1", "property": "pinned" }, err => {
+            assert.ifError(err);
+            store.get("groups", (_, groups) => {
+                assert.deepStrictEqual(groups["1"].pinned, { "b": { "msg": "restored" } });
+                assert.strictEqual(groups["1"].name, "One");
+                assert.strictEqual(groups["2"].name, "Two");
+                done();
+            });
+        });
+    },
+    "restore a single thread leaves other groups alone": done => {
+        const store = makeStore();
+        const snapshot = { "timestamp": 1, "data": { "groups": { "1": { "name": "Old name" }, "2": { "name": "Old two" } } } };
+        backup.restore(store, snapshot, { "threadId": "1" }, err => {
+            assert.ifError(err);
+            store.get("groups", (_, groups) => {
+                assert.deepStrictEqual(groups["1"], { "name": "Old name" });
+                assert.strictEqual(groups["2"].name, "Two");
+                done();
+            });
+        });
+    },
+    "restore fails for threads missing from the snapshot": done => {
+        backup.restore(makeStore(), { "data": { "groups": {} } }, { "threadId": "1" }, err => {
+            assert(err);
+            done();
+        });
+    },
+    "restore only scores": done => {
+        const store = makeStore();
+        const snapshot = { "timestamp": 1, "data": { "groups": {}, "userscore_10": 100, "usage_total_all": 0 } };
+        backup.restore(store, snapshot, { "only": "scores" }, (err, keys) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(keys, ["userscore_10"]);
+            store.get("userscore_10", (_, score) => {
+                assert.strictEqual(score, 100);
+                store.get("usage_total_all", (_, total) => {
+                    assert.strictEqual(total, 3);
+                    done();
+                });
+            });
+        });
+    },
+    "restoring is refused while the bot is running": done => {
+        const store = makeStore();
+        const snapshot = { "timestamp": 1, "data": { "groups": {}, "userscore_10": 100 } };
+        backup.heartbeat(store, () => {
+            backup.restore(store, snapshot, {}, (err, keys) => {
+                assert(err && err.message.includes("stop it"));
+                assert.strictEqual(keys, undefined);
+                store.get("userscore_10", (_, score) => {
+                    assert.strictEqual(score, 5);
+                    backup.isBotRunning(store, (err, running) => {
+                        assert.ifError(err);
+                        assert.strictEqual(running, false);
+                        done();
+                    }, Date.now() + 10 * backup.heartbeatInterval);
+                });
+            });
+        });
+    },
+    "snapshots are due an interval after the last one": () => {
+        const options = { "interval": 24 };
+        const now = 10 * DAY;
+        assert.strictEqual(backup.getNextDue([], options, now), 0);
+        assert.strictEqual(backup.getNextDue([{ "timestamp": now - 2 * DAY }], options, now), 0);
+        assert.strictEqual(backup.getNextDue([{ "timestamp": now - DAY / 4 }, { "timestamp": now - DAY }], options, now), DAY * 3 / 4);
+    },
+    "save, list, load, and prune snapshots": done => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-test-"));
+        const options = { "dir": dir, "keep": 1 };
+        const cleanup = err => {
+            removeDir(dir);
+            done(err);
+        };
+        // An old-style archive and an expired snapshot
+        fs.writeFileSync(path.join(dir, "archive.json"), JSON.stringify({ "1": { "name": "Legacy" } }));
+        fs.writeFileSync(path.join(dir, backup.getFilename(1000)), JSON.stringify({ "timestamp": 1000, "data": {} }));
+
+        backup.save(makeStore(), options, (err, file) => {
+            if (err) { return cleanup(err); }
+            backup.list(options, (err, snapshots) => {
+                try {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(snapshots.map(s => s.file), [file]);
+                } catch (e) {
+                    return cleanup(e);
+                }
+                backup.load("latest", options, (err, latest) => {
+                    backup.load("archive.json", options, (legacyErr, legacy) => {
+                        try {
+                            assert.ifError(err);
+                            assert.ifError(legacyErr);
+                            assert.strictEqual(latest.data.userscore_20, 15);
+                            assert.deepStrictEqual(legacy, { "timestamp": null, "data": { "groups": { "1": { "name": "Legacy" } } } });
+                            cleanup();
+                        } catch (e) {
+                            cleanup(e);
+                        }
+                    });
+                });
+            });
+        });
+    }
+};
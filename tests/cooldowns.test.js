@@ -0,0 +1,51 @@
+const assert = require("assert");
+const config = require("../src/config");
+const cooldowns = require("../src/cooldowns");
+
+// Runs a test with the given cooldown config, restoring the real one afterwards
+function withConfig(settings, test) {
+    return () => {
+        const real = config.cooldowns;
+        config.cooldowns = { "default": {}, "commands": {}, "rate": { "limit": 0, "per": 60 }, ...settings };
+        cooldowns.reset();
+        try {
+            test();
+        } finally {
+            config.cooldowns = real;
+            cooldowns.reset();
+        }
+    };
+}
+
+module.exports = {
+    "commands without cooldowns can be used right away": withConfig({}, () => {
+        cooldowns.record("echo", "1", "10", 0);
+        assert.strictEqual(cooldowns.wait("echo", "1", "10", 0), 0);
+    }),
+    "user cooldowns apply to the same user in any thread": withConfig({ "commands": { "blur": { "user": 15 } } }, () => {
+        cooldowns.record("blur", "1", "10", 0);
+        assert.strictEqual(cooldowns.wait("blur", "1", "20", 5000), 10000);
+        assert.strictEqual(cooldowns.wait("blur", "2", "10", 5000), 0);
+        assert.strictEqual(cooldowns.wait("blur", "1", "10", 15000), 0);
+    }),
+    "thread cooldowns apply to anyone in the same thread": withConfig({ "default": { "thread": 30 } }, () => {
+        cooldowns.record("hitlights", "1", "10", 0);
+        assert.strictEqual(cooldowns.wait("hitlights", "2", "10", 10000), 20000);
+        assert.strictEqual(cooldowns.wait("hitlights", "2", "20", 10000), 0);
+        assert.strictEqual(cooldowns.wait("snap", "2", "10", 10000), 0);
+    }),
+    "users are limited across commands": withConfig({ "rate": { "limit": 2, "per": 60 } }, () => {
+        cooldowns.record("echo", "1", "10", 0);
+        cooldowns.record("help", "1", "10", 20000);
+        assert.strictEqual(cooldowns.wait("alive", "1", "10", 30000), 30000);
+        assert.strictEqual(cooldowns.wait("alive", "2", "10", 30000), 0);
+        assert.strictEqual(cooldowns.wait("alive", "1", "10", 60000), 0);
+    }),
+    "users are only warned once for each wait": withConfig({}, () => {
+        assert(cooldowns.shouldWarn("1", "10", 30000, 0));
+        assert(!cooldowns.shouldWarn("1", "10", 20000, 10000));
+        assert(cooldowns.shouldWarn("1", "20", 20000, 10000));
+        assert(cooldowns.shouldWarn("2", "10", 20000, 10000));
+        assert(cooldowns.shouldWarn("1", "10", 5000, 30000));
+    })
+};
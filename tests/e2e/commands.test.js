@@ -0,0 +1,1339 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const harness = require("./harness");
+const config = require("../../src/config");
+const commands = require("../../src/commands");
+const migrations = require("../../src/migrations");
+const utils = require("../../src/utils");
+const timezones = require("../../src/timezones");
+
+const owner = config.owner.id;
+
+// Starts a bot for a test, which gets the bot and a done callback that stops it
+function withBot(options, test) {
+    if (!test) {
+        test = options;
+        options = {};
+    }
+    return done => harness.create(options, (err, bot) => {
+        if (err) { return done(err); }
+        test(bot, err => {
+            bot.stop();
+            done(err);
+        });
+    });
+}
+
+function bodies(replies) {
+    return replies.map(r => r.body);
+}
+
+// A photo attachment for the image commands (copied so that the processed
+// image, which is saved next to the others in media/ under the same name,
+// doesn't overwrite an existing one)
+const photoPath = path.join(os.tmpdir(), `nano-e2e-${process.pid}.png`);
+fs.copyFileSync(path.join(__dirname, "../../media/anton.png"), photoPath);
+process.on("exit", () => fs.unlinkSync(photoPath));
+
+function sendWithPhoto(bot, body, callback) {
+    bot.send(body, { "attachments": [bot.sim.makeAttachment(photoPath)] }, callback);
+}
+
+// Checks that an image command replied with a processed photo
+function testImageCommand(body) {
+    return withBot((bot, done) => {
+        sendWithPhoto(bot, body, replies => {
+            assert.strictEqual(replies.length, 1);
+            assert.strictEqual(replies[0].attachments[0].type, "photo");
+            assert(!fs.existsSync(path.join(__dirname, `../../media/nano-e2e-${process.pid}.png`)), "processed image wasn't cleaned up");
+            done();
+        });
+    });
+}
+
+const tests = {
+    "help: lists categories": withBot((bot, done) => {
+        bot.send("nano help", replies => {
+            assert(replies[0].body.startsWith(`Quick Help for ${config.bot.names.short}`));
+            done();
+        });
+    }),
+    "help: shows a command's entry": withBot((bot, done) => {
+        bot.send("nano help alias", replies => {
+            assert(replies[0].body.includes("Syntax: nano alias"));
+            done();
+        });
+    }),
+    "help: reports unknown entries": withBot((bot, done) => {
+        bot.send("nano help nonsense", replies => {
+            assert.deepStrictEqual(bodies(replies), ['Error: Help entry not found for "nonsense"']);
+            done();
+        });
+    }),
+    "stats: counts uses of a command": withBot((bot, done) => {
+        bot.send("nano help", () => {
+            bot.send("nano stats help", replies => {
+                assert(replies[0].body.includes("has been used 1 time"));
+                assert(replies[0].body.includes("Its most prolific user is Alice."));
+                done();
+            });
+        });
+    }),
+    "stats: summarizes all commands": withBot((bot, done) => {
+        bot.send("nano stats", replies => {
+            assert(replies[0].body.startsWith("Command: % of total usage"));
+            done();
+        });
+    }),
+    "psa: sends to every group": withBot((bot, done) => {
+        bot.send("nano psa Hello all", { "from": owner, "thread": owner }, () => {
+            const psas = bot.messages("2001");
+            assert.strictEqual(psas.length, 1);
+            assert(psas[0].body.startsWith('"Hello all"'));
+            done();
+        });
+    }),
+    "psa: is only for the owner": withBot((bot, done) => {
+        bot.send("nano psa Hello all", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: PSA can only be used by the bot's owner."]);
+            done();
+        });
+    }),
+    "bug: reports to the owner": withBot((bot, done) => {
+        bot.send("nano bug it broke", replies => {
+            assert(bot.messages(owner)[0].body.includes("it broke"));
+            assert(bodies(replies).includes(`Report sent to ${config.owner.names.short}.`));
+            done();
+        });
+    }),
+    "alive: sends the group emoji": withBot((bot, done) => {
+        bot.send("nano alive", replies => {
+            assert.deepStrictEqual(bodies(replies), [config.defaultEmoji]);
+            done();
+        });
+    }),
+    "ban: bans and unbans members": withBot((bot, done) => {
+        bot.send("nano ban bob", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Successfully banned Bob."]);
+            bot.send("nano alive", { "from": "1002" }, replies => {
+                assert.deepStrictEqual(replies, []);
+                bot.send("nano unban bob", { "from": owner }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Successfully unbanned Bob."]);
+                    assert.deepStrictEqual(bot.banned, []);
+                    done();
+                });
+            });
+        });
+    }),
+    "mute: mutes and unmutes the bot": withBot((bot, done) => {
+        bot.send("nano unmute", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Bot unmuted"]);
+            bot.group("2001", info => {
+                assert.strictEqual(info.muted, false);
+                bot.send("nano mute", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Bot muted"]);
+                    done();
+                });
+            });
+        });
+    }),
+    "plugins: lists plugins and turns them on and off": withBot((bot, done) => {
+        bot.send("nano plugins", replies => {
+            assert(replies[0].body.includes("– umd (on): "));
+            bot.send("nano plugin disable UMD", { "from": owner }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Plugin \"umd\" disabled."]);
+                bot.group("2001", info => {
+                    assert.deepStrictEqual(info.disabledPlugins, ["umd"]);
+                    bot.send("nano course CMSC131", replies => {
+                        assert.deepStrictEqual(replies, []);
+                        bot.send("nano help", replies => {
+                            assert(!replies[0].body.includes("*UMD*"));
+                            bot.send("nano plugin enable umd", { "from": owner }, replies => {
+                                assert.deepStrictEqual(bodies(replies), ["Plugin \"umd\" enabled."]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "plugins: unknown plugins are errors": withBot((bot, done) => {
+        bot.send("nano plugin disable nope", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find a plugin named \"nope\"."]);
+            done();
+        });
+    }),
+    "disable: turns commands and categories off and on": withBot((bot, done) => {
+        bot.send("nano disable snap", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Snap disabled."]);
+            bot.send("nano snap", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Snap is turned off in this chat (admins can turn it back on with \"nano enable snap\")."]);
+                assert.deepStrictEqual(bot.events("kick"), []);
+                bot.send("nano disable fun", { "from": owner }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Fun commands disabled."]);
+                    bot.send("nano help", replies => {
+                        assert(!replies[0].body.includes("*Fun*"));
+                        bot.send("nano disable", replies => {
+                            assert.deepStrictEqual(bodies(replies), ["Turned off in this chat:\nCategories: Fun\nCommands: Snap"]);
+                            bot.send("nano enable fun", { "from": owner }, () => {
+                                bot.send("nano enable snap", { "from": owner }, () => {
+                                    bot.group("2001", info => {
+                                        assert.deepStrictEqual(info.disabledCommands, []);
+                                        assert.deepStrictEqual(info.disabledCategories, []);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "disable: only admins can turn commands off": withBot((bot, done) => {
+        bot.send("nano disable snap", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Only admins can disable commands in this chat."]);
+            bot.send("nano disable help", { "from": owner }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Help can't be turned off."]);
+                done();
+            });
+        });
+    }),
+    "role: grants and revokes roles": withBot((bot, done) => {
+        bot.send("nano kick carol", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Kick can only be used by admins of this chat."]);
+            bot.send("nano role grant admin to Alice", { "from": owner }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Granted the admin role to Alice."]);
+                bot.send("nano kick carol", () => {
+                    assert.strictEqual(bot.events("kick").length, 1);
+                    bot.send("nano role grant dj to bob, me", replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Granted the dj role to Bob, Alice."]);
+                        bot.send("nano role revoke dj from me", () => {
+                            bot.send("nano roles", replies => {
+                                assert.deepStrictEqual(bodies(replies), [`Roles in this chat:\nOwner: ${config.owner.names.long.split(" ")[0]}\nAdmins: Alice\ndj: Bob`]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "role: only admins can grant roles": withBot((bot, done) => {
+        bot.send("nano role grant admin to me", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Only admins can grant roles in this chat."]);
+            bot.send("nano role grant owner to Bob", { "from": owner }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: The owner role can't be granted or revoked in a chat."]);
+                done();
+            });
+        });
+    }),
+    "trigger: changes the trigger words": withBot((bot, done) => {
+        bot.send("nano trigger set bot, Robo", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Trigger words set to bot, robo."]);
+            bot.send("nano echo hi", replies => {
+                assert.deepStrictEqual(replies, []);
+                bot.send("robo kick", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Invalid syntax. Try \"bot kick {member} ({number of seconds})\"."]);
+                    bot.send("bot trigger start on", { "from": owner }, () => {
+                        bot.send("hey bot echo hi", replies => {
+                            assert.deepStrictEqual(replies, []);
+                            bot.send("bot trigger", replies => {
+                                assert.deepStrictEqual(bodies(replies), ["Trigger words: bot, robo (at the start of messages)"]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "trigger: only whole words trigger commands": withBot((bot, done) => {
+        bot.send("the nanometer echo hi", replies => {
+            assert.deepStrictEqual(replies, []);
+            bot.send("hey nano echo hi", replies => {
+                assert.deepStrictEqual(bodies(replies), ["hi"]);
+                bot.send("nano trigger set b", { "from": owner }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Trigger words have to be at least two characters long."]);
+                    bot.send("nano trigger set ,", { "from": owner }, replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Error: Give at least one trigger word."]);
+                        bot.group("2001", info => {
+                            assert.deepStrictEqual(info.triggers, []);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "trigger: adds a prefix": withBot((bot, done) => {
+        bot.send("nano trigger prefix !", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Commands can now also start with ! (e.g. \"!help\")."]);
+            bot.send("!echo hi", replies => {
+                assert.deepStrictEqual(bodies(replies), ["hi"]);
+                bot.send("!trigger reset", { "from": owner }, () => {
+                    bot.send("!echo hi", replies => {
+                        assert.deepStrictEqual(replies, []);
+                        bot.group("2001", info => {
+                            assert.strictEqual(info.prefix, null);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "trigger: only admins can change it": withBot((bot, done) => {
+        bot.send("nano trigger prefix !", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Only admins can change the trigger in this chat."]);
+            bot.send("nano trigger prefix ab", { "from": owner }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: The prefix has to be one to three symbols (like \"!\")."]);
+                done();
+            });
+        });
+    }),
+    "christen: sets the bot's nickname": withBot((bot, done) => {
+        bot.send("nano christen Robo", () => {
+            const nicknames = bot.events("nickname");
+            assert.strictEqual(nicknames[0].userId, config.bot.id);
+            assert.strictEqual(nicknames[0].nickname, "Robo");
+            done();
+        });
+    }),
+    "clearstats: resets usage stats": withBot((bot, done) => {
+        bot.send("nano help", () => {
+            bot.send("nano clear stats", { "from": owner }, () => {
+                bot.data("usage_total_help", count => {
+                    assert.strictEqual(count, 0);
+                    done();
+                });
+            });
+        });
+    }),
+    "alias: sets, shows, and clears aliases": withBot((bot, done) => {
+        bot.send("nano alias bob bobby", replies => {
+            assert.deepStrictEqual(bodies(replies), ['Bob can now be called "bobby".']);
+            bot.send("nano alias bob", replies => {
+                assert.deepStrictEqual(bodies(replies), ['Bob can also be called "bobby".']);
+                bot.send("nano alias clear bob", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Alias cleared for Bob."]);
+                    bot.group("2001", info => {
+                        assert.deepStrictEqual(info.aliases, {});
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "restart: restarts the dyno": withBot((bot, done) => {
+        bot.send("nano restart", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Restarting..."]);
+            assert(bot.requests.some(r => r.method == "DELETE" && r.url.includes("api.heroku.com")));
+            done();
+        });
+    }),
+    "undo: unsends the last message": withBot((bot, done) => {
+        bot.send("nano echo oops", replies => {
+            bot.send("nano undo", () => {
+                assert.strictEqual(bot.events("unsend")[0].messageId, replies[0].messageID);
+                done();
+            });
+        });
+    }),
+    "kick: removes members": withBot((bot, done) => {
+        bot.send("nano kick bob", { "from": owner }, () => {
+            assert.deepStrictEqual(bot.events("kick").map(e => e.userId), ["1002"]);
+            bot.group("2001", info => {
+                assert.strictEqual(info.members.bob, undefined);
+                done();
+            });
+        });
+    }),
+    "kick: adds members back after a while": withBot((bot, done) => {
+        bot.send("nano kick bob 10", { "from": owner }, () => {
+            assert.deepStrictEqual(bot.log.filter(e => e.type == "kick" || e.type == "add").map(e => e.type), ["kick", "add"]);
+            done();
+        });
+    }),
+    "addsearch: adds users": withBot((bot, done) => {
+        bot.sim.addUser("1004", "Dave Brown");
+        bot.send("nano add dave", replies => {
+            assert.deepStrictEqual(bot.events("add").map(e => e.userId), ["1004"]);
+            assert(bodies(replies).includes("Welcome to Test Chat, Dave!"));
+            done();
+        });
+    }),
+    "addsearch: searches for users": withBot((bot, done) => {
+        bot.http("graph.facebook.com", { "body": { "data": { "url": null } } });
+        bot.send("nano search carol", replies => {
+            assert(replies[0].body.startsWith("Best match: Carol White"));
+            done();
+        });
+    }),
+    "color: shows and changes the chat color": withBot((bot, done) => {
+        bot.send("nano color", replies => {
+            assert.deepStrictEqual(bodies(replies), ["The current chat color is MessengerBlue (hex value: empty)."]);
+            bot.send("nano color viking", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Last color was MessengerBlue."]);
+                assert.strictEqual(bot.events("color")[0].value, "44bec7");
+                done();
+            });
+        });
+    }),
+    "clearnick: clears nicknames": withBot((bot, done) => {
+        bot.send("nano nickname bob Bobby", { "from": owner }, () => {
+            bot.send("nano clear nickname bob", { "from": owner }, () => {
+                assert.deepStrictEqual(bot.events("nickname").map(e => [e.userId, e.nickname]), [["1002", "Bobby"], ["1002", ""]]);
+                done();
+            });
+        });
+    }),
+    "setnick: sets nicknames": withBot((bot, done) => {
+        bot.send("nano rename carol Caz", { "from": owner }, () => {
+            assert.strictEqual(bot.sim.getThread("2001").nicknames["1003"], "Caz");
+            done();
+        });
+    }),
+    "randmess: quotes a random message": withBot((bot, done) => {
+        bot.send("hello world", { "from": "1002" }, () => {
+            bot.send("nano random message", replies => {
+                assert(bodies(replies).some(b => / - .+ \(.+\)$/.test(b)));
+                done();
+            });
+        });
+    }),
+    "emoji: changes the chat emoji": withBot((bot, done) => {
+        bot.send("nano emoji 🎉", () => {
+            assert.strictEqual(bot.events("emoji")[0].value, "🎉");
+            done();
+        });
+    }),
+    "photo: sets the group photo from a URL": withBot((bot, done) => {
+        bot.http("example.com/cat.png", { "body": "not really a png" });
+        bot.send("nano photo https://example.com/cat.png", { "from": owner }, () => {
+            assert.strictEqual(bot.events("image").length, 1);
+            done();
+        });
+    }),
+    "photo: complains when there's no photo": withBot((bot, done) => {
+        bot.send("nano photo", { "from": owner }, replies => {
+            assert(replies[0].body.startsWith("Error: This group currently has no photo set."));
+            done();
+        });
+    }),
+    "poll: creates polls": withBot((bot, done) => {
+        bot.send("nano poll Lunch? [pizza,tacos]", () => {
+            const poll = bot.events("poll")[0];
+            assert.strictEqual(poll.title.trim(), "Lunch?");
+            assert.deepStrictEqual(poll.options, { "pizza": false, "tacos": false });
+            done();
+        });
+    }),
+    "title: renames the chat": withBot((bot, done) => {
+        bot.send("nano title Book Club", { "from": owner }, () => {
+            assert.strictEqual(bot.sim.getThread("2001").threadName, "Book Club");
+            done();
+        });
+    }),
+    "branch: starts a subgroup": withBot((bot, done) => {
+        bot.send("nano branch Side bob, carol", replies => {
+            const welcome = replies.find(r => r.threadID != "2001");
+            assert.strictEqual(welcome.body, "Welcome! This group was created from Test Chat.");
+            const thread = bot.sim.getThread(welcome.threadID);
+            assert.deepStrictEqual(thread.participantIDs, [config.bot.id, "1002", "1003"]);
+            assert.strictEqual(thread.threadName, "Side");
+            assert(bodies(replies).includes('Subgroup "Side" created.'));
+            done();
+        });
+    }),
+    "restore: restores settings from an old chat": withBot({
+        "data": {
+            "groups": {
+                "9999": Object.assign(migrations.create(), {
+                    "threadId": "9999",
+                    "name": "Old Chat",
+                    "emoji": "🔥",
+                    "pinned": { "rules": { "msg": "Be nice", "sender": "Bob", "date": null } }
+                })
+            }
+        }
+    }, (bot, done) => {
+        bot.send("nano restore 9999", { "from": owner }, () => {
+            assert.strictEqual(bot.sim.getThread("2001").emoji, "🔥");
+            assert.strictEqual(bot.sim.getThread("2001").threadName, "Old Chat");
+            bot.group("2001", info => {
+                assert.strictEqual(info.pinned.rules.msg, "Be nice");
+                done();
+            });
+        });
+    }),
+    "admin: promotes and demotes members": withBot((bot, done) => {
+        bot.send("nano admin bob", { "from": owner }, () => {
+            assert(bot.sim.getThread("2001").adminIDs.some(a => a.id == "1002"));
+            bot.send("nano deadmin bob", { "from": owner }, () => {
+                assert(!bot.sim.getThread("2001").adminIDs.some(a => a.id == "1002"));
+                done();
+            });
+        });
+    }),
+    "destroy: kicks everyone and archives the chat": withBot((bot, done) => {
+        bot.send("nano sudo destroy confirm", { "from": owner }, () => {
+            assert.deepStrictEqual(bot.sim.getThread("2001").participantIDs, [config.bot.id]);
+            assert.strictEqual(bot.sim.getThread("2001").archived, true);
+            done();
+        });
+    }),
+    "infiltrate: lists groups": withBot((bot, done) => {
+        bot.send("nano infiltrate", { "from": owner, "thread": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Available groups:\n– Test Chat (4 members)"]);
+            done();
+        });
+    }),
+    "vote: changes scores": withBot((bot, done) => {
+        bot.send("nano > bob for fixing the build", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Bob's current score is now 5."]);
+            bot.send("nano < bob", { "from": "1003" }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Bob's current score is now 0."]);
+                bot.group("2001", info => {
+                    assert.deepStrictEqual(info.scores, { "1002": 0 });
+                    assert.deepStrictEqual(info.periodScores.week.scores, { "1002": 0 });
+                    assert.strictEqual(info.votes, undefined);
+                    bot.data("votes_2001", votes => {
+                        assert.deepStrictEqual(votes.map(vote => [vote.voter, vote.target, vote.delta, vote.reason]), [
+                            ["1001", "1002", 5, "fixing the build"],
+                            ["1003", "1002", -5, null]
+                        ]);
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "score: sets and shows scores, starting from the ones from before": withBot({
+        "data": { "userscore_1002": 15 }
+    }, (bot, done) => {
+        const today = new Date().toLocaleDateString("en-US", { "month": "short", "day": "numeric", "timeZone": config.timeZone });
+        bot.send("nano score bob", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Bob's current score is 15."]);
+            bot.send("nano score bob 10", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Bob's score updated to 10."]);
+                bot.send("nano score bob", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Bob's current score is 10."]);
+                    bot.send("nano scoreboard", replies => {
+                        assert(replies[0].body.startsWith("Rankings for Test Chat:\n1. Bob: 10"));
+                        bot.send("nano > carol for bringing snacks", replies => {
+                            assert.deepStrictEqual(bodies(replies), ["Carol's current score is now 5."]);
+                            bot.send("nano scoreboard week", replies => {
+                                assert(replies[0].body.startsWith("Rankings for Test Chat this week:\n1. Carol: 5"));
+                                assert(replies[0].body.endsWith("Bob: -5"));
+                                bot.send("nano score history bob", replies => {
+                                    assert.deepStrictEqual(bodies(replies), [
+                                        `Latest votes on Bob:\n-5 from Alice on ${today} for having their score set to 10`
+                                    ]);
+                                    bot.send("nano score history", replies => {
+                                        assert.deepStrictEqual(bodies(replies), ["Alice hasn't been voted on in this chat yet."]);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "order66: kicks everyone for a while": withBot((bot, done) => {
+        bot.send("nano execute order 66", { "from": owner }, replies => {
+            assert.strictEqual(replies[0].body, "I hate you all.");
+            assert.strictEqual(bot.events("kick").length, 4);
+            assert.strictEqual(bot.events("add").length, 4);
+            assert(bodies(replies).includes("Balance is restored to the Force."));
+            done();
+        });
+    }),
+    "order66: only admins can use it": withBot((bot, done) => {
+        bot.send("nano execute order 66", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Order 66 can only be used by admins of this chat."]);
+            assert.strictEqual(bot.events("kick").length, 0);
+            done();
+        });
+    }),
+    "hitlights: flashes colors and restores the original": withBot((bot, done) => {
+        bot.send("nano hit the lights", () => {
+            const colors = bot.events("color");
+            assert.strictEqual(colors.length, config.numColors + 1);
+            assert.strictEqual(colors[colors.length - 1].value, config.defaultColor.replace("#", "").toLowerCase());
+            done();
+        });
+    }),
+    "wakeup: messages a member repeatedly": withBot((bot, done) => {
+        bot.send("nano wake up bob", replies => {
+            assert(bodies(replies).includes(`Messaged Bob ${config.wakeUpTimes} times`));
+            assert.strictEqual(bot.messages("1002").length, config.wakeUpTimes);
+            done();
+        });
+    }),
+    "echo: repeats messages": withBot((bot, done) => {
+        bot.send("nano echo hello there", replies => {
+            assert.deepStrictEqual(bodies(replies), ["hello there"]);
+            done();
+        });
+    }),
+    "echo: quotes messages": withBot((bot, done) => {
+        bot.send("nano quote to be or not to be", replies => {
+            assert(replies[0].body.startsWith('"to be or not to be" – Alice Smith\n'));
+            done();
+        });
+    }),
+    "answer: answers questions": withBot((bot, done) => {
+        bot.send("nano ask will it rain?", replies => {
+            assert(config.answerResponses.includes(replies[0].body));
+            done();
+        });
+    }),
+    "rng: picks numbers within bounds": withBot((bot, done) => {
+        bot.send("nano rng 7 7", replies => {
+            assert(replies[0].body.startsWith("7\n\nWith bounds of (7, 7)"));
+            done();
+        });
+    }),
+    "snap: kicks half of the chat for a while": withBot((bot, done) => {
+        bot.send("nano snap", { "from": owner }, replies => {
+            assert.strictEqual(replies[0].body, "You have my respect, Ariyan. I hope they remember you.");
+            assert.strictEqual(bot.events("kick").length, 2);
+            assert(bodies(replies).includes("Perfectly balanced, as all things should be."));
+            done();
+        });
+    }),
+    "snap: only admins can use it": withBot((bot, done) => {
+        bot.send("nano snap", { "from": "1002" }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Snap can only be used by admins of this chat."]);
+            assert.strictEqual(bot.events("kick").length, 0);
+            done();
+        });
+    }),
+    "choose: picks an option": withBot((bot, done) => {
+        bot.send("nano choose tea,coffee", replies => {
+            assert(["tea", "coffee"].includes(replies[0].body));
+            done();
+        });
+    }),
+    "xkcd: links comics by number": withBot((bot, done) => {
+        bot.send("nano xkcd 327", replies => {
+            assert.strictEqual(replies[0].url, "http://xkcd.com/327");
+            done();
+        });
+    }),
+    "xkcd: links the newest comic": withBot((bot, done) => {
+        bot.http("xkcd.com/info.0.json", { "body": { "num": 2000 } });
+        bot.send("nano xkcd new", replies => {
+            assert.strictEqual(replies[0].url, "http://xkcd.com/2000");
+            done();
+        });
+    }),
+    "wiki: links the best match": withBot((bot, done) => {
+        bot.http("googleapis.com/customsearch", { "body": { "items": [{ "formattedUrl": "https://en.wikipedia.org/wiki/Cat" }] } });
+        bot.send("nano wiki cats", replies => {
+            assert.strictEqual(replies[0].url, "https://en.wikipedia.org/wiki/Cat");
+            done();
+        });
+    }),
+    "space: sends NASA images": withBot((bot, done) => {
+        bot.http("images-api.nasa.gov", {
+            "body": {
+                "collection": {
+                    "items": [{
+                        "links": [{ "href": "https://images.nasa.gov/moon.jpg" }],
+                        "data": [{ "title": "Moon", "description": "A big rock" }]
+                    }]
+                }
+            }
+        });
+        bot.http("https://images.nasa.gov/moon.jpg", { "body": "jpeg" });
+        bot.send("nano space moon", replies => {
+            assert.strictEqual(replies[0].body, '"Moon"\nA big rock');
+            assert.strictEqual(replies[0].attachments.length, 1);
+            done();
+        });
+    }),
+    "space: reports failed searches": withBot((bot, done) => {
+        bot.send("nano space moon", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: No results found for moon"]);
+            done();
+        });
+    }),
+    "wolfram: answers queries": withBot((bot, done) => {
+        bot.http("api.wolframalpha.com", { "body": "42" });
+        bot.send("nano wolfram meaning of life", replies => {
+            assert.deepStrictEqual(bodies(replies), ["42"]);
+            done();
+        });
+    }),
+    "weather: reports failures": withBot((bot, done) => {
+        bot.http("api.openweathermap.org", { "status": 404, "body": {} });
+        bot.send("nano weather Atlantis", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Couldn't retrieve weather for that location."]);
+            done();
+        });
+    }),
+    "google: links a search": withBot((bot, done) => {
+        bot.send("nano google cute cats", replies => {
+            assert.strictEqual(replies[0].url, "https://www.google.com/search?q=cute%20cats");
+            done();
+        });
+    }),
+    "lucky: links the first result": withBot((bot, done) => {
+        bot.http("api.duckduckgo.com", { "body": { "Redirect": "https://example.com/" } });
+        bot.send("nano lucky example", replies => {
+            assert.strictEqual(replies[0].url, "https://example.com/");
+            done();
+        });
+    }),
+    "covid: reports failures": withBot((bot, done) => {
+        bot.send("nano covid", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Couldn't retrieve data."]);
+            done();
+        });
+    }),
+    "stocks: shows quotes": withBot((bot, done) => {
+        bot.http("yahoo.com", { "body": { "ResultSet": { "Result": [{ "name": "Apple Inc.", "exchDisp": "NASDAQ", "typeDisp": "Equity" }] } } });
+        bot.http("alphavantage.co", {
+            "body": {
+                "Global Quote": {
+                    "01. symbol": "AAPL",
+                    "05. price": "100.00",
+                    "07. latest trading day": "2020-10-01",
+                    "08. previous close": "99.00",
+                    "09. change": "1.00",
+                    "10. change percent": "1.01%"
+                }
+            }
+        });
+        bot.send("nano $AAPL", replies => {
+            assert(replies[0].body.startsWith("Apple Inc. (AAPL)\nNASDAQ Equity\n\nCurrent price: 100\n"));
+            done();
+        });
+    }),
+    "spotsearch: finds songs": withBot((bot, done) => {
+        bot.spotify("clientCredentialsGrant", { "access_token": "token" });
+        bot.spotify("searchTracks", {
+            "tracks": {
+                "items": [{
+                    "name": "Hello",
+                    "artists": [{ "name": "Adele" }],
+                    "album": { "name": "25" },
+                    "explicit": false,
+                    "preview_url": null,
+                    "external_urls": { "spotify": "https://open.spotify.com/track/1" }
+                }]
+            }
+        });
+        bot.send("nano search song hello", replies => {
+            const match = replies.find(r => r.body.startsWith("Best match: Hello"));
+            assert.strictEqual(match.body, "Best match: Hello by Adele (from 25)");
+            assert.strictEqual(match.url, "https://open.spotify.com/track/1");
+            done();
+        });
+    }),
+    "song: falls back to the default playlist": withBot((bot, done) => {
+        bot.spotify("clientCredentialsGrant", { "access_token": "token" });
+        bot.spotify("getPlaylist", {
+            "name": "Mix",
+            "tracks": {
+                "items": [{
+                    "track": {
+                        "name": "Hello",
+                        "artists": [{ "name": "Adele" }],
+                        "album": { "name": "25" },
+                        "preview_url": null,
+                        "external_urls": { "spotify": "https://open.spotify.com/track/1" }
+                    }
+                }]
+            }
+        });
+        bot.send("nano song", replies => {
+            assert(replies[0].body.startsWith("No playlists found for this group."));
+            assert(bodies(replies).includes(`Grabbing a song from ${config.defaultPlaylist.name}'s playlist, "Mix"...`));
+            assert(bodies(replies).includes('How about Hello (from "25") by Adele?'));
+            done();
+        });
+    }),
+    "playlist: adds playlists": withBot((bot, done) => {
+        bot.spotify("clientCredentialsGrant", { "access_token": "token" });
+        bot.spotify("getPlaylist", { "name": "Mix", "tracks": { "items": [] } });
+        bot.send("nano playlist bob spotify:user:bobby:playlist:abc123", replies => {
+            assert(replies[0].body.startsWith('Playlist "Mix" added to the group.'));
+            bot.group("2001", info => {
+                assert.deepStrictEqual(info.playlists["1002"], { "name": "Bob", "id": "1002", "user": "bobby", "uri": "abc123" });
+                done();
+            });
+        });
+    }),
+    "playlist: reports when there are none": withBot((bot, done) => {
+        bot.send("nano playlist", replies => {
+            assert(replies[0].body.startsWith("No playlists for this group."));
+            done();
+        });
+    }),
+    "bw: processes photos": testImageCommand("nano bw"),
+    "sepia: processes photos": testImageCommand("nano sepia"),
+    "invert: takes images piped from other commands": testImageCommand("nano bw | invert | overlay hi"),
+    "flip: processes photos": testImageCommand("nano flip vertical"),
+    "invert: processes photos": testImageCommand("nano invert"),
+    "blur: processes photos": testImageCommand("nano blur 2"),
+    "overlay: processes photos": testImageCommand("nano overlay hi"),
+    "brightness: processes photos": testImageCommand("nano brighten 20"),
+    "course: describes courses": withBot((bot, done) => {
+        bot.http("api.umd.io/v0/courses/CMSC131", {
+            "body": { "name": "Object-Oriented Programming I", "course_id": "CMSC131", "credits": "4", "description": "Intro" }
+        });
+        bot.send("nano course CMSC131", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Object-Oriented Programming I (CMSC131)\nCredits: 4\n\nIntro"]);
+            done();
+        });
+    }),
+    "professor: describes professors": withBot((bot, done) => {
+        bot.http("api.umd.io/v0/professors", { "body": [{ "name": "Jane Doe", "department": "CMSC", "courses": ["CMSC131"] }] });
+        bot.send("nano professor Jane Doe", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Jane Doe (CMSC)\n\nCourses:\nCMSC131"]);
+            done();
+        });
+    }),
+    "whereis: links buildings": withBot((bot, done) => {
+        bot.http("api.umd.io/v0/map/buildings", { "body": [{ "name": "Iribe Center", "code": "IRB", "lat": "38.98", "lng": "-76.93" }] });
+        bot.send("nano whereis iribe", replies => {
+            assert.strictEqual(replies[0].url, "https://www.google.com/maps/search/?api=1&query=38.98,-76.93");
+            done();
+        });
+    }),
+    "findbus: locates buses": withBot((bot, done) => {
+        bot.http("api.umd.io/v0/bus/locations", {
+            "body": { "vehicle": [{ "routeTag": "104", "lat": 1, "lon": 2, "passengerCount": 1, "speedKmHr": 20 }] }
+        });
+        bot.send("nano findbus 104", replies => {
+            assert.strictEqual(replies[0].body, "The 104 bus currently has 1 passenger and is moving at 20 km/h.");
+            assert.strictEqual(replies[0].url, "https://www.google.com/maps/place/1,2/");
+            done();
+        });
+    }),
+    "command: adds, lists, and removes custom commands": withBot((bot, done) => {
+        bot.send("nano command add hug {sender} hugs {mention:arg1}! {media:genius.jpg}", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Added custom command \"hug\". Try it with \"nano hug\"."]);
+            bot.send("nano command list", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Custom commands:\n– hug: {sender} hugs {mention:arg1}! {media:genius.jpg}"]);
+                bot.send("nano command remove hug", { "from": "1002" }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Only the creator of a custom command or chat admins can remove it."]);
+                    bot.send("nano command remove hug", replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Removed custom command \"hug\"."]);
+                        bot.group("2001", info => {
+                            assert.deepStrictEqual(info.customCommands, {});
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "command: names and media are checked": withBot((bot, done) => {
+        bot.send("nano command add kick bye", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: \"kick\" is already the name of a built-in command."]);
+            bot.send("nano command add pic {media:nope.png}", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find \"nope.png\" in the media library."]);
+                bot.send("nano command add up {media:..}", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find \"..\" in the media library."]);
+                    bot.send("nano command add docs {media:docs}", replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find \"docs\" in the media library."]);
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "custom: fills in templates": withBot((bot, done) => {
+        bot.send("nano command add hug {sender} hugs {mention:arg1}! {media:genius.jpg}", () => {
+            bot.send("nano hug bob", replies => {
+                assert.strictEqual(replies[0].body, "Alice hugs @Bob!");
+                assert.deepStrictEqual(replies[0].mentions, { "1002": "@Bob" });
+                assert.strictEqual(replies[0].attachments[0].name, "genius.jpg");
+                bot.send("nano command add coin {random:heads|tails} ({args})", () => {
+                    bot.send("nano coin for lunch", replies => {
+                        assert(["heads (for lunch)", "tails (for lunch)"].includes(replies[0].body));
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "custom: media that's been removed since is reported": withBot((bot, done) => {
+        // A media library of its own, so that nothing is added to the real one
+        const library = config.mediaLibrary;
+        config.mediaLibrary = fs.mkdtempSync(path.join(os.tmpdir(), "nano-e2e-media-"));
+        const mediaPath = path.join(config.mediaLibrary, "photo.png");
+        fs.copyFileSync(photoPath, mediaPath);
+        bot.send("nano command add pic {media:photo.png}", replies => {
+            fs.unlinkSync(mediaPath);
+            assert.deepStrictEqual(bodies(replies), ["Added custom command \"pic\". Try it with \"nano pic\"."]);
+            bot.send("nano pic", replies => {
+                fs.rmdirSync(config.mediaLibrary);
+                config.mediaLibrary = library;
+                assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find \"photo.png\" in the media library anymore."]);
+                done();
+            });
+        });
+    }),
+    "pin: creates, shows, appends, renames, and deletes pins": withBot((bot, done) => {
+        bot.send("nano pin rules Be nice", replies => {
+            assert.deepStrictEqual(bodies(replies), ['Pinned new message for pin "rules" to the chat.']);
+            bot.send("nano pin append rules No spam", replies => {
+                assert.deepStrictEqual(bodies(replies), ['Updated pin "rules".']);
+                bot.send("nano pin rules", replies => {
+                    assert(replies[0].body.startsWith('"Be nice\nNo spam" – Alice on '));
+                    bot.send("nano pin rename rules law", replies => {
+                        assert.deepStrictEqual(bodies(replies), ['Successfully renamed "rules" to "law".']);
+                        bot.send("nano pin delete law", replies => {
+                            assert.deepStrictEqual(bodies(replies), ['Successfully deleted "law".']);
+                            bot.group("2001", info => {
+                                assert.deepStrictEqual(info.pinned, {});
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "pin: pins replied-to messages": withBot((bot, done) => {
+        bot.send("remember this", { "from": "1002" }, (_, message) => {
+            bot.send("nano pin memo", { "replyTo": message.messageID }, () => {
+                bot.group("2001", info => {
+                    assert.strictEqual(info.pinned.memo.msg, "remember this");
+                    assert.strictEqual(info.pinned.memo.sender, "Bob");
+                    done();
+                });
+            });
+        });
+    }),
+    "tab: keeps track of who owes whom": withBot((bot, done) => {
+        bot.send("nano tab add 30 dinner paid by me split among Alice, Bob, Carol", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Added #1: $30.00 for dinner, paid by Alice and split among Alice, Bob and Carol."]);
+            bot.send("nano tab add 9 paid by Bob split among Bob, Carol", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Added #2: $9.00, paid by Bob and split among Bob and Carol."]);
+                bot.send("nano tab", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Balances:\nAlice is owed $20.00\nBob owes $5.50\nCarol owes $14.50\n\nSee how to settle up with \"nano tab settle\"."]);
+                    bot.send("nano tab settle", replies => {
+                        assert.deepStrictEqual(bodies(replies), ["To settle up:\nCarol pays Alice $14.50\nBob pays Alice $5.50\n\nOnce you've paid, record it with \"nano tab paid {person} {amount}\"."]);
+                        bot.send("nano tab paid alice", { "from": "1003" }, replies => {
+                            assert.deepStrictEqual(bodies(replies), ["Recorded #3: Carol paid Alice $14.50."]);
+                            bot.send("nano tab undo 1", { "from": "1002" }, replies => {
+                                assert.deepStrictEqual(bodies(replies), ["Error: Only whoever added an entry or chat admins can undo it."]);
+                                bot.send("nano tab undo", replies => {
+                                    assert.deepStrictEqual(bodies(replies), ["Removed #2: $9.00, paid by Bob and split among Bob and Carol."]);
+                                    bot.send("nano tab history", replies => {
+                                        assert.deepStrictEqual(bodies(replies), ["Tab history:\n#1: $30.00 for dinner, paid by Alice and split among Alice, Bob and Carol\n#3: Carol paid Alice $14.50"]);
+                                        bot.send("nano tab", replies => {
+                                            assert(replies[0].body.startsWith("Balances:\nAlice is owed $5.50\nCarol is owed $4.50\nBob owes $10.00\n"));
+                                            done();
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "tab: splits among everyone by default and only admins can clear it": withBot((bot, done) => {
+        bot.send("nano tab add 20", { "from": "1002" }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Added #1: $20.00, paid by Bob and split among Alice, Bob, Carol and Mehedi."]);
+            bot.send("nano tab paid me 5", { "from": "1002" }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: You can't pay yourself."]);
+                bot.send("nano tab clear", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Only admins can clear the tab in this chat."]);
+                    bot.send("nano tab clear", { "from": owner }, replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Tab cleared."]);
+                        bot.send("nano tab", replies => {
+                            assert(replies[0].body.startsWith("Everyone's settled up."));
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "tab: converts other currencies with rates the owner can change": withBot((bot, done) => {
+        bot.send("nano tab currency", replies => {
+            assert.deepStrictEqual(bodies(replies), ["This chat's tab is kept in USD. Admins can change that with \"nano tab currency {currency}\"."]);
+            bot.send("nano tab rate EUR 2", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Only the bot's owner can change exchange rates."]);
+                bot.send("nano tab rate eur 0.8", { "from": owner }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["1 USD is now 0.8 EUR."]);
+                    bot.send("nano tab add 24 eur lunch", replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Added #1: €24.00 ($30.00) for lunch, paid by Alice and split among Alice, Bob, Carol and Mehedi."]);
+                        bot.send("nano tab currency EUR", replies => {
+                            assert.deepStrictEqual(bodies(replies), ["Error: Only admins can change the currency of the tab in this chat."]);
+                            bot.send("nano tab currency EUR", { "from": owner }, replies => {
+                                assert.deepStrictEqual(bodies(replies), ["This chat's tab is now kept in EUR."]);
+                                bot.send("nano tab", replies => {
+                                    assert(replies[0].body.startsWith("Balances:\nAlice is owed €18.00\nBob owes €6.00\n"));
+                                    bot.send("nano tab rates reload", { "from": owner }, replies => {
+                                        assert.deepStrictEqual(bodies(replies), ["Reloaded the exchange rates (from 2026-10-01)."]);
+                                        bot.send("nano tab rates", replies => {
+                                            assert(replies[0].body.startsWith("Exchange rates for 1 EUR (from 2026-10-01):\nAED "));
+                                            done();
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "tab: reloading rates keeps the ones for currencies that aren't in the file": withBot((bot, done) => {
+        bot.send("nano tab rate TEA 2", { "from": owner }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: \"TEA\" isn't a currency."]);
+            bot.send("nano tab rate lkr 300", { "from": owner }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["1 USD is now 300 LKR."]);
+                bot.send("nano tab add 600 lkr tea", replies => {
+                    assert(replies[0].body.includes("600.00 ($2.00) for tea, paid by Alice"));
+                    bot.send("nano tab rates reload", { "from": owner }, replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Reloaded the exchange rates (from 2026-10-01). Kept the rates set for LKR, which aren't in the file."]);
+                        bot.send("nano tab", replies => {
+                            assert(replies[0].body.startsWith("Balances:\nAlice is owed $1.50\n"));
+                            bot.data("rates", rates => {
+                                assert.strictEqual(rates.rates.LKR, 300);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "remind: creates reminders": withBot((bot, done) => {
+        bot.send("nano remind bob to call mom at 5pm", (replies, message) => {
+            assert(replies[0].body.startsWith("Created a reminder for Bob for "));
+            bot.group("2001", info => {
+                const reminder = Object.keys(info.events).map(k => info.events[k])[0];
+                assert.strictEqual(reminder.type, "reminder");
+                assert.strictEqual(reminder.reminder, "to call mom");
+                assert.strictEqual(reminder.owner, "1002");
+                assert.strictEqual(reminder.replyId, message.messageID);
+                done();
+            });
+        });
+    }),
+    "remind: reminders can repeat": withBot((bot, done) => {
+        bot.send("nano remind me to stretch every weekday at 3pm", replies => {
+            assert(replies[0].body.startsWith("Created a reminder for Alice for "));
+            assert(replies[0].body.endsWith(", repeating every weekday (#1)."));
+            bot.group("2001", info => {
+                const reminder = Object.keys(info.events).map(k => info.events[k])[0];
+                assert.strictEqual(reminder.reminder, "to stretch");
+                assert.deepStrictEqual(reminder.recurrence.days, [1, 2, 3, 4, 5]);
+                done();
+            });
+        });
+    }),
+    "remind: lists, cancels, snoozes, and edits reminders": withBot((bot, done) => {
+        bot.send("nano remind me to stretch in 2 hours", replies => {
+            assert(replies[0].body.endsWith("(#1)."));
+            bot.send("nano remind list", replies => {
+                assert(replies[0].body.startsWith('Reminders in this chat:\n#1: "to stretch" for Alice on '));
+                bot.send("nano remind cancel 1", { "from": "1002" }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Only whoever a reminder is for or chat admins can change it."]);
+                    bot.group("2001", before => {
+                        const time = utils.findReminder(1, before).timestamp;
+                        bot.send("nano remind snooze 1 1 hour", replies => {
+                            assert(replies[0].body.startsWith('Snoozed "to stretch" until '));
+                            assert(replies[0].body.endsWith("(#1)."));
+                            bot.group("2001", info => {
+                                assert.strictEqual(utils.findReminder(1, info).timestamp, time + 3600000);
+                                editAndCancel();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        function editAndCancel() {
+            bot.send("nano remind edit 1 text to touch grass", replies => {
+                assert(replies[0].body.startsWith('Updated reminder #1: "to touch grass" for Alice on '));
+                bot.send("nano remind edit 1 time every day at 9am", replies => {
+                    assert(replies[0].body.includes("every day, next on "));
+                    bot.send("nano remind cancel 1", replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Cancelled reminder #1."]);
+                        bot.send("nano remind cancel 1", replies => {
+                            assert.deepStrictEqual(bodies(replies), ["Error: There's no reminder #1."]);
+                            bot.send("nano remind snooze", replies => {
+                                assert.deepStrictEqual(bodies(replies), ["Error: Reply to a reminder or give its number to snooze it."]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        }
+    }),
+    "event: edits events": withBot((bot, done) => {
+        bot.send("nano event create Party for tomorrow at 8pm", () => {
+            bot.send("nano event edit party location Star Kabab", { "from": "1002" }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Sorry, you are not the owner of this event."]);
+                bot.send("nano event edit party location Star Kabab", replies => {
+                    assert.deepStrictEqual(bodies(replies), ['Updated the location of "Party".']);
+                    bot.send("nano event edit party description Bring a time machine", () => {
+                        bot.send("nano event edit party capacity lots", replies => {
+                            assert.deepStrictEqual(bodies(replies), ['Error: The capacity has to be a number of people (or "none" for no limit).']);
+                            bot.send("nano event edit party title Dinner party", replies => {
+                                assert.deepStrictEqual(bodies(replies), ['Updated the title of "Dinner party".']);
+                                bot.send("nano event list dinner party", replies => {
+                                    assert(replies[0].body.startsWith("*Dinner party*\n"));
+                                    assert(replies[0].body.includes("Where: Star Kabab\nBring a time machine\n"));
+                                    bot.group("2001", info => {
+                                        assert.deepStrictEqual(Object.keys(info.events), ["dinner party"]);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "event: exports events and shares a calendar feed": withBot((bot, done) => {
+        bot.send("nano event create Party for tomorrow at 8pm", replies => {
+            bot.react(replies[0].messageID, "👍", { "from": "1002" }, () => {
+                bot.send("nano event export", replies => {
+                    assert(replies[0].body.startsWith("1 event from this chat. To keep your calendar up to date instead, subscribe to "));
+                    assert.strictEqual(replies[0].attachments[0].name, "events-2001.ics");
+                    bot.send("nano event feed", replies => {
+                        const [, threadId, token] = replies[0].body.match(/\/calendar\/(\d+)\/([0-9a-f]+)\.ics/);
+                        utils.getCalendar(threadId, token, (err, calendar) => {
+                            assert.ifError(err);
+                            assert(calendar.includes("\r\nSUMMARY:Party\r\n"));
+                            assert(calendar.includes('\r\nATTENDEE;CN="Bob";PARTSTAT=ACCEPTED:'));
+                            utils.getCalendar(threadId, "wrong", err => {
+                                assert(err);
+                                const guess = token.replace(/^./, c => (c == "0" ? "1" : "0"));
+                                utils.getCalendar(threadId, guess, err => {
+                                    assert(err);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "event: imports events from calendar files": withBot((bot, done) => {
+        const start = new Date(Date.now() + 86400000).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+        const calendar = [
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT", `DTSTART:${start}`, "SUMMARY:Picnic", "LOCATION:Ramna Park", "END:VEVENT",
+            "BEGIN:VEVENT", "DTSTART:20200101T100000Z", "SUMMARY:Old news", "END:VEVENT",
+            "BEGIN:VEVENT", "DTSTART:20200106T100000Z", "SUMMARY:Standup", "RRULE:FREQ=WEEKLY;BYDAY=MO", "END:VEVENT",
+            "END:VCALENDAR"
+        ].join("\r\n");
+        bot.http("files.example.com/calendar.ics", { "body": calendar });
+        const attachment = { "type": "file", "name": "calendar.ics", "url": "https://files.example.com/calendar.ics" };
+        bot.send("nano event import", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Attach a calendar (.ics) file, or reply to one, to import its events."]);
+            bot.send("nano event import", { "attachments": [attachment] }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Imported 2 events (skipped 1 that already happened): Picnic, Standup. "
+                    + "To RSVP to one, use \"nano event list {title}\" and react to the message I send."]);
+                bot.group("2001", info => {
+                    assert.strictEqual(info.events.picnic.location, "Ramna Park");
+                    assert.strictEqual(info.events.picnic.mid, null);
+                    assert(info.events.standup.timestamp > Date.now());
+                    assert.deepStrictEqual(info.events.standup.recurrence.days, [1]);
+                    bot.send("nano event list picnic", replies => {
+                        assert(replies[0].body.endsWith("To RSVP, react to this message with 👍/👎/🤔."));
+                        bot.react(replies[0].messageID, "👍", { "from": "1002" }, () => {
+                            bot.group("2001", info => {
+                                assert.strictEqual(info.events.picnic.mid, replies[0].messageID);
+                                assert.deepStrictEqual(info.events.picnic.going.map(user => user.id), ["1002"]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "event: imports a limited number of events at a time": withBot((bot, done) => {
+        const start = new Date(Date.now() + 86400000).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+        const events = Array.from({ "length": config.maxImportedEvents + 2 }, (_, i) => {
+            return ["BEGIN:VEVENT", `DTSTART:${start}`, `SUMMARY:Meeting ${i + 1}`, "END:VEVENT"].join("\r\n");
+        });
+        bot.http("files.example.com/big.ics", { "body": ["BEGIN:VCALENDAR"].concat(events, ["END:VCALENDAR"]).join("\r\n") });
+        const attachment = { "type": "file", "name": "big.ics", "url": "https://files.example.com/big.ics" };
+        bot.send("nano event import", { "attachments": [attachment] }, replies => {
+            assert.strictEqual(replies.length, 1);
+            assert(replies[0].body.startsWith(`Imported ${config.maxImportedEvents} events (skipped 2 past the limit of ${config.maxImportedEvents} at a time): Meeting 1, `));
+            bot.group("2001", info => {
+                assert.strictEqual(Object.keys(info.events).length, config.maxImportedEvents);
+                done();
+            });
+        });
+    }),
+    "event: imported events can't repeat more often than schedules can": withBot((bot, done) => {
+        const calendar = [
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT", "DTSTART:19700101T000000Z", "SUMMARY:Spam", "RRULE:FREQ=MINUTELY", "END:VEVENT",
+            "BEGIN:VEVENT", "DTSTART:19700101T000000Z", "SUMMARY:Check-in", "RRULE:FREQ=HOURLY", "END:VEVENT",
+            "END:VCALENDAR"
+        ].join("\r\n");
+        bot.http("files.example.com/spam.ics", { "body": calendar });
+        const attachment = { "type": "file", "name": "spam.ics", "url": "https://files.example.com/spam.ics" };
+        bot.send("nano event import", { "attachments": [attachment] }, replies => {
+            assert.deepStrictEqual(bodies(replies), ["Imported 1 event (skipped 1 that repeats in a way I don't allow): Check-in. "
+                + `Schedules can't repeat more often than every ${config.scheduleMinInterval} minutes. `
+                + "To RSVP to one, use \"nano event list {title}\" and react to the message I send."]);
+            bot.group("2001", info => {
+                assert.deepStrictEqual(Object.keys(info.events), ["check-in"]);
+                assert(info.events["check-in"].timestamp - Date.now() <= 3600000);
+                done();
+            });
+        });
+    }),
+    "event: events can repeat": withBot((bot, done) => {
+        bot.send("nano event create Book club for 7pm every 2 weeks on thursday 5 times", replies => {
+            assert(replies[0].body.includes(", repeating every 2 weeks on Thursday (5 more times)."));
+            bot.send("nano event list", replies => {
+                assert(replies[0].body.includes("(repeats every 2 weeks on Thursday (5 more times))"));
+                bot.send("nano event create Nap for tomorrow until friday", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Only schedules that repeat can have an end."]);
+                    done();
+                });
+            });
+        });
+    }),
+    "event: creates, lists, and deletes events": withBot((bot, done) => {
+        bot.send("nano event create Party for tomorrow at 8pm", replies => {
+            assert(replies[0].body.includes('Event "Party" created for'));
+            bot.send("nano event list", replies => {
+                assert(replies[0].body.startsWith("Events for this group: \n\n– Party: "));
+                bot.send("nano event delete party", { "from": "1002" }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Sorry, you are not the owner of this event."]);
+                    bot.send("nano event delete party", replies => {
+                        assert.deepStrictEqual(bodies(replies), ['Successfully deleted "Party".']);
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "event: times are in each member's time zone": withBot((bot, done) => {
+        bot.send("nano timezone set new york", () => {
+            bot.send("nano event create Party for tomorrow at 8pm", replies => {
+                assert(replies[0].body.includes(" in America/New_York ("));
+                assert(replies[0].body.includes(" in Asia/Dhaka)"));
+                bot.group("2001", info => {
+                    const party = info.events.party;
+                    assert.strictEqual(timezones.toWallClock(party.timestamp, "America/New_York").getHours(), 20);
+                    bot.send("nano event list", { "from": "1002" }, replies => {
+                        const inDhaka = utils.getPrettyDateString(new Date(party.timestamp), true, "Asia/Dhaka");
+                        assert.deepStrictEqual(bodies(replies), [`Events for this group: \n\n– Party: ${inDhaka}`]);
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "schedule: schedules, lists, pauses, and deletes commands": withBot((bot, done) => {
+        bot.send("nano at 9am every weekday do echo Stand-up time", replies => {
+            assert(replies[0].body.startsWith('Scheduled #1: "echo Stand-up time" every weekday, next on '));
+            bot.send("nano schedule pause 1", { "from": "1002" }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Only whoever scheduled a command or chat admins can change its schedule."]);
+                bot.send("nano schedule pause 1", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Paused schedule #1."]);
+                    bot.send("nano schedule list", replies => {
+                        assert(replies[0].body.startsWith('Scheduled commands:\n#1: "echo Stand-up time" every weekday'));
+                        assert(replies[0].body.endsWith("(paused)"));
+                        bot.send("nano schedule delete 1", replies => {
+                            assert.deepStrictEqual(bodies(replies), ["Deleted schedule #1."]);
+                            bot.group("2001", info => {
+                                assert.deepStrictEqual(info.schedules, {});
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "schedule: checks the command and time": withBot((bot, done) => {
+        bot.send("nano every friday do nothing much", replies => {
+            assert.deepStrictEqual(bodies(replies), ['Error: "nothing much" isn\'t a command.']);
+            bot.send("nano every 5 minutes do echo hi", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Schedules can't repeat more often than every 15 minutes."]);
+                bot.send("nano schedule tomorrow do schedule list", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Schedules can't be scheduled."]);
+                    done();
+                });
+            });
+        });
+    }),
+    "group: creates and lists mention groups": withBot((bot, done) => {
+        bot.send("nano group create hikers bob, carol", replies => {
+            assert.deepStrictEqual(bodies(replies), ['Successfully created group "hikers" with members Bob/Carol.']);
+            bot.send("nano group list hikers", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Group: hikers\nMembers: Bob/Carol\n\nMention this group with @@hikers"]);
+                done();
+            });
+        });
+    }),
+    "timer: starts and stops timers": withBot((bot, done) => {
+        bot.send("nano timer start", replies => {
+            assert(replies[0].body.startsWith("Started new timer from"));
+            bot.send("nano timer stop", replies => {
+                assert(replies[0].body.startsWith("Timer stopped. Elapsed time:"));
+                done();
+            });
+        });
+    }),
+    "timezone: sets members' and the chat's time zones": withBot((bot, done) => {
+        bot.send("nano timezone", replies => {
+            assert.deepStrictEqual(bodies(replies), ["This chat's time zone is Asia/Dhaka, which you're using too. Set your own with \"nano timezone set {time zone}\"."]);
+            bot.send("nano timezone set atlantis", replies => {
+                assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find a time zone called \"atlantis\". Try a city, like \"New York\", or a name like \"Asia/Dhaka\"."]);
+                bot.send("nano timezone set new york", replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Your time zone is now America/New_York."]);
+                    bot.send("nano timezone set chat UTC", { "from": "1002" }, replies => {
+                        assert.deepStrictEqual(bodies(replies), ["Error: Only admins can change the time zone of this chat."]);
+                        bot.send("nano timezone set chat UTC", { "from": owner }, replies => {
+                            assert.deepStrictEqual(bodies(replies), ["This chat's time zone is now UTC."]);
+                            bot.send("nano timezone", replies => {
+                                assert.deepStrictEqual(bodies(replies), ["Your time zone is America/New_York, and this chat's is UTC."]);
+                                bot.send("nano timezone clear", replies => {
+                                    assert.deepStrictEqual(bodies(replies), ["Cleared your time zone, so you'll use this chat's (UTC)."]);
+                                    bot.group("2001", info => {
+                                        assert.strictEqual(info.timeZone, "UTC");
+                                        assert.deepStrictEqual(info.userTimeZones, {});
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    })
+};
+
+tests["every command has a test"] = () => {
+    const tested = Object.keys(tests).map(name => name.split(":")[0]);
+    const untested = Object.keys(commands.commands).filter(c => !tested.includes(c));
+    assert.deepStrictEqual(untested, []);
+};
+
+module.exports = tests;
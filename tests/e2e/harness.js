@@ -0,0 +1,413 @@
+/*
+    Harness for the end-to-end tests: runs the whole bot (main.js and
+    everything it loads) against a simulated Messenger API (see
+    src/platforms/simulator.js) with in-memory storage, so that tests can
+    send messages and reactions as users and check what the bot sent, what it
+    did to the chats (kicks, nicknames, titles, etc.), and what it stored.
+
+    Nothing leaves the machine: HTTP requests made through the request module
+    and Spotify API calls are answered from fixtures registered by the test
+    (or fail if there isn't one), and the bot's timers run 100 times faster
+    than usual so that commands with delays finish quickly.
+
+    The harness knows that the bot is done with a message once none of its
+    timers, immediates, or file system calls (including file writes) are
+    pending, since everything else it waits on (storage, the simulated API, and
+    HTTP fixtures) goes through setImmediate.
+
+    Usage:
+
+    harness.create((err, bot) => {
+        bot.send("nano alias bob bobby", replies => {
+            assert.strictEqual(replies[0].body, 'Bob can now be called "bobby".');
+            bot.stop();
+        });
+    });
+
+    Only one bot can run at a time (creating a new one stops the last one).
+*/
+const fs = require("fs");
+const timers = require("timers");
+const { PassThrough } = require("stream");
+
+// -- Fake network modules (must be installed before the bot is loaded) --
+
+let fixtures = []; // { pattern, response } for HTTP requests
+let spotifyFixtures = {}; // Map from Spotify API method names to responses
+let requests = []; // Every HTTP request made
+
+function findFixture(url) {
+    const matches = fixtures.filter(f => (f.pattern instanceof RegExp ? f.pattern.test(url) : url.includes(f.pattern)));
+    return matches[matches.length - 1]; // Most recently registered wins
+}
+
+// Answers a call to the request module with the matching fixture; also
+// returns a stream of the body for callers that pipe the response to a file
+function fakeRequest(method, args) {
+    const options = args[0];
+    const url = typeof options == "string" ? options : (options.url || options.uri);
+    const callback = args.find(arg => typeof arg == "function");
+    const fixture = findFixture(url);
+    const stream = new PassThrough();
+    requests.push({ "method": method, "url": url });
+    setImmediate(() => {
+        if (!fixture) {
+            stream.end();
+            if (callback) { callback(new Error(`No fixture for ${method} ${url}`)); }
+            return;
+        }
+        const response = fixture.response;
+        const body = typeof response.body == "string" ? response.body : JSON.stringify(response.body);
+        stream.end(body);
+        if (callback) { callback(null, { "statusCode": response.status || 200, "body": body }, body); }
+    });
+    return stream;
+}
+
+const request = (...args) => fakeRequest("GET", args);
+["get", "post", "put", "delete"].forEach(method => {
+    request[method] = (...args) => fakeRequest(method.toUpperCase(), args);
+});
+
+// Stands in for spotify-web-api-node; every method passes its fixture (an
+// object to pass as the response body, or an Error) to the callback
+function FakeSpotify() { }
+FakeSpotify.prototype.setAccessToken = () => { };
+["clientCredentialsGrant", "searchArtists", "getArtistTopTracks", "searchTracks", "getPlaylist"].forEach(method => {
+    FakeSpotify.prototype[method] = (...args) => {
+        const callback = args[args.length - 1];
+        const fixture = spotifyFixtures[method];
+        setImmediate(() => {
+            if (!fixture) {
+                callback(new Error(`No Spotify fixture for ${method}`));
+            } else if (fixture instanceof Error) {
+                callback(fixture);
+            } else {
+                callback(null, { "body": fixture });
+            }
+        });
+    };
+});
+
+function install(name, exportsObj) {
+    const id = require.resolve(name);
+    require.cache[id] = { "id": id, "filename": id, "loaded": true, "exports": exportsObj };
+}
+install("request", request);
+install("spotify-web-api-node", FakeSpotify);
+
+const config = require("../../src/config");
+const main = require("../../src/main");
+const utils = require("../../src/utils");
+const simulator = require("../../src/platforms/simulator");
+const memory = require("../../src/storage/memory");
+
+// The bot doesn't take snapshots during the tests, which would be written to the
+// real backup directory (see backup.test.js for those)
+config.backups.interval = 0;
+
+// -- Pending work --
+
+// While a bot is running, the global timer functions are replaced with ones
+// that run faster and keep track of what's pending so that the harness knows
+// when the bot is done and can cancel anything left over when it stops
+const pendingTimers = new Set();
+const pendingImmediates = new Set();
+
+// File system calls and write streams that haven't finished yet
+const pendingFiles = new Set();
+const fsCalls = ["access", "appendFile", "copyFile", "mkdir", "readdir", "readFile", "rename", "stat", "unlink", "writeFile"];
+const originalFs = {};
+
+function trackTimers(scale) {
+    global.setTimeout = (fn, delay = 0, ...args) => {
+        const handle = timers.setTimeout(() => {
+            pendingTimers.delete(handle);
+            fn(...args);
+        }, delay * scale);
+        pendingTimers.add(handle);
+        return handle;
+    };
+    global.clearTimeout = handle => {
+        pendingTimers.delete(handle);
+        timers.clearTimeout(handle);
+    };
+    global.setImmediate = (fn, ...args) => {
+        const handle = timers.setImmediate(() => {
+            pendingImmediates.delete(handle);
+            fn(...args);
+        });
+        pendingImmediates.add(handle);
+        return handle;
+    };
+    global.clearImmediate = handle => {
+        pendingImmediates.delete(handle);
+        timers.clearImmediate(handle);
+    };
+}
+
+function trackFiles() {
+    fsCalls.concat(["createWriteStream"]).forEach(name => {
+        originalFs[name] = fs[name];
+    });
+    fsCalls.forEach(name => {
+        fs[name] = (...args) => {
+            const callback = args[args.length - 1];
+            if (typeof callback != "function") {
+                return originalFs[name](...args);
+            }
+            const token = {};
+            pendingFiles.add(token);
+            return originalFs[name](...args.slice(0, -1), (...results) => {
+                pendingFiles.delete(token);
+                callback(...results);
+            });
+        };
+    });
+    fs.createWriteStream = (...args) => {
+        const stream = originalFs.createWriteStream(...args);
+        const token = {};
+        pendingFiles.add(token);
+        stream.once("close", () => pendingFiles.delete(token));
+        return stream;
+    };
+}
+
+function restore() {
+    pendingTimers.forEach(handle => timers.clearTimeout(handle));
+    pendingTimers.clear();
+    pendingImmediates.forEach(handle => timers.clearImmediate(handle));
+    pendingImmediates.clear();
+    pendingFiles.clear();
+    global.setTimeout = timers.setTimeout;
+    global.clearTimeout = timers.clearTimeout;
+    global.setImmediate = timers.setImmediate;
+    global.clearImmediate = timers.clearImmediate;
+    Object.keys(originalFs).forEach(name => {
+        fs[name] = originalFs[name];
+    });
+}
+
+// Whether the bot is waiting on anything
+function busy() {
+    return pendingTimers.size > 0 || pendingImmediates.size > 0 || pendingFiles.size > 0;
+}
+
+// -- The simulated world --
+
+const ownerId = config.owner.id;
+const defaultUsers = {
+    [ownerId]: config.owner.names.long,
+    "1001": "Alice Smith",
+    "1002": "Bob Jones",
+    "1003": "Carol White"
+};
+
+function defaultThreads(users) {
+    const threads = {
+        "2001": {
+            "name": "Test Chat",
+            "members": Object.keys(users),
+            "admins": [config.bot.id, ownerId],
+            "isGroup": true
+        }
+    };
+    // A DM thread with each user (thread IDs of DMs are the other user's ID)
+    Object.keys(users).forEach(id => {
+        threads[id] = { "members": [id], "isGroup": false };
+    });
+    return threads;
+}
+
+let active = null; // The running bot
+
+/*
+Starts the bot on a new simulated platform and passes (err, bot) to the
+callback once all of the threads have been registered with the bot.
+
+Options (all optional):
+users     – map from user IDs to names (defaults to the owner, Alice, Bob, and Carol)
+threads   – map from thread IDs to simulator thread options (defaults to "2001",
+            a group with all of the users in which the bot is an admin, and a DM
+            with each user)
+data      – initial contents of the store
+unregistered – IDs of threads that the bot shouldn't know about yet
+timeScale – how much to scale the bot's timers by (default 0.01)
+*/
+exports.create = (options, callback) => {
+    if (typeof options == "function") {
+        callback = options;
+        options = {};
+    }
+    if (active) {
+        active.stop();
+    }
+
+    const users = options.users || defaultUsers;
+    const sim = simulator.create({
+        "botId": config.bot.id,
+        "botName": config.bot.names.long,
+        "users": users,
+        "threads": options.threads || defaultThreads(users)
+    });
+    const store = memory.create({ "data": options.data || {} });
+    const banned = [];
+    const platform = {
+        "name": "test",
+        "login": cb => cb(null, sim.api),
+        "monitor": () => { },
+        "banned": {
+            "isUser": (id, cb) => cb(banned.includes(id)),
+            "addUser": (id, cb) => {
+                const success = !banned.includes(id);
+                if (success) { banned.push(id); }
+                cb(success);
+            },
+            "removeUser": (id, cb) => {
+                const success = banned.includes(id);
+                if (success) { banned.splice(banned.indexOf(id), 1); }
+                cb(success);
+            }
+        },
+        "storage": null
+    };
+
+    fixtures = [];
+    spotifyFixtures = {};
+    requests = [];
+    const bot = {
+        "sim": sim,
+        "api": sim.api,
+        "store": store,
+        "platform": platform,
+        "banned": banned,
+        "requests": requests,
+        "log": [], // Everything the bot has done, as { type, ...details }
+        "stopped": false
+    };
+
+    // Record everything the bot does
+    sim.on("message", message => {
+        if (message.senderID == config.bot.id) {
+            bot.log.push({ "type": "message", "message": message });
+        }
+    });
+    sim.on("reaction", e => {
+        if (e.userId == config.bot.id) {
+            bot.log.push({ "type": "reaction", ...e });
+        }
+    });
+    ["kick", "add", "nickname", "title", "emoji", "color", "image", "admin", "unsend", "poll"].forEach(type => {
+        sim.on(type, e => {
+            bot.log.push({ "type": type, ...e });
+        });
+    });
+    // Waits until the bot isn't waiting on anything (or for at most 3 seconds, for
+    // timers that are set far in the future) and passes everything it did in
+    // the meantime (as log entries) to the callback
+    bot.settle = cb => {
+        const start = bot.log.length;
+        const startTime = Date.now();
+        function check() {
+            if (!busy() || Date.now() - startTime > 3000) {
+                return cb(bot.log.slice(start));
+            }
+            timers.setTimeout(check, 1);
+        }
+        timers.setImmediate(check);
+    };
+
+    // Sends a message as a user and passes the bot's messages in response to the
+    // callback once it settles; options are from (user ID, Alice by default),
+    // thread (thread ID, the group by default), replyTo (message ID), and attachments
+    bot.send = (body, opts, cb) => {
+        if (typeof opts == "function") {
+            cb = opts;
+            opts = {};
+        }
+        const start = bot.log.length;
+        const message = sim.receive(opts.thread || "2001", opts.from || "1001", body, {
+            "replyTo": opts.replyTo,
+            "attachments": opts.attachments
+        });
+        bot.settle(() => {
+            const replies = bot.log.slice(start).filter(e => e.type == "message").map(e => e.message);
+            cb(replies, message);
+        });
+    };
+
+    // Reacts to a message as a user (Alice by default) and passes the bot's
+    // messages in response to the callback once it settles
+    bot.react = (messageId, reaction, opts, cb) => {
+        if (typeof opts == "function") {
+            cb = opts;
+            opts = {};
+        }
+        const start = bot.log.length;
+        sim.react(messageId, opts.from || "1001", reaction);
+        bot.settle(() => {
+            cb(bot.log.slice(start).filter(e => e.type == "message").map(e => e.message));
+        });
+    };
+
+    // Log entries of the given type
+    bot.events = type => bot.log.filter(e => e.type == type);
+
+    // Bot messages in a thread (the group by default), oldest first
+    bot.messages = (threadId = "2001") => bot.events("message").map(e => e.message).filter(m => m.threadID == threadId);
+
+    // Stored group info for a thread
+    bot.group = (threadId, cb) => {
+        utils.getGroupInfo(threadId, (err, info) => cb(info));
+    };
+
+    // Any other stored value
+    bot.data = (key, cb) => {
+        store.get(key, (err, value) => cb(value));
+    };
+
+    // Registers a response for HTTP requests to URLs containing pattern (or
+    // matching it, if it's a RegExp): { status (default 200), body (string or JSON) }
+    bot.http = (pattern, response) => {
+        fixtures.push({ "pattern": pattern, "response": response });
+    };
+
+    // Registers a response body (or an Error) for a Spotify API method
+    bot.spotify = (method, response) => {
+        spotifyFixtures[method] = response;
+    };
+
+    bot.stop = () => {
+        if (!bot.stopped) {
+            bot.stopped = true;
+            main.stop();
+            restore();
+            active = null;
+        }
+    };
+
+    active = bot;
+    trackTimers(options.timeScale || 0.01);
+    trackFiles();
+    main.start(sim.api, store, platform);
+
+    // Register threads without sending the usual greetings
+    const unregistered = options.unregistered || [];
+    const threadIds = sim.getThreadIds().filter(id => !unregistered.includes(id));
+    function register(i) {
+        if (i >= threadIds.length) {
+            return bot.settle(() => {
+                bot.log.length = 0; // Start each test with a clean log
+                callback(null, bot);
+            });
+        }
+        utils.updateGroupInfo(threadIds[i], null, err => {
+            if (err) {
+                bot.stop();
+                return callback(err);
+            }
+            register(i + 1);
+        }, false);
+    }
+    register(0);
+};
@@ -0,0 +1,411 @@
+const assert = require("assert");
+const harness = require("./harness");
+const config = require("../../src/config");
+const main = require("../../src/main");
+const migrations = require("../../src/migrations");
+const scheduler = require("../../src/scheduler");
+const utils = require("../../src/utils");
+
+const owner = config.owner.id;
+
+// Starts a bot for a test, which gets the bot and a done callback that stops it
+function withBot(options, test) {
+    if (!test) {
+        test = options;
+        options = {};
+    }
+    return done => harness.create(options, (err, bot) => {
+        if (err) { return done(err); }
+        test(bot, err => {
+            bot.stop();
+            done(err);
+        });
+    });
+}
+
+function bodies(replies) {
+    return replies.map(r => r.body);
+}
+
+module.exports = {
+    "new chats are initialized": withBot({ "unregistered": ["2001"] }, (bot, done) => {
+        bot.send("hi everyone", replies => {
+            const names = config.bot.names;
+            assert(replies[0].body.startsWith(`Hello! I'm ${names.long}, but you can call me ${names.short}.`));
+            assert(bodies(replies).includes(`All done! Use '${config.trigger} help' to see what I can do.`));
+            assert.deepStrictEqual(bodies(bot.messages(owner)), ['Bot added to new chat: "Test Chat".']);
+            assert.strictEqual(bot.sim.getThread("2001").nicknames[config.bot.id], names.short);
+            bot.group("2001", info => {
+                assert.strictEqual(info.schemaVersion, migrations.CURRENT_VERSION);
+                assert.deepStrictEqual(info.members, { "mehedi": owner, "alice": "1001", "bob": "1002", "carol": "1003" });
+                done();
+            });
+        });
+    }),
+    "messages without the trigger word are ignored": withBot((bot, done) => {
+        bot.send("just chatting", replies => {
+            assert.deepStrictEqual(replies, []);
+            done();
+        });
+    }),
+    "the trigger word works anywhere in a message": withBot((bot, done) => {
+        bot.send("hey nano echo hi", replies => {
+            assert.deepStrictEqual(bodies(replies), ["hi"]);
+            done();
+        });
+    }),
+    "invalid arguments are explained": withBot((bot, done) => {
+        bot.send("nano kick dave", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find user \"dave\"."]);
+            assert.deepStrictEqual(bot.events("kick"), []);
+            done();
+        });
+    }),
+    "misused commands show their syntax": withBot((bot, done) => {
+        bot.send("nano kick", replies => {
+            assert.deepStrictEqual(bodies(replies), [`Error: Invalid syntax. Try "${config.trigger} kick {member} ({number of seconds})".`]);
+            done();
+        });
+    }),
+    "typos get suggestions": withBot((bot, done) => {
+        bot.send("nano helo", replies => {
+            assert.deepStrictEqual(bodies(replies), [`Did you mean "${config.trigger} help"?`]);
+            bot.send("nano help sepa", replies => {
+                assert(replies[0].body.startsWith("Entry for command \"Sepia\""));
+                bot.send("talking about nano stuff", replies => {
+                    assert.deepStrictEqual(replies, []);
+                    done();
+                });
+            });
+        });
+    }),
+    "commands can be piped into each other": withBot((bot, done) => {
+        bot.send("nano echo hello | echo {} world | echo they said", replies => {
+            assert.deepStrictEqual(bodies(replies), ["they said hello world"]);
+            bot.send("nano echo this | that", replies => {
+                assert.deepStrictEqual(bodies(replies), ["this | that"]);
+                done();
+            });
+        });
+    }),
+    "chained commands run in order": withBot((bot, done) => {
+        bot.send("nano echo pizza && echo {} it is", replies => {
+            assert.deepStrictEqual(bodies(replies), ["pizza", "pizza it is"]);
+            done();
+        });
+    }),
+    "errors stop a pipeline": withBot((bot, done) => {
+        bot.send("nano kick dave | echo {} && echo more", replies => {
+            assert.deepStrictEqual(bodies(replies), ["Error: Couldn't find user \"dave\"."]);
+            done();
+        });
+    }),
+    "commands without output don't hold up a pipeline": withBot((bot, done) => {
+        bot.send("nano christen Robo && echo done", replies => {
+            assert.strictEqual(bot.events("nickname").length, 1);
+            assert.deepStrictEqual(bodies(replies), ["done"]);
+            done();
+        });
+    }),
+    "cooling down stops a pipeline": withBot((bot, done) => {
+        bot.send("nano hit the lights", () => {
+            bot.send("nano hit the lights | echo {} && echo more", { "from": "1002" }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Slow down! Try again in 30s."]);
+                done();
+            });
+        });
+    }),
+    "commands cool down": withBot((bot, done) => {
+        bot.send("nano hit the lights", () => {
+            const flashes = bot.events("color").length;
+            bot.send("nano hit the lights", { "from": "1002" }, replies => {
+                assert.deepStrictEqual(bodies(replies), ["Slow down! Try again in 30s."]);
+                assert.strictEqual(bot.events("color").length, flashes);
+                // Only the first try while cooling down gets a warning
+                bot.send("nano hit the lights", { "from": "1002" }, replies => {
+                    assert.deepStrictEqual(bodies(replies), []);
+                    // The owner isn't limited
+                    bot.send("nano hit the lights", { "from": owner }, () => {
+                        assert.strictEqual(bot.events("color").length, flashes * 2);
+                        done();
+                    });
+                });
+            });
+        });
+    }),
+    "banned users are ignored": withBot((bot, done) => {
+        bot.banned.push("1002");
+        bot.send("nano echo hi", { "from": "1002" }, replies => {
+            assert.deepStrictEqual(replies, []);
+            done();
+        });
+    }),
+    "new members are welcomed with the intro pin": withBot((bot, done) => {
+        bot.send(`nano pin ${config.introPin} Be nice`, () => {
+            bot.sim.addUser("1004", "Dave Brown");
+            bot.sim.join("2001", "1004", "1001");
+            bot.settle(() => {
+                const welcome = bot.messages("2001").pop().body;
+                assert(welcome.startsWith("Welcome to Test Chat, Dave!\nHere's some information about this chat:\n\n\"Be nice\" – Alice"));
+                bot.group("2001", info => {
+                    assert.strictEqual(info.members.dave, "1004");
+                    done();
+                });
+            });
+        });
+    }),
+    "reactions to event messages are RSVPs": withBot((bot, done) => {
+        bot.send("nano event create Party for tomorrow at 8pm", replies => {
+            const mid = replies[0].messageID;
+            bot.react(mid, "👍", { "from": "1002" }, () => {
+                bot.react(mid, "👍", { "from": "1003" }, () => {
+                    bot.react(mid, "👎", { "from": "1003" }, () => {
+                        bot.group("2001", info => {
+                            assert.deepStrictEqual(info.events.party.going, [{ "id": "1002", "name": "Bob" }]);
+                            assert.deepStrictEqual(info.events.party.not_going, [{ "id": "1003", "name": "Carol" }]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "full events have a waitlist that moves up": withBot((bot, done) => {
+        bot.send("nano event create Party for tomorrow at 8pm", replies => {
+            const mid = replies[0].messageID;
+            bot.send("nano event edit party capacity 1", () => {
+                bot.react(mid, "👍", { "from": "1002" }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ['@Alice, "Party" is full (1/1 going).']);
+                    bot.react(mid, "👍", { "from": "1003" }, replies => {
+                        assert.deepStrictEqual(bodies(replies), ['"Party" is full, so @Carol is on the waitlist (#1).']);
+                        bot.react(mid, "🤔", { "from": "1002" }, replies => {
+                            assert.deepStrictEqual(bodies(replies), ['A spot opened up for "Party", so @Carol is going now.']);
+                            bot.group("2001", info => {
+                                assert.deepStrictEqual(info.events.party.going, [{ "id": "1003", "name": "Carol" }]);
+                                assert.deepStrictEqual(info.events.party.maybe, [{ "id": "1002", "name": "Bob" }]);
+                                assert.deepStrictEqual(info.events.party.waitlist, []);
+                                // Taking back a reaction takes back the RSVP
+                                bot.react(mid, "", { "from": "1003" }, () => {
+                                    bot.group("2001", info => {
+                                        assert.deepStrictEqual(info.events.party.going, []);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "due events and reminders are sent": withBot((bot, done) => {
+        const past = Date.now() - 1000;
+        utils.updateGroup("2001", info => {
+            info.events.lunch = {
+                "type": "event", "title": "Lunch", "key_title": "lunch", "timestamp": past, "owner": "1001",
+                "threadId": "2001", "pretty_time": "now", "remind_time": null, "mid": null,
+                "going": [{ "id": "1002", "name": "Bob" }], "not_going": []
+            };
+            info.events.r1 = {
+                "type": "reminder", "reminder": "stretch", "key_title": "r1", "timestamp": past, "owner": "1001",
+                "owner_name": "Alice", "threadId": "2001", "replyId": null
+            };
+        }, () => {
+            scheduler.tick();
+            bot.settle(() => {
+                const sent = bodies(bot.messages("2001"));
+                assert(sent.includes("Happening now: Lunch\n\nReminder for @Bob "));
+                assert(sent.includes("Reminder for @Alice: stretch"));
+                bot.group("2001", info => {
+                    assert.deepStrictEqual(info.events, {});
+                    done();
+                });
+            });
+        });
+    }),
+    "scheduled commands run when due": withBot((bot, done) => {
+        utils.updateGroup("2001", info => {
+            info.schedules = {
+                "1": { "id": 1, "command": "echo once", "owner": "1001", "time": Date.now() - 1000, "recurrence": null, "paused": false },
+                "2": {
+                    "id": 2, "command": "echo daily", "owner": "1002", "time": Date.now() - 1000,
+                    "recurrence": { "unit": "day", "interval": 1, "days": null }, "paused": false
+                },
+                "3": { "id": 3, "command": "echo paused", "owner": "1001", "time": Date.now() - 1000, "recurrence": null, "paused": true }
+            };
+        }, () => {
+            scheduler.tick();
+            bot.settle(() => {
+                assert.deepStrictEqual(bodies(bot.messages("2001")).sort(), ["daily", "once"]);
+                bot.group("2001", info => {
+                    assert.deepStrictEqual(Object.keys(info.schedules), ["2", "3"]);
+                    assert(info.schedules["2"].time > Date.now());
+                    done();
+                });
+            });
+        });
+    }),
+    "missed jobs are marked as late": withBot((bot, done) => {
+        const lastWeek = Date.now() - 7 * 86400000;
+        utils.updateGroup("2001", info => {
+            info.events.r1 = {
+                "type": "reminder", "reminder": "stretch", "key_title": "r1", "timestamp": Date.now() - 3600000, "owner": "1001",
+                "owner_name": "Alice", "threadId": "2001", "replyId": null
+            };
+            info.schedules = {
+                "1": {
+                    "id": 1, "command": "echo daily", "owner": "1001", "time": lastWeek,
+                    "recurrence": { "unit": "day", "interval": 1, "days": null }, "paused": false
+                }
+            };
+        }, () => {
+            scheduler.tick();
+            bot.settle(() => {
+                const sent = bodies(bot.messages("2001"));
+                assert(sent.includes("Reminder for @Alice: stretch (late)"));
+                assert(sent.some(msg => msg.startsWith('Running "echo daily", which was scheduled for ') && msg.endsWith("(late).")));
+                // The command only runs once, however many runs were missed
+                assert.deepStrictEqual(sent.filter(msg => msg == "daily"), ["daily"]);
+                bot.group("2001", info => {
+                    assert(info.schedules["1"].time > Date.now());
+                    assert(info.schedules["1"].time < Date.now() + 86400000);
+                    done();
+                });
+            });
+        });
+    }),
+    "runs interrupted by the bot stopping happen when it starts again": withBot((bot, done) => {
+        const time = Date.now() - 60000;
+        utils.updateGroup("2001", info => {
+            info.claimedJobs[`event/r1/${time}`] = {
+                "type": "event", "key": "r1", "time": time, "job": {
+                    "type": "reminder", "reminder": "stretch", "key_title": "r1", "timestamp": time, "owner": "1001",
+                    "owner_name": "Alice", "threadId": "2001", "replyId": null
+                }
+            };
+        }, () => {
+            scheduler.start();
+            bot.settle(() => {
+                assert.deepStrictEqual(bodies(bot.messages("2001")), ["Reminder for @Alice: stretch (late)"]);
+                bot.group("2001", info => {
+                    assert.deepStrictEqual(info.claimedJobs, {});
+                    done();
+                });
+            });
+        });
+    }),
+    "jobs only run once": withBot((bot, done) => {
+        utils.updateGroup("2001", info => {
+            info.events.r1 = {
+                "type": "reminder", "reminder": "stretch", "key_title": "r1", "timestamp": Date.now() + 10, "owner": "1001",
+                "owner_name": "Alice", "threadId": "2001", "replyId": null
+            };
+        }, () => {
+            const due = Date.now() + 20;
+            scheduler.tick(due);
+            scheduler.tick(due);
+            // Even if the job is found again before it's marked as done
+            utils.getGroupInfo("2001", (err, info) => {
+                scheduler.refresh("2001", info);
+                scheduler.tick(due);
+                bot.settle(() => {
+                    assert.deepStrictEqual(bodies(bot.messages("2001")), ["Reminder for @Alice: stretch"]);
+                    done();
+                });
+            });
+        });
+    }),
+    "jobs stored while the bot was down run when it starts": withBot((bot, done) => {
+        main.stop();
+        utils.updateGroup("2001", info => {
+            info.events.r1 = {
+                "type": "reminder", "reminder": "stretch", "key_title": "r1", "timestamp": Date.now() - 1000, "owner": "1001",
+                "owner_name": "Alice", "threadId": "2001", "replyId": null
+            };
+        }, () => {
+            scheduler.stop(); // Forget what was just written, as if the bot had restarted
+            scheduler.start(() => {
+                bot.settle(() => {
+                    assert.deepStrictEqual(bodies(bot.messages("2001")), ["Reminder for @Alice: stretch"]);
+                    done();
+                });
+            });
+        });
+    }),
+    "recurring events and reminders move on to their next time": withBot((bot, done) => {
+        const past = Date.now() - 1000;
+        utils.updateGroup("2001", info => {
+            info.events.standup = {
+                "type": "event", "title": "Stand-up", "key_title": "standup", "timestamp": past, "owner": "1001",
+                "threadId": "2001", "pretty_time": "now", "remind_time": null, "mid": null,
+                "recurrence": { "unit": "day", "interval": 1, "days": null, "date": null, "until": null, "count": null },
+                "going": [{ "id": "1002", "name": "Bob" }], "not_going": []
+            };
+            info.events.r1 = {
+                "type": "reminder", "reminder": "stretch", "key_title": "r1", "timestamp": past, "owner": "1001",
+                "owner_name": "Alice", "threadId": "2001", "replyId": null,
+                "recurrence": { "unit": "hour", "interval": 1, "days": null, "date": null, "until": null, "count": 1 }
+            };
+        }, () => {
+            scheduler.tick();
+            bot.settle(() => {
+                const sent = bodies(bot.messages("2001"));
+                assert(sent.includes("Happening now: Stand-up\n\nReminder for @Bob "));
+                assert(sent.includes("Reminder for @Alice: stretch"));
+                bot.group("2001", info => {
+                    // The reminder was on its last time, but the event keeps going (with its RSVPs)
+                    assert.deepStrictEqual(Object.keys(info.events), ["standup"]);
+                    const standup = info.events.standup;
+                    assert.strictEqual(standup.timestamp, past + 86400000);
+                    assert.strictEqual(standup.remind_time, standup.timestamp - config.reminderTime * 60000);
+                    assert.strictEqual(standup.pretty_time, utils.getPrettyDateString(new Date(standup.timestamp)));
+                    assert.deepStrictEqual(standup.going, [{ "id": "1002", "name": "Bob" }]);
+                    done();
+                });
+            });
+        });
+    }),
+    "sent reminders can be snoozed by replying to them": withBot((bot, done) => {
+        utils.updateGroup("2001", info => {
+            info.events.r1 = {
+                "type": "reminder", "id": 1, "reminder": "stretch", "key_title": "r1", "timestamp": Date.now() - 1000,
+                "owner": "1001", "owner_name": "Alice", "threadId": "2001", "replyId": null, "recurrence": null
+            };
+        }, () => {
+            scheduler.tick();
+            bot.settle(() => {
+                const sent = bot.messages("2001").find(msg => msg.body == "Reminder for @Alice: stretch");
+                bot.send("nano remind snooze 10m", { "from": "1002", "replyTo": sent.messageID }, replies => {
+                    assert.deepStrictEqual(bodies(replies), ["Error: Only whoever a reminder is for or chat admins can change it."]);
+                    bot.send("nano remind snooze 10m", { "replyTo": sent.messageID }, replies => {
+                        assert(replies[0].body.startsWith('Snoozed "stretch" until '));
+                        bot.group("2001", info => {
+                            const snoozed = utils.findReminder(1, info);
+                            assert(Math.abs(snoozed.timestamp - (Date.now() + 600000)) < 5000);
+                            assert.deepStrictEqual(info.sentReminders, {});
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }),
+    "early reminders keep the event": withBot((bot, done) => {
+        utils.updateGroup("2001", info => {
+            info.events.lunch = {
+                "type": "event", "title": "Lunch", "key_title": "lunch", "timestamp": Date.now() + 3600000, "owner": "1001",
+                "threadId": "2001", "pretty_time": "soon", "remind_time": Date.now() - 1000, "mid": null,
+                "going": [], "not_going": []
+            };
+        }, () => {
+            scheduler.tick();
+            bot.settle(() => {
+                assert.deepStrictEqual(bodies(bot.messages("2001")), [`Happening in ${config.reminderTime} minutes: Lunch`]);
+                bot.group("2001", info => {
+                    assert.strictEqual(info.events.lunch.remind_time, null);
+                    done();
+                });
+            });
+        });
+    })
+};
@@ -0,0 +1,76 @@
+const assert = require("assert");
+const ical = require("../src/ical");
+
+const dinner = {
+    "type": "event", "title": "Dinner; then, games", "key_title": "dinner; then, games",
+    "timestamp": Date.UTC(2026, 9, 22, 13, 0), "owner": "1001", "pretty_time": "",
+    "description": "Bring snacks\nand cards", "location": "Star Kabab",
+    "recurrence": { "unit": "week", "interval": 2, "days": [4], "date": null, "until": null, "count": 5, "zone": "Asia/Dhaka" },
+    "going": [{ "id": "1002", "name": "Bob" }], "not_going": [], "maybe": [{ "id": "1003", "name": "Carol" }], "waitlist": []
+};
+
+module.exports = {
+    "events are exported with attendees": () => {
+        const calendar = ical.build({ "dinner": dinner, "r1": { "type": "reminder", "reminder": "stretch" } }, "2001", "Test Chat");
+        assert(calendar.startsWith("BEGIN:VCALENDAR\r\n"));
+        assert(calendar.includes("\r\nX-WR-CALNAME:Test Chat\r\n"));
+        assert.strictEqual(calendar.match(/BEGIN:VEVENT/g).length, 1);
+        assert(calendar.includes("\r\nDTSTART;TZID=Asia/Dhaka:20261022T190000\r\n"));
+        assert(calendar.includes("\r\nSUMMARY:Dinner\\; then\\, games\r\n"));
+        assert(calendar.includes("\r\nDESCRIPTION:Bring snacks\\nand cards\r\n"));
+        assert(calendar.includes("\r\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TH;COUNT=5\r\n"));
+        assert(calendar.includes('\r\nATTENDEE;CN="Bob";PARTSTAT=ACCEPTED:https://www.facebook.com/1002\r\n'));
+        assert(calendar.includes('\r\nATTENDEE;CN="Carol";PARTSTAT=TENTATIVE:https://www.facebook.com/1003\r\n'));
+        assert(calendar.split("\r\n").every(line => line.length <= 75));
+    },
+    "exported events can be imported again": () => {
+        const [event] = ical.parse(ical.build({ "dinner": dinner }, "2001", "Test Chat"));
+        assert.deepStrictEqual(event, {
+            "title": dinner.title,
+            "time": new Date(dinner.timestamp),
+            "description": dinner.description,
+            "location": dinner.location,
+            "recurrence": dinner.recurrence,
+            "unsupported": false
+        });
+    },
+    "times without a zone are in the chat's": () => {
+        const [event] = ical.parse("BEGIN:VEVENT\nDTSTART:20261105T190000\nRRULE:FREQ=DAILY\nEND:VEVENT", "Asia/Dhaka");
+        assert.strictEqual(event.time.getTime(), Date.UTC(2026, 10, 5, 13, 0));
+        assert.strictEqual(event.recurrence.zone, "Asia/Dhaka");
+    },
+    "calendars from other apps are understood": () => {
+        const events = ical.parse([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT",
+            "DTSTART;VALUE=DATE:20261101",
+            "SUMMARY:Monthly clean",
+            "  up",
+            "RRULE:FREQ=MONTHLY;BYMONTHDAY=1;UNTIL=20270101",
+            "BEGIN:VALARM",
+            "DESCRIPTION:Not the event's description",
+            "END:VALARM",
+            "END:VEVENT",
+            "BEGIN:VEVENT",
+            "DTSTART;TZID=Asia/Dhaka:20261105T190000",
+            "SUMMARY:Last friday",
+            "RRULE:FREQ=MONTHLY;BYDAY=-1FR",
+            "END:VEVENT",
+            "BEGIN:VEVENT",
+            "SUMMARY:No time",
+            "END:VEVENT",
+            "END:VCALENDAR"
+        ].join("\n"));
+        assert.strictEqual(events.length, 2);
+        assert.strictEqual(events[0].title, "Monthly clean up");
+        assert.strictEqual(events[0].time.getTime(), new Date(2026, 10, 1).getTime());
+        assert.strictEqual(events[0].description, null);
+        assert.deepStrictEqual(events[0].recurrence, {
+            "unit": "month", "interval": 1, "days": null, "date": 1,
+            "until": new Date(2027, 0, 1, 23, 59, 59, 999).getTime(), "count": null, "zone": null
+        });
+        assert.strictEqual(events[1].time.getTime(), Date.UTC(2026, 10, 5, 13, 0));
+        assert.strictEqual(events[1].recurrence, null);
+        assert.strictEqual(events[1].unsupported, true);
+    }
+};
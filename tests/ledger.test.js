@@ -0,0 +1,76 @@
+const assert = require("assert");
+const ledger = require("../src/ledger");
+const currency = require("../src/currency");
+
+const names = { "1": "Alice", "2": "Bob", "3": "Carol" };
+
+function expense(id, amount, from, to, code = "USD") {
+    return { "id": id, "type": "expense", "amount": amount, "currency": code, "description": null, "from": from, "to": to, "by": from, "time": 0 };
+}
+
+function payment(id, amount, from, to, code = "USD") {
+    return { "id": id, "type": "payment", "amount": amount, "currency": code, "description": null, "from": from, "to": [to], "by": from, "time": 0 };
+}
+
+// Runs a test with a known rate table
+function withRates(test) {
+    return () => {
+        const original = currency.getTable();
+        currency.setTable({ "base": "USD", "updated": "2026-10-01", "rates": { "USD": 1, "EUR": 0.8, "JPY": 150 } });
+        try {
+            test();
+        } finally {
+            currency.setTable(original);
+        }
+    };
+}
+
+module.exports = {
+    "shares add up to the amount": () => {
+        assert.deepStrictEqual(ledger.shares(1000, 3), [334, 333, 333]);
+        assert.deepStrictEqual(ledger.shares(10, 2), [5, 5]);
+    },
+    "balances follow expenses and payments": () => {
+        const entries = [expense(1, 30, "1", ["1", "2", "3"]), expense(2, 9, "2", ["2", "3"])];
+        assert.deepStrictEqual(ledger.balances(entries, "USD"), { "1": 2000, "2": -550, "3": -1450 });
+        entries.push(payment(3, 14.5, "3", "1"));
+        assert.deepStrictEqual(ledger.balances(entries, "USD"), { "1": 550, "2": -550 });
+    },
+    "balances are converted to the chat's currency": withRates(() => {
+        const entries = [expense(1, 24, "1", ["1", "2"], "EUR"), expense(2, 3000, "2", ["1", "2"], "JPY")];
+        // €24 is $30 and ¥3000 is $20
+        assert.deepStrictEqual(ledger.balances(entries, "USD"), { "1": 500, "2": -500 });
+        assert.deepStrictEqual(ledger.balances(entries, "JPY"), { "1": 750, "2": -750 });
+        assert.strictEqual(ledger.describe(entries[0], names, "USD"), "#1: €24.00 ($30.00), paid by Alice and split among Alice and Bob");
+    }),
+    "entries from before the ledger don't count": () => {
+        const legacy = { "id": 1, "type": "expense", "amount": 20, "currency": "USD", "description": null, "from": null, "to": [], "by": null, "time": null };
+        assert.deepStrictEqual(ledger.balances([legacy], "USD"), {});
+        assert.strictEqual(ledger.describe(legacy, names, "USD"), "#1: $20.00 (the tab's total before it kept track of who paid)");
+    },
+    "settling up takes as few payments as it can": () => {
+        assert.deepStrictEqual(ledger.settle({ "1": 2000, "2": -550, "3": -1450 }), [
+            { "from": "3", "to": "1", "amount": 1450 },
+            { "from": "2", "to": "1", "amount": 550 }
+        ]);
+        assert.deepStrictEqual(ledger.settle({ "1": 500, "2": 500, "3": -1000 }).length, 2);
+        assert.deepStrictEqual(ledger.settle({}), []);
+    },
+    "entries are described": () => {
+        const dinner = { ...expense(4, 30, "1", ["1", "2", "3"]), "description": "dinner" };
+        assert.strictEqual(ledger.describe(dinner, names, "USD"), "#4: $30.00 for dinner, paid by Alice and split among Alice, Bob and Carol");
+        assert.strictEqual(ledger.describe(payment(5, 10, "2", "1"), names, "USD"), "#5: Bob paid Alice $10.00");
+    },
+    "amounts are formatted for their currency": () => {
+        assert.strictEqual(currency.format(-123456, "USD"), "-$1,234.56");
+        assert.strictEqual(currency.format(1500, "JPY"), "¥1,500");
+        assert.strictEqual(currency.toMinor(12.345, "EUR"), 1235);
+        assert(currency.exists("bdt"));
+        assert(!currency.exists("TEA"));
+    },
+    "currencies without a rate can't be converted": withRates(() => {
+        assert.throws(() => currency.convert(10, "NPR", "USD"), /^Error: There's no exchange rate for NPR\.$/);
+        assert.throws(() => ledger.balances([expense(1, 10, "1", ["1", "2"], "NPR")], "USD"), /no exchange rate for NPR/);
+        assert.strictEqual(currency.convert(10, "NPR", "NPR"), 10);
+    })
+};
@@ -0,0 +1,193 @@
+const assert = require("assert");
+const migrations = require("../src/migrations");
+
+// Runs a single migration step (1-indexed, matching the comments in migrations.js)
+function step(n, info) {
+    migrations.steps[n - 1](info);
+    return info;
+}
+
+module.exports = {
+    "create initializes every collection at the current version": () => {
+        const info = migrations.create();
+        assert.strictEqual(info.schemaVersion, migrations.CURRENT_VERSION);
+        assert.strictEqual(info.muted, true);
+        ["playlists", "aliases", "pinned", "events", "mentionGroups"].forEach(prop => {
+            assert.deepStrictEqual(info[prop], {});
+        });
+    },
+    "migrate skips groups that are already current": () => {
+        const info = { "schemaVersion": migrations.CURRENT_VERSION, "pinned": "untouched" };
+        assert.strictEqual(migrations.migrate(info), false);
+        assert.strictEqual(info.pinned, "untouched");
+    },
+    "migrate upgrades unversioned groups": () => {
+        const info = { "threadId": "1", "pinned": "hello" };
+        assert.strictEqual(migrations.migrate(info), true);
+        assert.strictEqual(info.schemaVersion, migrations.CURRENT_VERSION);
+        assert.strictEqual(info.pinned.pin.msg, "hello");
+        assert.deepStrictEqual(info.events, {});
+    },
+    "migrateAll returns only the changed threads": () => {
+        const groups = {
+            "1": {},
+            "2": { "schemaVersion": migrations.CURRENT_VERSION }
+        };
+        assert.deepStrictEqual(migrations.migrateAll(groups), ["1"]);
+        assert.strictEqual(groups["1"].schemaVersion, migrations.CURRENT_VERSION);
+    },
+
+    // Step 1
+    "1: backfills missing collections": () => {
+        const info = step(1, { "threadId": "1", "aliases": { "2": "bob" }, "pinned": null });
+        assert.deepStrictEqual(info.aliases, { "2": "bob" });
+        ["playlists", "pinned", "events", "mentionGroups", "nicknames", "names", "members"].forEach(prop => {
+            assert.deepStrictEqual(info[prop], {}, prop);
+        });
+        assert.deepStrictEqual(info.admins, []);
+        assert.strictEqual(info.muted, true);
+    },
+    "1: keeps existing values": () => {
+        const info = step(1, { "muted": false, "admins": ["1"], "pinned": "legacy" });
+        assert.strictEqual(info.muted, false);
+        assert.deepStrictEqual(info.admins, ["1"]);
+        assert.strictEqual(info.pinned, "legacy");
+    },
+
+    // Step 2
+    "2: converts a single string pin": () => {
+        const info = step(2, step(1, { "pinned": "remember this" }));
+        assert.deepStrictEqual(info.pinned, {
+            "pin": { "msg": "remember this", "sender": "Unknown", "date": null }
+        });
+        assert.deepStrictEqual(step(2, step(1, { "pinned": "" })).pinned, {});
+    },
+    "2: fills in legacy event fields": () => {
+        const date = new Date(2020, 0, 1);
+        const info = step(2, step(1, {
+            "events": {
+                "party": { "title": "Party", "remind_time": date.toISOString() },
+                "r1": { "type": "reminder", "reminder": "call mom" }
+            }
+        }));
+        assert.strictEqual(info.events.party.type, "event");
+        assert.deepStrictEqual(info.events.party.going, []);
+        assert.deepStrictEqual(info.events.party.not_going, []);
+        assert.strictEqual(info.events.party.remind_time, date.getTime());
+        assert.deepStrictEqual(info.events.r1, { "type": "reminder", "reminder": "call mom" });
+    },
+    "2: keeps existing RSVPs": () => {
+        const going = [{ "id": "1", "name": "Bob" }];
+        const info = step(2, step(1, {
+            "events": { "party": { "type": "event", "going": going, "not_going": [], "remind_time": null } }
+        }));
+        assert.deepStrictEqual(info.events.party.going, going);
+        assert.strictEqual(info.events.party.remind_time, null);
+    },
+    "2: wraps single-member mention groups": () => {
+        const info = step(2, step(1, { "mentionGroups": { "a": "1", "b": ["1", "2"], "c": null } }));
+        assert.deepStrictEqual(info.mentionGroups, { "a": ["1"], "b": ["1", "2"], "c": [] });
+    },
+    "2: lowercases aliases": () => {
+        const info = step(2, step(1, { "aliases": { "1": "Bobby" } }));
+        assert.deepStrictEqual(info.aliases, { "1": "bobby" });
+    },
+
+    // Step 3
+    "3: adds disabled plugins": () => {
+        assert.deepStrictEqual(step(3, {}).disabledPlugins, []);
+        assert.deepStrictEqual(step(3, { "disabledPlugins": ["umd"] }).disabledPlugins, ["umd"]);
+    },
+
+    // Step 4
+    "4: adds disabled commands and categories": () => {
+        const info = step(4, { "disabledCommands": ["snap"] });
+        assert.deepStrictEqual(info.disabledCommands, ["snap"]);
+        assert.deepStrictEqual(info.disabledCategories, []);
+    },
+
+    // Step 5
+    "5: adds roles": () => {
+        assert.deepStrictEqual(step(5, {}).roles, {});
+        assert.deepStrictEqual(step(5, { "roles": { "dj": ["1"] } }).roles, { "dj": ["1"] });
+    },
+
+    // Step 6
+    "6: adds trigger settings": () => {
+        const info = step(6, { "prefix": "!" });
+        assert.deepStrictEqual(info.triggers, []);
+        assert.strictEqual(info.prefix, "!");
+        assert.strictEqual(info.triggerAtStart, false);
+    },
+
+    // Step 7
+    "7: adds custom commands": () => {
+        assert.deepStrictEqual(step(7, {}).customCommands, {});
+    },
+
+    // Step 8
+    "8: adds schedules": () => {
+        assert.deepStrictEqual(step(8, {}).schedules, {});
+    },
+    "9: numbers reminders in the order they're due": () => {
+        const info = step(9, {
+            "events": {
+                "later": { "type": "reminder", "timestamp": 2000 },
+                "party": { "type": "event", "timestamp": 500 },
+                "sooner": { "type": "reminder", "timestamp": 1000 }
+            }
+        });
+        assert.strictEqual(info.events.sooner.id, 1);
+        assert.strictEqual(info.events.later.id, 2);
+        assert.strictEqual(info.events.party.id, undefined);
+        assert.deepStrictEqual(info.sentReminders, {});
+    },
+    "10: adds event details, maybes, and waitlists": () => {
+        const info = step(10, {
+            "events": {
+                "party": { "type": "event", "going": [], "not_going": [] },
+                "r1": { "type": "reminder" }
+            }
+        });
+        assert.deepStrictEqual(info.events.party, {
+            "type": "event", "going": [], "not_going": [],
+            "description": null, "location": null, "capacity": null, "maybe": [], "waitlist": []
+        });
+        assert.deepStrictEqual(info.events.r1, { "type": "reminder" });
+    },
+    "11: gives each chat its own calendar token": () => {
+        const a = step(11, {}).calendarToken;
+        assert.match(a, /^[0-9a-f]{32}$/);
+        assert.notStrictEqual(step(11, {}).calendarToken, a);
+        assert.strictEqual(step(11, { "calendarToken": "kept" }).calendarToken, "kept");
+    },
+    "12: adds chat and member time zones": () => {
+        assert.deepStrictEqual(step(12, {}), { "timeZone": null, "userTimeZones": {} });
+        const kept = { "timeZone": "Asia/Dhaka", "userTimeZones": { "1001": "UTC" } };
+        assert.deepStrictEqual(step(12, { ...kept }), kept);
+    },
+    "13: turns the tab's total into a ledger": () => {
+        assert.deepStrictEqual(step(13, {}).tab, []);
+        assert.deepStrictEqual(step(13, { "tab": 0 }).tab, []);
+        assert.deepStrictEqual(step(13, { "tab": 12.5 }).tab, [{
+            "id": 1, "type": "expense", "amount": 12.5, "description": null,
+            "from": null, "to": [], "by": null, "time": null
+        }]);
+        const entries = [{ "id": 1 }];
+        assert.strictEqual(step(13, { "tab": entries }).tab, entries);
+    },
+    "14: adds the chat's currency and puts earlier entries in dollars": () => {
+        const info = step(14, { "tab": [{ "id": 1 }, { "id": 2, "currency": "EUR" }] });
+        assert.strictEqual(info.currency, null);
+        assert.deepStrictEqual(info.tab, [{ "id": 1, "currency": "USD" }, { "id": 2, "currency": "EUR" }]);
+        assert.strictEqual(step(14, { "currency": "BDT", "tab": [] }).currency, "BDT");
+    },
+    "15: adds the chat's own scores": () => {
+        assert.deepStrictEqual(step(15, {}), { "scores": null, "periodScores": {} });
+        const kept = { "scores": { "1001": 5 }, "periodScores": { "week": { "start": 0, "scores": {} } } };
+        assert.deepStrictEqual(step(15, { ...kept }), kept);
+    },
+    "16: adds claimed jobs": () => {
+        assert.deepStrictEqual(step(16, {}).claimedJobs, {});
+    }
+};
@@ -0,0 +1,78 @@
+const assert = require("assert");
+const config = require("../src/config");
+const pipeline = require("../src/pipeline");
+
+const commandNames = ["echo", "choose", "bw", "invert"];
+
+function isCommand(text) {
+    return commandNames.includes(text.split(" ")[0]);
+}
+
+// Runs stages that each "send" their text back, returning what was actually sent
+function runEcho(text) {
+    const sent = [];
+    pipeline.run(pipeline.split(text, isCommand), "10", stageText => {
+        const body = stageText.replace(/^\w+ ?/, "");
+        const callback = pipeline.intercept(body, "10", () => { });
+        if (callback) {
+            sent.push(body);
+            callback();
+        }
+    });
+    return sent;
+}
+
+module.exports = {
+    "single commands aren't pipelines": () => {
+        assert.strictEqual(pipeline.split("echo hello", isCommand), null);
+    },
+    "commands are split on pipes and ands": () => {
+        assert.deepStrictEqual(pipeline.split("choose a,b && echo {} | bw", isCommand), [
+            { "text": "choose a,b" },
+            { "operator": "&&", "text": "echo {}" },
+            { "operator": "|", "text": "bw" }
+        ]);
+    },
+    "operators followed by non-commands are left alone": () => {
+        assert.strictEqual(pipeline.split("echo this | that", isCommand), null);
+        assert.strictEqual(pipeline.split("echo a||b", isCommand), null);
+    },
+    "piped output is passed on instead of being sent": () => {
+        assert.deepStrictEqual(runEcho("echo hello | echo {} world"), ["hello world"]);
+    },
+    "piped output is appended without a placeholder": () => {
+        assert.deepStrictEqual(runEcho("echo hello | echo world"), ["world hello"]);
+    },
+    "output before an and is sent too": () => {
+        assert.deepStrictEqual(runEcho("echo hello && echo {} again"), ["hello", "hello again"]);
+    },
+    "errors stop the pipeline": () => {
+        assert.deepStrictEqual(runEcho("echo Error: nope | echo {} && echo more"), ["Error: nope"]);
+    },
+    "stages without output end when their command finishes": done => {
+        const start = Date.now();
+        pipeline.run(pipeline.split("bw && echo done", isCommand), "10", stageText => {
+            if (stageText == "bw") {
+                // Finishes after a while without sending anything
+                setTimeout(() => require("fs").stat(__filename, () => { }), 10);
+            } else {
+                assert(Date.now() - start < config.pipelineTimeout * 1000);
+                assert.strictEqual(stageText, "echo done");
+                done();
+            }
+        });
+    },
+    "aborted stages stop the pipeline and send as usual": done => {
+        const ran = [];
+        pipeline.run(pipeline.split("echo a | echo b", isCommand), "10", stageText => {
+            ran.push(stageText);
+            pipeline.abort();
+            assert.notStrictEqual(pipeline.intercept("Slow down!", "10", () => { }), null);
+            // Give the next stage a chance to run if it was going to
+            setTimeout(() => {
+                assert.deepStrictEqual(ran, ["echo a"]);
+                done();
+            }, 10);
+        });
+    }
+};
@@ -0,0 +1,82 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const args = require("../src/args");
+const plugins = require("../src/plugins");
+
+// Writes plugin modules (file name -> source) to a new directory and returns its path
+function makeDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nanobot-plugins-"));
+    Object.keys(files).forEach(file => {
+        const full = path.join(dir, file);
+        fs.mkdirSync(path.dirname(full), { "recursive": true });
+        fs.writeFileSync(full, files[file]);
+    });
+    return dir;
+}
+
+const command = `{ "category": "fun", "args": { "names": ["hi"] }, "run": () => {} }`;
+
+module.exports = {
+    "discover finds files and directories and fills in defaults": done => {
+        const dir = makeDir({
+            "b.js": `module.exports = { "name": "Beta", "commands": { "hi": ${command} } };`,
+            "a/index.js": "module.exports = { \"name\": \"alpha\", \"eggs\": [{ \"regex\": /a/ }] };",
+            "c/notes.txt": "not a plugin",
+            "notes.txt": "not a plugin"
+        });
+        plugins.discover(dir, (err, found) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(found.map(p => p.name), ["alpha", "beta"]);
+            assert.deepStrictEqual(found[0].commands, {});
+            assert.deepStrictEqual(found[0].passive, []);
+            assert.strictEqual(found[0].eggs.length, 1);
+            assert.deepStrictEqual(Object.keys(found[1].commands), ["hi"]);
+            done();
+        });
+    },
+    "plugins need unique names": done => {
+        const dir = makeDir({
+            "one.js": "module.exports = { \"name\": \"same\" };",
+            "two.js": "module.exports = { \"name\": \"same\" };"
+        });
+        plugins.discover(dir, err => {
+            assert(err && /"same" is defined by both one.js and two.js/.test(err.message), err);
+            plugins.discover(makeDir({ "x.js": "module.exports = {};" }), err => {
+                assert(err && /x.js has no name/.test(err.message), err);
+                done();
+            });
+        });
+    },
+    "commands need a run function and category": done => {
+        const dir = makeDir({ "x.js": "module.exports = { \"name\": \"x\", \"commands\": { \"hi\": { \"category\": \"fun\" } } };" });
+        plugins.discover(dir, err => {
+            assert(err && /"hi" in plugin "x" has no run function/.test(err.message), err);
+            done();
+        });
+    },
+    "isEnabled checks the chat's disabled plugins": () => {
+        const groupInfo = { "disabledPlugins": ["umd"] };
+        assert.strictEqual(plugins.isEnabled("umd", groupInfo), false);
+        assert.strictEqual(plugins.isEnabled("other", groupInfo), true);
+        assert.strictEqual(plugins.isEnabled(undefined, groupInfo), true);
+    },
+    "bundled plugins' examples match their specs": done => {
+        const context = { "fromUserId": "1", "groupInfo": { "members": {}, "names": {}, "aliases": {} } };
+        plugins.load((err, loaded) => {
+            assert.ifError(err);
+            loaded.forEach(plugin => {
+                Object.keys(plugin.commands).forEach(key => {
+                    const co = plugin.commands[key];
+                    const examples = Array.isArray(co.example) ? co.example : [co.example];
+                    examples.filter(e => e.length > 0).forEach(example => {
+                        const result = args.parse(co.args, example, context);
+                        assert(result && !result.usage, `"${example}" doesn't match ${key}`);
+                    });
+                });
+            });
+            done();
+        });
+    }
+};
@@ -0,0 +1,136 @@
+const assert = require("assert");
+const config = require("../src/config");
+const recurrence = require("../src/recurrence");
+
+const now = new Date(2026, 9, 21, 10, 0); // A Wednesday morning
+
+function parse(text) {
+    const parsed = recurrence.parse(text, now);
+    return {
+        "time": parsed.time.getTime(),
+        "recurrence": parsed.recurrence
+    };
+}
+
+module.exports = {
+    "one-off times aren't recurring": () => {
+        assert.deepStrictEqual(parse("tomorrow at noon"), {
+            "time": new Date(2026, 9, 22, 12, 0).getTime(),
+            "recurrence": null
+        });
+    },
+    "times of day that have passed are tomorrow": () => {
+        assert.strictEqual(parse("at 9am").time, new Date(2026, 9, 22, 9, 0).getTime());
+        assert.throws(() => recurrence.parse("today at 9am", now), /already passed/);
+    },
+    "times can come before or after the rule": () => {
+        const expected = {
+            "time": new Date(2026, 9, 22, 9, 0).getTime(),
+            "recurrence": { "unit": "week", "interval": 1, "days": [1, 2, 3, 4, 5], "date": null, "until": null, "count": null, "zone": null }
+        };
+        assert.deepStrictEqual(parse("at 9am every weekday"), expected);
+        assert.deepStrictEqual(parse("every weekday at 9am"), expected);
+    },
+    "days without a time start at the current time of day": () => {
+        assert.deepStrictEqual(parse("every friday"), {
+            "time": new Date(2026, 9, 23, 10, 0).getTime(),
+            "recurrence": { "unit": "week", "interval": 1, "days": [5], "date": null, "until": null, "count": null, "zone": null }
+        });
+    },
+    "lists of days and intervals are understood": () => {
+        assert.deepStrictEqual(parse("every mon, wednesday and fri at noon").recurrence.days, [1, 3, 5]);
+        assert.deepStrictEqual(parse("every other friday").recurrence.interval, 2);
+        assert.deepStrictEqual(parse("every 2 hours"), {
+            "time": new Date(2026, 9, 21, 12, 0).getTime(),
+            "recurrence": { "unit": "hour", "interval": 2, "days": null, "date": null, "until": null, "count": null, "zone": null }
+        });
+    },
+    "monthly rules keep their day of the month": () => {
+        const parsed = recurrence.parse("monthly on the 31st at 6pm", now);
+        assert.strictEqual(parsed.time.getTime(), new Date(2026, 9, 31, 18, 0).getTime());
+        assert.strictEqual(parsed.recurrence.date, 31);
+        const november = recurrence.next(parsed.recurrence, parsed.time);
+        assert.strictEqual(november.getTime(), new Date(2026, 10, 30, 18, 0).getTime());
+        assert.strictEqual(recurrence.next(parsed.recurrence, november).getTime(), new Date(2026, 11, 31, 18, 0).getTime());
+    },
+    "weeks can repeat on given days": () => {
+        assert.deepStrictEqual(parse("every 2 weeks on thursday at 7pm"), {
+            "time": new Date(2026, 9, 22, 19, 0).getTime(),
+            "recurrence": { "unit": "week", "interval": 2, "days": [4], "date": null, "until": null, "count": null, "zone": null }
+        });
+        assert.deepStrictEqual(parse("weekly on tue and thu").recurrence.days, [2, 4]);
+    },
+    "schedules can end": () => {
+        const until = parse("daily at 9am until friday").recurrence.until;
+        assert.strictEqual(until, new Date(2026, 9, 23, 23, 59, 59, 999).getTime());
+        assert.strictEqual(parse("every day at 9am for 3 times").recurrence.count, 3);
+        assert.strictEqual(parse("every day at 9am 3 times").recurrence.count, 3);
+    },
+    "advancing stops at the end of a rule": () => {
+        const daily = { "unit": "day", "interval": 1, "days": null, "date": null, "until": null, "count": 2 };
+        const first = new Date(2026, 9, 22, 9, 0);
+        const second = recurrence.advance(daily, first, now);
+        assert.strictEqual(second.time.getTime(), new Date(2026, 9, 23, 9, 0).getTime());
+        assert.strictEqual(second.recurrence.count, 1);
+        assert.strictEqual(recurrence.advance(second.recurrence, second.time, now), null);
+
+        const untilSaturday = { ...daily, "count": null, "until": new Date(2026, 9, 24, 12, 0).getTime() };
+        assert.notStrictEqual(recurrence.advance(untilSaturday, first, now), null);
+        assert.strictEqual(recurrence.advance(untilSaturday, new Date(2026, 9, 24, 9, 0), now), null);
+    },
+    "bad schedules are explained": () => {
+        assert.throws(() => recurrence.parse("every blah", now), /Couldn't understand "every blah"/);
+        assert.throws(() => recurrence.parse("every 5 minutes", now), /more often than every 15 minutes/);
+        assert.throws(() => recurrence.parse("yesterday", now), /already passed/);
+        assert.throws(() => recurrence.parse("every other mon and fri", now), /every week/);
+        assert.throws(() => recurrence.parse("tomorrow until friday", now), /Only schedules that repeat/);
+        assert.throws(() => recurrence.parse("every day at 9am until yesterday", now), /ends before it starts/);
+        assert.throws(() => recurrence.parse("every day 0 times", now), /at least once/);
+        assert.throws(() => recurrence.parse("every day on the 5th", now), /Only monthly schedules/);
+    },
+    "schedules follow the time zone they're in": () => {
+        const morning = new Date(Date.UTC(2026, 9, 21, 12, 0)); // 8am in New York
+        const parsed = recurrence.parse("every day at 6pm until oct 31", morning, "America/New_York");
+        assert.strictEqual(parsed.time.getTime(), Date.UTC(2026, 9, 21, 22, 0));
+        assert.strictEqual(parsed.recurrence.zone, "America/New_York");
+        assert.strictEqual(parsed.recurrence.until, Date.UTC(2026, 10, 1, 3, 59, 59, 999));
+        assert.strictEqual(recurrence.describe(parsed.recurrence), "every day until October 31, 2026");
+        // Still at 6pm once the clocks go back
+        const beforeChange = new Date(Date.UTC(2026, 9, 31, 22, 0));
+        assert.strictEqual(recurrence.next(parsed.recurrence, beforeChange).getTime(), Date.UTC(2026, 10, 1, 23, 0));
+        assert.strictEqual(recurrence.parse("tomorrow at 9am", morning, "Asia/Dhaka").time.getTime(), Date.UTC(2026, 9, 22, 3, 0));
+    },
+    "next occurrences follow the rule": () => {
+        const weekdays = { "unit": "week", "interval": 1, "days": [1, 2, 3, 4, 5] };
+        const friday = new Date(2026, 9, 23, 9, 0);
+        assert.strictEqual(recurrence.next(weekdays, friday).getTime(), new Date(2026, 9, 26, 9, 0).getTime());
+        const daily = { "unit": "day", "interval": 1, "days": null };
+        assert.strictEqual(recurrence.next(daily, friday).getTime(), new Date(2026, 9, 24, 9, 0).getTime());
+    },
+    "missed occurrences are skipped": () => {
+        const daily = { "unit": "day", "interval": 1, "days": null };
+        const lastWeek = new Date(2026, 9, 14, 9, 0);
+        assert.strictEqual(recurrence.nextAfter(daily, lastWeek, now).getTime(), new Date(2026, 9, 22, 9, 0).getTime());
+        // Rules from long ago catch up without stepping through every occurrence
+        const start = Date.now();
+        const quarterHourly = { "unit": "minute", "interval": 15, "days": null };
+        assert.strictEqual(recurrence.nextAfter(quarterHourly, new Date(0), now).getTime(), Math.floor(now / 900000) * 900000 + 900000);
+        const monthly = { "unit": "month", "interval": 1, "days": null, "date": 31 };
+        assert.strictEqual(recurrence.nextAfter(monthly, new Date(1970, 0, 31, 9, 0), now).getTime(), new Date(2026, 9, 31, 9, 0).getTime());
+        assert(Date.now() - start < 1000);
+    },
+    "rules can't repeat too often": () => {
+        assert.throws(() => recurrence.check({ "unit": "minute", "interval": config.scheduleMinInterval - 1, "days": null }),
+            new RegExp(`more often than every ${config.scheduleMinInterval} minutes`));
+        assert.throws(() => recurrence.check({ "unit": "week", "interval": 2, "days": [1, 3] }), /have to repeat every week/);
+        recurrence.check({ "unit": "minute", "interval": config.scheduleMinInterval, "days": null });
+    },
+    "rules are described": () => {
+        assert.strictEqual(recurrence.describe({ "unit": "week", "interval": 1, "days": [1, 2, 3, 4, 5] }), "every weekday");
+        assert.strictEqual(recurrence.describe({ "unit": "week", "interval": 1, "days": [1, 3, 5] }), "every Monday, Wednesday and Friday");
+        assert.strictEqual(recurrence.describe({ "unit": "week", "interval": 2, "days": [5] }), "every 2 weeks on Friday");
+        assert.strictEqual(recurrence.describe({ "unit": "hour", "interval": 3, "days": null }), "every 3 hours");
+        assert.strictEqual(recurrence.describe({ "unit": "day", "interval": 1, "days": null }), "every day");
+        assert.strictEqual(recurrence.describe({ "unit": "month", "interval": 1, "days": null, "count": 3 }), "every month (3 more times)");
+    }
+};
@@ -0,0 +1,81 @@
+/*
+    Minimal test runner for the bot's unit tests.
+
+    Runs every `*.test.js` file in this directory (or only the files and
+    directories passed as arguments). Each test file exports a map from test
+    names to functions; a test fails if it throws (even asynchronously), or if
+    it takes a `done` callback and passes it an error. Exits with a non-zero
+    status if any test fails.
+
+    Timers come from the timers module rather than the globals so that tests
+    can replace the global timer functions (see e2e/harness.js).
+*/
+const fs = require("fs");
+const path = require("path");
+const timers = require("timers");
+
+function testFiles(dir) {
+    return fs.readdirSync(dir).filter(f => f.endsWith(".test.js")).sort().map(f => path.join(dir, f));
+}
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2).map(f => path.resolve(f)).reduce((all, f) => {
+        return all.concat(fs.statSync(f).isDirectory() ? testFiles(f) : [f]);
+    }, [])
+    : testFiles(__dirname);
+
+const tests = [];
+files.forEach(file => {
+    const suite = require(file);
+    Object.keys(suite).forEach(name => {
+        tests.push({ "name": `${path.basename(file, ".test.js")}: ${name}`, "fn": suite[name] });
+    });
+});
+
+let failures = 0;
+let current = null; // Completion callback for the running test
+
+// Errors thrown from callbacks fail the test that is running
+process.on("uncaughtException", err => {
+    if (current) {
+        current(err);
+    } else {
+        throw err;
+    }
+});
+
+function runTest(i) {
+    if (i >= tests.length) {
+        console.log(`\n${tests.length - failures}/${tests.length} tests passed`);
+        process.exit(failures > 0 ? 1 : 0);
+    }
+    const test = tests[i];
+    let finished = false;
+    const done = err => {
+        if (finished) { return; }
+        finished = true;
+        current = null;
+        timers.clearTimeout(timeout);
+        if (err) {
+            failures++;
+            console.log(`✗ ${test.name}`);
+            console.log(`    ${(err.stack || err).toString().replace(/\n/g, "\n    ")}`);
+        } else {
+            console.log(`✓ ${test.name}`);
+        }
+        timers.setImmediate(() => runTest(i + 1));
+    };
+    current = done;
+    const timeout = timers.setTimeout(() => done(new Error("Timed out")), 5000);
+    try {
+        if (test.fn.length > 0) {
+            test.fn(done);
+        } else {
+            test.fn();
+            done();
+        }
+    } catch (e) {
+        done(e);
+    }
+}
+runTest(0);
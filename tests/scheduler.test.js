@@ -0,0 +1,106 @@
+const assert = require("assert");
+const scheduler = require("../src/scheduler");
+const utils = require("../src/utils");
+const memory = require("../src/storage/memory");
+const migrations = require("../src/migrations");
+
+let runs = []; // { job, time, late, finish } for each time a test job runs
+
+scheduler.define("test", {
+    "collect": info => Object.keys(info.tests).map(key => ({ "key": key, "time": info.tests[key] })),
+    "get": (info, key) => (info.tests[key] ? { "key": key } : null),
+    "claim": (info, key) => {
+        delete info.tests[key];
+        return true;
+    },
+    "run": (info, job, time, late, callback) => {
+        runs.push({ "job": job, "time": time, "late": late, "finish": callback });
+    }
+});
+
+// Uses a store with a single group (thread 10) holding the given test jobs and claimed runs
+function useGroup(tests, claimedJobs = {}) {
+    const info = { ...migrations.create(), "threadId": "10", "tests": tests, "claimedJobs": claimedJobs };
+    const store = memory.create({ "data": { "groups": { "10": info } } });
+    utils.setglobals(null, store);
+    runs = [];
+    return store;
+}
+
+function claimedJobs(store, callback) {
+    store.get("groups", (err, groups) => callback(groups["10"].claimedJobs));
+}
+
+module.exports = {
+    "jobs are found in group info": () => {
+        scheduler.stop();
+        scheduler.refresh("10", { "tests": { "b": 2000, "a": 1000 } });
+        assert.deepStrictEqual(scheduler.pending(), [
+            { "id": "10/test/a", "threadId": "10", "type": "test", "key": "a", "time": 1000 },
+            { "id": "10/test/b", "threadId": "10", "type": "test", "key": "b", "time": 2000 }
+        ]);
+    },
+    "jobs are replaced when a group changes": () => {
+        scheduler.stop();
+        scheduler.refresh("10", { "tests": { "a": 1000 } });
+        scheduler.refresh("20", { "tests": { "a": 1500 } });
+        scheduler.refresh("10", { "tests": { "c": 3000 } });
+        assert.deepStrictEqual(scheduler.pending().map(job => job.id), ["20/test/a", "10/test/c"]);
+        scheduler.refresh("20", null);
+        assert.deepStrictEqual(scheduler.pending().map(job => job.id), ["10/test/c"]);
+    },
+    "runs are recorded until they finish": done => {
+        scheduler.stop();
+        const store = useGroup({ "a": 1000 });
+        scheduler.refresh("10", { "tests": { "a": 1000 } });
+        scheduler.tick(2000);
+        setTimeout(() => {
+            assert.deepStrictEqual(runs.map(run => [run.job, run.time]), [[{ "key": "a" }, 1000]]);
+            claimedJobs(store, claimed => {
+                assert.deepStrictEqual(Object.keys(claimed), ["test/a/1000"]);
+                runs[0].finish();
+                setTimeout(() => {
+                    claimedJobs(store, claimed => {
+                        assert.deepStrictEqual(claimed, {});
+                        scheduler.stop();
+                        done();
+                    });
+                }, 50);
+            });
+        }, 50);
+    },
+    "runs that didn't finish before the bot stopped happen late when it starts": done => {
+        scheduler.stop();
+        const store = useGroup({}, { "test/a/1000": { "type": "test", "key": "a", "time": 1000, "job": { "key": "a" } } });
+        scheduler.start(() => {
+            assert.deepStrictEqual(runs.map(run => [run.job, run.time, run.late]), [[{ "key": "a" }, 1000, true]]);
+            runs[0].finish();
+            setTimeout(() => {
+                claimedJobs(store, claimed => {
+                    assert.deepStrictEqual(claimed, {});
+                    scheduler.stop();
+                    done();
+                });
+            }, 50);
+        });
+    },
+    "jobs go back in the wheel if they can't be claimed": done => {
+        scheduler.stop();
+        const store = useGroup({ "a": 1000 });
+        store.set = (key, value, callback) => setImmediate(() => callback(new Error("Store is down")));
+        utils.setglobals(null, store);
+        scheduler.refresh("10", { "tests": { "a": 1000 } });
+        scheduler.tick(2000);
+        assert.deepStrictEqual(scheduler.pending(), []);
+        setTimeout(() => {
+            assert.deepStrictEqual(scheduler.pending().map(job => job.id), ["10/test/a"]);
+            scheduler.stop();
+            done();
+        }, 50);
+    },
+    "stopping empties the wheel": () => {
+        scheduler.refresh("10", { "tests": { "a": 1000 } });
+        scheduler.stop();
+        assert.deepStrictEqual(scheduler.pending(), []);
+    }
+};
@@ -0,0 +1,58 @@
+const assert = require("assert");
+const config = require("../src/config");
+const scores = require("../src/scores");
+
+const names = { "1": "Alice", "2": "Bob", "3": "Carol" };
+
+function vote(target, delta, time, reason = null) {
+    return { "voter": "1", "target": target, "delta": delta, "reason": reason, "time": time };
+}
+
+module.exports = {
+    "votes change scores and running totals": () => {
+        const info = { "timeZone": "UTC", "scores": { "2": 10 }, "periodScores": {} };
+        const monday = Date.parse("2026-10-19T00:00:00Z");
+        assert.strictEqual(scores.record(info, vote("2", -5, monday + 1)), 5);
+        assert.strictEqual(scores.record(info, vote("3", 5, monday + 2)), 5);
+        assert.deepStrictEqual(info.scores, { "2": 5, "3": 5 });
+        assert.deepStrictEqual(info.periodScores.week, { "start": monday, "scores": { "2": -5, "3": 5 } });
+        // A new week starts over, but the month keeps going
+        const nextWeek = monday + 7 * 24 * 60 * 60 * 1000;
+        scores.record(info, vote("3", 5, nextWeek));
+        assert.deepStrictEqual(info.periodScores.week, { "start": nextWeek, "scores": { "3": 5 } });
+        assert.deepStrictEqual(info.periodScores.month.scores, { "2": -5, "3": 10 });
+    },
+    "old votes are dropped from the history": () => {
+        const votes = Array.from({ "length": config.voteHistoryLimit }, (_, i) => vote("2", 1, i));
+        const history = scores.addToHistory(votes, vote("2", 1, config.voteHistoryLimit));
+        assert.strictEqual(history.length, config.voteHistoryLimit);
+        assert.strictEqual(history[0].time, 1);
+        assert.deepStrictEqual(scores.addToHistory(null, vote("2", 1, 0)), [vote("2", 1, 0)]);
+    },
+    "weeks and months start in the chat's time zone": () => {
+        // Wednesday, October 21 at 1 AM in Dhaka, which is still Tuesday in UTC
+        const now = new Date("2026-10-20T19:00:00Z");
+        assert.strictEqual(scores.periodStart("week", "Asia/Dhaka", now), Date.parse("2026-10-18T18:00:00Z"));
+        assert.strictEqual(scores.periodStart("week", "UTC", now), Date.parse("2026-10-19T00:00:00Z"));
+        assert.strictEqual(scores.periodStart("month", "Asia/Dhaka", now), Date.parse("2026-09-30T18:00:00Z"));
+    },
+    "leaderboards rank members for a period": () => {
+        const now = new Date("2026-10-21T12:00:00Z");
+        const info = { "names": names, "timeZone": "UTC", "scores": { "1": 20, "2": 10 }, "periodScores": {} };
+        scores.record(info, vote("1", 5, Date.parse("2026-10-02T00:00:00Z")));
+        scores.record(info, vote("2", 5, Date.parse("2026-10-20T00:00:00Z")));
+        const ranks = (period, at = now) => scores.leaderboard(info, period, at).map(entry => `${entry.name}: ${entry.score}`);
+        assert.deepStrictEqual(ranks("all time"), ["Alice: 25", "Bob: 15", "Carol: 0"]);
+        assert.deepStrictEqual(ranks("month"), ["Alice: 5", "Bob: 5", "Carol: 0"]);
+        assert.deepStrictEqual(ranks("week"), ["Bob: 5", "Alice: 0", "Carol: 0"]);
+        // Totals from a week that's over don't count
+        assert.deepStrictEqual(ranks("week", new Date("2026-10-27T12:00:00Z")), ["Alice: 0", "Bob: 0", "Carol: 0"]);
+    },
+    "votes are described": () => {
+        const time = Date.parse("2026-10-19T20:00:00Z");
+        assert.strictEqual(scores.describe(vote("2", 5, time, "fixing the build"), names, "Asia/Dhaka"),
+            "+5 from Alice on Oct 20 for fixing the build");
+        assert.strictEqual(scores.describe({ ...vote("2", -5, time), "voter": "9" }, names, "UTC"),
+            "-5 from someone who left on Oct 19");
+    }
+};
@@ -0,0 +1,102 @@
+const assert = require("assert");
+const simulator = require("../src/platforms/simulator");
+
+function makeSim() {
+    return simulator.create({
+        "botId": "0",
+        "users": { "1": "Alice Smith", "2": "Bob Jones", "3": "Carol White" },
+        "threads": { "10": { "name": "Test", "members": ["1", "2"], "admins": ["0"] } }
+    });
+}
+
+module.exports = {
+    "thread info reflects registered members": done => {
+        makeSim().api.getThreadInfo("10", (err, info) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(info.participantIDs, ["0", "1", "2"]);
+            assert.deepStrictEqual(info.adminIDs, [{ "id": "0" }]);
+            assert.strictEqual(info.threadName, "Test");
+            assert.strictEqual(info.isGroup, true);
+            done();
+        });
+    },
+    "user messages are passed to listeners": () => {
+        const sim = makeSim();
+        const received = [];
+        sim.api.listenMqtt((err, message) => received.push(message));
+        const sent = sim.receive("10", "1", "hello");
+        const reply = sim.receive("10", "2", "hi", { "replyTo": sent.messageID });
+        assert.deepStrictEqual(received.map(m => m.body), ["hello", "hi"]);
+        assert.strictEqual(reply.type, "message_reply");
+        assert.strictEqual(reply.messageReply.body, "hello");
+    },
+    "bot messages are emitted and recorded": done => {
+        const sim = makeSim();
+        sim.on("message", message => {
+            assert.strictEqual(message.body, "hey");
+            assert.strictEqual(message.senderID, "0");
+        });
+        sim.api.sendMessage("hey", "10", (err, info) => {
+            assert.ifError(err);
+            assert.strictEqual(sim.getMessage(info.messageID).body, "hey");
+            done();
+        });
+    },
+    "sending to an unknown thread fails": done => {
+        makeSim().api.sendMessage("hey", "99", err => {
+            assert(err);
+            done();
+        });
+    },
+    "sending to a list of users starts a new group": done => {
+        const sim = makeSim();
+        sim.api.sendMessage("welcome", ["1", "3"], (err, info) => {
+            assert.ifError(err);
+            const thread = sim.getThread(info.threadID);
+            assert.deepStrictEqual(thread.participantIDs, ["0", "1", "3"]);
+            assert.strictEqual(thread.isGroup, true);
+            done();
+        });
+    },
+    "kicking removes members and sends an event": done => {
+        const sim = makeSim();
+        const events = [];
+        sim.api.listenMqtt((err, message) => events.push(message.logMessageType));
+        sim.api.removeUserFromGroup("1", "10", err => {
+            assert.ifError(err);
+            assert.deepStrictEqual(sim.getThread("10").participantIDs, ["0", "2"]);
+            setImmediate(() => {
+                assert.deepStrictEqual(events, ["log:unsubscribe"]);
+                done();
+            });
+        });
+    },
+    "thread changes are reflected in thread info": done => {
+        const sim = makeSim();
+        sim.api.changeNickname("Al", "10", "1", () => {
+            sim.api.changeThreadColor("#44BEC7", "10", () => {
+                sim.api.getThreadInfo("10", (err, info) => {
+                    assert.deepStrictEqual(info.nicknames, { "1": "Al" });
+                    assert.strictEqual(info.color, "44bec7");
+                    done();
+                });
+            });
+        });
+    },
+    "reactions are passed to listeners": () => {
+        const sim = makeSim();
+        const message = sim.receive("10", "1", "party at 8");
+        let reaction;
+        sim.api.listenMqtt((err, m) => { reaction = m; });
+        sim.react(message.messageID, "2", "👍");
+        assert.strictEqual(reaction.type, "message_reaction");
+        assert.strictEqual(reaction.userID, "2");
+        assert.strictEqual(reaction.reaction, "👍");
+    },
+    "attachments are shaped like the real API's": () => {
+        const attachment = makeSim().makeAttachment("https://example.com/cat.jpg");
+        assert.strictEqual(attachment.type, "photo");
+        assert.strictEqual(attachment.name, "cat");
+        assert.strictEqual(attachment.largePreviewUrl, "https://example.com/cat.jpg");
+    }
+};
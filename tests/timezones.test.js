@@ -0,0 +1,22 @@
+const assert = require("assert");
+const timezones = require("../src/timezones");
+
+module.exports = {
+    "zones are found by their names in any case": () => {
+        assert.strictEqual(timezones.find("america/new_york"), "America/New_York");
+        assert.strictEqual(timezones.find("UTC"), "UTC");
+        assert.strictEqual(timezones.find("atlantis"), null);
+        assert.strictEqual(timezones.find(" "), null);
+    },
+    "zones are found by the last part of their names": () => {
+        assert.strictEqual(timezones.find("new york"), "America/New_York");
+        assert.strictEqual(timezones.find("Dhaka"), "Asia/Dhaka");
+        assert.strictEqual(timezones.find("london"), "Europe/London");
+    },
+    "wall clock times round-trip through a zone": () => {
+        const time = Date.parse("2026-10-19T12:30:00Z");
+        const wall = timezones.toWallClock(time, "Asia/Dhaka");
+        assert.strictEqual(wall.getHours(), 18);
+        assert.strictEqual(timezones.fromWallClock(wall, "Asia/Dhaka").getTime(), time);
+    }
+};